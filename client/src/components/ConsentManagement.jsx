@@ -2,12 +2,99 @@
  * Consent Management Component
  * 
  * Manage patient consent: grant, revoke, check, and view all consents.
+ * Consents can also be granted or revoked in bulk from a CSV or JSON file.
  */
 
 import React, { useState, useCallback, useRef } from 'react';
 import { consentAPI } from '../services/api';
 import { useData } from '../contexts/DataContext';
 
+// Fields read from bulk upload files; other columns are ignored
+const BULK_FIELDS = {
+  grant: ['patientId', 'clinicianId', 'granteeId', 'granteeType', 'consentType', 'purpose', 'expiresAt', 'scope'],
+  revoke: ['consentId', 'reason'],
+};
+
+// Badge shown for each per-item status of a bulk result
+const BULK_STATUS_BADGES = {
+  granted: 'success',
+  revoked: 'revoked',
+  invalid: 'error',
+  skipped: 'info',
+};
+
+/**
+ * Parse CSV text with a header row into one object per row
+ * Fields may be quoted ("a, b"); a doubled quote inside quotes is a literal quote.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(values => values.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim());
+  return records.map(values =>
+    Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()]))
+  );
+}
+
+/**
+ * Read the items of a bulk grant or revoke from an uploaded file
+ * A .json file holds an array of items or { "items": [...] }; anything else is read as CSV.
+ */
+function parseBulkFile(name, text, action) {
+  let items;
+  if (name.toLowerCase().endsWith('.json')) {
+    const parsed = JSON.parse(text);
+    items = Array.isArray(parsed) ? parsed : parsed.items;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON file must contain an array of items or { "items": [...] }');
+    }
+  } else {
+    items = parseCsv(text);
+  }
+
+  // Keep the known fields, leaving out empty CSV cells
+  return items.map(item => Object.fromEntries(
+    BULK_FIELDS[action]
+      .filter(field => item?.[field] !== undefined && item[field] !== '')
+      .map(field => [field, item[field]])
+  ));
+}
+
 function ConsentManagement({ onConsentUpdate }) {
   // Use shared data from context
   const { patients, clinicians, loading: dataLoading, getPatientName, getClinicianName } = useData();
@@ -35,6 +122,11 @@ function ConsentManagement({ onConsentUpdate }) {
     consentId: '',
   });
 
+  // Bulk Upload State
+  const [bulkAction, setBulkAction] = useState('grant');
+  const [bulkFile, setBulkFile] = useState({ name: '', items: [] });
+  const [bulkResult, setBulkResult] = useState(null);
+
   // Check Consent State
   const [checkForm, setCheckForm] = useState({
     patientId: '',
@@ -155,6 +247,59 @@ function ConsentManagement({ onConsentUpdate }) {
     }
   };
 
+  const handleBulkActionChange = (action) => {
+    setBulkAction(action);
+    setBulkFile({ name: '', items: [] });
+    setBulkResult(null);
+  };
+
+  const handleBulkFileChange = async (e) => {
+    const file = e.target.files[0];
+    setBulkResult(null);
+    if (!file) {
+      setBulkFile({ name: '', items: [] });
+      return;
+    }
+
+    try {
+      const items = parseBulkFile(file.name, await file.text(), bulkAction);
+      setBulkFile({ name: file.name, items });
+    } catch (error) {
+      setBulkFile({ name: '', items: [] });
+      showMessage('error', `Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleBulkSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setBulkResult(null);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const result = bulkAction === 'grant'
+        ? await consentAPI.bulkGrant(bulkFile.items)
+        : await consentAPI.bulkRevoke(bulkFile.items);
+
+      setBulkResult(result.data);
+      showMessage('success', `${result.data.count} consents ${bulkAction === 'grant' ? 'granted' : 'revoked'} in one batch`);
+      // Refresh dashboard data
+      if (onConsentUpdate) onConsentUpdate();
+      // Refresh all consents list if it's already loaded
+      if (allConsents !== null) {
+        handleGetAllConsents();
+      }
+    } catch (error) {
+      // A rejected batch comes back with the result of every item
+      if (error.data?.results) {
+        setBulkResult(error.data);
+      }
+      showMessage('error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleCheckConsent = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -202,6 +347,12 @@ function ConsentManagement({ onConsentUpdate }) {
         >
           Revoke Consent
         </button>
+        <button
+          className={activeTab === 'bulk' ? 'active' : ''}
+          onClick={() => setActiveTab('bulk')}
+        >
+          Bulk Upload
+        </button>
         <button
           className={activeTab === 'check' ? 'active' : ''}
           onClick={() => setActiveTab('check')}
@@ -308,6 +459,86 @@ function ConsentManagement({ onConsentUpdate }) {
           </form>
         )}
 
+        {activeTab === 'bulk' && (
+          <div>
+            <form onSubmit={handleBulkSubmit} className="form">
+              <div className="form-group">
+                <label>Operation *</label>
+                <select
+                  value={bulkAction}
+                  onChange={(e) => handleBulkActionChange(e.target.value)}
+                >
+                  <option value="grant">Grant consents</option>
+                  <option value="revoke">Revoke consents</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label>File (CSV or JSON) *</label>
+                <input
+                  key={bulkAction}
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={handleBulkFileChange}
+                  required
+                />
+                <small className="help-text">
+                  {bulkAction === 'grant'
+                    ? 'CSV columns: patientId, clinicianId (or granteeId and granteeType), consentType, purpose, expiresAt.'
+                    : 'CSV columns: consentId, reason.'}
+                  {' '}A JSON file holds an array of objects with the same fields.
+                  The batch is applied all or nothing: if any item is invalid, no consent is changed.
+                </small>
+              </div>
+              <button
+                type="submit"
+                disabled={loading || bulkFile.items.length === 0}
+                className={`btn ${bulkAction === 'grant' ? 'btn-primary' : 'btn-danger'}`}
+              >
+                {loading
+                  ? 'Submitting...'
+                  : `Submit ${bulkFile.items.length} ${bulkFile.items.length === 1 ? 'item' : 'items'}`}
+              </button>
+            </form>
+
+            {bulkResult && (
+              <div className="result-box">
+                <h3>Batch Result</h3>
+                <div className={`status-badge ${bulkResult.applied ? 'success' : 'error'}`}>
+                  {bulkResult.applied
+                    ? `✓ Applied (${bulkResult.count} items)`
+                    : `✗ Rejected (${bulkResult.failed} of ${bulkResult.count} items invalid)`}
+                </div>
+                <div className="table-container">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Item</th>
+                        <th>Status</th>
+                        <th>Consent ID</th>
+                        <th>Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {bulkResult.results.map(item => (
+                        <tr key={item.index}>
+                          <td>{item.index + 1}</td>
+                          <td>
+                            <span className={`badge badge-${BULK_STATUS_BADGES[item.status]}`}>
+                              {item.status}
+                            </span>
+                          </td>
+                          <td className="code">{item.consentId || '-'}</td>
+                          <td>{item.error || (item.patientId ? getPatientName(item.patientId) : '-')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
         {activeTab === 'check' && (
           <div>
             <form onSubmit={handleCheckConsent} className="form">
@@ -53,6 +53,7 @@ function ZKProofs() {
   const [permissionProofForm, setPermissionProofForm] = useState({
     userId: '',
     permissions: 'read,write',
+    verifierId: '',
   });
   const [permissionProofResult, setPermissionProofResult] = useState(null);
 
@@ -60,6 +61,7 @@ function ZKProofs() {
   const [verifyPermissionForm, setVerifyPermissionForm] = useState({
     proof: '',
     requiredPermissions: 'read,write',
+    verifierId: '',
   });
   const [verifyPermissionResult, setVerifyPermissionResult] = useState(null);
 
@@ -118,9 +120,12 @@ function ZKProofs() {
 
     try {
       const permissions = permissionProofForm.permissions.split(',').map(p => p.trim()).filter(p => p);
+      // Proofs are single use and bound to a fresh verifier challenge
+      const challenge = await zkAPI.getChallenge({ verifierId: permissionProofForm.verifierId || undefined });
       const result = await zkAPI.generatePermissionProof({
         userId: permissionProofForm.userId,
         permissions,
+        challenge: challenge.data.challenge,
       });
 
       setPermissionProofResult(result.data);
@@ -148,6 +153,7 @@ function ZKProofs() {
       const result = await zkAPI.verifyPermissionProof({
         proof,
         requiredPermissions,
+        verifierId: verifyPermissionForm.verifierId || undefined,
       });
 
       setVerifyPermissionResult(result.data);
@@ -290,7 +296,7 @@ function ZKProofs() {
                 <textarea
                   value={verifyConsentProof}
                   onChange={(e) => setVerifyConsentProof(e.target.value)}
-                  placeholder='{"commitment":"...","verificationKey":"...","salt":"...","valid":true}'
+                  placeholder='{"scheme":"pedersen-ring-sigma-v1","ring":[...],"announcements":[...],"challenges":[...],"responses":[...],"timestamp":"..."}'
                   rows={10}
                   className="textarea"
                   required
@@ -377,6 +383,18 @@ function ZKProofs() {
                 Enter permissions separated by commas (e.g., "read,write,admin")
               </small>
             </div>
+            <div className="form-group">
+              <label>Verifier ID</label>
+              <input
+                type="text"
+                value={permissionProofForm.verifierId}
+                onChange={(e) => setPermissionProofForm({ ...permissionProofForm, verifierId: e.target.value })}
+                placeholder="Defaults to the signed-in user"
+              />
+              <small className="form-help">
+                The proof is bound to a one-time challenge from this verifier and can only be verified once.
+              </small>
+            </div>
             <button type="submit" disabled={loading || dataLoading} className="btn btn-primary">
               {loading ? 'Generating...' : 'Generate Permission Proof'}
             </button>
@@ -406,6 +424,7 @@ function ZKProofs() {
                       setVerifyPermissionForm({
                         proof: JSON.stringify(permissionProofResult.proof, null, 2),
                         requiredPermissions: permissionProofForm.permissions,
+                        verifierId: permissionProofForm.verifierId,
                       });
                       setActiveTab('verify-permission');
                       showMessage('success', 'Proof copied to Verify tab!');
@@ -432,6 +451,7 @@ function ZKProofs() {
                     setVerifyPermissionForm({
                       proof: JSON.stringify(permissionProofResult.proof, null, 2),
                       requiredPermissions: permissionProofForm.permissions,
+                      verifierId: permissionProofForm.verifierId,
                     });
                     showMessage('success', 'Fields filled from previous proof result!');
                   }}
@@ -448,7 +468,7 @@ function ZKProofs() {
                 <textarea
                   value={verifyPermissionForm.proof}
                   onChange={(e) => setVerifyPermissionForm({ ...verifyPermissionForm, proof: e.target.value })}
-                  placeholder='{"commitment":"...","verificationKey":"...","permissions":["read","write"],"hasPermissions":true}'
+                  placeholder='{"scheme":"linkable-ring-sigma-v1","ring":[...],"nullifier":"...","challenge":{...}}'
                   rows={10}
                   className="textarea"
                   required
@@ -486,6 +506,15 @@ function ZKProofs() {
                 Enter permissions separated by commas (e.g., "read,write,admin")
               </small>
             </div>
+            <div className="form-group">
+              <label>Verifier ID</label>
+              <input
+                type="text"
+                value={verifyPermissionForm.verifierId}
+                onChange={(e) => setVerifyPermissionForm({ ...verifyPermissionForm, verifierId: e.target.value })}
+                placeholder="Defaults to the signed-in user"
+              />
+            </div>
             <button type="submit" disabled={loading || !verifyPermissionForm.proof || !verifyPermissionForm.requiredPermissions} className="btn btn-primary">
               {loading ? 'Verifying...' : 'Verify Permission Proof'}
             </button>
@@ -16,9 +16,24 @@ const apiClient = axios.create({
   timeout: 30000, // 30 second timeout
 });
 
+// Access token issued by POST /api/auth/token (stored by setAuthToken)
+const AUTH_TOKEN_KEY = 'authToken';
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+};
+
 // Request interceptor
 apiClient.interceptors.request.use(
   (config) => {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -33,7 +48,10 @@ apiClient.interceptors.response.use(
   },
   (error) => {
     const errorMessage = error.response?.data?.error?.message || error.message || 'An error occurred';
-    return Promise.reject(new Error(errorMessage));
+    const apiError = new Error(errorMessage);
+    // Some errors carry details, e.g. the per-item results of a rejected bulk batch
+    apiError.data = error.response?.data?.data;
+    return Promise.reject(apiError);
   }
 );
 
@@ -43,10 +61,19 @@ export const blockchainAPI = {
   getHealth: () => apiClient.get('/health'),
 };
 
+// Auth API
+export const authAPI = {
+  getChallenge: (actorId) => apiClient.post('/auth/challenge', { actorId }),
+  getToken: (data) => apiClient.post('/auth/token', data),
+  me: () => apiClient.get('/auth/me'),
+};
+
 // Consent Management API
 export const consentAPI = {
   grant: (data) => apiClient.post('/consent/grant', data),
   revoke: (data) => apiClient.post('/consent/revoke', data),
+  bulkGrant: (items) => apiClient.post('/consent/bulk/grant', { items }),
+  bulkRevoke: (items) => apiClient.post('/consent/bulk/revoke', { items }),
   check: (patientId, clinicianId, type) =>
     apiClient.get(`/consent/check/${patientId}/${clinicianId}/${encodeURIComponent(type)}`),
   getHistory: (patientId) => apiClient.get(`/consent/history/${patientId}`),
@@ -68,6 +95,7 @@ export const integrityAPI = {
 export const zkAPI = {
   generateConsentProof: (data) => apiClient.post('/zk/consent-proof', data),
   verifyConsentProof: (data) => apiClient.post('/zk/verify-consent', data),
+  getChallenge: (data) => apiClient.post('/zk/challenge', data),
   generatePermissionProof: (data) => apiClient.post('/zk/permission-proof', data),
   verifyPermissionProof: (data) => apiClient.post('/zk/verify-permission', data),
 };
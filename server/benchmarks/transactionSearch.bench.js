@@ -0,0 +1,152 @@
+/**
+ * Transaction search benchmark
+ *
+ * Usage: npm run bench -- [patients]
+ *
+ * Builds a chain shaped like the one DataInitializer loads (patient
+ * registrations, consent grants and revocations, audit logs), then times the
+ * contract read queries against the indexed Blockchain.searchTransactions and
+ * against the previous full-chain scan. Both must return the same transactions.
+ */
+
+const Blockchain = require('../src/core/Blockchain.js');
+
+const PATIENTS = Number(process.argv[2]) || 2000;
+const TRANSACTIONS_PER_BLOCK = 500;
+const MIN_DURATION_MS = 500;
+
+/**
+ * Full scan over every transaction of every block (searchTransactions before indexing)
+ */
+function scanTransactions(chain, criteria) {
+  const results = [];
+  for (const block of chain) {
+    for (const tx of block.transactions) {
+      const matches = Object.entries(criteria).every(([key, value]) => {
+        let txValue = tx;
+        for (const k of key.split('.')) {
+          txValue = txValue && typeof txValue === 'object' && k in txValue ? txValue[k] : undefined;
+          if (txValue === undefined) {
+            break;
+          }
+        }
+        return txValue === value;
+      });
+      if (matches) {
+        results.push({ ...tx, blockIndex: block.index, blockHash: block.hash, blockTimestamp: block.timestamp });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Build a chain with one registration, consent grant and two audit logs per patient
+ */
+function buildChain(patients) {
+  const blockchain = new Blockchain();
+  blockchain.setSystemSigner('bench-node');
+  blockchain.createGenesisBlock();
+
+  const add = (to, data) => {
+    blockchain.addTransaction(blockchain.signTransaction({ from: 'system', to, data }));
+    if (blockchain.pendingTransactions.length >= TRANSACTIONS_PER_BLOCK) {
+      blockchain.minePendingTransactions();
+    }
+  };
+
+  for (let i = 0; i < patients; i++) {
+    const patientId = `patient-${i}`;
+    const clinicianId = `clinician-${i % 50}`;
+    const consentId = `consent-${i}`;
+
+    add('patient-contract', { action: 'register', patientId, name: `Patient ${i}` });
+    add('consent-contract', { action: 'grant', consentId, patientId, clinicianId, consentType: 'treatment' });
+    if (i % 10 === 0) {
+      add('consent-contract', { action: 'revoke', consentId, patientId });
+    }
+    for (let j = 0; j < 2; j++) {
+      add('audit-contract', { action: 'data-access', actorId: clinicianId, resourceId: patientId, resourceType: 'patient' });
+    }
+  }
+  if (blockchain.pendingTransactions.length > 0) {
+    blockchain.minePendingTransactions();
+  }
+  return blockchain;
+}
+
+/**
+ * Run a query repeatedly for at least MIN_DURATION_MS
+ *
+ * @returns {number} Operations per second
+ */
+function measure(run) {
+  let iterations = 0;
+  const start = process.hrtime.bigint();
+  let elapsedMs = 0;
+  while (elapsedMs < MIN_DURATION_MS) {
+    run(iterations++);
+    elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  }
+  return iterations / (elapsedMs / 1000);
+}
+
+const queries = [
+  {
+    name: 'PatientContract.getPatient',
+    criteria: (i) => ({ to: 'patient-contract', 'data.patientId': `patient-${i % PATIENTS}`, 'data.action': 'register' })
+  },
+  {
+    name: 'ConsentContract.getConsentById',
+    criteria: (i) => ({ to: 'consent-contract', 'data.action': 'grant', 'data.consentId': `consent-${i % PATIENTS}` })
+  },
+  {
+    name: 'ConsentContract.hasValidConsent (grants)',
+    criteria: (i) => ({
+      to: 'consent-contract',
+      'data.action': 'grant',
+      'data.patientId': `patient-${i % PATIENTS}`,
+      'data.clinicianId': `clinician-${i % PATIENTS % 50}`,
+      'data.consentType': 'treatment'
+    })
+  },
+  {
+    name: 'ConsentContract revocations',
+    criteria: (i) => ({ to: 'consent-contract', 'data.action': 'revoke', 'data.consentId': `consent-${i % PATIENTS}` })
+  },
+  {
+    name: 'AuditLogger.queryLogs (resourceId)',
+    criteria: (i) => ({ to: 'audit-contract', 'data.resourceId': `patient-${i % PATIENTS}` })
+  },
+  {
+    name: 'PatientContract.getAllPatients',
+    criteria: () => ({ to: 'patient-contract', 'data.action': 'register' })
+  }
+];
+
+const buildStart = Date.now();
+const blockchain = buildChain(PATIENTS);
+const transactionCount = blockchain.chain.reduce((count, block) => count + block.transactions.length, 0);
+console.log(`Chain: ${blockchain.getChainLength()} blocks, ${transactionCount} transactions (built in ${Date.now() - buildStart} ms)\n`);
+
+const rows = queries.map(({ name, criteria }) => {
+  // Same results, in the same order
+  for (const i of [0, 1, PATIENTS - 1]) {
+    const indexed = blockchain.searchTransactions(criteria(i)).map(tx => tx.id);
+    const scanned = scanTransactions(blockchain.chain, criteria(i)).map(tx => tx.id);
+    if (indexed.join() !== scanned.join()) {
+      throw new Error(`${name}: indexed and scanned results differ`);
+    }
+  }
+
+  const scan = measure(i => scanTransactions(blockchain.chain, criteria(i)));
+  const indexed = measure(i => blockchain.searchTransactions(criteria(i)));
+  return {
+    query: name,
+    'scan ops/s': Math.round(scan),
+    'indexed ops/s': Math.round(indexed),
+    speedup: `${(indexed / scan).toFixed(1)}x`
+  };
+});
+
+console.table(rows);
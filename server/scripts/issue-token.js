@@ -0,0 +1,43 @@
+/**
+ * Issue an API access token from the command line
+ *
+ * Usage: npm run token -- <actorId>
+ *
+ * Signs the token with this node's key from CHAIN_DATA_DIR/keys.json, so it
+ * needs read access to the node's key file (i.e. operator access to the host).
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const Blockchain = require('../src/core/Blockchain.js');
+const KeyStore = require('../src/core/KeyStore.js');
+const AuthService = require('../src/features/auth/AuthService.js');
+
+dotenv.config();
+
+const actorId = process.argv[2];
+if (!actorId) {
+  console.error('Usage: npm run token -- <actorId>');
+  process.exit(1);
+}
+
+const CHAIN_DATA_DIR = process.env.CHAIN_DATA_DIR || path.join(__dirname, '..', 'chain-data');
+const keyStore = new KeyStore({ filePath: path.join(CHAIN_DATA_DIR, 'keys.json') });
+const issuer = process.env.NODE_ID || keyStore.getLocalNodeId();
+
+if (!issuer || !keyStore.hasPrivateKey(issuer)) {
+  console.error(`No node key found in ${CHAIN_DATA_DIR}; start the server once first`);
+  process.exit(1);
+}
+
+try {
+  const authService = new AuthService(new Blockchain({ keyStore }), {
+    issuer,
+    tokenTtlSeconds: Number(process.env.AUTH_TOKEN_TTL) || undefined
+  });
+  const result = authService.issueToken(actorId);
+  console.log(result.token);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
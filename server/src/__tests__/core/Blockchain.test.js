@@ -3,12 +3,14 @@
  */
 
 const Blockchain = require('../../core/Blockchain.js');
+const KeyStore = require('../../core/KeyStore.js');
 
 describe('Blockchain', () => {
   let blockchain;
 
   beforeEach(() => {
     blockchain = new Blockchain();
+    ['a', 'c', 'patient-1'].forEach(actorId => blockchain.keyStore.generateKeyPair(actorId));
   });
 
   describe('Genesis Block', () => {
@@ -33,29 +35,55 @@ describe('Blockchain', () => {
     });
 
     test('should add transaction to pending', () => {
-      const transaction = {
+      const transaction = blockchain.signTransaction({
         from: 'patient-1',
         to: 'clinician-1',
         data: { type: 'consent' }
-      };
+      });
       blockchain.addTransaction(transaction);
       expect(blockchain.pendingTransactions.length).toBe(1);
     });
 
+    test('should add several transactions all or none', () => {
+      const valid = blockchain.signTransaction({ from: 'patient-1', to: 'clinician-1', data: { n: 1 } });
+      const tampered = { ...blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 2 } }), data: { n: 3 } };
+
+      expect(() => blockchain.addTransactions([valid, tampered])).toThrow('signature verification failed');
+      expect(blockchain.pendingTransactions).toHaveLength(0);
+
+      const added = blockchain.addTransactions([valid, blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 2 } })]);
+      expect(blockchain.pendingTransactions.map(tx => tx.id)).toEqual(added.map(tx => tx.id));
+    });
+
     test('should mine pending transactions', () => {
-      blockchain.addTransaction({
+      blockchain.addTransaction(blockchain.signTransaction({
         from: 'patient-1',
         to: 'clinician-1',
         data: { type: 'consent' }
-      });
+      }));
       blockchain.minePendingTransactions('miner-address');
       expect(blockchain.pendingTransactions.length).toBe(0);
       expect(blockchain.getChainLength()).toBe(2);
     });
 
+    test('should mine the same block from the same transactions and timestamp', () => {
+      const transactions = [1, 2].map(n => blockchain.addTransaction(blockchain.signTransaction({
+        from: 'patient-1',
+        to: 'clinician-1',
+        data: { n }
+      })));
+      const replica = new Blockchain({ keyStore: blockchain.keyStore });
+      replica.chain = [...blockchain.chain];
+
+      const block = blockchain.mineBlock([transactions[0]], 1700000000000);
+
+      expect(replica.mineBlock([transactions[0]], 1700000000000).hash).toBe(block.hash);
+      expect(blockchain.pendingTransactions.map(tx => tx.id)).toEqual([transactions[1].id]);
+    });
+
     test('should calculate Merkle root correctly', () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: { test: 1 } });
-      blockchain.addTransaction({ from: 'c', to: 'd', data: { test: 2 } });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { test: 1 } }));
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'c', to: 'd', data: { test: 2 } }));
       const root = blockchain.calculateMerkleRoot(blockchain.pendingTransactions);
       expect(root).toBeTruthy();
       expect(typeof root).toBe('string');
@@ -68,13 +96,13 @@ describe('Blockchain', () => {
     });
 
     test('should validate valid chain', () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       blockchain.minePendingTransactions('miner');
       expect(blockchain.isChainValid()).toBe(true);
     });
 
     test('should detect tampered chain', () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       blockchain.minePendingTransactions('miner');
       // Tamper with transactions
       blockchain.chain[1].transactions[0].data = 'tampered';
@@ -90,18 +118,338 @@ describe('Blockchain', () => {
     });
 
     test('should find transactions by from address', () => {
-      blockchain.addTransaction({ from: 'patient-1', to: 'clinician-1', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'patient-1', to: 'clinician-1', data: {} }));
       blockchain.minePendingTransactions('miner');
       const results = blockchain.searchTransactions({ from: 'patient-1' });
       expect(results.length).toBeGreaterThan(0);
     });
 
     test('should find transactions by to address', () => {
-      blockchain.addTransaction({ from: 'patient-1', to: 'clinician-1', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'patient-1', to: 'clinician-1', data: {} }));
       blockchain.minePendingTransactions('miner');
       const results = blockchain.searchTransactions({ to: 'clinician-1' });
       expect(results.length).toBeGreaterThan(0);
     });
+
+    test('should match nested criteria and report the block', () => {
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'consent-contract', data: { action: 'grant', consentId: 'c1' } }));
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'consent-contract', data: { action: 'revoke', consentId: 'c1' } }));
+      const block = blockchain.minePendingTransactions();
+
+      const results = blockchain.searchTransactions({ to: 'consent-contract', 'data.action': 'revoke', 'data.consentId': 'c1' });
+
+      expect(results.length).toBe(1);
+      expect(results[0]).toMatchObject({ blockIndex: 1, blockHash: block.hash, blockTimestamp: block.timestamp });
+      expect(blockchain.searchTransactions({ 'data.consentId': 'c2' })).toEqual([]);
+    });
+
+    test('should not return pending transactions', () => {
+      const tx = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      expect(blockchain.searchTransactions({ id: tx.id })).toEqual([]);
+      expect(blockchain.hasTransaction(tx.id)).toBe(true);
+
+      blockchain.minePendingTransactions();
+      expect(blockchain.searchTransactions({ id: tx.id }).length).toBe(1);
+    });
+
+    test('should append matching pending transactions on request', () => {
+      const mined = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 1 } }));
+      blockchain.minePendingTransactions();
+      const pending = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 2 } }));
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'c', data: { n: 3 } }));
+
+      const results = blockchain.searchTransactions({ to: 'b' }, { includePending: true });
+
+      expect(results.map(tx => tx.id)).toEqual([mined.id, pending.id]);
+      expect(results[1]).toMatchObject({ pending: true, blockIndex: null, blockHash: null, blockTimestamp: null });
+    });
+
+    test('should follow a chain that is assigned directly', () => {
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      blockchain.minePendingTransactions();
+      expect(blockchain.searchTransactions({ to: 'b' }).length).toBe(1);
+
+      blockchain.chain = blockchain.chain.slice(0, 1);
+      expect(blockchain.searchTransactions({ to: 'b' })).toEqual([]);
+    });
   });
-});
 
+  describe('Peer Blocks and Transactions', () => {
+    let peer;
+
+    beforeEach(() => {
+      blockchain.createGenesisBlock();
+      peer = new Blockchain({ keyStore: blockchain.keyStore });
+      peer.chain = [...blockchain.chain];
+    });
+
+    test('should append a valid block from a peer', () => {
+      const tx = peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} }));
+      blockchain.receiveTransaction(tx);
+      const block = peer.minePendingTransactions();
+
+      blockchain.addBlock(block);
+
+      expect(blockchain.getLatestBlock().hash).toBe(block.hash);
+      expect(blockchain.pendingTransactions.length).toBe(0);
+      expect(blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should reject a block that does not extend the chain', () => {
+      peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} }));
+      const block = peer.minePendingTransactions();
+      blockchain.addBlock(block);
+
+      expect(() => blockchain.addBlock(block)).toThrow('does not extend chain');
+    });
+
+    test('should reject a block with a forged hash', () => {
+      peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} }));
+      const block = { ...peer.minePendingTransactions(), hash: '00forged' };
+
+      expect(() => blockchain.addBlock(block)).toThrow('Block hash is invalid');
+    });
+
+    test('should adopt a genesis block into an empty chain', () => {
+      const empty = new Blockchain({ keyStore: blockchain.keyStore });
+      empty.addBlock(blockchain.getBlock(0));
+      expect(empty.getChainLength()).toBe(1);
+    });
+
+    test('should ignore a gossiped transaction it already has', () => {
+      const tx = peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} }));
+      expect(blockchain.receiveTransaction(tx).accepted).toBe(true);
+      expect(blockchain.receiveTransaction(tx).accepted).toBe(false);
+      expect(blockchain.pendingTransactions.length).toBe(1);
+    });
+
+    test('should require id and timestamp on gossiped transactions', () => {
+      expect(() => blockchain.receiveTransaction({ from: 'a', to: 'b', data: {} }))
+        .toThrow('Transaction must include id and timestamp');
+    });
+
+    test('should emit events for new transactions and blocks', () => {
+      const transactions = [];
+      const blocks = [];
+      blockchain.on('transaction', (tx, meta) => transactions.push(meta.source));
+      blockchain.on('block', (block, meta) => blocks.push(meta.source));
+
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      blockchain.minePendingTransactions();
+
+      expect(transactions).toEqual(['local']);
+      expect(blocks).toEqual(['local']);
+    });
+  });
+
+  describe('Fork Resolution', () => {
+    let peer;
+    let shared;
+    let localOnly;
+
+    // Both chains mine `shared`; only the local chain mines `localOnly`
+    beforeEach(() => {
+      blockchain.createGenesisBlock();
+      peer = new Blockchain({ keyStore: blockchain.keyStore });
+      peer.chain = [...blockchain.chain];
+
+      shared = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 1 } }));
+      localOnly = blockchain.addTransaction(blockchain.signTransaction({ from: 'c', to: 'd', data: { n: 2 } }));
+      blockchain.minePendingTransactions();
+
+      peer.receiveTransaction(shared);
+      peer.addTransaction(peer.signTransaction({ from: 'patient-1', to: 'b', data: { n: 3 } }));
+      peer.minePendingTransactions();
+      peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: { n: 4 } }));
+      peer.minePendingTransactions();
+    });
+
+    test('should switch to a longer fork and requeue rolled back transactions', () => {
+      const pending = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'e', data: {} }));
+      const reorgs = [];
+      blockchain.on('reorg', reorg => reorgs.push(reorg));
+
+      const result = blockchain.replaceChain(peer.chain);
+
+      expect(result.commonAncestor).toBe(0);
+      expect(result.removedBlocks.length).toBe(1);
+      expect(result.addedBlocks.length).toBe(2);
+      expect(result.requeuedTransactions.map(tx => tx.id)).toEqual([localOnly.id]);
+      expect(blockchain.getLatestBlock().hash).toBe(peer.getLatestBlock().hash);
+      expect(blockchain.pendingTransactions.map(tx => tx.id)).toEqual([localOnly.id, pending.id]);
+      expect(blockchain.isChainValid()).toBe(true);
+      expect(reorgs).toEqual([result]);
+    });
+
+    test('should drop rolled back transactions from search results', () => {
+      blockchain.replaceChain(peer.chain);
+
+      expect(blockchain.searchTransactions({ id: localOnly.id })).toEqual([]);
+      expect(blockchain.searchTransactions({ id: shared.id })[0].blockHash).toBe(peer.chain[1].hash);
+      expect(blockchain.searchTransactions({ 'data.n': 4 }).length).toBe(1);
+    });
+
+    test('should drop pending transactions the new branch already includes', () => {
+      const tx = peer.addTransaction(peer.signTransaction({ from: 'c', to: 'f', data: {} }));
+      blockchain.receiveTransaction(tx);
+      peer.minePendingTransactions();
+
+      blockchain.replaceChain(peer.chain);
+
+      expect(blockchain.pendingTransactions.map(pendingTx => pendingTx.id)).toEqual([localOnly.id]);
+    });
+
+    test('should keep the local chain when the fork is not longer', () => {
+      const local = [...blockchain.chain];
+      expect(() => blockchain.replaceChain(peer.chain.slice(0, 2))).toThrow('must be longer');
+      expect(blockchain.chain).toEqual(local);
+    });
+
+    test('should reject a fork that fails validation', () => {
+      const forged = peer.chain.map(block => ({ ...block }));
+      forged[2].transactions = [{ ...forged[2].transactions[0], data: { n: 5 } }];
+
+      expect(() => blockchain.replaceChain(forged)).toThrow('failed validation');
+      expect(blockchain.getChainLength()).toBe(2);
+    });
+
+    test('should reject a fork from another genesis block', () => {
+      const other = peer.chain.map(block => ({ ...block }));
+      other[0].hash = 'other-genesis';
+
+      expect(() => blockchain.replaceChain(other)).toThrow('genesis');
+    });
+  });
+
+  describe('Signatures', () => {
+    beforeEach(() => {
+      blockchain.createGenesisBlock();
+    });
+
+    test('should reject unsigned transactions', () => {
+      expect(() => blockchain.addTransaction({ from: 'a', to: 'b', data: {} }))
+        .toThrow('transaction must be signed');
+    });
+
+    test('should reject transactions signed by another actor', () => {
+      const forged = { ...blockchain.signTransaction({ from: 'c', to: 'b', data: {} }), from: 'a' };
+      expect(() => blockchain.addTransaction(forged)).toThrow('signature verification failed');
+    });
+
+    test('should reject transactions altered after signing', () => {
+      const signed = blockchain.signTransaction({ from: 'a', to: 'b', data: { amount: 1 } });
+      expect(() => blockchain.addTransaction({ ...signed, data: { amount: 2 } }))
+        .toThrow('signature verification failed');
+    });
+
+    test('should only let node keys sign for system', () => {
+      const forged = { ...blockchain.signTransaction({ from: 'a', to: 'b', data: {} }), from: 'system' };
+      expect(blockchain.verifyTransactionSignature(forged)).toBe(false);
+    });
+
+    test('should only let this node and its validators sign new system transactions', () => {
+      blockchain.keyStore.generateKeyPair('node-2', 'node');
+      const unsigned = { id: 'tx-1', timestamp: Date.now(), from: 'system', to: 'b', data: {}, nonce: 'n-1', signer: 'node-2' };
+      const tx = { ...unsigned, signature: blockchain.keyStore.sign('node-2', blockchain.getSigningPayload(unsigned)) };
+
+      expect(blockchain.verifyTransactionSignature(tx)).toBe(false);
+      expect(() => blockchain.receiveTransaction(tx)).toThrow('Invalid transaction');
+      // Blocks already on the chain may hold transactions of former validators
+      expect(blockchain.verifyTransactionSignature(tx, { committed: true })).toBe(true);
+
+      blockchain.setValidators(['node-2']);
+      expect(blockchain.verifyTransactionSignature(tx)).toBe(true);
+    });
+
+    test('should not learn node keys from the key registry', () => {
+      blockchain.registerActorKey('node-9', 'node');
+      blockchain.registerActorKey('patient-9', 'patient');
+      const block = blockchain.minePendingTransactions();
+
+      const peer = new Blockchain({ keyStore: new KeyStore() });
+      peer.keyStore.registerPublicKey('system', blockchain.keyStore.getPublicKey('system'), 'node');
+      peer.chain = [blockchain.getBlock(0)];
+      peer.addBlock(block);
+
+      expect(peer.keyStore.getPublicKey('node-9')).toBeNull();
+      expect(peer.keyStore.getRole('patient-9')).toBe('patient');
+    });
+
+    test('should learn actor keys from the key registry', () => {
+      blockchain.registerActorKey('patient-9', 'patient');
+      const block = blockchain.minePendingTransactions();
+
+      const peer = new Blockchain({ keyStore: new KeyStore() });
+      peer.keyStore.registerPublicKey('system', blockchain.keyStore.getPublicKey('system'), 'node');
+      peer.chain = [blockchain.getBlock(0)];
+      peer.addBlock(block);
+
+      expect(peer.keyStore.getPublicKey('patient-9')).toBe(blockchain.keyStore.getPublicKey('patient-9'));
+      expect(peer.keyStore.getRole('patient-9')).toBe('patient');
+    });
+  });
+
+  describe('Storage', () => {
+    const createStorage = (persisted = { chain: [], pendingTransactions: [] }) => ({
+      load: jest.fn(() => persisted),
+      appendBlock: jest.fn(),
+      truncateBlocks: jest.fn(),
+      appendPendingTransaction: jest.fn(),
+      savePendingTransactions: jest.fn()
+    });
+
+    test('should report nothing loaded without storage', () => {
+      expect(blockchain.loadFromStorage()).toEqual({ loaded: false, blocks: 0, pendingTransactions: 0, droppedTransactions: [] });
+    });
+
+    test('should write blocks and pending transactions through to storage', () => {
+      const storage = createStorage();
+      blockchain = new Blockchain({ storage, keyStore: blockchain.keyStore });
+      blockchain.createGenesisBlock();
+      const tx = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      const block = blockchain.minePendingTransactions();
+
+      expect(storage.appendPendingTransaction).toHaveBeenCalledWith(tx);
+      expect(storage.appendBlock).toHaveBeenCalledTimes(2);
+      expect(storage.appendBlock).toHaveBeenLastCalledWith(block);
+      expect(storage.savePendingTransactions).toHaveBeenLastCalledWith([]);
+    });
+
+    test('should rewrite storage from the fork point on chain replacement', () => {
+      const storage = createStorage();
+      blockchain = new Blockchain({ storage, keyStore: blockchain.keyStore });
+      blockchain.createGenesisBlock();
+      const peer = new Blockchain({ keyStore: blockchain.keyStore });
+      peer.chain = [...blockchain.chain];
+
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      blockchain.minePendingTransactions();
+      peer.addTransaction(peer.signTransaction({ from: 'c', to: 'd', data: {} }));
+      peer.minePendingTransactions();
+      peer.addTransaction(peer.signTransaction({ from: 'c', to: 'e', data: {} }));
+      peer.minePendingTransactions();
+      storage.appendBlock.mockClear();
+
+      blockchain.replaceChain(peer.chain);
+
+      expect(storage.truncateBlocks).toHaveBeenCalledWith(1);
+      expect(storage.appendBlock.mock.calls.map(([block]) => block.hash))
+        .toEqual(peer.chain.slice(1).map(block => block.hash));
+      expect(storage.savePendingTransactions).toHaveBeenLastCalledWith(blockchain.pendingTransactions);
+    });
+
+    test('should reject a persisted chain that fails validation', () => {
+      const source = new Blockchain({ keyStore: blockchain.keyStore });
+      source.createGenesisBlock();
+      source.addTransaction(source.signTransaction({ from: 'a', to: 'b', data: {} }));
+      source.minePendingTransactions();
+      source.chain[1].previousHash = 'forged';
+
+      blockchain = new Blockchain({
+        storage: createStorage({ chain: source.chain, pendingTransactions: [] }),
+        keyStore: source.keyStore
+      });
+      expect(() => blockchain.loadFromStorage()).toThrow('Persisted chain failed validation');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Key Management Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KeyManagementService = require('../../core/KeyManagementService.js');
+
+describe('KeyManagementService', () => {
+  let keyManager;
+
+  beforeEach(() => {
+    keyManager = new KeyManagementService();
+  });
+
+  describe('Field encryption', () => {
+    test('should round-trip values and create the data key on first use', () => {
+      const envelope = keyManager.encryptField('patient-1', 'notes', { text: 'Allergic to penicillin' });
+
+      expect(KeyManagementService.isEnvelope(envelope)).toBe(true);
+      expect(envelope.keyVersion).toBe(1);
+      expect(JSON.stringify(envelope)).not.toContain('penicillin');
+      expect(keyManager.decryptField('patient-1', 'notes', envelope)).toEqual({ text: 'Allergic to penicillin' });
+    });
+
+    test('should use a fresh IV but a stable hash for equal values', () => {
+      const first = keyManager.encryptField('patient-1', 'lastName', 'Smith');
+      const second = keyManager.encryptField('patient-1', 'lastName', 'Smith');
+
+      expect(first.ciphertext).not.toBe(second.ciphertext);
+      expect(first.hash).toBe(second.hash);
+      expect(keyManager.encryptField('patient-2', 'lastName', 'Smith').hash).not.toBe(first.hash);
+    });
+
+    test('should bind envelopes to their owner and field', () => {
+      keyManager.rotateDataKey('patient-2');
+      const envelope = keyManager.encryptField('patient-1', 'diagnosis', 'Hypertension');
+
+      expect(() => keyManager.decryptField('patient-1', 'notes', envelope)).toThrow("Field 'notes' could not be decrypted");
+      expect(() => keyManager.decryptField('patient-2', 'diagnosis', envelope)).toThrow('could not be decrypted');
+      expect(() => keyManager.decryptField('patient-3', 'diagnosis', envelope)).toThrow('No data key for patient-3');
+    });
+  });
+
+  describe('Rotation', () => {
+    test('should encrypt new values with a rotated data key and still read old ones', () => {
+      const before = keyManager.encryptField('patient-1', 'email', 'old@example.com');
+
+      expect(keyManager.rotateDataKey('patient-1')).toEqual({ ownerId: 'patient-1', version: 2 });
+
+      const after = keyManager.encryptField('patient-1', 'email', 'new@example.com');
+      expect(after.keyVersion).toBe(2);
+      expect(keyManager.decryptField('patient-1', 'email', before)).toBe('old@example.com');
+      expect(keyManager.decryptField('patient-1', 'email', after)).toBe('new@example.com');
+    });
+
+    test('should re-wrap data keys under a new master key', () => {
+      const envelope = keyManager.encryptField('patient-1', 'email', 'test@example.com');
+      keyManager.rotateDataKey('patient-1');
+
+      const result = keyManager.rotateMasterKey();
+
+      expect(result).toEqual({ version: 2, rewrapped: 2 });
+      expect(keyManager.getKeyInfo('patient-1').versions.map(v => v.masterKeyVersion)).toEqual([2, 2]);
+      expect(keyManager.decryptField('patient-1', 'email', envelope)).toBe('test@example.com');
+    });
+
+    test('should describe keys without key material', () => {
+      keyManager.rotateDataKey('patient-1');
+
+      const info = keyManager.getKeyInfo('patient-1');
+
+      expect(info.currentVersion).toBe(1);
+      expect(Object.keys(info.versions[0]).sort()).toEqual(['createdAt', 'masterKeyVersion', 'version']);
+      expect(keyManager.getKeyInfo('patient-9')).toBeNull();
+    });
+  });
+
+  describe('Crypto-shredding', () => {
+    test('should make ciphertext unreadable once the data keys are destroyed', () => {
+      const envelope = keyManager.encryptField('patient-1', 'lastName', 'Smith');
+      keyManager.rotateDataKey('patient-1');
+
+      const result = keyManager.destroyDataKeys('patient-1');
+
+      expect(result).toMatchObject({ ownerId: 'patient-1', versionsDestroyed: 2 });
+      expect(keyManager.isDestroyed('patient-1')).toBe(true);
+      expect(keyManager.getKeyInfo('patient-1')).toBeNull();
+      expect(() => keyManager.decryptField('patient-1', 'lastName', envelope)).toThrow('Data keys of patient-1 have been destroyed');
+    });
+
+    test('should never create a new data key for an erased owner', () => {
+      keyManager.destroyDataKeys('patient-1');
+
+      expect(() => keyManager.encryptField('patient-1', 'lastName', 'Smith')).toThrow('have been destroyed');
+      expect(() => keyManager.destroyDataKeys('patient-1')).toThrow('have been destroyed');
+    });
+  });
+
+  describe('Persistence', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'key-manager-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should reload master and data keys from the key file', () => {
+      const filePath = path.join(directory, 'data-keys.json');
+      const original = new KeyManagementService({ filePath });
+      const envelope = original.encryptField('patient-1', 'firstName', 'Ada');
+      original.rotateMasterKey();
+
+      const reloaded = new KeyManagementService({ filePath });
+
+      expect(reloaded.currentMasterVersion).toBe(2);
+      expect(reloaded.decryptField('patient-1', 'firstName', envelope)).toBe('Ada');
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    });
+
+    test('should not bring destroyed keys back on reload', () => {
+      const filePath = path.join(directory, 'data-keys.json');
+      const original = new KeyManagementService({ filePath });
+      original.encryptField('patient-1', 'firstName', 'Ada');
+      original.destroyDataKeys('patient-1');
+
+      const reloaded = new KeyManagementService({ filePath });
+
+      expect(reloaded.isDestroyed('patient-1')).toBe(true);
+      expect(reloaded.hasDataKey('patient-1')).toBe(false);
+      expect(fs.readFileSync(filePath, 'utf8')).not.toContain('"versions"');
+    });
+  });
+});
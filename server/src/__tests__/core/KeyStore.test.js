@@ -0,0 +1,102 @@
+/**
+ * Key Store Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KeyStore = require('../../core/KeyStore.js');
+
+describe('KeyStore', () => {
+  let keyStore;
+
+  beforeEach(() => {
+    keyStore = new KeyStore();
+  });
+
+  describe('canonicalize', () => {
+    test('should ignore object key order', () => {
+      expect(KeyStore.canonicalize({ b: 1, a: { d: 2, c: 3 } }))
+        .toBe(KeyStore.canonicalize({ a: { c: 3, d: 2 }, b: 1 }));
+    });
+
+    test('should keep array order', () => {
+      expect(KeyStore.canonicalize([2, 1])).not.toBe(KeyStore.canonicalize([1, 2]));
+    });
+  });
+
+  describe('Keypairs', () => {
+    test('should generate a keypair once per actor', () => {
+      const first = keyStore.generateKeyPair('patient-1', 'patient');
+      const second = keyStore.generateKeyPair('patient-1', 'patient');
+
+      expect(first.created).toBe(true);
+      expect(second.created).toBe(false);
+      expect(second.publicKey).toBe(first.publicKey);
+      expect(keyStore.getRole('patient-1')).toBe('patient');
+    });
+
+    test('should sign and verify payloads', () => {
+      keyStore.generateKeyPair('patient-1');
+      const signature = keyStore.sign('patient-1', { action: 'grant' });
+      const publicKey = keyStore.getPublicKey('patient-1');
+
+      expect(KeyStore.verify(publicKey, { action: 'grant' }, signature)).toBe(true);
+      expect(KeyStore.verify(publicKey, { action: 'revoke' }, signature)).toBe(false);
+    });
+
+    test('should refuse to sign without a private key', () => {
+      const other = new KeyStore();
+      keyStore.registerPublicKey('patient-1', other.generateKeyPair('patient-1').publicKey);
+
+      expect(keyStore.hasPrivateKey('patient-1')).toBe(false);
+      expect(() => keyStore.sign('patient-1', {})).toThrow('No signing key for actor patient-1');
+    });
+  });
+
+  describe('registerPublicKey', () => {
+    test('should reject a different key for a known actor', () => {
+      keyStore.generateKeyPair('node-2', 'node');
+      const otherKey = new KeyStore().generateKeyPair('node-2').publicKey;
+
+      expect(() => keyStore.registerPublicKey('node-2', otherKey, 'node'))
+        .toThrow('A different key is already registered for node-2');
+    });
+
+    test('should reject keys that are not Ed25519', () => {
+      expect(() => keyStore.registerPublicKey('node-2', 'not-a-key'))
+        .toThrow('Invalid public key');
+    });
+
+    test('should list public keys by role', () => {
+      keyStore.generateKeyPair('node-1', 'node');
+      keyStore.generateKeyPair('patient-1', 'patient');
+
+      const keys = keyStore.getPublicKeys('node');
+      expect(keys.map(key => key.actorId)).toEqual(['node-1']);
+      expect(keys[0]).not.toHaveProperty('privateKey');
+    });
+  });
+
+  describe('Persistence', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'key-store-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should reload keys from the key file', () => {
+      const filePath = path.join(directory, 'keys.json');
+      const original = new KeyStore({ filePath });
+      original.generateKeyPair('node-1', 'node');
+
+      const reloaded = new KeyStore({ filePath });
+      expect(reloaded.getLocalNodeId()).toBe('node-1');
+      expect(reloaded.getPublicKey('node-1')).toBe(original.getPublicKey('node-1'));
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Node Manager Tests
+ */
+
+const Blockchain = require('../../core/Blockchain.js');
+const NodeManager = require('../../core/NodeManager.js');
+
+describe('NodeManager', () => {
+  let blockchain;
+  let transport;
+  let nodeManager;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.keyStore.generateKeyPair('a');
+    blockchain.createGenesisBlock();
+    transport = jest.fn(async () => ({ status: 200, body: { success: true, data: {} } }));
+    nodeManager = new NodeManager(blockchain, {
+      nodeId: 'node-1',
+      host: 'localhost',
+      port: 3000,
+      transport
+    });
+  });
+
+  describe('Peers', () => {
+    test('should register a node with an address', () => {
+      expect(nodeManager.addNode('node-2', { host: 'localhost', port: 3001 })).toBe(true);
+      expect(nodeManager.getPeer('node-2').url).toBe('http://localhost:3001');
+      expect(nodeManager.getNetworkNodes()).toEqual(['node-2']);
+      expect(nodeManager.getNodeCount()).toBe(2);
+    });
+
+    test('should not register itself', () => {
+      expect(nodeManager.addNode('node-1', { host: 'localhost', port: 3000 })).toBe(false);
+    });
+
+    test('should keep address-less nodes without a URL', () => {
+      nodeManager.addNode('node-2');
+      expect(nodeManager.getPeer('node-2').url).toBeNull();
+    });
+
+    test('should count only peers with a known key as validators', () => {
+      const peerKey = new Blockchain().keyStore.generateKeyPair('node-0', 'node').publicKey;
+      nodeManager.addNode('node-0', { host: 'localhost', port: 3001, publicKey: peerKey });
+      nodeManager.addNode('node-2', { host: 'localhost', port: 3002 });
+
+      expect(nodeManager.getValidators()).toEqual(['node-0', 'node-1']);
+      expect(blockchain.isSystemSigner('node-0')).toBe(true);
+    });
+
+    test('should keep the validator set separate from the keys it has seen', () => {
+      const peerKeys = new Blockchain().keyStore;
+      blockchain.keyStore.registerPublicKey('node-3', peerKeys.generateKeyPair('node-3', 'node').publicKey, 'node');
+      nodeManager.addNode('node-3', { host: 'localhost', port: 3003 });
+      nodeManager.addNode('node-0', { host: 'localhost', port: 3001, publicKey: peerKeys.generateKeyPair('node-0', 'node').publicKey });
+      nodeManager.removeNode('node-0');
+
+      expect(nodeManager.getValidators()).toEqual(['node-1']);
+      expect(blockchain.isSystemSigner('node-0')).toBe(false);
+    });
+
+    test('should describe itself', () => {
+      expect(nodeManager.getSelfInfo()).toEqual({
+        nodeId: 'node-1',
+        host: 'localhost',
+        port: 3000,
+        url: 'http://localhost:3000',
+        publicKey: blockchain.keyStore.getPublicKey('node-1')
+      });
+    });
+  });
+
+  describe('Gossip', () => {
+    beforeEach(() => {
+      nodeManager.addNode('node-2', { host: 'localhost', port: 3001 });
+      nodeManager.addNode('node-3');
+    });
+
+    test('should broadcast to reachable peers only', async () => {
+      const result = await nodeManager.broadcastTransaction({ id: 'tx-1' });
+
+      expect(result.nodesReached).toBe(1);
+      expect(transport).toHaveBeenCalledWith(
+        'http://localhost:3001/api/network/transactions',
+        expect.objectContaining({
+          method: 'POST',
+          headers: expect.objectContaining({ 'X-Node-Id': 'node-1' }),
+          body: { transaction: { id: 'tx-1' } }
+        })
+      );
+    });
+
+    test('should gossip locally added transactions', () => {
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      expect(transport).toHaveBeenCalledWith(
+        'http://localhost:3001/api/network/transactions',
+        expect.anything()
+      );
+    });
+
+    test('should not re-gossip transactions received from peers', () => {
+      const peer = new Blockchain({ keyStore: blockchain.keyStore });
+      blockchain.receiveTransaction(peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} })));
+      expect(transport).not.toHaveBeenCalled();
+    });
+
+    test('should gossip locally mined blocks', () => {
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      transport.mockClear();
+      blockchain.minePendingTransactions();
+      expect(transport).toHaveBeenCalledWith(
+        'http://localhost:3001/api/network/blocks',
+        expect.objectContaining({ body: { block: blockchain.getLatestBlock() } })
+      );
+    });
+
+    test('should report failing peers', async () => {
+      transport.mockResolvedValueOnce({ status: 403, body: { error: { message: 'Unknown node' } } });
+      const result = await nodeManager.broadcastBlock({ index: 1 });
+
+      expect(result.success).toBe(false);
+      expect(result.failures[0]).toEqual({
+        nodeId: 'node-2',
+        error: 'Node node-2 rejected request: Unknown node'
+      });
+    });
+  });
+
+  describe('Signed requests', () => {
+    let peer;
+
+    beforeEach(() => {
+      peer = new NodeManager(new Blockchain(), { nodeId: 'node-2' });
+      nodeManager.addNode('node-2', { host: 'localhost', port: 3001, publicKey: peer.getSelfInfo().publicKey });
+    });
+
+    const signedBy = (manager, method, path, body) => {
+      const headers = manager.getRequestHeaders(method, path, body);
+      return {
+        nodeId: headers['X-Node-Id'],
+        timestamp: headers['X-Node-Timestamp'],
+        signature: headers['X-Node-Signature'],
+        method,
+        path,
+        body
+      };
+    };
+
+    test('should verify requests signed by a registered peer', () => {
+      const request = signedBy(peer, 'POST', '/api/network/votes', { vote: { phase: 'prepare' } });
+
+      expect(nodeManager.verifyPeerRequest(request)).toBe(true);
+      expect(nodeManager.verifyPeerRequest(signedBy(peer, 'GET', '/api/network/pending'))).toBe(true);
+    });
+
+    test('should reject altered, stale and unregistered requests', () => {
+      const request = signedBy(peer, 'POST', '/api/network/votes', { vote: { phase: 'prepare' } });
+      const stranger = new NodeManager(new Blockchain(), { nodeId: 'node-7' });
+
+      expect(nodeManager.verifyPeerRequest({ ...request, body: { vote: { phase: 'commit' } } })).toBe(false);
+      expect(nodeManager.verifyPeerRequest({ ...request, path: '/api/network/blocks' })).toBe(false);
+      expect(nodeManager.verifyPeerRequest({ ...request, nodeId: 'node-1' })).toBe(false);
+      expect(nodeManager.verifyPeerRequest(signedBy(stranger, 'GET', '/api/network/pending'))).toBe(false);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Number(request.timestamp) + 10 * 60 * 1000);
+      try {
+        expect(nodeManager.verifyPeerRequest(request)).toBe(false);
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+
+    test('should check the network secret', () => {
+      expect(nodeManager.verifyNetworkSecret('anything')).toBe(false);
+
+      nodeManager.networkSecret = 'shared-secret';
+      expect(nodeManager.verifyNetworkSecret('shared-secret')).toBe(true);
+      expect(nodeManager.verifyNetworkSecret('shared-secreT')).toBe(false);
+      expect(nodeManager.verifyNetworkSecret(undefined)).toBe(false);
+    });
+  });
+
+  describe('connectToPeer', () => {
+    test('should register with the peer and add it', async () => {
+      transport.mockResolvedValueOnce({
+        status: 201,
+        body: { data: { node: { nodeId: 'node-9', host: 'localhost', port: 3009 } } }
+      });
+
+      const peer = await nodeManager.connectToPeer('http://localhost:3009/');
+
+      expect(transport).toHaveBeenCalledWith(
+        'http://localhost:3009/api/network/nodes',
+        expect.objectContaining({ method: 'POST', body: nodeManager.getSelfInfo() })
+      );
+      expect(peer.nodeId).toBe('node-9');
+      expect(nodeManager.isKnownNode('node-9')).toBe(true);
+    });
+
+    test('should require a URL', async () => {
+      await expect(nodeManager.connectToPeer()).rejects.toThrow('Peer URL is required');
+    });
+  });
+
+  describe('syncChain', () => {
+    test('should append missing blocks from peers', async () => {
+      const source = new Blockchain({ keyStore: blockchain.keyStore });
+      source.chain = [...blockchain.chain];
+      source.addTransaction(source.signTransaction({ from: 'a', to: 'b', data: {} }));
+      source.minePendingTransactions();
+
+      nodeManager.addNode('node-2', { host: 'localhost', port: 3001 });
+      transport.mockImplementation(async (url) => {
+        if (url.includes('/api/network/blocks')) {
+          return { status: 200, body: { data: { blocks: source.getBlocksFrom(1) } } };
+        }
+        return { status: 200, body: { data: { transactions: [] } } };
+      });
+
+      const result = await nodeManager.syncChain();
+
+      expect(result.blocksAdded).toBe(1);
+      expect(blockchain.getLatestBlock().hash).toBe(source.getLatestBlock().hash);
+    });
+
+    test('should not import node keys from peers', async () => {
+      const rogueKey = new Blockchain().keyStore.generateKeyPair('node-6', 'node').publicKey;
+      nodeManager.addNode('node-2', { host: 'localhost', port: 3001 });
+      transport.mockImplementation(async () => ({
+        status: 200,
+        body: { data: { keys: [{ actorId: 'node-6', role: 'node', publicKey: rogueKey }], blocks: [], transactions: [] } }
+      }));
+
+      await nodeManager.syncChain();
+
+      expect(blockchain.keyStore.getPublicKey('node-6')).toBeNull();
+      expect(nodeManager.getValidators()).toEqual(['node-1']);
+    });
+  });
+});
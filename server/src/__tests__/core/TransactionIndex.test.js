@@ -0,0 +1,83 @@
+/**
+ * Transaction Index Tests
+ */
+
+const TransactionIndex = require('../../core/TransactionIndex.js');
+
+describe('TransactionIndex', () => {
+  let index;
+  let chain;
+
+  const block = (blockIndex, transactions) => ({
+    index: blockIndex,
+    hash: `hash-${blockIndex}-${transactions.map(tx => tx.id).join()}`,
+    timestamp: 1000 + blockIndex,
+    transactions
+  });
+
+  // Reference semantics: exact match on every dotted path
+  const scan = (criteria) => chain.flatMap(b => b.transactions
+    .filter(tx => Object.entries(criteria).every(([path, value]) => TransactionIndex.getPath(tx, path) === value))
+    .map(tx => tx.id));
+
+  beforeEach(() => {
+    index = new TransactionIndex();
+    chain = [
+      block(0, []),
+      block(1, [
+        { id: 't1', from: 'p1', to: 'consent-contract', data: { action: 'grant', consentId: 'c1', patientId: 'p1', consentType: 'read' } },
+        { id: 't2', from: 'p2', to: 'consent-contract', data: { action: 'grant', consentId: 'c2', patientId: 'p2', consentType: 'write' } }
+      ]),
+      block(2, [
+        { id: 't3', from: 'p1', to: 'consent-contract', data: { action: 'revoke', consentId: 'c1' } },
+        { id: 't4', from: 'system', to: 'audit-contract', data: { action: 'data-access', resourceId: 'p1', count: 0 } },
+        { id: 't5', from: 'system', to: 'audit-contract', data: null }
+      ])
+    ];
+    index.sync(chain);
+  });
+
+  test('should return the same transactions as a full scan', () => {
+    const queries = [
+      {},
+      { to: 'consent-contract' },
+      { to: 'consent-contract', 'data.action': 'grant' },
+      { 'data.consentId': 'c1' },
+      { 'data.patientId': 'p1', 'data.consentType': 'read' },
+      { 'data.consentType': 'write' },
+      { to: 'audit-contract', 'data.resourceId': 'p1' },
+      { 'data.count': 0 },
+      { 'data.action': undefined },
+      { 'data.consentId': 'unknown' },
+      { id: 't2' }
+    ];
+
+    for (const criteria of queries) {
+      expect(index.query(criteria).map(tx => tx.id)).toEqual(scan(criteria));
+    }
+  });
+
+  test('should attach block details to results', () => {
+    const [result] = index.query({ id: 't3' });
+    expect(result).toMatchObject({ id: 't3', blockIndex: 2, blockHash: chain[2].hash, blockTimestamp: 1002 });
+  });
+
+  test('should index appended blocks', () => {
+    chain.push(block(3, [{ id: 't6', from: 'p3', to: 'consent-contract', data: { action: 'grant', consentId: 'c3' } }]));
+    index.sync(chain);
+
+    expect(index.query({ 'data.action': 'grant' }).map(tx => tx.id)).toEqual(['t1', 't2', 't6']);
+  });
+
+  test('should drop blocks that left the chain', () => {
+    chain = [
+      ...chain.slice(0, 2),
+      block(2, [{ id: 't7', from: 'p1', to: 'consent-contract', data: { action: 'revoke', consentId: 'c2' } }])
+    ];
+    index.sync(chain);
+
+    expect(index.query({ 'data.action': 'revoke' }).map(tx => tx.id)).toEqual(['t7']);
+    expect(index.query({ to: 'audit-contract' })).toEqual([]);
+    expect(index.postings.get('data.resourceId').has('p1')).toBe(false);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * File Storage Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('../../../core/storage/FileStorage.js');
+const Blockchain = require('../../../core/Blockchain.js');
+const KeyStore = require('../../../core/KeyStore.js');
+
+describe('FileStorage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Keys persist alongside the chain so signatures verify after a restart
+  const open = () => new Blockchain({
+    storage: new FileStorage(directory),
+    keyStore: new KeyStore({ filePath: path.join(directory, 'keys.json') })
+  });
+
+  const createChain = () => {
+    const blockchain = open();
+    blockchain.keyStore.generateKeyPair('a');
+    blockchain.loadFromStorage();
+    blockchain.createGenesisBlock();
+    return blockchain;
+  };
+
+  test('should require a directory', () => {
+    expect(() => new FileStorage()).toThrow('Storage directory is required');
+  });
+
+  test('should return an empty chain for a new directory', () => {
+    const storage = new FileStorage(directory);
+    const result = storage.load();
+    expect(result.chain).toEqual([]);
+    expect(result.pendingTransactions).toEqual([]);
+  });
+
+  test('should reload mined blocks after restart', () => {
+    const blockchain = createChain();
+    blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { test: 1 } }));
+    blockchain.minePendingTransactions();
+
+    const restarted = open();
+    const result = restarted.loadFromStorage();
+
+    expect(result.loaded).toBe(true);
+    expect(result.blocks).toBe(2);
+    expect(restarted.getLatestBlock().hash).toBe(blockchain.getLatestBlock().hash);
+    expect(restarted.isChainValid()).toBe(true);
+  });
+
+  test('should reload the pending pool', () => {
+    const blockchain = createChain();
+    const tx = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { test: 1 } }));
+
+    const restarted = open();
+    restarted.loadFromStorage();
+
+    expect(restarted.pendingTransactions.map(t => t.id)).toEqual([tx.id]);
+  });
+
+  test('should drop tampered and unsigned pending transactions on reload', () => {
+    const blockchain = createChain();
+    const tx = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { test: 1 } }));
+    const rogueKey = new KeyStore().generateKeyPair('rogue').publicKey;
+    const pendingLog = path.join(directory, 'pending.log');
+    fs.appendFileSync(pendingLog, [
+      { ...tx, id: 'tx-tampered', data: { test: 2 } },
+      { id: 'tx-unsigned', timestamp: Date.now(), from: 'rogue', to: 'key-registry', data: { action: 'register-key', actorId: 'rogue', publicKey: rogueKey, role: 'patient' } }
+    ].map(entry => JSON.stringify(entry) + '\n').join(''));
+
+    const restarted = open();
+    const result = restarted.loadFromStorage();
+
+    expect(result.droppedTransactions).toEqual(['tx-tampered', 'tx-unsigned']);
+    expect(restarted.pendingTransactions.map(t => t.id)).toEqual([tx.id]);
+    expect(restarted.keyStore.getPublicKey('rogue')).toBeNull();
+    expect(fs.readFileSync(pendingLog, 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+
+  test('should sync each pending transaction to disk', () => {
+    const blockchain = createChain();
+    const fsync = jest.spyOn(fs, 'fsyncSync');
+    try {
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      expect(fsync).toHaveBeenCalledTimes(1);
+    } finally {
+      fsync.mockRestore();
+    }
+  });
+
+  test('should clear persisted pending pool once mined', () => {
+    const blockchain = createChain();
+    blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+    blockchain.minePendingTransactions();
+
+    const restarted = open();
+    restarted.loadFromStorage();
+
+    expect(restarted.pendingTransactions).toEqual([]);
+  });
+
+  test('should keep appending after a restart', () => {
+    createChain();
+
+    const restarted = open();
+    restarted.loadFromStorage();
+    restarted.addTransaction(restarted.signTransaction({ from: 'a', to: 'b', data: {} }));
+    restarted.minePendingTransactions();
+
+    const again = open();
+    expect(again.loadFromStorage().blocks).toBe(2);
+    expect(again.isChainValid()).toBe(true);
+  });
+
+  test('should write a snapshot with block offsets', () => {
+    const blockchain = createChain();
+    blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+    blockchain.minePendingTransactions();
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(directory, 'snapshot.json'), 'utf8'));
+    expect(snapshot.chainLength).toBe(2);
+    expect(snapshot.latestHash).toBe(blockchain.getLatestBlock().hash);
+    expect(snapshot.blockOffsets[0]).toBe(0);
+    expect(snapshot.blockOffsets[1]).toBeGreaterThan(0);
+  });
+
+  test('should drop a partially written trailing block', () => {
+    const blockchain = createChain();
+    blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+    blockchain.minePendingTransactions();
+
+    fs.appendFileSync(path.join(directory, 'blocks.log'), '{"index":2,"transac');
+
+    const restarted = open();
+    expect(restarted.loadFromStorage().blocks).toBe(2);
+    expect(restarted.isChainValid()).toBe(true);
+  });
+
+  test('should reject a tampered block log', () => {
+    const blockchain = createChain();
+    blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { amount: 1 } }));
+    blockchain.minePendingTransactions();
+
+    const logPath = path.join(directory, 'blocks.log');
+    const tampered = fs.readFileSync(logPath, 'utf8').replace('"amount":1', '"amount":2');
+    fs.writeFileSync(logPath, tampered);
+
+    const restarted = open();
+    expect(() => restarted.loadFromStorage()).toThrow('Persisted chain failed validation');
+  });
+
+  test('should persist a chain replacement across restarts', () => {
+    const blockchain = createChain();
+    const peer = new Blockchain({ keyStore: blockchain.keyStore });
+    peer.chain = [...blockchain.chain];
+
+    const rolledBack = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 1 } }));
+    blockchain.minePendingTransactions();
+    peer.addTransaction(peer.signTransaction({ from: 'a', to: 'c', data: { n: 2 } }));
+    peer.minePendingTransactions();
+    peer.addTransaction(peer.signTransaction({ from: 'a', to: 'c', data: { n: 3 } }));
+    peer.minePendingTransactions();
+
+    blockchain.replaceChain(peer.chain);
+
+    const restarted = open();
+    expect(restarted.loadFromStorage().blocks).toBe(3);
+    expect(restarted.getLatestBlock().hash).toBe(peer.getLatestBlock().hash);
+    expect(restarted.pendingTransactions.map(tx => tx.id)).toEqual([rolledBack.id]);
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(directory, 'snapshot.json'), 'utf8'));
+    expect(snapshot.chainLength).toBe(3);
+    expect(snapshot.latestHash).toBe(peer.getLatestBlock().hash);
+  });
+
+  test('should reject a block log shorter than the snapshot', () => {
+    const blockchain = createChain();
+    blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+    blockchain.minePendingTransactions();
+
+    const logPath = path.join(directory, 'blocks.log');
+    const firstLine = fs.readFileSync(logPath, 'utf8').split('\n')[0];
+    fs.writeFileSync(logPath, firstLine + '\n');
+
+    const storage = new FileStorage(directory);
+    expect(() => storage.load()).toThrow('snapshot expects 2');
+  });
+});
@@ -151,6 +151,21 @@ describe('AuditLogger', () => {
       const logs = await logger.queryLogs({ actorId: 'b84b734g-5b2e-528e-b39b-bfc56b8cfc22' });
       expect(logs).toEqual([]);
     });
+
+    test('should include pending logs with their fields', async () => {
+      const pending = await logger.logDataAccess({
+        actorId: 'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+        resourceId: 'record-9',
+        resourceType: 'medicalRecord',
+        action: 'update',
+        granted: true
+      });
+
+      const logs = await logger.queryLogs({ logId: pending.logId });
+
+      expect(logs).toHaveLength(1);
+      expect(logs[0]).toMatchObject({ resourceId: 'record-9', action: 'update', pending: true, blockIndex: null });
+    });
   });
 
   describe('getAuditTrail', () => {
@@ -0,0 +1,144 @@
+/**
+ * Auth Service Tests
+ */
+
+const AuthService = require('../../../features/auth/AuthService.js');
+const Blockchain = require('../../../core/Blockchain.js');
+const KeyStore = require('../../../core/KeyStore.js');
+
+describe('AuthService', () => {
+  let blockchain;
+  let service;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.setSystemSigner('node-1');
+    blockchain.createGenesisBlock();
+    blockchain.registerActorKey('patient-1', 'patient');
+    service = new AuthService(blockchain);
+  });
+
+  describe('Tokens', () => {
+    test('should issue a token that verifies', () => {
+      const { token, role } = service.issueToken('patient-1');
+      const principal = service.verifyToken(token);
+
+      expect(role).toBe('patient');
+      expect(principal.actorId).toBe('patient-1');
+      expect(principal.role).toBe('patient');
+      expect(principal.issuer).toBe('node-1');
+    });
+
+    test('should not issue tokens for actors without an API role', () => {
+      blockchain.registerActorKey('node-2', 'node');
+      expect(() => service.issueToken('node-2')).toThrow('Unknown actor: node-2');
+    });
+
+    test('should reject a token with altered claims', () => {
+      const [header, , signature] = service.issueToken('patient-1').token.split('.');
+      const claims = AuthService.encode({ iss: 'node-1', sub: 'patient-1', role: 'admin', exp: 9999999999 });
+
+      expect(() => service.verifyToken(`${header}.${claims}.${signature}`)).toThrow('Invalid token signature');
+    });
+
+    test('should reject tokens from unknown issuers', () => {
+      const other = new Blockchain();
+      other.setSystemSigner('node-9');
+      other.registerActorKey('patient-1', 'patient');
+      const { token } = new AuthService(other).issueToken('patient-1');
+
+      expect(() => service.verifyToken(token)).toThrow('Token issuer is not trusted');
+    });
+
+    test('should only trust other node keys listed as trusted issuers', () => {
+      const peer = new Blockchain();
+      peer.setSystemSigner('node-2');
+      peer.keyStore = blockchain.keyStore;
+      const { token } = new AuthService(peer).issueToken('patient-1');
+
+      expect(() => service.verifyToken(token)).toThrow('Token issuer is not trusted');
+
+      const trusting = new AuthService(blockchain, { trustedIssuers: ['node-2'] });
+      expect(trusting.verifyToken(token).issuer).toBe('node-2');
+    });
+
+    test('should reject expired tokens', () => {
+      const { token } = service.issueToken('patient-1');
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 3600 * 1000);
+
+      try {
+        expect(() => service.verifyToken(token)).toThrow('Token has expired');
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+
+    test('should require a token', () => {
+      expect(() => service.verifyToken(null)).toThrow('Authentication required');
+      expect(() => service.verifyToken('abc')).toThrow('Malformed token');
+    });
+  });
+
+  describe('Challenges', () => {
+    let actorKeys;
+
+    beforeEach(() => {
+      // An auditor holding its own private key
+      actorKeys = new KeyStore();
+      const { publicKey } = actorKeys.generateKeyPair('auditor-1', 'auditor');
+      service.registerActor({ actorId: 'auditor-1', role: 'auditor', publicKey });
+    });
+
+    const sign = (challenge) => actorKeys.signBytes('auditor-1', Buffer.from(challenge)).toString('base64');
+
+    test('should exchange a signed challenge for a token', () => {
+      const { challenge } = service.createChallenge('auditor-1');
+      const result = service.exchangeChallenge('auditor-1', challenge, sign(challenge));
+
+      expect(result.role).toBe('auditor');
+      expect(service.verifyToken(result.token).actorId).toBe('auditor-1');
+    });
+
+    test('should reject a challenge signed by another key', () => {
+      const { challenge } = service.createChallenge('auditor-1');
+      const forged = new KeyStore();
+      forged.generateKeyPair('auditor-1');
+      const signature = forged.signBytes('auditor-1', Buffer.from(challenge)).toString('base64');
+
+      expect(() => service.exchangeChallenge('auditor-1', challenge, signature))
+        .toThrow('Invalid challenge signature');
+    });
+
+    test('should only accept a challenge once', () => {
+      const { challenge } = service.createChallenge('auditor-1');
+      service.exchangeChallenge('auditor-1', challenge, sign(challenge));
+
+      expect(() => service.exchangeChallenge('auditor-1', challenge, sign(challenge)))
+        .toThrow('Invalid or expired challenge');
+    });
+
+    test('should not issue challenges for unknown actors', () => {
+      expect(() => service.createChallenge('nobody')).toThrow('Unknown actor: nobody');
+    });
+  });
+
+  describe('registerActor', () => {
+    test('should publish staff keys on chain', () => {
+      service.registerActor({ actorId: 'admin', role: 'admin' });
+
+      const registration = blockchain.pendingTransactions.find(tx => tx.data.actorId === 'admin');
+      expect(registration.to).toBe('key-registry');
+      expect(service.getActorRole('admin')).toBe('admin');
+    });
+
+    test('should only register staff roles', () => {
+      expect(() => service.registerActor({ actorId: 'p-2', role: 'patient' })).toThrow('Invalid role');
+    });
+
+    test('should reject existing actors', () => {
+      expect(() => service.registerActor({ actorId: 'patient-1', role: 'auditor' }))
+        .toThrow('already exists');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Auth Controller API Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+const Blockchain = require('../../../core/Blockchain.js');
+const KeyStore = require('../../../core/KeyStore.js');
+const AuthService = require('../../../features/auth/AuthService.js');
+const AuditLogger = require('../../../features/audit-trail/AuditLogger.js');
+const { createAuthGuard } = require('../../../features/auth/authMiddleware.js');
+const policies = require('../../../features/auth/policies.js');
+const authRoutes = require('../../../features/auth/authController.js');
+
+describe('Auth Controller API', () => {
+  let app;
+  let blockchain;
+  let authService;
+  let adminToken;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.setSystemSigner('node-1');
+    blockchain.createGenesisBlock();
+    authService = new AuthService(blockchain);
+    authService.registerActor({ actorId: 'admin', role: 'admin' });
+    adminToken = `Bearer ${authService.issueToken('admin').token}`;
+
+    app = express();
+    app.use(express.json());
+    app.locals.blockchain = blockchain;
+    app.locals.authService = authService;
+    app.locals.auditLogger = new AuditLogger(blockchain);
+    app.use('/api/auth', createAuthGuard(policies.auth), authRoutes);
+  });
+
+  describe('Challenge login', () => {
+    let actorKeys;
+
+    beforeEach(async () => {
+      actorKeys = new KeyStore();
+      const { publicKey } = actorKeys.generateKeyPair('auditor-1', 'auditor');
+      await request(app)
+        .post('/api/auth/actors')
+        .set('Authorization', adminToken)
+        .send({ actorId: 'auditor-1', role: 'auditor', publicKey });
+    });
+
+    test('should issue a token for a signed challenge', async () => {
+      const challengeResponse = await request(app).post('/api/auth/challenge').send({ actorId: 'auditor-1' });
+      const { challenge } = challengeResponse.body.data;
+      const signature = actorKeys.signBytes('auditor-1', Buffer.from(challenge)).toString('base64');
+
+      const tokenResponse = await request(app)
+        .post('/api/auth/token')
+        .send({ actorId: 'auditor-1', challenge, signature });
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${tokenResponse.body.data.token}`);
+
+      expect(tokenResponse.status).toBe(200);
+      expect(meResponse.body.data).toMatchObject({ actorId: 'auditor-1', role: 'auditor' });
+    });
+
+    test('should return 401 for a bad signature', async () => {
+      const challengeResponse = await request(app).post('/api/auth/challenge').send({ actorId: 'auditor-1' });
+      const response = await request(app)
+        .post('/api/auth/token')
+        .send({ actorId: 'auditor-1', challenge: challengeResponse.body.data.challenge, signature: 'AAAA' });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should return 404 for an unknown actor', async () => {
+      const response = await request(app).post('/api/auth/challenge').send({ actorId: 'nobody' });
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/auth/actors', () => {
+    test('should require an admin token', async () => {
+      authService.registerActor({ actorId: 'auditor-2', role: 'auditor' });
+      const response = await request(app)
+        .post('/api/auth/actors')
+        .set('Authorization', `Bearer ${authService.issueToken('auditor-2').token}`)
+        .send({ actorId: 'operator-1', role: 'node-operator' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should return 400 for an invalid role', async () => {
+      const response = await request(app)
+        .post('/api/auth/actors')
+        .set('Authorization', adminToken)
+        .send({ actorId: 'x', role: 'superuser' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 409 for an existing actor', async () => {
+      const response = await request(app)
+        .post('/api/auth/actors')
+        .set('Authorization', adminToken)
+        .send({ actorId: 'admin', role: 'admin' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,450 @@
+/**
+ * Auth Middleware Tests
+ *
+ * Mounts real routers behind their policies the same way src/index.js does.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const Blockchain = require('../../../core/Blockchain.js');
+const NodeManager = require('../../../core/NodeManager.js');
+const AuthService = require('../../../features/auth/AuthService.js');
+const AuditLogger = require('../../../features/audit-trail/AuditLogger.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const ConsensusService = require('../../../features/consensus/consensusService.js');
+const { createAuthGuard } = require('../../../features/auth/authMiddleware.js');
+const policies = require('../../../features/auth/policies.js');
+const consentRoutes = require('../../../features/consent-management/consentController.js');
+const auditRoutes = require('../../../features/audit-trail/auditController.js');
+const consensusRoutes = require('../../../features/consensus/consensusController.js');
+const MedicalRecordContract = require('../../../features/data-storage/MedicalRecordContract.js');
+const medicalRecordRoutes = require('../../../features/medical-records/medicalRecordController.js');
+const registryRoutes = require('../../../features/data-storage/registryController.js');
+const fhirRoutes = require('../../../features/fhir/fhirController.js');
+const breakGlassRoutes = require('../../../features/emergency-access/breakGlassController.js');
+const eventFeedRoutes = require('../../../features/notifications/eventFeedController.js');
+const researchRoutes = require('../../../features/research/researchController.js');
+const networkRoutes = require('../../../features/network/networkController.js');
+
+// Consent routes validate IDs as UUIDs
+const PATIENT_1 = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const PATIENT_2 = '4766f152-cc9b-47d0-9519-7c1a5f2e52be';
+const CLINICIAN_1 = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('Auth Middleware', () => {
+  let app;
+  let blockchain;
+  let authService;
+  let tokens;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+    const nodeManager = new NodeManager(blockchain, { nodeId: 'node-1', networkSecret: 'shared-secret' });
+
+    const patientContract = new PatientContract(blockchain);
+    const clinicianContract = new ClinicianContract(blockchain);
+    patientContract.registerPatient({ id: PATIENT_1, firstName: 'Pat', lastName: 'One' });
+    patientContract.registerPatient({ id: PATIENT_2, firstName: 'Pat', lastName: 'Two' });
+    clinicianContract.registerClinician({ id: CLINICIAN_1, firstName: 'Cli', lastName: 'One', specialty: 'GP' });
+
+    authService = new AuthService(blockchain);
+    authService.registerActor({ actorId: 'auditor-1', role: 'auditor' });
+    authService.registerActor({ actorId: 'operator-1', role: 'node-operator' });
+    authService.registerActor({ actorId: 'officer-1', role: 'privacy-officer' });
+    blockchain.minePendingTransactions();
+
+    tokens = {};
+    for (const actorId of [PATIENT_1, PATIENT_2, CLINICIAN_1, 'auditor-1', 'operator-1', 'officer-1']) {
+      tokens[actorId] = `Bearer ${authService.issueToken(actorId).token}`;
+    }
+
+    app = express();
+    app.use(express.json());
+    app.locals.blockchain = blockchain;
+    app.locals.nodeManager = nodeManager;
+    app.locals.patientContract = patientContract;
+    app.locals.clinicianContract = clinicianContract;
+    app.locals.medicalRecordContract = new MedicalRecordContract(blockchain);
+    app.locals.consensusService = new ConsensusService(blockchain, nodeManager);
+    app.locals.authService = authService;
+    app.locals.auditLogger = new AuditLogger(blockchain);
+    app.use('/api/consent', createAuthGuard(policies.consent), consentRoutes);
+    app.use('/api/audit', createAuthGuard(policies.audit), auditRoutes);
+    app.use('/api/break-glass', createAuthGuard(policies.breakGlass), breakGlassRoutes);
+    app.use('/api/events', createAuthGuard(policies.events), eventFeedRoutes);
+    app.use('/api/consensus', createAuthGuard(policies.consensus), consensusRoutes);
+    app.use('/api/medical-records', createAuthGuard(policies.medicalRecords), medicalRecordRoutes);
+    app.use('/api/patients', createAuthGuard(policies.patients), registryRoutes.patients);
+    app.use('/api/clinicians', createAuthGuard(policies.clinicians), registryRoutes.clinicians);
+    app.use('/fhir', createAuthGuard(policies.fhir), fhirRoutes);
+    app.use('/api/research', createAuthGuard(policies.research), researchRoutes);
+    app.use('/api/network', createAuthGuard(policies.network), networkRoutes);
+  });
+
+  const deniedLogs = () => blockchain.pendingTransactions
+    .filter(tx => tx.to === 'audit-contract' && tx.data.type === 'data-access' && tx.data.granted === false)
+    .map(tx => tx.data);
+
+  test('should reject calls without a token', async () => {
+    const response = await request(app).get(`/api/consent/history/${PATIENT_1}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.message).toBe('Authentication required');
+  });
+
+  test('should reject malformed tokens', async () => {
+    const response = await request(app)
+      .get(`/api/consent/history/${PATIENT_1}`)
+      .set('Authorization', 'Bearer not-a-token');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should let patients read their own consents', async () => {
+    const response = await request(app)
+      .get(`/api/consent/history/${PATIENT_1}`)
+      .set('Authorization', tokens[PATIENT_1]);
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should stop patients reading other patients consents', async () => {
+    const response = await request(app)
+      .get(`/api/consent/history/${PATIENT_1}`)
+      .set('Authorization', tokens[PATIENT_2]);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.message).toBe('Patients may only access their own records');
+  });
+
+  test('should only let the patient grant consent', async () => {
+    const body = { patientId: PATIENT_1, clinicianId: CLINICIAN_1, consentType: 'Treatment' };
+
+    const denied = await request(app).post('/api/consent/grant')
+      .set('Authorization', tokens[CLINICIAN_1]).send(body);
+    const granted = await request(app).post('/api/consent/grant')
+      .set('Authorization', tokens[PATIENT_1]).send(body);
+
+    expect(denied.status).toBe(403);
+    expect(granted.status).toBe(201);
+  });
+
+  test('should not let admins change consents in the patient\'s name', async () => {
+    authService.registerActor({ actorId: 'admin-1', role: 'admin' });
+    const admin = `Bearer ${authService.issueToken('admin-1').token}`;
+    const grant = await request(app).post('/api/consent/grant')
+      .set('Authorization', tokens[PATIENT_1])
+      .send({ patientId: PATIENT_1, clinicianId: CLINICIAN_1, consentType: 'Treatment' });
+    blockchain.minePendingTransactions();
+
+    const granted = await request(app).post('/api/consent/grant')
+      .set('Authorization', admin)
+      .send({ patientId: PATIENT_2, clinicianId: CLINICIAN_1, consentType: 'Treatment' });
+    const revoked = await request(app).post('/api/consent/revoke')
+      .set('Authorization', admin).send({ consentId: grant.body.data.consentId });
+
+    expect(granted.status).toBe(403);
+    expect(revoked.status).toBe(403);
+  });
+
+  test('should only let the owning patient revoke consent', async () => {
+    const grant = await request(app).post('/api/consent/grant')
+      .set('Authorization', tokens[PATIENT_1])
+      .send({ patientId: PATIENT_1, clinicianId: CLINICIAN_1, consentType: 'Treatment' });
+    blockchain.minePendingTransactions();
+    const { consentId } = grant.body.data;
+
+    const denied = await request(app).post('/api/consent/revoke')
+      .set('Authorization', tokens[PATIENT_2]).send({ consentId });
+    const revoked = await request(app).post('/api/consent/revoke')
+      .set('Authorization', tokens[PATIENT_1]).send({ consentId });
+
+    expect(denied.status).toBe(403);
+    expect(revoked.status).toBe(200);
+  });
+
+  test('should only let the owning patient amend or renew consent', async () => {
+    const grant = await request(app).post('/api/consent/grant')
+      .set('Authorization', tokens[PATIENT_1])
+      .send({ patientId: PATIENT_1, clinicianId: CLINICIAN_1, consentType: 'Treatment' });
+    const { consentId } = grant.body.data;
+
+    const byClinician = await request(app).post('/api/consent/renew')
+      .set('Authorization', tokens[CLINICIAN_1]).send({ consentId, confirmed: true });
+    const byOtherPatient = await request(app).post('/api/consent/amend')
+      .set('Authorization', tokens[PATIENT_2]).send({ consentId, purpose: 'Research', confirmed: true });
+    const amended = await request(app).post('/api/consent/amend')
+      .set('Authorization', tokens[PATIENT_1]).send({ consentId, purpose: 'Research', confirmed: true });
+
+    expect(byClinician.status).toBe(403);
+    expect(byOtherPatient.status).toBe(403);
+    expect(amended.status).toBe(200);
+    expect(amended.body.data.amendedBy).toBe(PATIENT_1);
+  });
+
+  test('should let a delegate act on the patient consents', async () => {
+    const body = { patientId: PATIENT_1, clinicianId: CLINICIAN_1, consentType: 'Treatment' };
+    const before = await request(app).post('/api/consent/grant')
+      .set('Authorization', tokens[PATIENT_2]).send(body);
+
+    const appointed = await request(app).post('/api/consent/delegations')
+      .set('Authorization', tokens[PATIENT_1])
+      .send({ patientId: PATIENT_1, delegateId: PATIENT_2, relationship: 'healthcare-proxy' });
+    const granted = await request(app).post('/api/consent/grant')
+      .set('Authorization', tokens[PATIENT_2]).send(body);
+    const history = await request(app).get(`/api/consent/history/${PATIENT_1}`)
+      .set('Authorization', tokens[PATIENT_2]);
+    const selfAppointed = await request(app).post('/api/consent/delegations')
+      .set('Authorization', tokens[CLINICIAN_1])
+      .send({ patientId: PATIENT_1, delegateId: CLINICIAN_1, relationship: 'guardian' });
+
+    expect(before.status).toBe(403);
+    expect(appointed.status).toBe(201);
+    expect(granted.status).toBe(201);
+    expect(granted.body.data.grantedBy).toBe(PATIENT_2);
+    expect(history.status).toBe(200);
+    expect(selfAppointed.status).toBe(403);
+  });
+
+  test('should only let privacy officers close break-glass reviews', async () => {
+    const notClinician = await request(app).post('/api/break-glass')
+      .set('Authorization', tokens[PATIENT_1])
+      .send({ patientId: PATIENT_1, justification: 'Trauma' });
+    const access = await request(app).post('/api/break-glass')
+      .set('Authorization', tokens[CLINICIAN_1])
+      .send({ patientId: PATIENT_1, justification: 'Trauma' });
+    const { reviewId } = access.body.data;
+
+    const byAuditor = await request(app).post(`/api/audit/reviews/${reviewId}/close`)
+      .set('Authorization', tokens['auditor-1']).send({ outcome: 'justified' });
+    const byOfficer = await request(app).post(`/api/audit/reviews/${reviewId}/close`)
+      .set('Authorization', tokens['officer-1']).send({ outcome: 'justified' });
+    const ownEvents = await request(app).get(`/api/events/${PATIENT_1}`).set('Authorization', tokens[PATIENT_1]);
+    const otherEvents = await request(app).get(`/api/events/${PATIENT_1}`).set('Authorization', tokens[PATIENT_2]);
+
+    expect(notClinician.status).toBe(403);
+    expect(access.status).toBe(201);
+    expect(byAuditor.status).toBe(403);
+    expect(byOfficer.status).toBe(200);
+    expect(byOfficer.body.data.reviewedBy).toBe('officer-1');
+    expect(ownEvents.body.data.count).toBe(2);
+    expect(otherEvents.status).toBe(403);
+  });
+
+  test('should only let auditors query audit logs', async () => {
+    const denied = await request(app).get('/api/audit/query').set('Authorization', tokens['operator-1']);
+    const allowed = await request(app).get('/api/audit/query').set('Authorization', tokens['auditor-1']);
+
+    expect(denied.status).toBe(403);
+    expect(denied.body.error.message).toBe('Role node-operator may not call GET /api/audit/query');
+    expect(allowed.status).toBe(200);
+  });
+
+  test('should only let node operators drive consensus', async () => {
+    const denied = await request(app).post('/api/consensus/sync').set('Authorization', tokens[PATIENT_1]);
+    const allowed = await request(app).post('/api/consensus/sync').set('Authorization', tokens['operator-1']);
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('should only register peers holding the network secret or an operator token', async () => {
+    const peerKeys = new Blockchain().keyStore;
+    const peer = (nodeId) => ({ nodeId, host: 'localhost', port: 3001, publicKey: peerKeys.generateKeyPair(nodeId, 'node').publicKey });
+
+    const anonymous = await request(app).post('/api/network/nodes').send(peer('node-2'));
+    const wrongSecret = await request(app).post('/api/network/nodes')
+      .set('X-Network-Secret', 'guess').send(peer('node-2'));
+    const asPatient = await request(app).post('/api/network/nodes')
+      .set('Authorization', tokens[PATIENT_1]).send(peer('node-2'));
+    const withSecret = await request(app).post('/api/network/nodes')
+      .set('X-Network-Secret', 'shared-secret').send(peer('node-2'));
+    const asOperator = await request(app).post('/api/network/nodes')
+      .set('Authorization', tokens['operator-1']).send(peer('node-3'));
+
+    expect(anonymous.status).toBe(401);
+    expect(wrongSecret.status).toBe(401);
+    expect(asPatient.status).toBe(403);
+    expect(withSecret.status).toBe(201);
+    expect(asOperator.status).toBe(201);
+  });
+
+  test('should only serve the chain to signed peers, the network secret and operators', async () => {
+    const peer = new NodeManager(new Blockchain(), { nodeId: 'node-2' });
+    app.locals.nodeManager.addNode('node-2', { host: 'localhost', port: 3001, publicKey: peer.getSelfInfo().publicKey });
+
+    const anonymous = await request(app).get('/api/network/blocks');
+    const asPatient = await request(app).get('/api/network/pending').set('Authorization', tokens[PATIENT_1]);
+    const asAuditor = await request(app).get('/api/network/blocks').set('Authorization', tokens['auditor-1']);
+    const withSecret = await request(app).get('/api/network/keys').set('X-Network-Secret', 'shared-secret');
+    const signed = await request(app).get('/api/network/pending')
+      .set(peer.getRequestHeaders('GET', '/api/network/pending'));
+    const gossipWithToken = await request(app).post('/api/network/votes')
+      .set('Authorization', tokens['operator-1']).send({ vote: {} });
+
+    expect(anonymous.status).toBe(401);
+    expect(asPatient.status).toBe(403);
+    expect(asAuditor.status).toBe(200);
+    expect(withSecret.status).toBe(200);
+    expect(signed.status).toBe(200);
+    expect(gossipWithToken.status).toBe(403);
+    expect(gossipWithToken.body.error.message).toBe('Only peer nodes may call this route');
+  });
+
+  test('should only let clinicians read records as themselves', async () => {
+    const asPatient = await request(app)
+      .get('/api/medical-records/record-1')
+      .query({ purpose: 'Treatment' })
+      .set('Authorization', tokens[PATIENT_1]);
+    const asOther = await request(app)
+      .get('/api/medical-records/record-1')
+      .query({ purpose: 'Treatment', requesterId: 'someone-else' })
+      .set('Authorization', tokens[CLINICIAN_1]);
+
+    expect(asPatient.status).toBe(403);
+    expect(asOther.status).toBe(403);
+    expect(asOther.body.error.message).toBe('Records may only be requested for yourself');
+  });
+
+  test('should only let actors update their own profile', async () => {
+    const own = await request(app)
+      .patch(`/api/patients/${PATIENT_1}`)
+      .send({ changes: { email: 'one@example.com' } })
+      .set('Authorization', tokens[PATIENT_1]);
+    const other = await request(app)
+      .patch(`/api/patients/${PATIENT_2}`)
+      .send({ changes: { email: 'two@example.com' } })
+      .set('Authorization', tokens[PATIENT_1]);
+    const clinician = await request(app)
+      .patch(`/api/clinicians/${CLINICIAN_1}`)
+      .send({ changes: { specialty: 'Cardiology' } })
+      .set('Authorization', tokens[PATIENT_1]);
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(403);
+    expect(clinician.status).toBe(403);
+  });
+
+  test('should keep the patient list and its personal details from those who do not need them', async () => {
+    const anonymous = await request(app).get('/api/patients');
+    const patient = await request(app).get('/api/patients').set('Authorization', tokens[PATIENT_1]);
+    const clinician = await request(app).get('/api/patients').set('Authorization', tokens[CLINICIAN_1]);
+
+    expect(anonymous.status).toBe(401);
+    expect(patient.body.data.map(p => p.id)).toEqual([PATIENT_1]);
+    expect(patient.body.data[0].firstName).toBeDefined();
+    expect(clinician.body.count).toBe(2);
+    expect(clinician.body.data.every(p => Object.keys(p).join() === 'id,isActive')).toBe(true);
+  });
+
+  test('should apply the same consent and ownership rules to FHIR', async () => {
+    const metadata = await request(app).get('/fhir/metadata');
+    const otherConsents = await request(app)
+      .get('/fhir/Consent')
+      .query({ patient: `Patient/${PATIENT_2}` })
+      .set('Authorization', tokens[PATIENT_1]);
+    const observation = await request(app)
+      .post('/fhir/Observation')
+      .send({ resourceType: 'Observation', code: { text: 'Vital Signs' }, subject: { reference: `Patient/${PATIENT_1}` } })
+      .set('Authorization', tokens[CLINICIAN_1]);
+    const auditEvents = await request(app).get('/fhir/AuditEvent').set('Authorization', tokens['auditor-1']);
+
+    expect(metadata.status).toBe(200);
+    expect(otherConsents.status).toBe(403);
+    expect(observation.status).toBe(403);
+    expect(observation.body.error.message).toBe('A valid Treatment consent from the patient is required to add a record');
+    expect(auditEvents.status).toBe(200);
+  });
+
+  test('should check every item of a bulk grant', async () => {
+    const item = { clinicianId: CLINICIAN_1, consentType: 'Treatment' };
+
+    const mixed = await request(app)
+      .post('/api/consent/bulk/grant')
+      .send({ items: [{ ...item, patientId: PATIENT_1 }, { ...item, patientId: PATIENT_2 }] })
+      .set('Authorization', tokens[PATIENT_1]);
+    const own = await request(app)
+      .post('/api/consent/bulk/grant')
+      .send({ items: [{ ...item, patientId: PATIENT_1 }] })
+      .set('Authorization', tokens[PATIENT_1]);
+
+    expect(mixed.status).toBe(403);
+    expect(mixed.body.error.message).toBe('Patients may only access their own records');
+    expect(own.status).toBe(201);
+    expect(own.body.data.results[0].grantedBy).toBe(PATIENT_1);
+  });
+
+  test('should keep organization membership to admins', async () => {
+    const profile = await request(app)
+      .patch(`/api/clinicians/${CLINICIAN_1}`)
+      .send({ changes: { specialty: 'Cardiology' } })
+      .set('Authorization', tokens[CLINICIAN_1]);
+    const membership = await request(app)
+      .patch(`/api/clinicians/${CLINICIAN_1}`)
+      .send({ changes: { organizationId: 'd2b1f4a8-6c3e-4f7a-9b1d-2e5c8a7f6b90' } })
+      .set('Authorization', tokens[CLINICIAN_1]);
+
+    expect(profile.status).toBe(200);
+    expect(membership.status).toBe(403);
+    expect(membership.body.error.message).toBe('Only admins may change a clinician\'s organization');
+  });
+
+  test('should release a study cohort only to its principal investigator', async () => {
+    authService.registerActor({ actorId: 'admin-1', role: 'admin' });
+    const admin = `Bearer ${authService.issueToken('admin-1').token}`;
+    const study = await request(app)
+      .post('/api/research/studies')
+      .send({ title: 'Sleep', purposes: ['Research'], dataCategories: ['Lab Result'], principalInvestigatorId: CLINICIAN_1 })
+      .set('Authorization', admin);
+    const cohort = `/api/research/studies/${study.body.data.studyId}/cohort?tier=aggregate`;
+
+    const optIn = await request(app)
+      .post(`/api/research/studies/${study.body.data.studyId}/opt-in`)
+      .send({ patientId: PATIENT_2, tier: 'aggregate' })
+      .set('Authorization', tokens[PATIENT_1]);
+    const investigator = await request(app).get(cohort).set('Authorization', tokens[CLINICIAN_1]);
+    const patient = await request(app).get(cohort).set('Authorization', tokens[PATIENT_1]);
+
+    expect(study.status).toBe(201);
+    expect(optIn.status).toBe(403);
+    expect(investigator.status).toBe(200);
+    expect(patient.status).toBe(403);
+    expect(patient.body.error.message).toBe('Only the study\'s principal investigator may query its cohort');
+  });
+
+  test('should keep deactivation to admins', async () => {
+    const response = await request(app)
+      .post(`/api/clinicians/${CLINICIAN_1}/deactivate`)
+      .set('Authorization', tokens[CLINICIAN_1]);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should deny routes without a policy', async () => {
+    const response = await request(app).delete('/api/consent/all').set('Authorization', tokens['auditor-1']);
+    expect(response.status).toBe(403);
+  });
+
+  test('should record every denied call in the audit trail', async () => {
+    await request(app).get('/api/audit/all');
+    await request(app).get('/api/audit/all').set('Authorization', tokens[PATIENT_2]);
+
+    const logs = deniedLogs();
+    expect(logs).toHaveLength(2);
+    expect(logs[0]).toMatchObject({
+      actorId: 'anonymous',
+      resourceId: 'GET /api/audit/all',
+      resourceType: 'api-route',
+      reason: 'Authentication required'
+    });
+    expect(logs[1].actorId).toBe(PATIENT_2);
+    expect(logs[1].metadata.role).toBe('patient');
+  });
+
+  test('should not log allowed calls as denials', async () => {
+    await request(app).get('/api/audit/all').set('Authorization', tokens['auditor-1']);
+    expect(deniedLogs()).toHaveLength(0);
+  });
+});
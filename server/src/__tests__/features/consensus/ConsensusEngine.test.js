@@ -5,6 +5,100 @@
 const ConsensusEngine = require('../../../features/consensus/ConsensusEngine.js');
 const Blockchain = require('../../../core/Blockchain.js');
 const NodeManager = require('../../../core/NodeManager.js');
+const ConsensusService = require('../../../features/consensus/consensusService.js');
+const NetworkService = require('../../../features/network/networkService.js');
+
+/**
+ * Start validators that talk to each other through an in-memory transport
+ * Nodes can be taken offline, and messages dropped with network.drop(path, body).
+ */
+function createNetwork(size) {
+  const network = { nodes: [], drop: () => false };
+  const byUrl = new Map();
+
+  const transport = async (url, { method, headers, body }) => {
+    // Deliver on a later tick, like a real network
+    await new Promise(resolve => setImmediate(resolve));
+
+    const { origin, pathname } = new URL(url);
+    const target = byUrl.get(origin);
+    if (!target || target.offline) {
+      throw new Error('connect ECONNREFUSED');
+    }
+    if (network.drop(pathname, body)) {
+      return { status: 200, body: { data: {} } };
+    }
+
+    const from = headers['X-Node-Id'];
+    const routes = {
+      'POST /api/network/transactions': () => target.network.receiveTransaction(body.transaction, from),
+      'POST /api/network/proposals': () => target.network.receiveProposal(body.block, from),
+      'POST /api/network/votes': () => target.network.receiveVote(body.vote, from),
+      'POST /api/network/blocks': () => target.network.receiveBlock(body.block, from)
+    };
+    const route = routes[`${method} ${pathname}`];
+    if (!route) {
+      return { status: 404, body: { error: { message: 'Not found' } } };
+    }
+
+    try {
+      return { status: 200, body: { data: await route() } };
+    } catch (error) {
+      return { status: 400, body: { error: { message: error.message } } };
+    }
+  };
+
+  for (let i = 0; i < size; i++) {
+    const blockchain = new Blockchain();
+    const nodeManager = new NodeManager(blockchain, { nodeId: `node-${i}`, host: `node-${i}`, port: 3000, transport });
+    const consensusService = new ConsensusService(blockchain, nodeManager);
+    const node = {
+      nodeId: `node-${i}`,
+      blockchain,
+      nodeManager,
+      engine: consensusService.engine,
+      network: new NetworkService(blockchain, nodeManager, consensusService),
+      offline: false
+    };
+    network.nodes.push(node);
+    byUrl.set(`http://node-${i}:3000`, node);
+  }
+
+  // Shared genesis block, client key and peer registrations
+  const [first] = network.nodes;
+  first.blockchain.createGenesisBlock();
+  const client = first.blockchain.keyStore.generateKeyPair('a');
+  for (const node of network.nodes) {
+    if (node !== first) {
+      node.blockchain.addBlock(first.blockchain.getBlock(0));
+      node.blockchain.keyStore.registerPublicKey('a', client.publicKey);
+    }
+    for (const peer of network.nodes) {
+      if (peer !== node) {
+        node.nodeManager.addNode(peer.nodeId, {
+          host: peer.nodeId,
+          port: 3000,
+          publicKey: peer.blockchain.keyStore.getPublicKey(peer.nodeId)
+        });
+      }
+    }
+  }
+
+  network.node = (nodeId) => network.nodes.find(node => node.nodeId === nodeId);
+  network.submit = (data = {}) => first.blockchain.addTransaction(
+    first.blockchain.signTransaction({ from: 'a', to: 'b', data })
+  );
+  return network;
+}
+
+/**
+ * Let gossip (fire-and-forget promises) run to completion
+ */
+async function settle() {
+  for (let i = 0; i < 50; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
 
 describe('ConsensusEngine', () => {
   let blockchain;
@@ -13,6 +107,7 @@ describe('ConsensusEngine', () => {
 
   beforeEach(() => {
     blockchain = new Blockchain();
+    ['a', 'c', 'e', 'x'].forEach(actorId => blockchain.keyStore.generateKeyPair(actorId));
     blockchain.createGenesisBlock();
     nodeManager = new NodeManager(blockchain);
     engine = new ConsensusEngine(blockchain, nodeManager);
@@ -20,7 +115,7 @@ describe('ConsensusEngine', () => {
 
   describe('proposeBlock', () => {
     test('should propose block successfully', async () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       const result = await engine.proposeBlock(blockchain.pendingTransactions);
 
       expect(result).toHaveProperty('blockHash');
@@ -45,7 +140,7 @@ describe('ConsensusEngine', () => {
 
   describe('voteOnBlock', () => {
     test('should vote on block successfully', async () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       const proposal = await engine.proposeBlock(blockchain.pendingTransactions);
 
       // Proposer already voted, check that proposal includes voting info
@@ -56,7 +151,7 @@ describe('ConsensusEngine', () => {
     });
 
     test('should prevent duplicate votes', async () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       const proposal = await engine.proposeBlock(blockchain.pendingTransactions);
 
       // First vote should fail because proposer already voted
@@ -74,7 +169,7 @@ describe('ConsensusEngine', () => {
 
   describe('checkConsensus', () => {
     test('should check consensus status', async () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       const proposal = await engine.proposeBlock(blockchain.pendingTransactions);
       
       const status = engine.checkConsensus(proposal.blockHash);
@@ -84,7 +179,7 @@ describe('ConsensusEngine', () => {
     });
 
     test('should return false for no votes', async () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       const proposal = await engine.proposeBlock(blockchain.pendingTransactions);
       
       // Clear votes to test no votes scenario
@@ -97,13 +192,25 @@ describe('ConsensusEngine', () => {
 
   describe('validateBlockProposal', () => {
     test('should validate correct block proposal', async () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       const proposal = await engine.proposeBlock(blockchain.pendingTransactions);
       
       const isValid = engine.validateBlockProposal(proposal.block);
       expect(isValid).toBe(true);
     });
 
+    test('should keep batches whole', async () => {
+      // Two of three batch transactions have arrived so far
+      const batch = { batchId: 'batch-1', size: 3 };
+      blockchain.addTransactions([0, 1].map(item => blockchain.signTransaction({ from: 'a', to: 'b', data: { item, batch } })));
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'c', to: 'd', data: {} }));
+
+      const proposal = await engine.proposeBlock(blockchain.pendingTransactions);
+
+      expect(proposal.block.transactions.map(tx => tx.from)).toEqual(['c']);
+      expect(engine.validateBlockProposal(engine.createProposal(blockchain.pendingTransactions))).toBe(false);
+    });
+
     test('should reject invalid block', () => {
       const invalidBlock = {
         index: 1,
@@ -117,6 +224,198 @@ describe('ConsensusEngine', () => {
     });
   });
 
+  describe('view changes', () => {
+    test('should replace a primary that does not commit pending work in time', async () => {
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+
+      expect(engine.checkProposerTimeout(1000)).toBe(false);
+      expect(engine.checkProposerTimeout(1000 + engine.viewChangeTimeoutMs)).toBe(true);
+
+      // A single validator is its own quorum; the new primary proposes the pending work
+      expect(engine.view).toBe(1);
+      await settle();
+      expect(blockchain.getChainLength()).toBe(2);
+      expect(blockchain.pendingTransactions).toHaveLength(0);
+    });
+
+    test('should not time out without pending work', () => {
+      expect(engine.checkProposerTimeout(0)).toBe(false);
+      expect(engine.checkProposerTimeout(10 * engine.viewChangeTimeoutMs)).toBe(false);
+      expect(engine.view).toBe(0);
+    });
+  });
+
+  describe('with 4 validators', () => {
+    let network;
+
+    beforeEach(() => {
+      network = createNetwork(4);
+    });
+
+    // Block 1 in view 0 is proposed by validators[(1 + 0) % 4]
+    const primary = () => network.node('node-1');
+
+    test('should require a 3 of 4 quorum', () => {
+      const status = primary().engine.getStatus();
+
+      expect(status.validators).toEqual(['node-0', 'node-1', 'node-2', 'node-3']);
+      expect(status.quorum).toBe(3);
+      expect(status.maxFaulty).toBe(1);
+      expect(status.primary).toBe('node-1');
+    });
+
+    test('should commit the same block on every validator', async () => {
+      network.submit({ n: 1 });
+      await settle();
+
+      const result = await primary().engine.proposeBlock(primary().blockchain.pendingTransactions);
+      await settle();
+
+      expect(result.blockHash).toBeDefined();
+      const hashes = network.nodes.map(node => node.blockchain.getLatestBlock().hash);
+      expect(network.nodes.every(node => node.blockchain.getChainLength() === 2)).toBe(true);
+      expect(new Set(hashes).size).toBe(1);
+
+      const status = network.node('node-0').engine.checkConsensus(result.blockHash);
+      expect(status.consensusReached).toBe(true);
+      expect(status.yesVotes).toBeGreaterThanOrEqual(3);
+      expect(status.commitVotes).toBeGreaterThanOrEqual(3);
+    });
+
+    test('should tolerate one offline validator', async () => {
+      network.submit();
+      await settle();
+      network.node('node-3').offline = true;
+
+      await primary().engine.proposeBlock(primary().blockchain.pendingTransactions);
+      await settle();
+
+      for (const nodeId of ['node-0', 'node-1', 'node-2']) {
+        expect(network.node(nodeId).blockchain.getChainLength()).toBe(2);
+      }
+    });
+
+    test('should not commit with two offline validators', async () => {
+      network.submit();
+      await settle();
+      network.node('node-2').offline = true;
+      network.node('node-3').offline = true;
+
+      const result = await primary().engine.proposeBlock(primary().blockchain.pendingTransactions);
+      await settle();
+
+      expect(result.consensusReached).toBe(false);
+      expect(primary().blockchain.getChainLength()).toBe(1);
+      expect(primary().engine.checkConsensus(result.blockHash).yesVotes).toBe(2);
+    });
+
+    test('should only accept proposals from the primary', async () => {
+      network.submit();
+      await settle();
+
+      const backup = network.node('node-2');
+      await expect(backup.engine.proposeBlock(backup.blockchain.pendingTransactions))
+        .rejects.toThrow('Only the primary (node-1)');
+    });
+
+    test('should reject votes from nodes outside the validator set', async () => {
+      const outsider = new Blockchain().keyStore;
+      outsider.generateKeyPair('node-9', 'node');
+      const vote = { type: 'prepare', nodeId: 'node-9', view: 0, index: 1, blockHash: 'abc', isValid: true, timestamp: Date.now() };
+      vote.signature = outsider.sign('node-9', vote);
+
+      expect(() => network.node('node-0').engine.receiveVote(vote)).toThrow('Invalid vote');
+    });
+
+    test('should move to a new primary when the primary fails', async () => {
+      network.node('node-1').offline = true;
+      network.submit();
+      await settle();
+
+      for (const nodeId of ['node-0', 'node-2', 'node-3']) {
+        network.node(nodeId).engine.requestViewChange('Primary unreachable');
+      }
+      await settle();
+
+      // View 1: node-2 is the primary for block 1 and proposes the pending transaction
+      for (const nodeId of ['node-0', 'node-2', 'node-3']) {
+        const node = network.node(nodeId);
+        expect(node.engine.view).toBe(1);
+        expect(node.blockchain.getChainLength()).toBe(2);
+      }
+    });
+
+    test('should join a view change backed by f + 1 validators', async () => {
+      network.node('node-2').engine.requestViewChange();
+      await settle();
+      expect(network.node('node-0').engine.view).toBe(0);
+
+      network.node('node-3').engine.requestViewChange();
+      await settle();
+
+      // Two requests include an honest node, so everyone joins and the view changes
+      expect(network.nodes.every(node => node.engine.view === 1)).toBe(true);
+    });
+
+    test('should re-propose a block prepared in an earlier view', async () => {
+      network.submit();
+      await settle();
+
+      // Every validator prepares the block, but no commit gets through
+      network.drop = (path, body) => body?.vote?.type === 'commit';
+      const proposal = await primary().engine.proposeBlock(primary().blockchain.pendingTransactions);
+      await settle();
+      expect(network.nodes.every(node => node.blockchain.getChainLength() === 1)).toBe(true);
+
+      network.drop = () => false;
+      network.node('node-1').offline = true;
+      for (const nodeId of ['node-0', 'node-2', 'node-3']) {
+        network.node(nodeId).engine.requestViewChange();
+      }
+      await settle();
+
+      const committed = network.node('node-0').blockchain.getBlock(1);
+      expect(committed.merkleRoot).toBe(proposal.block.merkleRoot);
+      expect(committed.timestamp).toBe(proposal.block.timestamp);
+      expect(network.node('node-2').engine.pendingValidations.get(proposal.blockHash).proposal.view).toBe(1);
+    });
+
+    test('should detect a validator voting for two blocks at the same height', () => {
+      const node = network.node('node-0');
+      const rogue = network.node('node-3').blockchain.keyStore;
+      const vote = (blockHash) => {
+        const message = { type: 'prepare', nodeId: 'node-3', view: 0, index: 1, blockHash, isValid: true, timestamp: Date.now() };
+        return { ...message, signature: rogue.sign('node-3', message) };
+      };
+
+      expect(node.engine.receiveVote(vote('a'.repeat(64))).accepted).toBe(true);
+      expect(() => node.engine.receiveVote(vote('b'.repeat(64)))).toThrow('Equivocation detected');
+
+      const [evidence] = node.engine.getEquivocations();
+      expect(evidence.nodeId).toBe('node-3');
+      expect(evidence.messages.map(m => m.blockHash)).toEqual(['a'.repeat(64), 'b'.repeat(64)]);
+      expect(node.engine.getStatus().faultyNodes).toEqual(['node-3']);
+      expect(node.engine.countVotes(node.engine.votes.get('a'.repeat(64)), 0)).toHaveLength(0);
+    });
+
+    test('should request a view change when the primary equivocates', async () => {
+      network.submit({ n: 1 });
+      network.submit({ n: 2 });
+      await settle();
+
+      const node = network.node('node-0');
+      const [tx1, tx2] = primary().blockchain.pendingTransactions;
+      const first = primary().engine.createProposal([tx1]);
+      const second = primary().engine.createProposal([tx2]);
+
+      node.engine.receiveProposal(first, 'node-1');
+      expect(() => node.engine.receiveProposal(second, 'node-1')).toThrow('Equivocation detected');
+
+      expect(node.engine.getEquivocations()[0].type).toBe('pre-prepare');
+      expect(node.engine.viewChanges.get(1).has('node-0')).toBe(true);
+    });
+  });
+
   describe('syncChain', () => {
     test('should sync chain with network', async () => {
       const result = await engine.syncChain([]);
@@ -133,6 +432,48 @@ describe('ConsensusEngine', () => {
       const result = await engine.syncChain([invalidChain]);
       expect(result.chainValid).toBe(false);
     });
+
+    test('should replace the local chain with a longer fork', async () => {
+      const peer = new Blockchain({ keyStore: blockchain.keyStore });
+      peer.chain = [...blockchain.chain];
+
+      const rolledBack = blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+      blockchain.minePendingTransactions();
+      peer.addTransaction(peer.signTransaction({ from: 'c', to: 'd', data: {} }));
+      peer.minePendingTransactions();
+      peer.addTransaction(peer.signTransaction({ from: 'e', to: 'f', data: {} }));
+      peer.minePendingTransactions();
+
+      const result = await engine.syncChain([blockchain.getAllBlocks(), peer.getAllBlocks()]);
+
+      expect(result).toMatchObject({
+        success: true,
+        chainReplaced: true,
+        localChainLength: 2,
+        newChainLength: 3,
+        commonAncestor: 0,
+        blocksRolledBack: 1,
+        blocksApplied: 2,
+        transactionsRequeued: 1
+      });
+      expect(blockchain.getLatestBlock().hash).toBe(peer.getLatestBlock().hash);
+      expect(blockchain.pendingTransactions.map(tx => tx.id)).toEqual([rolledBack.id]);
+    });
+
+    test('should refuse a longer chain that fails full validation', async () => {
+      const peer = new Blockchain({ keyStore: blockchain.keyStore });
+      peer.chain = [...blockchain.chain];
+      peer.addTransaction(peer.signTransaction({ from: 'c', to: 'd', data: {} }));
+      peer.minePendingTransactions();
+      const forged = peer.getAllBlocks().map(block => ({ ...block }));
+      forged[1].transactions = [{ ...forged[1].transactions[0], to: 'z' }];
+
+      const result = await engine.syncChain([forged]);
+
+      expect(result.success).toBe(false);
+      expect(result.chainValid).toBe(false);
+      expect(blockchain.getChainLength()).toBe(1);
+    });
   });
 });
 
@@ -21,10 +21,11 @@ describe('Consensus Controller API', () => {
     app.use(express.urlencoded({ extended: true }));
 
     blockchain = new Blockchain();
+    ['a', 'c', 'e', 'x'].forEach(actorId => blockchain.keyStore.generateKeyPair(actorId));
     blockchain.createGenesisBlock();
     nodeManager = new NodeManager(blockchain);
 
-    // Add more nodes for testing (so consensus requires more than 1 vote)
+    // Peers without a known key are not validators, so this node still decides alone
     nodeManager.addNode('node-2');
     nodeManager.addNode('node-3');
 
@@ -51,8 +52,8 @@ describe('Consensus Controller API', () => {
   describe('POST /api/consensus/propose', () => {
     beforeEach(() => {
       // Add some pending transactions
-      blockchain.addTransaction({ from: 'a', to: 'b', data: { type: 'test' } });
-      blockchain.addTransaction({ from: 'c', to: 'd', data: { type: 'test' } });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { type: 'test' } }));
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'c', to: 'd', data: { type: 'test' } }));
     });
 
     test('should propose block successfully', async () => {
@@ -74,7 +75,7 @@ describe('Consensus Controller API', () => {
         .post('/api/consensus/propose')
         .send({
           transactions: [
-            { from: 'x', to: 'y', data: {} }
+            blockchain.signTransaction({ from: 'x', to: 'y', data: {} })
           ]
         });
 
@@ -118,7 +119,7 @@ describe('Consensus Controller API', () => {
 
     test('should return 400 for invalid isValid type', async () => {
       // Create a block for this specific test
-      blockchain.addTransaction({ from: 'e', to: 'f', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'e', to: 'f', data: {} }));
       const proposeResponse = await request(app)
         .post('/api/consensus/propose')
         .send({ transactions: [] });
@@ -146,11 +147,54 @@ describe('Consensus Controller API', () => {
     });
   });
 
+  describe('GET /api/consensus/status', () => {
+    test('should return the view, primary and validators', async () => {
+      const response = await request(app).get('/api/consensus/status');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.view).toBe(0);
+      expect(response.body.data.primary).toBe(nodeManager.getNodeId());
+      // Peers without a known key cannot sign votes
+      expect(response.body.data.validators).toEqual([nodeManager.getNodeId()]);
+      expect(response.body.data.quorum).toBe(1);
+    });
+  });
+
+  describe('POST /api/consensus/view-change', () => {
+    test('should move to the next view', async () => {
+      const response = await request(app)
+        .post('/api/consensus/view-change')
+        .send({ reason: 'maintenance' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.viewChanged).toBe(true);
+      expect(response.body.data.view).toBe(1);
+      expect(response.body.data.reason).toBe('maintenance');
+    });
+
+    test('should return 400 for a non-string reason', async () => {
+      const response = await request(app)
+        .post('/api/consensus/view-change')
+        .send({ reason: 42 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/consensus/equivocations', () => {
+    test('should return an empty list when no validator equivocated', async () => {
+      const response = await request(app).get('/api/consensus/equivocations');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ count: 0, faultyNodes: [], equivocations: [] });
+    });
+  });
+
   describe('GET /api/consensus/pending-transactions', () => {
     test('should return pending transactions count and list', async () => {
       // Add some pending transactions
-      blockchain.addTransaction({ from: 'a', to: 'b', data: { type: 'test1' } });
-      blockchain.addTransaction({ from: 'c', to: 'd', data: { type: 'test2' } });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { type: 'test1' } }));
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'c', to: 'd', data: { type: 'test2' } }));
 
       const response = await request(app)
         .get('/api/consensus/pending-transactions');
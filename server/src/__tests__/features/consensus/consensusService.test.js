@@ -13,6 +13,7 @@ describe('ConsensusService', () => {
 
   beforeEach(() => {
     blockchain = new Blockchain();
+    ['a', 'c', 'e', 'x'].forEach(actorId => blockchain.keyStore.generateKeyPair(actorId));
     blockchain.createGenesisBlock();
     nodeManager = new NodeManager(blockchain);
     service = new ConsensusService(blockchain, nodeManager);
@@ -20,7 +21,7 @@ describe('ConsensusService', () => {
 
   describe('proposeBlock', () => {
     beforeEach(() => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
     });
 
     test('should propose block successfully', async () => {
@@ -33,7 +34,7 @@ describe('ConsensusService', () => {
     });
 
     test('should propose block with provided transactions', async () => {
-      const transactions = [{ from: 'x', to: 'y', data: {} }];
+      const transactions = [blockchain.signTransaction({ from: 'x', to: 'y', data: {} })];
       const result = await service.proposeBlock(transactions);
 
       expect(result.block.transactions.length).toBeGreaterThan(0);
@@ -49,7 +50,7 @@ describe('ConsensusService', () => {
 
   describe('validateBlock', () => {
     test('should validate block successfully', async () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       const proposal = await service.proposeBlock();
       
       const result = await service.validateBlock(proposal.block);
@@ -74,14 +75,14 @@ describe('ConsensusService', () => {
     let blockHash;
 
     beforeEach(async () => {
-      blockchain.addTransaction({ from: 'a', to: 'b', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
       const proposal = await service.proposeBlock();
       blockHash = proposal.blockHash;
     });
 
     test('should vote on block successfully', async () => {
       // Add more transactions and create another proposal
-      blockchain.addTransaction({ from: 'c', to: 'd', data: {} });
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'c', to: 'd', data: {} }));
       const proposal = await service.proposeBlock();
       expect(proposal).toHaveProperty('consensusReached');
       expect(proposal).toHaveProperty('totalVotes');
@@ -95,6 +96,36 @@ describe('ConsensusService', () => {
     });
   });
 
+  describe('proposePending', () => {
+    test('should do nothing without pending transactions', async () => {
+      expect(await service.proposePending()).toBeNull();
+    });
+
+    test('should propose and commit the pending pool as the primary', async () => {
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+
+      const result = await service.proposePending();
+
+      expect(result.consensusReached).toBe(true);
+      expect(blockchain.getChainLength()).toBe(2);
+    });
+
+    test('should not propose when another node is the primary', async () => {
+      jest.spyOn(service.engine, 'getPrimary').mockReturnValue('node-other');
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+
+      expect(await service.proposePending()).toBeNull();
+      expect(blockchain.getChainLength()).toBe(1);
+    });
+
+    test('should not propose twice for the same height', async () => {
+      jest.spyOn(service.engine, 'hasProposed').mockReturnValue(true);
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: {} }));
+
+      expect(await service.proposePending()).toBeNull();
+    });
+  });
+
   describe('syncChain', () => {
     test('should sync chain successfully', async () => {
       const result = await service.syncChain(null);
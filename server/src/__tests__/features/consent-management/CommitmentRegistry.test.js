@@ -0,0 +1,122 @@
+/**
+ * Commitment Registry Tests
+ */
+
+const CommitmentRegistry = require('../../../features/consent-management/CommitmentRegistry.js');
+const ConsentContract = require('../../../features/consent-management/ConsentContract.js');
+const Blockchain = require('../../../core/Blockchain.js');
+
+const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const CLINICIAN_ID = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('CommitmentRegistry', () => {
+  let blockchain;
+  let contract;
+  let registry;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+    blockchain.keyStore.generateKeyPair(PATIENT_ID);
+    contract = new ConsentContract(blockchain);
+    registry = CommitmentRegistry.for(blockchain);
+  });
+
+  const grant = (type, options) => {
+    const { consentId } = contract.grantConsent(PATIENT_ID, CLINICIAN_ID, type, options);
+    const block = blockchain.minePendingTransactions();
+    return { consentId, commitment: contract.getConsentById(consentId).commitment, block };
+  };
+
+  test('should share one registry per blockchain', () => {
+    expect(CommitmentRegistry.for(blockchain)).toBe(registry);
+    expect(CommitmentRegistry.for(new Blockchain())).not.toBe(registry);
+  });
+
+  test('should keep a root per block', () => {
+    const genesis = registry.getLatest();
+    const first = grant('Data Access');
+    const second = grant('Research');
+
+    const before = registry.getSnapshot(first.block.index);
+    const after = registry.getSnapshot(second.block.index);
+
+    expect(genesis.commitments).toEqual([]);
+    expect(before.commitments).toEqual([first.commitment]);
+    expect(after.commitments).toEqual([first.commitment, second.commitment].sort());
+    expect(after.root).toBe(CommitmentRegistry.calculateRoot(after.commitments));
+    expect(new Set([genesis.root, before.root, after.root]).size).toBe(3);
+    expect(after.blockHash).toBe(second.block.hash);
+  });
+
+  test('should ignore pending grants', () => {
+    contract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access');
+    expect(registry.getLatest().commitments).toEqual([]);
+  });
+
+  test('should record the height at which a consent was revoked', () => {
+    const { consentId, commitment } = grant('Data Access');
+    contract.revokeConsent(consentId);
+    const revocation = blockchain.minePendingTransactions();
+
+    expect(registry.getLatest().commitments).toEqual([]);
+    expect(registry.getRemovalHeight(commitment)).toBe(revocation.index);
+    expect(registry.getSnapshot(revocation.index - 1).commitments).toEqual([commitment]);
+  });
+
+  test('should expire consents by block timestamp', () => {
+    const { commitment } = grant('Data Access', { expiresAt: new Date(Date.now() + 60 * 1000).toISOString() });
+    expect(registry.getLatest().commitments).toEqual([commitment]);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 60 * 1000);
+    try {
+      blockchain.keyStore.generateKeyPair('a');
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 1 } }));
+      const block = blockchain.minePendingTransactions();
+
+      expect(registry.getLatest().commitments).toEqual([]);
+      expect(registry.getRemovalHeight(commitment)).toBe(block.index);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('should follow amended and renewed expiries', () => {
+    const { consentId, commitment } = grant('Data Access', { expiresAt: new Date(Date.now() + 60 * 1000).toISOString() });
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 60 * 1000);
+    try {
+      blockchain.keyStore.generateKeyPair('a');
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 1 } }));
+      const expiry = blockchain.minePendingTransactions();
+      expect(registry.getRemovalHeight(commitment)).toBe(expiry.index);
+
+      contract.renewConsent(consentId, { confirmed: true });
+      blockchain.minePendingTransactions();
+
+      expect(registry.getLatest().commitments).toEqual([commitment]);
+      expect(registry.getRemovalHeight(commitment)).toBeNull();
+
+      // Dropping the renewal block restores the earlier removal
+      blockchain.chain.pop();
+      expect(registry.getRemovalHeight(commitment)).toBe(expiry.index);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('should drop snapshots of blocks that left the chain', () => {
+    const { commitment } = grant('Data Access');
+    expect(registry.getLatest().commitments).toEqual([commitment]);
+
+    // Replace the tip, as fork resolution would
+    blockchain.chain.pop();
+    blockchain.keyStore.generateKeyPair('a');
+    blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 1 } }));
+    blockchain.minePendingTransactions();
+
+    expect(registry.getLatest().commitments).toEqual([]);
+  });
+});
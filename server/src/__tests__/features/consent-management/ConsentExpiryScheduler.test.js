@@ -0,0 +1,144 @@
+/**
+ * Consent Expiry Scheduler Tests
+ */
+
+const Blockchain = require('../../../core/Blockchain.js');
+const ConsentContract = require('../../../features/consent-management/ConsentContract.js');
+const ConsentExpiryScheduler = require('../../../features/consent-management/ConsentExpiryScheduler.js');
+const EventFeed = require('../../../features/notifications/EventFeed.js');
+
+const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const CLINICIAN_ID = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('ConsentExpiryScheduler', () => {
+  let blockchain;
+  let contract;
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+    blockchain.keyStore.generateKeyPair(PATIENT_ID);
+    contract = new ConsentContract(blockchain);
+    scheduler = new ConsentExpiryScheduler(blockchain, { intervalMs: 60 * 60 * 1000, noticeDays: 7 });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  const grant = (expiresAt, type = 'Data Access') => {
+    const { consentId } = contract.grantConsent(PATIENT_ID, CLINICIAN_ID, type, { expiresAt });
+    blockchain.minePendingTransactions();
+    return consentId;
+  };
+
+  const auditEntries = () => blockchain.pendingTransactions
+    .filter(tx => tx.to === 'audit-contract' && tx.data.type === 'consent-change')
+    .map(tx => tx.data);
+
+  test('should record a consent that crossed its expiry once', async () => {
+    const consentId = grant('2024-03-02T00:00:00Z');
+
+    const early = await scheduler.run();
+    jest.setSystemTime(new Date('2024-03-02T01:00:00Z'));
+    const due = await scheduler.run();
+    const again = await scheduler.run();
+
+    expect(early.expired).toEqual([]);
+    expect(due.expired).toEqual([expect.objectContaining({ consentId, expiresAt: '2024-03-02T00:00:00.000Z' })]);
+    expect(again.expired).toEqual([]);
+
+    const [entry] = auditEntries();
+    expect(entry).toMatchObject({ consentId, action: 'expired', actorId: 'system', patientId: PATIENT_ID });
+
+    blockchain.minePendingTransactions();
+    const history = contract.getConsentHistory(PATIENT_ID);
+    expect(history.map(record => record.action)).toEqual(['grant', 'expire']);
+    expect(history[1].expiredAt).toBe('2024-03-02T01:00:00.000Z');
+  });
+
+  test('should notify the patient once before expiry', async () => {
+    const consentId = grant('2024-03-20T00:00:00Z');
+
+    const tooEarly = await scheduler.run();
+    jest.setSystemTime(new Date('2024-03-15T00:00:00Z'));
+    const notice = await scheduler.run();
+    const repeat = await scheduler.run();
+
+    expect(tooEarly.notices).toEqual([]);
+    expect(notice.notices).toEqual([expect.objectContaining({ consentId, expiresAt: '2024-03-20T00:00:00.000Z' })]);
+    expect(repeat.notices).toEqual([]);
+
+    const [event] = new EventFeed(blockchain).getEvents(PATIENT_ID, { type: 'consent-expiring' });
+    expect(event).toMatchObject({ resourceId: consentId, message: 'Your Data Access consent expires in 5 days' });
+  });
+
+  test('should skip revoked consents and notify again after a renewal', async () => {
+    const revokedId = grant('2024-03-05T00:00:00Z', 'Research');
+    contract.revokeConsent(revokedId);
+    const renewedId = grant('2024-03-05T00:00:00Z');
+
+    const first = await scheduler.run();
+    contract.renewConsent(renewedId, { expiresAt: '2024-03-25T00:00:00Z', confirmed: true });
+    blockchain.minePendingTransactions();
+    jest.setSystemTime(new Date('2024-03-20T00:00:00Z'));
+    const second = await scheduler.run();
+
+    expect(first.notices.map(notice => notice.consentId)).toEqual([renewedId]);
+    expect(second.notices).toEqual([expect.objectContaining({ consentId: renewedId, expiresAt: '2024-03-25T00:00:00.000Z' })]);
+    expect(second.expired).toEqual([]);
+  });
+
+  test('should run on its interval while active', async () => {
+    grant('2024-03-01T12:00:00Z');
+    let active = false;
+    scheduler = new ConsentExpiryScheduler(blockchain, { intervalMs: 60 * 60 * 1000, isActive: () => active });
+    scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(3 * 60 * 60 * 1000);
+    expect(auditEntries()).toEqual([]);
+
+    active = true;
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(auditEntries()).toHaveLength(1);
+  });
+
+  test('should show the expiry record in the consent timeline', async () => {
+    const consentId = grant('2024-03-02T00:00:00Z');
+    jest.setSystemTime(new Date('2024-03-03T00:00:00Z'));
+    await scheduler.run();
+    blockchain.minePendingTransactions();
+
+    const [timeline] = contract.getConsentTimeline(PATIENT_ID);
+    const expiry = timeline.transitions[1];
+
+    expect(expiry).toMatchObject({ state: 'expired', consentId, at: '2024-03-02T00:00:00.000Z' });
+    expect(expiry.transactionId).not.toBeNull();
+    expect(() => contract.expireConsent(consentId)).toThrow('already been recorded');
+  });
+
+  test('should ignore expiry records not signed by a node', async () => {
+    const consentId = grant('2024-03-02T00:00:00Z');
+    jest.setSystemTime(new Date('2024-03-03T00:00:00Z'));
+    const { terms } = contract.getAmendableConsent(consentId);
+    const forged = {
+      action: 'expire',
+      consentId,
+      patientId: PATIENT_ID,
+      clinicianId: CLINICIAN_ID,
+      consentType: 'Data Access',
+      expiresAt: terms.expiresAt,
+      expiredAt: '2024-03-02T12:00:00.000Z'
+    };
+    blockchain.addTransaction(blockchain.signTransaction({ from: PATIENT_ID, to: contract.contractAddress, data: forged }));
+
+    expect(contract.getExpiryRecord(consentId, terms.expiresAt, { includePending: true })).toBeNull();
+    const { expired } = await scheduler.run();
+    expect(expired).toEqual([expect.objectContaining({ consentId })]);
+    blockchain.minePendingTransactions();
+    expect(contract.getConsentHistory(PATIENT_ID).filter(record => record.action === 'expire')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Consent Scope Tests
+ */
+
+const ConsentScope = require('../../../features/consent-management/ConsentScope.js');
+
+describe('ConsentScope', () => {
+  const labResult = { id: 'record-1', patientId: 'patient-1', recordType: 'Lab Result', date: '2024-03-01' };
+
+  describe('normalize', () => {
+    test('should treat a missing or empty scope as covering everything', () => {
+      expect(ConsentScope.normalize(undefined)).toBeNull();
+      expect(ConsentScope.normalize({})).toBeNull();
+    });
+
+    test('should keep the given dimensions without duplicates', () => {
+      expect(ConsentScope.normalize({
+        recordTypes: ['Lab Result', 'Lab Result'],
+        dateRange: { from: '2024-01-01' },
+        fields: ['diagnosis']
+      })).toEqual({
+        recordTypes: ['Lab Result'],
+        dateRange: { from: '2024-01-01', to: null },
+        fields: ['diagnosis']
+      });
+    });
+
+    test('should reject malformed scopes', () => {
+      expect(() => ConsentScope.normalize('labs')).toThrow('Invalid consent scope: must be an object');
+      expect(() => ConsentScope.normalize({ departments: ['x'] })).toThrow("unknown field 'departments'");
+      expect(() => ConsentScope.normalize({ recordIds: [] })).toThrow('recordIds must be a non-empty list of strings');
+      expect(() => ConsentScope.normalize({ fields: ['ssn'] })).toThrow('fields must be among');
+      expect(() => ConsentScope.normalize({ dateRange: {} })).toThrow('dateRange needs from or to');
+      expect(() => ConsentScope.normalize({ dateRange: { from: 'soon' } })).toThrow('must be valid dates');
+      expect(() => ConsentScope.normalize({ dateRange: { from: '2025-01-01', to: '2024-01-01' } }))
+        .toThrow('from must not be after to');
+    });
+  });
+
+  describe('uncovered', () => {
+    test('should cover every record without a scope', () => {
+      expect(ConsentScope.uncovered(null, labResult)).toBeNull();
+    });
+
+    test('should require every given dimension to match', () => {
+      expect(ConsentScope.covers({ recordIds: ['record-1'], recordTypes: ['Lab Result'] }, labResult)).toBe(true);
+      expect(ConsentScope.uncovered({ recordIds: ['record-2'] }, labResult)).toBe('Consent scope does not cover this record');
+      expect(ConsentScope.uncovered({ recordTypes: ['Psychiatric Note'] }, labResult))
+        .toBe('Consent scope does not cover Lab Result records');
+    });
+
+    test('should check the record date against the range', () => {
+      expect(ConsentScope.covers({ dateRange: { from: '2024-01-01', to: '2024-12-31' } }, labResult)).toBe(true);
+      expect(ConsentScope.uncovered({ dateRange: { from: '2024-06-01', to: null } }, labResult))
+        .toBe('Consent scope does not cover records from this date');
+      expect(ConsentScope.covers({ dateRange: { from: '2024-01-01', to: null } }, { ...labResult, date: undefined })).toBe(false);
+    });
+
+    test('should refuse changes to fields outside the field mask', () => {
+      const scope = { fields: ['diagnosis'] };
+
+      expect(ConsentScope.covers(scope, labResult, ['diagnosis', 'date'])).toBe(true);
+      expect(ConsentScope.uncovered(scope, labResult, ['notes'])).toBe("Consent scope does not cover field 'notes'");
+    });
+  });
+
+  describe('tiers', () => {
+    test('should let a tier cover the less revealing ones', () => {
+      expect(ConsentScope.coversTier({ tier: 'de-identified' }, 'aggregate')).toBe(true);
+      expect(ConsentScope.coversTier({ tier: 'de-identified' }, 'identifiable')).toBe(false);
+      expect(ConsentScope.coversTier(null, 'identifiable')).toBe(true);
+      expect(() => ConsentScope.normalize({ tier: 'anonymous' }))
+        .toThrow('Invalid consent scope: tier must be one of aggregate, de-identified, identifiable');
+    });
+
+    test('should treat a more revealing tier as widening the scope', () => {
+      expect(ConsentScope.widens({ tier: 'aggregate' }, { tier: 'de-identified' })).toBe(true);
+      expect(ConsentScope.widens({ tier: 'aggregate' }, {})).toBe(true);
+      expect(ConsentScope.widens({ tier: 'identifiable' }, { tier: 'aggregate' })).toBe(false);
+    });
+  });
+
+  describe('mask', () => {
+    test('should hide clinical fields outside the field mask', () => {
+      const record = { ...labResult, diagnosis: 'Anemia', notes: 'Private', treatment: 'Iron' };
+
+      const { record: masked, hiddenFields } = ConsentScope.mask({ fields: ['diagnosis'] }, record);
+
+      expect(masked).toEqual({ ...labResult, diagnosis: 'Anemia' });
+      expect(hiddenFields).toEqual(['notes', 'treatment']);
+      expect(ConsentScope.mask(null, record)).toEqual({ record, hiddenFields: [] });
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Delegation Contract Tests
+ */
+
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const ConsentContract = require('../../../features/consent-management/ConsentContract.js');
+const DelegationContract = require('../../../features/consent-management/DelegationContract.js');
+
+const CHILD = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const PARENT = '4766f152-cc9b-47d0-9519-7c1a5f2e52be';
+const AUNT = '0b7c1e52-8f43-4f0e-9d1a-3c2b5e6f7a81';
+const CLINICIAN = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('DelegationContract', () => {
+  let blockchain;
+  let delegations;
+  let consents;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+
+    const patientContract = new PatientContract(blockchain);
+    for (const id of [CHILD, PARENT, AUNT]) {
+      patientContract.registerPatient({ id, firstName: 'Test', lastName: 'Patient' });
+    }
+    new ClinicianContract(blockchain).registerClinician({ id: CLINICIAN, firstName: 'Test', lastName: 'Clinician' });
+    blockchain.minePendingTransactions();
+
+    delegations = new DelegationContract(blockchain);
+    consents = new ConsentContract(blockchain);
+  });
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  describe('appointDelegate', () => {
+    test('should make the delegate able to act for the patient', () => {
+      const { delegationId } = delegations.appointDelegate(CHILD, PARENT, { relationship: 'guardian' });
+
+      expect(delegations.canActFor(PARENT, CHILD)).toBe(true);
+      expect(delegations.canActFor(AUNT, CHILD)).toBe(false);
+      expect(delegations.getDelegationById(delegationId)).toMatchObject({
+        patientId: CHILD,
+        delegateId: PARENT,
+        relationship: 'guardian',
+        appointedBy: CHILD,
+        parentDelegationId: null,
+        isValid: true
+      });
+    });
+
+    test('should validate the appointment', () => {
+      expect(() => delegations.appointDelegate(CHILD, PARENT, {})).toThrow('required');
+      expect(() => delegations.appointDelegate(CHILD, PARENT, { relationship: 'friend' })).toThrow('Invalid relationship');
+      expect(() => delegations.appointDelegate(CHILD, CHILD, { relationship: 'guardian' })).toThrow('own delegate');
+
+      delegations.appointDelegate(CHILD, PARENT, { relationship: 'guardian' });
+      expect(() => delegations.appointDelegate(CHILD, PARENT, { relationship: 'healthcare-proxy' }))
+        .toThrow('Active delegation already exists');
+    });
+
+    test('should only let delegates allowed to sub-delegate appoint others', () => {
+      delegations.appointDelegate(CHILD, PARENT, { relationship: 'guardian' });
+
+      expect(() => delegations.appointDelegate(CHILD, AUNT, { relationship: 'healthcare-proxy', appointedBy: PARENT }))
+        .toThrow('does not allow appointing further delegates');
+      expect(() => delegations.appointDelegate(CHILD, AUNT, { relationship: 'healthcare-proxy', appointedBy: CLINICIAN }))
+        .toThrow('Acting party is not a valid delegate');
+    });
+
+    test('should keep sub-delegations within the appointing delegation', () => {
+      const guardian = delegations.appointDelegate(CHILD, PARENT, {
+        relationship: 'guardian',
+        canDelegate: true,
+        expiresAt: inDays(30)
+      });
+
+      expect(() => delegations.appointDelegate(CHILD, AUNT, {
+        relationship: 'healthcare-proxy',
+        appointedBy: PARENT,
+        expiresAt: inDays(60)
+      })).toThrow('cannot outlive');
+
+      const proxy = delegations.appointDelegate(CHILD, AUNT, { relationship: 'healthcare-proxy', appointedBy: PARENT });
+
+      expect(proxy.parentDelegationId).toBe(guardian.delegationId);
+      expect(proxy.expiresAt).toBe(guardian.expiresAt);
+    });
+  });
+
+  describe('revokeDelegation', () => {
+    let guardian;
+    let proxy;
+
+    beforeEach(() => {
+      guardian = delegations.appointDelegate(CHILD, PARENT, { relationship: 'guardian', canDelegate: true });
+      proxy = delegations.appointDelegate(CHILD, AUNT, { relationship: 'healthcare-proxy', appointedBy: PARENT });
+    });
+
+    test('should return the chain from the patient down', () => {
+      const chain = delegations.getDelegationChain(proxy.delegationId);
+
+      expect(chain.map(link => link.delegateId)).toEqual([PARENT, AUNT]);
+      expect(chain[1].appointedBy).toBe(PARENT);
+    });
+
+    test('should end the delegations appointed under a revoked one', () => {
+      delegations.revokeDelegation(guardian.delegationId, { reason: 'Child came of age' });
+
+      expect(delegations.canActFor(PARENT, CHILD)).toBe(false);
+      expect(delegations.canActFor(AUNT, CHILD)).toBe(false);
+      expect(delegations.getDelegationById(proxy.delegationId)).toMatchObject({ isRevoked: false, isValid: false });
+      expect(delegations.getDelegationById(guardian.delegationId)).toMatchObject({ isRevoked: true, revokedBy: CHILD });
+    });
+
+    test('should let delegates above it in the chain, or the delegate, revoke it', () => {
+      expect(() => delegations.revokeDelegation(guardian.delegationId, { revokedBy: AUNT }))
+        .toThrow('may revoke this delegation');
+
+      delegations.revokeDelegation(proxy.delegationId, { revokedBy: PARENT });
+      expect(() => delegations.revokeDelegation(proxy.delegationId)).toThrow('already been revoked');
+
+      delegations.revokeDelegation(guardian.delegationId, { revokedBy: PARENT });
+      expect(delegations.canActFor(PARENT, CHILD)).toBe(false);
+    });
+
+    test('should reject unknown delegations', () => {
+      expect(() => delegations.revokeDelegation('missing')).toThrow('Delegation not found');
+    });
+  });
+
+  describe('consent actions', () => {
+    test('should record the delegate acting on a consent', () => {
+      const { delegationId } = delegations.appointDelegate(CHILD, PARENT, { relationship: 'guardian' });
+
+      const { consentId } = consents.grantConsent(CHILD, CLINICIAN, 'Treatment', { grantedBy: PARENT });
+      blockchain.minePendingTransactions();
+      consents.revokeConsent(consentId, { revokedBy: PARENT, reason: 'Second opinion' });
+      blockchain.minePendingTransactions();
+
+      const [grant, revocation] = consents.getConsentHistory(CHILD);
+      expect(grant).toMatchObject({ action: 'grant', grantedBy: PARENT, delegationId });
+      expect(revocation).toMatchObject({ action: 'revoke', revokedBy: PARENT, delegationId });
+
+      const [revokeTx] = blockchain.searchTransactions({ to: 'consent-contract', 'data.action': 'revoke' });
+      expect(revokeTx.from).toBe(PARENT);
+      expect(revokeTx.data.reason).toBe('Second opinion');
+    });
+
+    test('should refuse consent actions by anyone else', () => {
+      expect(() => consents.grantConsent(CHILD, CLINICIAN, 'Treatment', { grantedBy: AUNT }))
+        .toThrow('Acting party is not the patient or a valid delegate');
+
+      const { consentId } = consents.grantConsent(CHILD, CLINICIAN, 'Treatment');
+      blockchain.minePendingTransactions();
+      expect(() => consents.revokeConsent(consentId, { revokedBy: CLINICIAN }))
+        .toThrow('Acting party is not the patient or a valid delegate');
+    });
+
+    test('should ignore consent changes signed by anyone else', () => {
+      // Transactions that bypass the contract checks, e.g. gossiped by a peer
+      const submitAs = (actorId, prepared) => blockchain.addTransaction(blockchain.signTransaction({ ...prepared, from: actorId }));
+
+      submitAs(AUNT, consents.prepareGrant(CHILD, CLINICIAN, 'Treatment'));
+      expect(consents.findValidConsent(CHILD, CLINICIAN, 'Treatment')).toBeNull();
+      expect(consents.getConsentHistory(CHILD)).toEqual([]);
+
+      const { consentId } = consents.grantConsent(CHILD, CLINICIAN, 'Treatment');
+      blockchain.minePendingTransactions();
+      submitAs(CLINICIAN, consents.prepareRevocation(consentId));
+      blockchain.minePendingTransactions();
+
+      expect(consents.getConsentById(consentId).isRevoked).toBe(false);
+      expect(consents.findValidConsent(CHILD, CLINICIAN, 'Treatment').consentId).toBe(consentId);
+    });
+
+    test('should keep what a delegate did after the delegation is revoked', () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+      try {
+        const { delegationId } = delegations.appointDelegate(CHILD, PARENT, { relationship: 'guardian' });
+        const { consentId: revokedId } = consents.grantConsent(CHILD, CLINICIAN, 'Treatment');
+        const { consentId: grantedId } = consents.grantConsent(CHILD, CLINICIAN, 'Data Access', { grantedBy: PARENT });
+        blockchain.minePendingTransactions();
+
+        jest.setSystemTime(new Date('2024-03-02T10:00:00Z'));
+        consents.revokeConsent(revokedId, { revokedBy: PARENT });
+        blockchain.minePendingTransactions();
+        const timeline = consents.getConsentTimeline(CHILD);
+
+        jest.setSystemTime(new Date('2024-03-03T10:00:00Z'));
+        delegations.revokeDelegation(delegationId);
+        blockchain.minePendingTransactions();
+
+        expect(consents.getConsentById(revokedId).isRevoked).toBe(true);
+        expect(consents.findValidConsent(CHILD, CLINICIAN, 'Treatment')).toBeNull();
+        expect(consents.findValidConsent(CHILD, CLINICIAN, 'Data Access').consentId).toBe(grantedId);
+        expect(consents.getConsentTimeline(CHILD)).toEqual(timeline);
+        expect(() => consents.revokeConsent(grantedId, { revokedBy: PARENT }))
+          .toThrow('Acting party is not the patient or a valid delegate');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should ignore changes signed by a delegate before or after the delegation', () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+      try {
+        const { delegationId } = delegations.appointDelegate(CHILD, PARENT, { relationship: 'guardian' });
+        jest.setSystemTime(new Date('2024-03-02T10:00:00Z'));
+        delegations.revokeDelegation(delegationId);
+
+        jest.setSystemTime(new Date('2024-03-03T10:00:00Z'));
+        blockchain.addTransaction(blockchain.signTransaction({
+          ...consents.prepareGrant(CHILD, CLINICIAN, 'Treatment'),
+          from: PARENT
+        }));
+
+        expect(consents.findValidConsent(CHILD, CLINICIAN, 'Treatment')).toBeNull();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('getDelegations', () => {
+    test('should list delegations by patient or by delegate', () => {
+      delegations.appointDelegate(CHILD, PARENT, { relationship: 'guardian' });
+      delegations.appointDelegate(AUNT, PARENT, { relationship: 'healthcare-proxy' });
+
+      expect(delegations.getDelegations({ patientId: CHILD })).toHaveLength(1);
+      expect(delegations.getDelegations({ delegateId: PARENT }).map(d => d.patientId)).toEqual([CHILD, AUNT]);
+    });
+  });
+});
@@ -143,9 +143,78 @@ describe('Consent Controller API', () => {
       expect(response.status).toBe(201);
       expect(response.body.data.expiresAt).toBe(expiresAt);
     });
+
+    test('should store the consent scope', async () => {
+      const scope = { recordTypes: ['Lab Result'], dateRange: { from: '2024-01-01', to: '2024-12-31' } };
+      const response = await request(app)
+        .post('/api/consent/grant')
+        .send({
+          patientId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+          clinicianId: 'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+          consentType: 'Data Access',
+          scope
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.scope).toEqual(scope);
+    });
+
+    test('should return 400 for an invalid scope', async () => {
+      const response = await request(app)
+        .post('/api/consent/grant')
+        .send({
+          patientId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+          clinicianId: 'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+          consentType: 'Data Access',
+          scope: { fields: ['ssn'] }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain('Invalid consent scope');
+    });
   });
 
 
+  describe('POST /api/consent/bulk/grant and /bulk/revoke', () => {
+    const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+    const CLINICIAN_ID = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+    test('should apply a valid batch and return per-item results', async () => {
+      const grant = await request(app)
+        .post('/api/consent/bulk/grant')
+        .send({ items: ['Data Access', 'Treatment'].map(consentType => ({ patientId: PATIENT_ID, clinicianId: CLINICIAN_ID, consentType })) });
+
+      expect(grant.status).toBe(201);
+      expect(grant.body.data).toMatchObject({ applied: true, count: 2, failed: 0 });
+      blockchain.minePendingTransactions();
+      expect(blockchain.getLatestBlock().transactions).toHaveLength(2);
+
+      const revoke = await request(app)
+        .post('/api/consent/bulk/revoke')
+        .send({ items: grant.body.data.results.map(item => ({ consentId: item.consentId })) });
+
+      expect(revoke.status).toBe(200);
+      expect(revoke.body.data.results.map(item => item.status)).toEqual(['revoked', 'revoked']);
+    });
+
+    test('should reject the whole batch with the failing items', async () => {
+      const response = await request(app)
+        .post('/api/consent/bulk/grant')
+        .send({ items: [
+          { patientId: PATIENT_ID, clinicianId: CLINICIAN_ID, consentType: 'Data Access' },
+          { patientId: PATIENT_ID, clinicianId: 'not-a-uuid', consentType: 'Data Access' }
+        ] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe('Batch rejected: 1 of 2 items are invalid');
+      expect(response.body.data.results[1]).toEqual({ index: 1, status: 'invalid', error: 'Invalid clinician ID format' });
+      expect(blockchain.pendingTransactions).toHaveLength(0);
+
+      const empty = await request(app).post('/api/consent/bulk/revoke').send({});
+      expect(empty.status).toBe(400);
+    });
+  });
+
   describe('GET /api/consent/check/:patientId/:clinicianId/:type', () => {
     beforeEach(async () => {
       await request(app)
@@ -186,6 +255,105 @@ describe('Consent Controller API', () => {
 
       expect(response.status).toBe(400);
     });
+
+    test('should check consent at a point in time', async () => {
+      const path = '/api/consent/check/a73a623f-4a1d-417d-a29a-aeb45a7beb11/a36fa4fb-c57a-428c-afb0-4157d58b3e65/Data%20Access';
+
+      const beforeGrant = await request(app).get(path).query({ atBlock: 1 });
+      const afterGrant = await request(app).get(path).query({ atBlock: 2 });
+      const badDate = await request(app).get(path).query({ asOf: 'not-a-date' });
+      const unknownBlock = await request(app).get(path).query({ atBlock: 50 });
+
+      expect(beforeGrant.body.data).toMatchObject({ hasConsent: false, atBlock: 1 });
+      expect(afterGrant.body.data.hasConsent).toBe(true);
+      expect(badDate.status).toBe(400);
+      expect(unknownBlock.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/consent/amend and /renew', () => {
+    let consentId;
+
+    beforeEach(async () => {
+      const grant = await request(app)
+        .post('/api/consent/grant')
+        .send({
+          patientId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+          clinicianId: 'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+          consentType: 'Data Access',
+          expiresAt: '2098-01-01T00:00:00Z'
+        });
+      consentId = grant.body.data.consentId;
+      blockchain.minePendingTransactions();
+    });
+
+    test('should amend a consent keeping its consentId', async () => {
+      const response = await request(app)
+        .post('/api/consent/amend')
+        .send({ consentId, expiresAt: '2097-01-01T00:00:00Z' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.consentId).toBe(consentId);
+      expect(response.body.data.changes.expiresAt.current).toBe('2097-01-01T00:00:00.000Z');
+    });
+
+    test('should return 409 when an extension is not confirmed', async () => {
+      const amend = await request(app).post('/api/consent/amend').send({ consentId, expiresAt: '2099-01-01T00:00:00Z' });
+      const renew = await request(app).post('/api/consent/renew').send({ consentId, expiresAt: '2099-01-01T00:00:00Z' });
+      const confirmed = await request(app)
+        .post('/api/consent/renew')
+        .send({ consentId, expiresAt: '2099-01-01T00:00:00Z', confirmed: true });
+
+      expect(amend.status).toBe(409);
+      expect(renew.status).toBe(409);
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.body.data.expiresAt).toBe('2099-01-01T00:00:00.000Z');
+    });
+
+    test('should return 400 for empty amendments and 404 for unknown consents', async () => {
+      const empty = await request(app).post('/api/consent/amend').send({ consentId });
+      const missing = await request(app).post('/api/consent/renew').send({});
+      const unknown = await request(app)
+        .post('/api/consent/renew')
+        .send({ consentId: 'c47c623f-4a1d-417d-a29a-aeb45a7beb12', confirmed: true });
+
+      expect(empty.status).toBe(400);
+      expect(missing.status).toBe(400);
+      expect(unknown.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/consent/timeline/:patientId', () => {
+    test('should return the state transitions of the patient\'s consents', async () => {
+      const grant = await request(app)
+        .post('/api/consent/grant')
+        .send({
+          patientId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+          clinicianId: 'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+          consentType: 'Data Access'
+        });
+      blockchain.minePendingTransactions();
+      await request(app).post('/api/consent/revoke').send({ consentId: grant.body.data.consentId });
+      blockchain.minePendingTransactions();
+
+      const response = await request(app)
+        .get('/api/consent/timeline/a73a623f-4a1d-417d-a29a-aeb45a7beb11')
+        .query({ clinicianId: 'a36fa4fb-c57a-428c-afb0-4157d58b3e65' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(1);
+      expect(response.body.data.timelines[0]).toMatchObject({
+        consentType: 'Data Access',
+        currentState: 'revoked'
+      });
+      expect(response.body.data.timelines[0].transitions.map(transition => transition.state)).toEqual(['active', 'revoked']);
+    });
+
+    test('should return 404 for an unknown patient', async () => {
+      const response = await request(app).get('/api/consent/timeline/c47c623f-4a1d-417d-a29a-aeb45a7beb12');
+
+      expect(response.status).toBe(404);
+    });
   });
 
   describe('GET /api/consent/history/:patientId', () => {
@@ -248,5 +416,87 @@ describe('Consent Controller API', () => {
     });
 
   });
+
+  describe('Delegations', () => {
+    const CHILD = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+    const GUARDIAN = '4766f152-cc9b-47d0-9519-7c1a5f2e52be';
+    const CLINICIAN = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+    beforeEach(() => {
+      patientContract.registerPatient({ id: GUARDIAN, firstName: 'Test', lastName: 'Guardian' });
+      blockchain.minePendingTransactions();
+    });
+
+    const appoint = (body = {}) => request(app)
+      .post('/api/consent/delegations')
+      .send({ patientId: CHILD, delegateId: GUARDIAN, relationship: 'guardian', ...body });
+
+    test('should appoint a delegate', async () => {
+      const response = await appoint({ canDelegate: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ patientId: CHILD, delegateId: GUARDIAN, appointedBy: CHILD, canDelegate: true });
+      expect(response.body.data).toHaveProperty('delegationId');
+    });
+
+    test('should validate the appointment', async () => {
+      const missing = await request(app).post('/api/consent/delegations').send({ patientId: CHILD });
+      const relationship = await appoint({ relationship: 'friend' });
+      const unknown = await appoint({ delegateId: 'c58ec6fd-e79f-4a0e-8d12-6379f7af5a87' });
+
+      expect(missing.status).toBe(400);
+      expect(relationship.status).toBe(400);
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error.message).toBe('Delegate not found');
+    });
+
+    test('should let the delegate grant and revoke consent for the patient', async () => {
+      const { delegationId } = (await appoint()).body.data;
+
+      const grant = await request(app)
+        .post('/api/consent/grant')
+        .send({ patientId: CHILD, clinicianId: CLINICIAN, consentType: 'Treatment', grantedBy: GUARDIAN });
+      blockchain.minePendingTransactions();
+      const revoke = await request(app)
+        .post('/api/consent/revoke')
+        .send({ consentId: grant.body.data.consentId, revokedBy: GUARDIAN });
+
+      expect(grant.status).toBe(201);
+      expect(grant.body.data.grantedBy).toBe(GUARDIAN);
+      expect(revoke.status).toBe(200);
+      expect(revoke.body.data.revokedBy).toBe(GUARDIAN);
+
+      blockchain.minePendingTransactions();
+      const history = await request(app).get(`/api/consent/history/${CHILD}`);
+      expect(history.body.data.history.map(entry => entry.delegationId)).toEqual([delegationId, delegationId]);
+    });
+
+    test('should refuse consent actions by a party that is not a delegate', async () => {
+      const response = await request(app)
+        .post('/api/consent/grant')
+        .send({ patientId: CHILD, clinicianId: CLINICIAN, consentType: 'Treatment', grantedBy: GUARDIAN });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should list, chain and revoke delegations', async () => {
+      const { delegationId } = (await appoint()).body.data;
+
+      const list = await request(app).get('/api/consent/delegations').query({ delegateId: GUARDIAN });
+      const chain = await request(app).get(`/api/consent/delegations/${delegationId}/chain`);
+      const revoke = await request(app)
+        .post(`/api/consent/delegations/${delegationId}/revoke`)
+        .send({ reason: 'No longer guardian' });
+      const again = await request(app).post(`/api/consent/delegations/${delegationId}/revoke`).send({});
+      const unfiltered = await request(app).get('/api/consent/delegations');
+
+      expect(list.body.data.count).toBe(1);
+      expect(chain.body.data).toMatchObject({ depth: 1, isValid: true });
+      expect(revoke.status).toBe(200);
+      expect(revoke.body.data.revokedBy).toBe(CHILD);
+      expect(again.status).toBe(409);
+      expect(unfiltered.status).toBe(400);
+    });
+  });
 });
 
@@ -6,6 +6,9 @@ const ConsentService = require('../../../features/consent-management/consentServ
 const Blockchain = require('../../../core/Blockchain.js');
 const PatientContract = require('../../../features/data-storage/PatientContract.js');
 const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const AIModelContract = require('../../../features/data-storage/AIModelContract.js');
+const OrganizationContract = require('../../../features/data-storage/OrganizationContract.js');
+const ResearchStudyContract = require('../../../features/data-storage/ResearchStudyContract.js');
 
 describe('ConsentService', () => {
   let blockchain;
@@ -96,6 +99,23 @@ describe('ConsentService', () => {
       expect(revokeResult.action).toBe('revoke');
     });
 
+    test('should revoke a consent that is not mined yet', async () => {
+      const { consentId } = await service.grantConsent('a73a623f-4a1d-417d-a29a-aeb45a7beb11', 'a36fa4fb-c57a-428c-afb0-4157d58b3e65', 'Data Access');
+
+      const revokeResult = await service.revokeConsent(consentId);
+
+      expect(revokeResult.action).toBe('revoke');
+    });
+
+    test('should not revoke a consent twice before the revocation is mined', async () => {
+      const { consentId } = await service.grantConsent('a73a623f-4a1d-417d-a29a-aeb45a7beb11', 'a36fa4fb-c57a-428c-afb0-4157d58b3e65', 'Data Access');
+      blockchain.minePendingTransactions();
+      await service.revokeConsent(consentId);
+
+      await expect(service.revokeConsent(consentId)).rejects.toThrow('already been revoked');
+      expect(blockchain.pendingTransactions.filter(tx => tx.data.action === 'revoke')).toHaveLength(1);
+    });
+
     test('should throw error for non-existent consent', async () => {
       await expect(
         service.revokeConsent('a73a623f-4a1d-417d-a29a-aeb45a7beb11', 'a73a623f-4a1d-417d-a29a-aeb45a7beb11')
@@ -121,6 +141,335 @@ describe('ConsentService', () => {
     });
   });
 
+  describe('grantees', () => {
+    const PATIENT = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+    const CLINICIAN = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+    const OTHER_CLINICIAN = 'f1d2c3b4-a596-4877-8899-aabbccddeeff';
+    const MODEL = 'c58ec6fd-e79f-4a0e-8d12-6379f7af5a87';
+    const HOSPITAL = 'd2b1f4a8-6c3e-4f7a-9b1d-2e5c8a7f6b90';
+    const STUDY = 'e7a9c1d3-5b2f-4e8a-a6c4-9d1b3f5e7a20';
+
+    beforeEach(() => {
+      new AIModelContract(blockchain).registerAIModel({ id: MODEL, name: 'Imaging Model' });
+      new OrganizationContract(blockchain).registerOrganization({ id: HOSPITAL, name: 'General Hospital' });
+      new ResearchStudyContract(blockchain).registerStudy({
+        id: STUDY,
+        title: 'Cardiac Outcomes',
+        purposes: ['Research'],
+        dataCategories: ['Lab Result']
+      });
+      clinicianContract.registerClinician({ id: OTHER_CLINICIAN, firstName: 'Other', lastName: 'Clinician' });
+      clinicianContract.updateClinician(CLINICIAN, { organizationId: HOSPITAL });
+    });
+
+    test('should let an AI model analyse only the records in scope', async () => {
+      const result = await service.grantConsent(PATIENT, MODEL, 'AI Analysis', {
+        granteeType: 'ai-model',
+        purpose: 'Diagnosis',
+        scope: { recordTypes: ['Imaging'] }
+      });
+
+      expect(result).toMatchObject({ granteeId: MODEL, granteeType: 'ai-model' });
+      expect(service.contract.getConsentById(result.consentId).granteeType).toBe('ai-model');
+
+      const imaging = { id: 'r1', patientId: PATIENT, recordType: 'Imaging' };
+      const lab = { id: 'r2', patientId: PATIENT, recordType: 'Lab Result' };
+      const options = { consentType: 'AI Analysis', purpose: 'Diagnosis' };
+      expect(service.contract.evaluateAccess(MODEL, imaging, options).granted).toBe(true);
+      expect(service.contract.evaluateAccess(MODEL, lab, options).granted).toBe(false);
+    });
+
+    test('should validate the grantee against its own registry', async () => {
+      await expect(service.grantConsent(PATIENT, CLINICIAN, 'AI Analysis', { granteeType: 'ai-model' }))
+        .rejects.toThrow('AI Model not found');
+      await expect(service.grantConsent(PATIENT, MODEL, 'Data Access', { granteeType: 'ai-model' }))
+        .rejects.toThrow('Invalid consent type for grantee type ai-model');
+      await expect(service.grantConsent(PATIENT, STUDY, 'Treatment', { granteeType: 'research-study' }))
+        .rejects.toThrow('Invalid consent type for grantee type research-study');
+      await expect(service.grantConsent(PATIENT, MODEL, 'AI Analysis'))
+        .rejects.toThrow('Clinician not found');
+      await expect(service.grantConsent(PATIENT, HOSPITAL, 'Data Access', { granteeType: 'insurer' }))
+        .rejects.toThrow('Invalid grantee type');
+
+      new OrganizationContract(blockchain).deactivateOrganization(HOSPITAL);
+      await expect(service.grantConsent(PATIENT, HOSPITAL, 'Data Access', { granteeType: 'organization' }))
+        .rejects.toThrow('Organization has been deactivated');
+
+      const study = await service.grantConsent(PATIENT, STUDY, 'Research', { granteeType: 'research-study' });
+      expect(study.granteeType).toBe('research-study');
+    });
+
+    test('should cover the active clinicians of an organization', async () => {
+      const { consentId } = await service.grantConsent(PATIENT, HOSPITAL, 'Data Access', { granteeType: 'organization' });
+
+      const member = await service.checkConsent(PATIENT, CLINICIAN, 'Data Access');
+      const outsider = await service.checkConsent(PATIENT, OTHER_CLINICIAN, 'Data Access');
+
+      expect(member).toMatchObject({ hasConsent: true, consentId, organizationId: HOSPITAL });
+      expect(outsider.hasConsent).toBe(false);
+
+      // A consent of the clinician's own is still possible and takes precedence
+      const own = await service.grantConsent(PATIENT, CLINICIAN, 'Data Access');
+      expect((await service.checkConsent(PATIENT, CLINICIAN, 'Data Access')).consentId).toBe(own.consentId);
+
+      clinicianContract.deactivateClinician(OTHER_CLINICIAN);
+      clinicianContract.updateClinician(OTHER_CLINICIAN, { organizationId: HOSPITAL });
+      expect((await service.checkConsent(PATIENT, OTHER_CLINICIAN, 'Data Access')).hasConsent).toBe(false);
+    });
+
+    test('should stop covering clinicians once the organization consent ends', async () => {
+      const { consentId } = await service.grantConsent(PATIENT, HOSPITAL, 'Data Access', { granteeType: 'organization' });
+      blockchain.minePendingTransactions();
+      await service.revokeConsent(consentId);
+      blockchain.minePendingTransactions();
+
+      expect((await service.checkConsent(PATIENT, CLINICIAN, 'Data Access')).hasConsent).toBe(false);
+    });
+  });
+
+  describe('bulk operations', () => {
+    const PATIENT = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+    const CLINICIANS = [
+      'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+      'f1d2c3b4-a596-4877-8899-aabbccddeeff',
+      'b8e2d4f6-1a3c-4e5b-9d7f-0c2e4a6b8d10'
+    ];
+
+    beforeEach(() => {
+      CLINICIANS.slice(1).forEach(id => clinicianContract.registerClinician({ id, firstName: 'Bulk', lastName: id }));
+      blockchain.minePendingTransactions();
+    });
+
+    test('should grant a batch as one set of pending transactions', async () => {
+      const items = CLINICIANS.map(clinicianId => ({ patientId: PATIENT, clinicianId, consentType: 'Data Access' }));
+
+      const result = await service.bulkGrant(items);
+
+      expect(result).toMatchObject({ applied: true, count: 3, failed: 0 });
+      expect(result.results.map(item => item.status)).toEqual(['granted', 'granted', 'granted']);
+      expect(blockchain.pendingTransactions.map(tx => tx.data.batch))
+        .toEqual(Array(3).fill({ batchId: result.batchId, size: 3 }));
+      expect((await service.checkConsent(PATIENT, CLINICIANS[2], 'Data Access')).consentId)
+        .toBe(result.results[2].consentId);
+    });
+
+    test('should grant nothing when any item is invalid', async () => {
+      await service.grantConsent(PATIENT, CLINICIANS[0], 'Data Access');
+      const pending = blockchain.pendingTransactions.length;
+
+      const result = await service.bulkGrant([
+        { patientId: PATIENT, clinicianId: CLINICIANS[1], consentType: 'Data Access' },
+        { patientId: PATIENT, clinicianId: CLINICIANS[0], consentType: 'Data Access' },
+        { patientId: PATIENT, clinicianId: CLINICIANS[1], consentType: 'Data Access' },
+        { patientId: PATIENT, clinicianId: CLINICIANS[2], consentType: 'Marketing' }
+      ]);
+
+      expect(result).toMatchObject({ applied: false, batchId: null, count: 4, failed: 3 });
+      expect(result.results[0]).toEqual({ index: 0, status: 'skipped' });
+      expect(result.results[1].error).toMatch('Active consent already exists');
+      expect(result.results[2].error).toBe('Duplicate of an earlier item in the batch');
+      expect(result.results[3].error).toMatch('Invalid consent type');
+      expect(blockchain.pendingTransactions).toHaveLength(pending);
+      await expect(service.bulkGrant([])).rejects.toThrow('items must be a non-empty array');
+    });
+
+    test('should revoke a batch all or none', async () => {
+      const { results } = await service.bulkGrant(CLINICIANS.map(clinicianId => ({
+        patientId: PATIENT, clinicianId, consentType: 'Treatment'
+      })));
+      blockchain.minePendingTransactions();
+      const consentIds = results.map(item => item.consentId);
+
+      const rejected = await service.bulkRevoke([{ consentId: consentIds[0] }, { consentId: PATIENT }]);
+      expect(rejected.results.map(item => item.status)).toEqual(['skipped', 'invalid']);
+      expect(blockchain.pendingTransactions).toHaveLength(0);
+
+      const revoked = await service.bulkRevoke(consentIds.map(consentId => ({ consentId, reason: 'Clinic closed' })));
+      expect(revoked.applied).toBe(true);
+      expect(revoked.results.every(item => item.status === 'revoked' && item.revokedBy === PATIENT)).toBe(true);
+      blockchain.minePendingTransactions();
+      expect((await service.checkConsent(PATIENT, CLINICIANS[1], 'Treatment')).hasConsent).toBe(false);
+    });
+  });
+
+  describe('amendConsent and renewConsent', () => {
+    const PATIENT = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+    const CLINICIAN = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should shorten and narrow a consent without confirmation, keeping its ID', async () => {
+      const { consentId } = await service.grantConsent(PATIENT, CLINICIAN, 'Data Access', {
+        expiresAt: '2099-01-01T00:00:00Z',
+        scope: { recordTypes: ['Lab Result', 'Imaging'] }
+      });
+      blockchain.minePendingTransactions();
+
+      const result = await service.amendConsent(consentId, {
+        expiresAt: '2098-01-01T00:00:00Z',
+        scope: { recordTypes: ['Lab Result'] },
+        reason: 'Only labs'
+      });
+      blockchain.minePendingTransactions();
+
+      expect(result.changes).toEqual({
+        expiresAt: { previous: '2099-01-01T00:00:00.000Z', current: '2098-01-01T00:00:00.000Z' },
+        scope: { previous: { recordTypes: ['Lab Result', 'Imaging'] }, current: { recordTypes: ['Lab Result'] } }
+      });
+
+      const consent = service.contract.getConsentById(consentId);
+      expect(consent).toMatchObject({ expiresAt: '2098-01-01T00:00:00.000Z', amendmentCount: 1, isValid: true });
+      expect(consent.scope).toEqual({ recordTypes: ['Lab Result'] });
+
+      const { activeConsents } = await service.getActiveConsents(PATIENT);
+      expect(activeConsents).toHaveLength(1);
+      expect(activeConsents[0]).toMatchObject({ consentId, expiresAt: '2098-01-01T00:00:00.000Z', amendmentCount: 1 });
+
+      const { history } = await service.getConsentHistory(PATIENT);
+      expect(history.map(record => record.action)).toEqual(['grant', 'amend']);
+      expect(history[1].changes.expiresAt.previous).toBe('2099-01-01T00:00:00.000Z');
+    });
+
+    test('should not extend access without confirmation', async () => {
+      const { consentId } = await service.grantConsent(PATIENT, CLINICIAN, 'Data Access', {
+        expiresAt: '2098-01-01T00:00:00Z',
+        scope: { fields: ['diagnosis'] }
+      });
+
+      await expect(service.amendConsent(consentId, { expiresAt: '2099-01-01T00:00:00Z' }))
+        .rejects.toThrow('requires confirmation');
+      await expect(service.amendConsent(consentId, { scope: null }))
+        .rejects.toThrow('requires confirmation');
+      await expect(service.amendConsent(consentId, { purpose: 'Research' }))
+        .rejects.toThrow('requires confirmation');
+      await expect(service.renewConsent(consentId, { expiresAt: '2099-01-01T00:00:00Z' }))
+        .rejects.toThrow('requires confirmation');
+
+      await service.amendConsent(consentId, { purpose: 'Research', confirmed: true });
+      expect(service.contract.getConsentById(consentId).purpose).toBe('Research');
+    });
+
+    test('should validate amendments and renewals', async () => {
+      const { consentId } = await service.grantConsent(PATIENT, CLINICIAN, 'Data Access', { expiresAt: '2098-01-01T00:00:00Z' });
+
+      await expect(service.amendConsent(consentId, { purpose: 'Treatment' })).rejects.toThrow('must change');
+      await expect(service.amendConsent(consentId, { expiresAt: '2000-01-01T00:00:00Z' })).rejects.toThrow('in the future');
+      await expect(service.renewConsent(consentId, { expiresAt: '2097-01-01T00:00:00Z', confirmed: true }))
+        .rejects.toThrow('Renewal must extend');
+      await expect(service.amendConsent('c47c623f-4a1d-417d-a29a-aeb45a7beb12', { purpose: 'Research' }))
+        .rejects.toThrow('not found');
+
+      blockchain.minePendingTransactions();
+      await service.revokeConsent(consentId);
+      blockchain.minePendingTransactions();
+
+      await expect(service.renewConsent(consentId, { confirmed: true })).rejects.toThrow('already been revoked');
+    });
+
+    test('should renew an expired consent under the same ID', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+      const { consentId } = await service.grantConsent(PATIENT, CLINICIAN, 'Data Access', { expiresAt: '2024-04-01T00:00:00Z' });
+      blockchain.minePendingTransactions();
+
+      jest.setSystemTime(new Date('2024-04-10T10:00:00Z'));
+      expect((await service.checkConsent(PATIENT, CLINICIAN, 'Data Access')).hasConsent).toBe(false);
+      await expect(service.amendConsent(consentId, { purpose: 'Research', confirmed: true })).rejects.toThrow('renew it instead');
+
+      const renewal = await service.renewConsent(consentId, { expiresAt: '2025-04-01T00:00:00Z', confirmed: true });
+      blockchain.minePendingTransactions();
+
+      expect(renewal).toMatchObject({ consentId, expiresAt: '2025-04-01T00:00:00.000Z', renewedBy: PATIENT });
+      expect((await service.checkConsent(PATIENT, CLINICIAN, 'Data Access')).hasConsent).toBe(true);
+      expect((await service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { asOf: '2024-04-05T00:00:00Z' })).hasConsent)
+        .toBe(false);
+
+      const { timelines } = await service.getConsentTimeline(PATIENT);
+      expect(timelines[0].transitions.map(({ state, action }) => [state, action])).toEqual([
+        ['active', 'grant'],
+        ['expired', 'expire'],
+        ['active', 'renew']
+      ]);
+      expect(timelines[0].currentState).toBe('active');
+    });
+  });
+
+  describe('point-in-time checks', () => {
+    const PATIENT = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+    const CLINICIAN = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should answer whether consent was valid at a date or block', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+      const { consentId } = await service.grantConsent(PATIENT, CLINICIAN, 'Data Access');
+      const grantBlock = blockchain.minePendingTransactions().index;
+
+      jest.setSystemTime(new Date('2024-03-10T10:00:00Z'));
+      await service.revokeConsent(consentId);
+      blockchain.minePendingTransactions();
+
+      const before = await service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { asOf: '2024-02-01T00:00:00Z' });
+      const during = await service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { asOf: '2024-03-05T00:00:00Z' });
+      const after = await service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { asOf: '2024-03-11T00:00:00Z' });
+      const atBlock = await service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { atBlock: grantBlock });
+
+      expect(before.hasConsent).toBe(false);
+      expect(during).toMatchObject({ hasConsent: true, consentId, asOf: '2024-03-05T00:00:00.000Z' });
+      expect(after.hasConsent).toBe(false);
+      expect(atBlock).toMatchObject({ hasConsent: true, atBlock: grantBlock });
+    });
+
+    test('should treat a consent as invalid after it expired', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+      await service.grantConsent(PATIENT, CLINICIAN, 'Data Access', { expiresAt: '2024-04-01T00:00:00Z' });
+      blockchain.minePendingTransactions();
+
+      const valid = await service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { asOf: '2024-03-31T00:00:00Z' });
+      const expired = await service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { asOf: '2024-04-02T00:00:00Z' });
+
+      expect(valid.hasConsent).toBe(true);
+      expect(expired.hasConsent).toBe(false);
+    });
+
+    test('should reject bad points in time', async () => {
+      await expect(service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { asOf: 'yesterday' }))
+        .rejects.toThrow('Invalid as-of date format');
+      await expect(service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { atBlock: '-1' }))
+        .rejects.toThrow('Invalid block number');
+      await expect(service.checkConsent(PATIENT, CLINICIAN, 'Data Access', { atBlock: 99 }))
+        .rejects.toThrow('Block 99 not found');
+    });
+
+    test('should list state transitions per clinician and consent type', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+      const first = await service.grantConsent(PATIENT, CLINICIAN, 'Data Access', { expiresAt: '2024-03-05T00:00:00Z' });
+      blockchain.minePendingTransactions();
+
+      jest.setSystemTime(new Date('2024-03-10T10:00:00Z'));
+      const second = await service.grantConsent(PATIENT, CLINICIAN, 'Data Access');
+      blockchain.minePendingTransactions();
+      await service.revokeConsent(second.consentId, { reason: 'Changed provider' });
+      blockchain.minePendingTransactions();
+
+      const result = await service.getConsentTimeline(PATIENT);
+
+      expect(result.count).toBe(1);
+      expect(result.timelines[0].currentState).toBe('revoked');
+      expect(result.timelines[0].transitions.map(({ state, consentId }) => [state, consentId])).toEqual([
+        ['active', first.consentId],
+        ['expired', first.consentId],
+        ['active', second.consentId],
+        ['revoked', second.consentId]
+      ]);
+      expect(result.timelines[0].transitions[3].reason).toBe('Changed provider');
+      expect(result.timelines[0].transitions[1].blockIndex).toBeNull();
+    });
+  });
+
   describe('getConsentHistory', () => {
     test('should return consent history', async () => {
       await service.grantConsent('a73a623f-4a1d-417d-a29a-aeb45a7beb11', 'a36fa4fb-c57a-428c-afb0-4157d58b3e65', 'Data Access');
@@ -149,6 +498,25 @@ describe('ConsentService', () => {
       expect(result).toHaveProperty('activeConsents');
       expect(result.activeConsents.length).toBeGreaterThan(0);
     });
+
+    test('should count pending grants, amendments and revocations like getConsentById', async () => {
+      const patientId = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+      const clinicianId = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+      const { consentId } = await service.grantConsent(patientId, clinicianId, 'Data Access', { purpose: 'Treatment' });
+      await service.amendConsent(consentId, { purpose: 'Research', confirmed: true });
+
+      const { activeConsents } = await service.getActiveConsents(patientId);
+      expect(activeConsents).toHaveLength(1);
+      expect(activeConsents[0]).toMatchObject({ consentId, purpose: 'Research', amendmentCount: 1, blockIndex: null });
+      expect(service.contract.getConsentById(consentId)).toMatchObject({ purpose: 'Research', isValid: true });
+
+      await service.revokeConsent(consentId);
+
+      expect((await service.getActiveConsents(patientId)).activeConsents).toHaveLength(0);
+      expect(service.contract.getConsentById(consentId)).toMatchObject({ isRevoked: true, isValid: false });
+      expect((await service.checkConsent(patientId, clinicianId, 'Data Access')).hasConsent).toBe(false);
+      await expect(service.renewConsent(consentId, { confirmed: true })).rejects.toThrow('already been revoked');
+    });
   });
 });
 
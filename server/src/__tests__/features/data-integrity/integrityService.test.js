@@ -4,6 +4,8 @@
 
 const IntegrityService = require('../../../features/data-integrity/integrityService.js');
 const Blockchain = require('../../../core/Blockchain.js');
+const MerkleTree = require('../../../features/data-integrity/MerkleTree.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
 
 describe('IntegrityService', () => {
   let blockchain;
@@ -176,5 +178,63 @@ describe('IntegrityService', () => {
       ).rejects.toThrow('missing data field');
     });
   });
-});
 
+  describe('onReorg', () => {
+    test('should evict trees whose root was rolled back', async () => {
+      const { root } = await service.createMerkleTree(['record1', 'record2']);
+      const [tx] = blockchain.pendingTransactions;
+      const block = { index: 1, transactions: [tx] };
+
+      expect(service.onReorg({ removedBlocks: [block], addedBlocks: [], requeuedTransactions: [] }))
+        .toEqual([root]);
+      await expect(service.generateProof('record1', root)).rejects.toThrow('Tree not found');
+    });
+
+    test('should keep trees whose root was re-queued or re-mined', async () => {
+      const { root } = await service.createMerkleTree(['record1', 'record2']);
+      const [tx] = blockchain.pendingTransactions;
+      const block = { index: 1, transactions: [tx] };
+
+      expect(service.onReorg({ removedBlocks: [block], addedBlocks: [], requeuedTransactions: [tx] }))
+        .toEqual([]);
+      expect(service.onReorg({ removedBlocks: [block], addedBlocks: [{ ...block }], requeuedTransactions: [] }))
+        .toEqual([]);
+      expect(service.getRecordsByRoot(root)).toEqual(['record1', 'record2']);
+    });
+  });
+
+  describe('onErasure', () => {
+    const records = [
+      { id: 'record-1', patientId: 'patient-1', recordType: 'Lab Result' },
+      { id: 'record-2', patientId: 'patient-2', recordType: 'Imaging' },
+      { id: 'record-3', patientId: 'patient-1', recordType: 'Prescription' }
+    ];
+
+    test('should replace the erased patient\'s records by their leaf hash', async () => {
+      const { root } = await service.createMerkleTree(records);
+      const leafHash = new MerkleTree().hash(records[0]);
+
+      new PatientContract(blockchain).registerPatient({ id: 'patient-1', firstName: 'Ada', lastName: 'Lovelace' });
+      new PatientContract(blockchain).erasePatient('patient-1');
+
+      const cached = service.getRecordsByRoot(root);
+      expect(cached[0]).toEqual({ id: 'record-1', patientId: 'patient-1', erased: true, leafHash });
+      expect(cached[1]).toEqual(records[1]);
+      expect(cached[2].erased).toBe(true);
+    });
+
+    test('should keep proofs verifiable from hashes only', async () => {
+      const { root } = await service.createMerkleTree(records);
+      const leafHash = new MerkleTree().hash(records[2]);
+      const before = await service.generateProof(records[2], root);
+
+      expect(service.onErasure('patient-1')).toEqual([root]);
+      service.treeCache.clear(); // force a rebuild from the redacted cache
+
+      const after = await service.generateProof(leafHash, root);
+      expect(after.proof).toEqual(before.proof);
+      expect(await service.verifyIntegrity(leafHash, before.proof, root)).toBe(true);
+      expect(service.onErasure('patient-1')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Data Storage Contract Tests
+ */
+
+const Blockchain = require('../../../core/Blockchain.js');
+const NodeManager = require('../../../core/NodeManager.js');
+const ConsensusService = require('../../../features/consensus/consensusService.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const AIModelContract = require('../../../features/data-storage/AIModelContract.js');
+const MedicalRecordContract = require('../../../features/data-storage/MedicalRecordContract.js');
+const AuditLogger = require('../../../features/audit-trail/AuditLogger.js');
+
+describe('Data storage contracts', () => {
+  let blockchain;
+  let patients;
+  let clinicians;
+  let aiModels;
+  let records;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+    patients = new PatientContract(blockchain);
+    clinicians = new ClinicianContract(blockchain);
+    aiModels = new AIModelContract(blockchain);
+    records = new MedicalRecordContract(blockchain);
+  });
+
+  const registerAll = () => {
+    patients.registerPatient({ id: 'patient-1', firstName: 'Test', lastName: 'Patient' });
+    clinicians.registerClinician({ id: 'clinician-1', firstName: 'Test', lastName: 'Clinician' });
+    aiModels.registerAIModel({ id: 'model-1', name: 'Test Model' });
+    records.registerMedicalRecord({ id: 'record-1', patientId: 'patient-1', recordType: 'Lab Result' });
+  };
+
+  test('should leave registrations in the pending pool', async () => {
+    await new AuditLogger(blockchain).logDataAccess({
+      actorId: 'clinician-1', resourceId: 'record-1', resourceType: 'medicalRecord', action: 'read', granted: true
+    });
+
+    registerAll();
+
+    expect(blockchain.getChainLength()).toBe(1);
+    expect(blockchain.pendingTransactions.some(tx => tx.to === 'audit-contract')).toBe(true);
+  });
+
+  test('should read pending registrations back immediately', () => {
+    registerAll();
+
+    expect(patients.getPatient('patient-1').firstName).toBe('Test');
+    expect(clinicians.getClinician('clinician-1').lastName).toBe('Clinician');
+    expect(aiModels.getAIModel('model-1').name).toBe('Test Model');
+    expect(records.getMedicalRecord('record-1').recordType).toBe('Lab Result');
+    expect(records.getAllMedicalRecords('patient-1').length).toBe(1);
+    expect(patients.getAllPatients().map(p => p.id)).toEqual(['patient-1']);
+  });
+
+  test('should reject a duplicate registration while the first is pending', () => {
+    registerAll();
+
+    expect(() => patients.registerPatient({ id: 'patient-1', firstName: 'A', lastName: 'B' })).toThrow('already exists');
+    expect(() => aiModels.registerAIModel({ id: 'model-1', name: 'Other' })).toThrow('already exists');
+    expect(() => records.registerMedicalRecord({ id: 'record-1', patientId: 'patient-1' })).toThrow('already exists');
+  });
+
+  test('should commit registrations through consensus', async () => {
+    registerAll();
+    const consensusService = new ConsensusService(blockchain, new NodeManager(blockchain));
+
+    const result = await consensusService.proposePending();
+
+    expect(result.consensusReached).toBe(true);
+    expect(blockchain.getChainLength()).toBe(2);
+    expect(blockchain.pendingTransactions).toEqual([]);
+    expect(patients.getPatient('patient-1').firstName).toBe('Test');
+    expect(records.getAllMedicalRecords().length).toBe(1);
+  });
+
+  describe('versioning', () => {
+    test('should store only the fields that change', () => {
+      registerAll();
+
+      const result = clinicians.updateClinician('clinician-1', { lastName: 'Clinician', specialty: 'Cardiology' }, {
+        changedBy: 'admin-1',
+        reason: 'Board certification'
+      });
+
+      expect(result.version).toBe(2);
+      expect(result.changes).toEqual({ specialty: { from: null, to: 'Cardiology' } });
+      expect(clinicians.getClinician('clinician-1').specialty).toBe('Cardiology');
+    });
+
+    test('should reject immutable fields and empty updates', () => {
+      registerAll();
+
+      expect(() => patients.updatePatient('patient-1', { id: 'patient-2' })).toThrow("Field 'id' cannot be updated");
+      expect(() => records.updateMedicalRecord('record-1', { patientId: 'patient-2' })).toThrow("Field 'patientId' cannot be updated");
+      expect(() => patients.updatePatient('patient-1', { firstName: 'Test' })).toThrow('No changes to apply');
+      expect(() => patients.updatePatient('patient-1', {})).toThrow('Changes must be a non-empty object');
+      expect(() => patients.updatePatient('patient-9', { firstName: 'X' })).toThrow('Patient not found');
+    });
+
+    test('should deactivate and reactivate once', () => {
+      registerAll();
+
+      aiModels.deactivateAIModel('model-1', { reason: 'Retired' });
+
+      expect(aiModels.getAIModel('model-1').isActive).toBe(false);
+      expect(() => aiModels.deactivateAIModel('model-1')).toThrow('AI Model is already deactivated');
+
+      aiModels.reactivateAIModel('model-1');
+
+      expect(aiModels.getAIModel('model-1').isActive).toBe(true);
+      expect(() => aiModels.reactivateAIModel('model-1')).toThrow('AI Model is already active');
+    });
+
+    test('should leave deactivated entities out of active listings', () => {
+      registerAll();
+      clinicians.registerClinician({ id: 'clinician-2', firstName: 'Other', lastName: 'Clinician' });
+
+      clinicians.deactivateClinician('clinician-1');
+
+      expect(clinicians.getAllClinicians().map(c => c.id)).toEqual(['clinician-1', 'clinician-2']);
+      expect(clinicians.getAllClinicians(true).map(c => c.id)).toEqual(['clinician-2']);
+    });
+
+    test('should return every version with its block once committed', async () => {
+      registerAll();
+      patients.updatePatient('patient-1', { email: 'test@example.com' }, { changedBy: 'patient-1' });
+      await new ConsensusService(blockchain, new NodeManager(blockchain)).proposePending();
+      patients.deactivatePatient('patient-1', { reason: 'Moved away' });
+
+      const history = patients.getPatientHistory('patient-1');
+
+      expect(history.map(v => v.action)).toEqual(['register', 'update', 'deactivate']);
+      expect(history[1]).toMatchObject({
+        version: 2,
+        changes: { email: { from: null, to: 'test@example.com' } },
+        changedBy: 'patient-1',
+        blockIndex: 1,
+        pending: false
+      });
+      expect(history[1].record.email).toBe('test@example.com');
+      expect(history[2]).toMatchObject({ reason: 'Moved away', blockIndex: null, pending: true });
+      expect(history[2].record.isActive).toBe(false);
+      expect(() => patients.getPatientHistory('patient-9')).toThrow('Patient not found');
+    });
+  });
+
+  describe('encryption', () => {
+    const chainText = () => JSON.stringify([blockchain.chain, blockchain.pendingTransactions]);
+
+    test('should keep sensitive fields off the chain in plaintext', async () => {
+      patients.registerPatient({ id: 'patient-1', firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', age: 36 });
+      records.registerMedicalRecord({ id: 'record-1', patientId: 'patient-1', recordType: 'Lab Result', diagnosis: 'Hypertension' });
+      patients.updatePatient('patient-1', { email: 'ada@analytical.org' });
+      await new ConsensusService(blockchain, new NodeManager(blockchain)).proposePending();
+
+      for (const secret of ['Ada', 'Lovelace', 'ada@example.com', 'ada@analytical.org', 'Hypertension']) {
+        expect(chainText()).not.toContain(secret);
+      }
+      expect(chainText()).toContain('Lab Result');
+    });
+
+    test('should decrypt patients but return medical records sealed', () => {
+      patients.registerPatient({ id: 'patient-1', firstName: 'Ada', lastName: 'Lovelace' });
+      records.registerMedicalRecord({ id: 'record-1', patientId: 'patient-1', diagnosis: 'Hypertension' });
+
+      const record = records.getMedicalRecord('record-1');
+
+      expect(patients.getPatient('patient-1').firstName).toBe('Ada');
+      expect(record.diagnosis.sealed).toBe('aes-256-gcm');
+      expect(records.decryptRecord(record).diagnosis).toBe('Hypertension');
+    });
+
+    test('should encrypt a patient\'s records with the patient\'s data key', () => {
+      records.registerMedicalRecord({ id: 'record-1', patientId: 'patient-1', diagnosis: 'Hypertension' });
+      blockchain.keyManager.rotateDataKey('patient-1');
+      records.updateMedicalRecord('record-1', { notes: 'Recheck in 3 months' });
+
+      const record = records.getMedicalRecord('record-1');
+
+      expect(record.diagnosis.keyVersion).toBe(1);
+      expect(record.notes.keyVersion).toBe(2);
+      expect(records.decryptRecord(record)).toMatchObject({ diagnosis: 'Hypertension', notes: 'Recheck in 3 months' });
+      expect(() => records.updateMedicalRecord('record-1', { diagnosis: 'Hypertension' })).toThrow('No changes to apply');
+    });
+  });
+
+  describe('erasure', () => {
+    beforeEach(() => {
+      patients.registerPatient({ id: 'patient-1', firstName: 'Ada', lastName: 'Lovelace', age: 36 });
+      records.registerMedicalRecord({ id: 'record-1', patientId: 'patient-1', recordType: 'Lab Result', diagnosis: 'Hypertension' });
+      patients.updatePatient('patient-1', { email: 'ada@example.com' });
+    });
+
+    test('should return tombstones for the patient and their records', () => {
+      const result = patients.erasePatient('patient-1', { changedBy: 'admin-1', reason: 'GDPR request 42' });
+
+      expect(result).toMatchObject({ action: 'erase', version: 3, keyVersionsDestroyed: 1 });
+      expect(patients.getPatient('patient-1')).toEqual({
+        id: 'patient-1', isActive: false, erased: true, erasedAt: expect.any(String)
+      });
+      expect(patients.getAllPatients()).toEqual([patients.getPatient('patient-1')]);
+      expect(records.getMedicalRecord('record-1')).toMatchObject({ id: 'record-1', patientId: 'patient-1', erased: true });
+      expect(records.getMedicalRecord('record-1').recordType).toBeUndefined();
+      expect(records.getAllMedicalRecords('patient-1')[0].erased).toBe(true);
+    });
+
+    test('should reduce the history to actions and blocks', () => {
+      patients.erasePatient('patient-1');
+
+      const history = patients.getPatientHistory('patient-1');
+
+      expect(history.map(v => v.action)).toEqual(['register', 'update', 'erase']);
+      expect(history.every(v => v.changes === null && v.record.erased)).toBe(true);
+      expect(records.getMedicalRecordHistory('record-1')[0].record.erased).toBe(true);
+    });
+
+    test('should refuse further changes', () => {
+      patients.erasePatient('patient-1');
+
+      expect(() => patients.erasePatient('patient-1')).toThrow('Patient has been erased');
+      expect(() => patients.updatePatient('patient-1', { age: 37 })).toThrow('Patient has been erased');
+      expect(() => records.deactivateMedicalRecord('record-1')).toThrow('Medical record has been erased');
+      expect(() => patients.registerPatient({ id: 'patient-1', firstName: 'A', lastName: 'B' })).toThrow('already exists');
+      expect(() => records.registerMedicalRecord({ id: 'record-2', patientId: 'patient-1', diagnosis: 'Flu' }))
+        .toThrow('have been destroyed');
+    });
+
+    test('should leave other patients readable', () => {
+      patients.registerPatient({ id: 'patient-2', firstName: 'Grace', lastName: 'Hopper' });
+
+      patients.erasePatient('patient-1');
+
+      expect(patients.getPatient('patient-2').firstName).toBe('Grace');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Erasure Service Tests
+ */
+
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const MedicalRecordContract = require('../../../features/data-storage/MedicalRecordContract.js');
+const ErasureService = require('../../../features/data-storage/erasureService.js');
+
+describe('ErasureService', () => {
+  let blockchain;
+  let patients;
+  let service;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+    patients = new PatientContract(blockchain);
+    const records = new MedicalRecordContract(blockchain);
+
+    patients.registerPatient({ id: 'patient-1', firstName: 'Ada', lastName: 'Lovelace' });
+    records.registerMedicalRecord({ id: 'record-1', patientId: 'patient-1', diagnosis: 'Hypertension' });
+    records.registerMedicalRecord({ id: 'record-2', patientId: 'patient-1', diagnosis: 'Asthma' });
+
+    service = new ErasureService(blockchain, patients, records);
+  });
+
+  const auditEntries = () => blockchain.pendingTransactions
+    .filter(tx => tx.to === 'audit-contract' && tx.data.type === 'erasure')
+    .map(tx => tx.data);
+
+  test('should shred the patient\'s keys and audit the erasure', async () => {
+    const result = await service.erasePatient('patient-1', { actorId: 'admin-1', reason: 'GDPR request 42' });
+
+    expect(result).toMatchObject({ success: true, action: 'erase', keyVersionsDestroyed: 1, medicalRecordsErased: 2 });
+    expect(blockchain.keyManager.isDestroyed('patient-1')).toBe(true);
+    expect(patients.getPatient('patient-1').erased).toBe(true);
+
+    const [entry] = auditEntries();
+    expect(entry).toMatchObject({
+      actorId: 'admin-1',
+      patientId: 'patient-1',
+      resourceId: 'patient-1',
+      resourceType: 'patient',
+      action: 'erase',
+      reason: 'GDPR request 42',
+      metadata: { transactionId: result.transaction.id, keyVersionsDestroyed: 1, medicalRecordsErased: 2 }
+    });
+    expect(result.auditLogId).toBe(blockchain.pendingTransactions.find(tx => tx.data.type === 'erasure').id);
+  });
+
+  test('should not audit a failed erasure', async () => {
+    await expect(service.erasePatient('patient-9', { actorId: 'admin-1' })).rejects.toThrow('Patient not found');
+    await expect(service.erasePatient('patient-1')).rejects.toThrow('patientId and actorId are required');
+
+    expect(auditEntries()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Registry Controller API Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const AIModelContract = require('../../../features/data-storage/AIModelContract.js');
+const MedicalRecordContract = require('../../../features/data-storage/MedicalRecordContract.js');
+const OrganizationContract = require('../../../features/data-storage/OrganizationContract.js');
+const registryRoutes = require('../../../features/data-storage/registryController.js');
+
+describe('Registry Controller API', () => {
+  let app;
+
+  beforeEach(() => {
+    const blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+
+    const patientContract = new PatientContract(blockchain);
+    const clinicianContract = new ClinicianContract(blockchain);
+    const aiModelContract = new AIModelContract(blockchain);
+    patientContract.registerPatient({ id: 'patient-1', firstName: 'Test', lastName: 'Patient', age: 40 });
+    clinicianContract.registerClinician({ id: 'clinician-1', firstName: 'Test', lastName: 'Clinician', specialty: 'GP' });
+    clinicianContract.registerClinician({ id: 'clinician-2', firstName: 'Other', lastName: 'Clinician', specialty: 'GP' });
+    aiModelContract.registerAIModel({ id: 'model-1', name: 'Test Model', version: '1.0' });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.auth = { actorId: 'admin-1', role: 'admin' };
+      next();
+    });
+    app.locals.blockchain = blockchain;
+    app.locals.patientContract = patientContract;
+    app.locals.clinicianContract = clinicianContract;
+    app.locals.aiModelContract = aiModelContract;
+    app.locals.medicalRecordContract = new MedicalRecordContract(blockchain);
+    app.locals.organizationContract = new OrganizationContract(blockchain);
+    app.use('/api/patients', registryRoutes.patients);
+    app.use('/api/clinicians', registryRoutes.clinicians);
+    app.use('/api/ai-models', registryRoutes.aiModels);
+    app.use('/api/organizations', registryRoutes.organizations);
+  });
+
+  test('should list patients with their status', async () => {
+    const response = await request(app).get('/api/patients');
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.data[0]).toMatchObject({ id: 'patient-1', name: 'Test Patient', age: 40, isActive: true });
+  });
+
+  test('should update a patient and record who changed it', async () => {
+    const response = await request(app)
+      .patch('/api/patients/patient-1')
+      .send({ changes: { age: 41 }, reason: 'Birthday' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.changes).toEqual({ age: { from: 40, to: 41 } });
+
+    const history = await request(app).get('/api/patients/patient-1/history');
+
+    expect(history.body.data.versions[1]).toMatchObject({ action: 'update', changedBy: 'admin-1', reason: 'Birthday' });
+    expect(history.body.data.versions[1].record.age).toBe(41);
+  });
+
+  test('should reject invalid updates', async () => {
+    const immutable = await request(app).patch('/api/patients/patient-1').send({ changes: { isActive: false } });
+    const empty = await request(app).patch('/api/patients/patient-1').send({});
+    const unchanged = await request(app).patch('/api/patients/patient-1').send({ changes: { age: 40 } });
+
+    expect(immutable.status).toBe(400);
+    expect(empty.status).toBe(400);
+    expect(unchanged.status).toBe(400);
+  });
+
+  test('should hide deactivated clinicians until reactivated', async () => {
+    const deactivate = await request(app).post('/api/clinicians/clinician-1/deactivate').send({ reason: 'Suspended' });
+
+    expect(deactivate.status).toBe(200);
+    expect((await request(app).get('/api/clinicians')).body.data.map(c => c.id)).toEqual(['clinician-2']);
+
+    const reactivate = await request(app).post('/api/clinicians/clinician-1/reactivate').send({});
+
+    expect(reactivate.status).toBe(200);
+    expect((await request(app).get('/api/clinicians')).body.count).toBe(2);
+  });
+
+  test('should return 409 for repeated status changes', async () => {
+    const reactivate = await request(app).post('/api/ai-models/model-1/reactivate').send({});
+
+    expect(reactivate.status).toBe(409);
+    expect(reactivate.body.error.message).toBe('AI Model is already active');
+  });
+
+  test('should return 404 for unknown entities', async () => {
+    const update = await request(app).patch('/api/ai-models/model-9').send({ changes: { name: 'X' } });
+    const history = await request(app).get('/api/clinicians/clinician-9/history');
+
+    expect(update.status).toBe(404);
+    expect(history.status).toBe(404);
+  });
+
+  test('should erase a patient and list the tombstone', async () => {
+    const erase = await request(app).post('/api/patients/patient-1/erase').send({ reason: 'GDPR request 42' });
+
+    expect(erase.status).toBe(200);
+    expect(erase.body.data.auditLogId).toBeDefined();
+
+    const list = await request(app).get('/api/patients');
+    expect(list.body.data).toEqual([{ id: 'patient-1', isActive: false, erased: true, erasedAt: expect.any(String) }]);
+
+    const again = await request(app).post('/api/patients/patient-1/erase').send({});
+    const update = await request(app).patch('/api/patients/patient-1').send({ changes: { age: 41 } });
+    expect(again.status).toBe(410);
+    expect(update.status).toBe(410);
+  });
+
+  test('should register organizations and list their active clinicians', async () => {
+    const register = await request(app).post('/api/organizations').send({ name: 'General Hospital', type: 'hospital' });
+    const organizationId = register.body.data.organizationId;
+
+    expect(register.status).toBe(201);
+    expect(organizationId).toMatch(/^[0-9a-f-]{36}$/);
+
+    await request(app).patch('/api/clinicians/clinician-1').send({ changes: { organizationId } });
+    await request(app).patch('/api/clinicians/clinician-2').send({ changes: { organizationId } });
+    await request(app).post('/api/clinicians/clinician-2/deactivate').send({});
+
+    const members = await request(app).get(`/api/organizations/${organizationId}/members`);
+    const list = await request(app).get('/api/organizations');
+    const missingName = await request(app).post('/api/organizations').send({});
+    const unknown = await request(app).get('/api/organizations/unknown/members');
+
+    expect(members.body.data.members).toEqual([{ id: 'clinician-1', name: 'Test Clinician', specialty: 'GP' }]);
+    expect(list.body.data).toEqual([{ id: organizationId, name: 'General Hospital', type: 'hospital', isActive: true }]);
+    expect(missingName.status).toBe(400);
+    expect(unknown.status).toBe(404);
+  });
+});
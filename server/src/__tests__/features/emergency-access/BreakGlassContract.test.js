@@ -0,0 +1,85 @@
+/**
+ * Break-Glass Contract Tests
+ */
+
+const Blockchain = require('../../../core/Blockchain.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const BreakGlassContract = require('../../../features/emergency-access/BreakGlassContract.js');
+
+const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const CLINICIAN_ID = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('BreakGlassContract', () => {
+  let blockchain;
+  let contract;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+    new ClinicianContract(blockchain).registerClinician({ id: CLINICIAN_ID, firstName: 'Test', lastName: 'Clinician' });
+    blockchain.keyStore.generateKeyPair('officer-1', 'privacy-officer');
+    contract = new BreakGlassContract(blockchain);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should give time-limited access right away', () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+
+    const access = contract.breakGlass(CLINICIAN_ID, PATIENT_ID, { justification: 'Unconscious on arrival', durationMinutes: 30 });
+
+    expect(access.expiresAt).toBe('2024-03-01T10:30:00.000Z');
+    expect(contract.findActiveAccess(CLINICIAN_ID, PATIENT_ID).accessId).toBe(access.accessId);
+    expect(contract.findActiveAccess('someone-else', PATIENT_ID)).toBeNull();
+
+    jest.setSystemTime(new Date('2024-03-01T10:31:00Z'));
+    expect(contract.findActiveAccess(CLINICIAN_ID, PATIENT_ID)).toBeNull();
+  });
+
+  test('should require a justification and a bounded duration', () => {
+    expect(() => contract.breakGlass(CLINICIAN_ID, PATIENT_ID, { justification: '  ' })).toThrow('justification are required');
+    expect(() => contract.breakGlass(CLINICIAN_ID, PATIENT_ID, { justification: 'Trauma', durationMinutes: 0 }))
+      .toThrow('Invalid duration');
+    expect(() => contract.breakGlass(CLINICIAN_ID, PATIENT_ID, { justification: 'Trauma', durationMinutes: 24 * 60 }))
+      .toThrow('Invalid duration');
+  });
+
+  test('should open a review that a reviewer closes once', () => {
+    const { reviewId, accessId } = contract.breakGlass(CLINICIAN_ID, PATIENT_ID, { justification: 'Trauma' });
+
+    expect(contract.getReviews({ status: 'open' }).map(review => review.reviewId)).toEqual([reviewId]);
+
+    contract.closeReview(reviewId, { reviewerId: 'officer-1', outcome: 'justified', notes: 'ER admission confirmed' });
+
+    expect(contract.getReview(reviewId)).toMatchObject({
+      accessId,
+      status: 'closed',
+      outcome: 'justified',
+      reviewedBy: 'officer-1',
+      notes: 'ER admission confirmed'
+    });
+    expect(contract.getReviews({ status: 'open' })).toEqual([]);
+    expect(() => contract.closeReview(reviewId, { reviewerId: 'officer-1', outcome: 'justified' }))
+      .toThrow('already been closed');
+  });
+
+  test('should validate review outcomes and reviewers', () => {
+    const { reviewId } = contract.breakGlass(CLINICIAN_ID, PATIENT_ID, { justification: 'Trauma' });
+
+    expect(() => contract.closeReview(reviewId, { reviewerId: 'officer-1', outcome: 'fine' })).toThrow('Invalid outcome');
+    expect(() => contract.closeReview(reviewId, { reviewerId: CLINICIAN_ID, outcome: 'justified' }))
+      .toThrow('cannot review their own');
+    expect(() => contract.closeReview('missing', { reviewerId: 'officer-1', outcome: 'justified' })).toThrow('Review not found');
+  });
+
+  test('should flag reviews left open past their due date', () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+    const { reviewId } = contract.breakGlass(CLINICIAN_ID, PATIENT_ID, { justification: 'Trauma' });
+
+    jest.setSystemTime(new Date('2024-03-05T10:00:00Z'));
+
+    expect(contract.getReview(reviewId)).toMatchObject({ status: 'open', isOverdue: true, isAccessActive: false });
+  });
+});
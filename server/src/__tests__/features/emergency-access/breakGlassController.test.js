@@ -0,0 +1,145 @@
+/**
+ * Break-Glass Controller API Tests
+ *
+ * Mounts the break-glass, audit, event feed and medical record routers together,
+ * as the emergency flow spans all four.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const MedicalRecordContract = require('../../../features/data-storage/MedicalRecordContract.js');
+const breakGlassRoutes = require('../../../features/emergency-access/breakGlassController.js');
+const auditRoutes = require('../../../features/audit-trail/auditController.js');
+const eventFeedRoutes = require('../../../features/notifications/eventFeedController.js');
+const medicalRecordRoutes = require('../../../features/medical-records/medicalRecordController.js');
+
+const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const CLINICIAN_ID = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('Break-Glass Controller API', () => {
+  let app;
+  let blockchain;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+
+    const patientContract = new PatientContract(blockchain);
+    const clinicianContract = new ClinicianContract(blockchain);
+    const medicalRecordContract = new MedicalRecordContract(blockchain);
+    patientContract.registerPatient({ id: PATIENT_ID, firstName: 'Test', lastName: 'Patient' });
+    clinicianContract.registerClinician({ id: CLINICIAN_ID, firstName: 'Test', lastName: 'Clinician' });
+    medicalRecordContract.registerMedicalRecord({
+      id: 'record-1',
+      patientId: PATIENT_ID,
+      recordType: 'Lab Result',
+      diagnosis: 'Penicillin allergy'
+    });
+    blockchain.keyStore.generateKeyPair('officer-1', 'privacy-officer');
+    blockchain.minePendingTransactions();
+
+    app = express();
+    app.use(express.json());
+    app.locals.blockchain = blockchain;
+    app.locals.patientContract = patientContract;
+    app.locals.clinicianContract = clinicianContract;
+    app.locals.medicalRecordContract = medicalRecordContract;
+    app.use('/api/break-glass', breakGlassRoutes);
+    app.use('/api/audit', auditRoutes);
+    app.use('/api/events', eventFeedRoutes);
+    app.use('/api/medical-records', medicalRecordRoutes);
+  });
+
+  const breakGlass = (body = {}) => request(app)
+    .post('/api/break-glass')
+    .send({ clinicianId: CLINICIAN_ID, patientId: PATIENT_ID, justification: 'Unconscious on arrival', ...body });
+
+  const readRecord = () => request(app)
+    .get('/api/medical-records/record-1')
+    .query({ purpose: 'Treatment', requesterId: CLINICIAN_ID });
+
+  test('should give access without consent and audit it as high severity', async () => {
+    const before = await readRecord();
+    const response = await breakGlass();
+    const after = await readRecord();
+
+    expect(before.status).toBe(403);
+    expect(response.status).toBe(201);
+    expect(response.body.data).toHaveProperty('reviewId');
+    expect(after.status).toBe(200);
+    expect(after.body.data.record.diagnosis).toBe('Penicillin allergy');
+
+    const audit = await request(app).get('/api/audit/query').query({ severity: 'high' });
+    expect(audit.body.data.logs).toHaveLength(1);
+    expect(audit.body.data.logs[0]).toMatchObject({
+      type: 'break-glass',
+      action: 'break-glass',
+      actorId: CLINICIAN_ID,
+      reason: 'Unconscious on arrival'
+    });
+
+    const reads = await request(app).get('/api/audit/query').query({ resourceId: 'record-1' });
+    expect(reads.body.data.logs[0].metadata.breakGlassAccessId).toBe(response.body.data.accessId);
+  });
+
+  test('should notify the patient through the event feed', async () => {
+    const { accessId } = (await breakGlass()).body.data;
+
+    const response = await request(app).get(`/api/events/${PATIENT_ID}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.events).toHaveLength(1);
+    expect(response.body.data.events[0]).toMatchObject({ type: 'break-glass', resourceId: accessId });
+    expect(response.body.data.events[0].data.clinicianId).toBe(CLINICIAN_ID);
+  });
+
+  test('should validate the request', async () => {
+    const missing = await breakGlass({ justification: '' });
+    const unknownPatient = await breakGlass({ patientId: '4766f152-cc9b-47d0-9519-7c1a5f2e52be' });
+    const tooLong = await breakGlass({ durationMinutes: 10000 });
+
+    expect(missing.status).toBe(400);
+    expect(unknownPatient.status).toBe(400);
+    expect(tooLong.status).toBe(400);
+  });
+
+  test('should let a privacy officer close the review', async () => {
+    const { accessId, reviewId } = (await breakGlass()).body.data;
+
+    const open = await request(app).get('/api/audit/reviews').query({ status: 'open' });
+    const closed = await request(app)
+      .post(`/api/audit/reviews/${reviewId}/close`)
+      .send({ reviewerId: 'officer-1', outcome: 'justified', notes: 'Admitted via ER' });
+    const again = await request(app)
+      .post(`/api/audit/reviews/${reviewId}/close`)
+      .send({ reviewerId: 'officer-1', outcome: 'justified' });
+    const review = await request(app).get(`/api/audit/reviews/${reviewId}`);
+    const access = await request(app).get(`/api/break-glass/${accessId}`);
+    const events = await request(app).get(`/api/events/${PATIENT_ID}`).query({ type: 'break-glass-reviewed' });
+
+    expect(open.body.data.count).toBe(1);
+    expect(closed.status).toBe(200);
+    expect(again.status).toBe(409);
+    expect(review.body.data).toMatchObject({ status: 'closed', outcome: 'justified', reviewedBy: 'officer-1' });
+    expect(access.body.data.status).toBe('closed');
+    expect(events.body.data.events).toHaveLength(1);
+
+    const audit = await request(app).get('/api/audit/query').query({ type: 'break-glass', action: 'review-closed' });
+    expect(audit.body.data.logs[0].actorId).toBe('officer-1');
+  });
+
+  test('should reject bad review requests', async () => {
+    const { reviewId } = (await breakGlass()).body.data;
+
+    const outcome = await request(app).post(`/api/audit/reviews/${reviewId}/close`).send({ reviewerId: 'officer-1', outcome: 'ok' });
+    const unknown = await request(app).get('/api/audit/reviews/missing');
+    const status = await request(app).get('/api/audit/reviews').query({ status: 'pending' });
+
+    expect(outcome.status).toBe(400);
+    expect(unknown.status).toBe(404);
+    expect(status.status).toBe(400);
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * FHIR Controller API Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const AIModelContract = require('../../../features/data-storage/AIModelContract.js');
+const MedicalRecordContract = require('../../../features/data-storage/MedicalRecordContract.js');
+const ConsentContract = require('../../../features/consent-management/ConsentContract.js');
+const fhirRoutes = require('../../../features/fhir/fhirController.js');
+
+const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const CLINICIAN_ID = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+const OTHER_CLINICIAN_ID = '4766f152-cc9b-47d0-9519-7c1a5f2e52be';
+
+describe('FHIR Controller API', () => {
+  let app;
+  let blockchain;
+  let patientContract;
+  let consentContract;
+
+  const auditEntries = (type) => blockchain.pendingTransactions
+    .filter(tx => tx.to === 'audit-contract' && tx.data.type === type)
+    .map(tx => tx.data);
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+
+    patientContract = new PatientContract(blockchain);
+    const clinicianContract = new ClinicianContract(blockchain);
+    const medicalRecordContract = new MedicalRecordContract(blockchain);
+    consentContract = new ConsentContract(blockchain);
+
+    patientContract.registerPatient({
+      id: PATIENT_ID,
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      gender: 'Female',
+      dateOfBirth: '1985-12-10',
+      email: 'ada@example.com'
+    });
+    clinicianContract.registerClinician({ id: CLINICIAN_ID, firstName: 'John', lastName: 'Snow', specialty: 'Cardiology' });
+    clinicianContract.registerClinician({ id: OTHER_CLINICIAN_ID, firstName: 'Jane', lastName: 'Doe', specialty: 'GP' });
+    medicalRecordContract.registerMedicalRecord({
+      id: 'record-1',
+      patientId: PATIENT_ID,
+      recordType: 'Lab Result',
+      date: '2024-03-01',
+      diagnosis: 'Anemia'
+    });
+    medicalRecordContract.registerMedicalRecord({
+      id: 'record-2',
+      patientId: PATIENT_ID,
+      recordType: 'Consultation',
+      date: '2024-06-15',
+      clinicianId: CLINICIAN_ID,
+      diagnosis: 'Hypertension',
+      notes: 'Follow up in 3 months'
+    });
+    consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access', { purpose: 'Treatment' });
+    blockchain.minePendingTransactions();
+
+    app = express();
+    app.use(express.json({ type: ['application/json', 'application/fhir+json'] }));
+    // Stand-in for the auth guard: X-Actor becomes the authenticated caller
+    app.use((req, res, next) => {
+      if (req.get('X-Actor')) {
+        req.auth = { actorId: req.get('X-Actor') };
+      }
+      next();
+    });
+    app.locals.blockchain = blockchain;
+    app.locals.patientContract = patientContract;
+    app.locals.clinicianContract = clinicianContract;
+    app.locals.aiModelContract = new AIModelContract(blockchain);
+    app.locals.medicalRecordContract = medicalRecordContract;
+    app.use('/fhir', fhirRoutes);
+  });
+
+  test('should publish a CapabilityStatement', async () => {
+    const response = await request(app).get('/fhir/metadata');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/fhir+json');
+    expect(response.body.resourceType).toBe('CapabilityStatement');
+    expect(response.body.rest[0].resource.map(r => r.type)).toEqual(
+      ['Patient', 'Practitioner', 'Observation', 'DiagnosticReport', 'Consent', 'AuditEvent']
+    );
+  });
+
+  describe('Patient and Practitioner', () => {
+    test('should search patients into a Bundle', async () => {
+      const response = await request(app).get('/fhir/Patient').query({ family: 'love', gender: 'female' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 1 });
+      expect(response.body.entry[0].fullUrl).toMatch(new RegExp(`/fhir/Patient/${PATIENT_ID}$`));
+      expect(response.body.entry[0].resource).toMatchObject({
+        resourceType: 'Patient',
+        id: PATIENT_ID,
+        name: [{ family: 'Lovelace', given: ['Ada'] }],
+        birthDate: '1985-12-10'
+      });
+
+      const none = await request(app).get('/fhir/Patient').query({ family: 'Babbage' });
+      expect(none.body.total).toBe(0);
+    });
+
+    test('should answer unknown resources with an OperationOutcome', async () => {
+      const response = await request(app).get('/fhir/Patient/patient-9');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ resourceType: 'OperationOutcome', issue: [{ code: 'not-found' }] });
+    });
+
+    test('should create and update a patient sent as application/fhir+json', async () => {
+      const created = await request(app)
+        .post('/fhir/Patient')
+        .set('Content-Type', 'application/fhir+json')
+        .send(JSON.stringify({ resourceType: 'Patient', name: [{ family: 'Hopper', given: ['Grace'] }] }));
+
+      expect(created.status).toBe(201);
+      expect(created.headers.location).toMatch(new RegExp(`/fhir/Patient/${created.body.id}$`));
+
+      const updated = await request(app)
+        .put(`/fhir/Patient/${created.body.id}`)
+        .set('X-Actor', 'admin-1')
+        .send({ resourceType: 'Patient', telecom: [{ system: 'phone', value: '555-0100' }] });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.name[0].family).toBe('Hopper');
+      expect(updated.body.telecom).toEqual([{ system: 'phone', value: '555-0100' }]);
+      expect(patientContract.getPatientHistory(created.body.id)[1].changedBy).toBe('admin-1');
+    });
+
+    test('should reject a body of another resource type', async () => {
+      const response = await request(app).post('/fhir/Practitioner').send({ resourceType: 'Patient' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.issue[0].diagnostics).toBe('Resource must be a Practitioner');
+    });
+
+    test('should return 410 for an erased patient', async () => {
+      patientContract.erasePatient(PATIENT_ID);
+
+      const response = await request(app).get(`/fhir/Patient/${PATIENT_ID}`);
+
+      expect(response.status).toBe(410);
+      expect(response.body.issue[0].code).toBe('deleted');
+    });
+
+    test('should search practitioners by name', async () => {
+      const response = await request(app).get('/fhir/Practitioner').query({ name: 'jo' });
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.entry[0].resource.qualification[0].code.text).toBe('Cardiology');
+    });
+  });
+
+  describe('Observation and DiagnosticReport', () => {
+    test('should require a patient and purpose to search records', async () => {
+      const response = await request(app).get('/fhir/Observation').query({ requesterId: CLINICIAN_ID });
+
+      expect(response.status).toBe(400);
+      expect(response.body.issue[0].diagnostics).toBe('patient and purpose search parameters are required');
+    });
+
+    test('should return consented records by resource type and audit each read', async () => {
+      const observations = await request(app)
+        .get('/fhir/Observation')
+        .query({ patient: `Patient/${PATIENT_ID}`, purpose: 'Treatment', requesterId: CLINICIAN_ID });
+      const reports = await request(app)
+        .get('/fhir/DiagnosticReport')
+        .query({ patient: PATIENT_ID, purpose: 'Treatment', date: 'ge2024-01-01', requesterId: CLINICIAN_ID });
+
+      expect(observations.body.total).toBe(1);
+      expect(observations.body.entry[0].resource).toMatchObject({
+        resourceType: 'Observation',
+        id: 'record-2',
+        valueString: 'Hypertension',
+        note: [{ text: 'Follow up in 3 months' }]
+      });
+      expect(reports.body.entry[0].resource).toMatchObject({ resourceType: 'DiagnosticReport', conclusion: 'Anemia' });
+      expect(auditEntries('data-access').map(log => log.resourceId)).toEqual(['record-2', 'record-1']);
+    });
+
+    test('should leave out records the requester has no consent for', async () => {
+      const response = await request(app)
+        .get('/fhir/Observation')
+        .query({ patient: PATIENT_ID, purpose: 'Treatment', requesterId: OTHER_CLINICIAN_ID });
+
+      expect(response.body.total).toBe(0);
+      expect(auditEntries('data-access')[0]).toMatchObject({ granted: false, reason: 'No valid Data Access consent from patient' });
+    });
+
+    test('should return 403 for a read without consent', async () => {
+      const response = await request(app)
+        .get('/fhir/Observation/record-2')
+        .query({ purpose: 'Treatment', requesterId: OTHER_CLINICIAN_ID });
+
+      expect(response.status).toBe(403);
+      expect(response.body.issue[0].code).toBe('forbidden');
+    });
+
+    test('should not serve a record as the wrong resource type', async () => {
+      const response = await request(app)
+        .get('/fhir/Observation/record-1')
+        .query({ purpose: 'Treatment', requesterId: CLINICIAN_ID });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should only let clinicians with a Treatment consent write records', async () => {
+      const observation = {
+        resourceType: 'Observation',
+        code: { text: 'Vital Signs' },
+        subject: { reference: `Patient/${PATIENT_ID}` },
+        valueString: 'BP 120/80'
+      };
+
+      const denied = await request(app).post('/fhir/Observation').set('X-Actor', CLINICIAN_ID).send(observation);
+
+      expect(denied.status).toBe(403);
+      expect(auditEntries('data-access')[0]).toMatchObject({ action: 'create', granted: false });
+
+      consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Treatment');
+      blockchain.minePendingTransactions();
+
+      const created = await request(app).post('/fhir/Observation').set('X-Actor', CLINICIAN_ID).send(observation);
+
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ resourceType: 'Observation', valueString: 'BP 120/80' });
+      expect(auditEntries('data-access')[0]).toMatchObject({ action: 'create', granted: true, resourceId: created.body.id });
+    });
+
+    test('should amend a record but never move it to another patient', async () => {
+      const updated = await request(app)
+        .put('/fhir/Observation/record-2')
+        .send({ resourceType: 'Observation', valueString: 'Controlled hypertension' });
+      const moved = await request(app)
+        .put('/fhir/Observation/record-2')
+        .send({ resourceType: 'Observation', subject: { reference: 'Patient/someone-else' } });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body).toMatchObject({ valueString: 'Controlled hypertension', code: { text: 'Consultation' } });
+      expect(auditEntries('data-access')[0]).toMatchObject({ action: 'update', granted: true, actorId: 'system' });
+      expect(moved.status).toBe(400);
+    });
+  });
+
+  describe('Consent', () => {
+    const consent = {
+      resourceType: 'Consent',
+      status: 'active',
+      category: [{ text: 'Research' }],
+      patient: { reference: `Patient/${PATIENT_ID}` },
+      provision: {
+        actor: [{ reference: { reference: `Practitioner/${OTHER_CLINICIAN_ID}` } }],
+        purpose: [{ code: 'Research' }]
+      }
+    };
+
+    test('should grant a consent and audit it', async () => {
+      const response = await request(app).post('/fhir/Consent').set('X-Actor', PATIENT_ID).send(consent);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        resourceType: 'Consent',
+        status: 'active',
+        patient: { reference: `Patient/${PATIENT_ID}` },
+        provision: { purpose: [{ code: 'Research' }] }
+      });
+      expect(auditEntries('consent-change')[0]).toMatchObject({
+        action: 'granted',
+        actorId: PATIENT_ID,
+        consentId: response.body.id,
+        clinicianId: OTHER_CLINICIAN_ID
+      });
+    });
+
+    test('should reject consents for unknown practitioners', async () => {
+      const response = await request(app).post('/fhir/Consent').send({
+        ...consent,
+        provision: { actor: [{ reference: { reference: 'Practitioner/4b1f0b5e-53c5-4f4f-9a37-6a0dc14e4d5e' } }] }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.issue[0].diagnostics).toBe('Clinician not found');
+    });
+
+    test('should search consents and revoke one by setting it inactive', async () => {
+      const search = await request(app).get('/fhir/Consent').query({ patient: PATIENT_ID, status: 'active' });
+
+      expect(search.body.total).toBe(1);
+      const resource = search.body.entry[0].resource;
+
+      const edited = await request(app).put(`/fhir/Consent/${resource.id}`).send({ ...resource, category: [{ text: 'Research' }] });
+      expect(edited.status).toBe(400);
+
+      const revoked = await request(app).put(`/fhir/Consent/${resource.id}`).send({ ...resource, status: 'inactive' });
+
+      expect(revoked.status).toBe(200);
+      expect(revoked.body.status).toBe('inactive');
+      expect(auditEntries('consent-change')[0]).toMatchObject({ action: 'revoked', consentId: resource.id });
+
+      blockchain.minePendingTransactions();
+      const after = await request(app).get('/fhir/Consent').query({ patient: PATIENT_ID, status: 'active' });
+      expect(after.body.total).toBe(0);
+    });
+
+    test('should report a consent as inactive in searches as soon as it is revoked', async () => {
+      const [grant] = consentContract.getAllConsents();
+      consentContract.revokeConsent(grant.consentId);
+
+      const search = await request(app).get('/fhir/Consent').query({ patient: PATIENT_ID });
+      const read = await request(app).get(`/fhir/Consent/${grant.consentId}`);
+
+      expect(search.body.entry.map(entry => entry.resource.status)).toEqual(['inactive']);
+      expect(read.body.status).toBe('inactive');
+    });
+  });
+
+  describe('AuditEvent', () => {
+    beforeEach(async () => {
+      await request(app)
+        .get('/fhir/Observation/record-2')
+        .query({ purpose: 'Treatment', requesterId: CLINICIAN_ID });
+      await request(app)
+        .get('/fhir/Observation/record-2')
+        .query({ purpose: 'Treatment', requesterId: OTHER_CLINICIAN_ID });
+    });
+
+    test('should search audit events by agent and outcome', async () => {
+      const response = await request(app)
+        .get('/fhir/AuditEvent')
+        .query({ agent: `Practitioner/${OTHER_CLINICIAN_ID}`, outcome: '4' });
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.entry[0].resource).toMatchObject({
+        resourceType: 'AuditEvent',
+        action: 'R',
+        outcome: '4',
+        agent: [{ who: { identifier: { value: OTHER_CLINICIAN_ID } } }]
+      });
+    });
+
+    test('should page search results', async () => {
+      const response = await request(app).get('/fhir/AuditEvent').query({ patient: PATIENT_ID, _count: 1 });
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.entry).toHaveLength(1);
+      expect(response.body.link.find(link => link.relation === 'next').url).toContain('_offset=1');
+    });
+
+    test('should read an audit event by ID', async () => {
+      const [log] = auditEntries('data-access');
+      const id = blockchain.pendingTransactions.find(tx => tx.data === log).id;
+
+      const response = await request(app).get(`/fhir/AuditEvent/${id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(id);
+      expect((await request(app).get('/fhir/AuditEvent/unknown')).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * FHIR Mapper Tests
+ */
+
+const mapper = require('../../../features/fhir/fhirMapper.js');
+
+describe('FHIR Mapper', () => {
+  test('should read IDs out of references of the accepted types', () => {
+    expect(mapper.parseReference('Patient/123', ['Patient'])).toBe('123');
+    expect(mapper.parseReference({ reference: 'http://host/fhir/Patient/123' }, ['Patient'])).toBe('123');
+    expect(mapper.parseReference('123', ['Patient'])).toBe('123');
+    expect(mapper.parseReference('Practitioner/123', ['Patient'])).toBeNull();
+    expect(mapper.parseReference(undefined, ['Patient'])).toBeNull();
+  });
+
+  test('should round-trip patient fields', () => {
+    const record = {
+      id: 'patient-1',
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      gender: 'Female',
+      dateOfBirth: '1985-12-10',
+      email: 'ada@example.com',
+      address: '12 St James Square'
+    };
+
+    const resource = mapper.toPatient(record);
+
+    expect(resource).toMatchObject({ gender: 'female', active: true, address: [{ text: '12 St James Square' }] });
+    expect(mapper.fromPatient(resource)).toEqual({
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      gender: 'Female',
+      dateOfBirth: '1985-12-10',
+      email: 'ada@example.com',
+      address: '12 St James Square'
+    });
+  });
+
+  test('should only return the fields a resource carries', () => {
+    expect(mapper.fromPractitioner({ resourceType: 'Practitioner', qualification: [{ code: { text: 'GP' } }] }))
+      .toEqual({ specialty: 'GP' });
+  });
+
+  test('should serve lab results as DiagnosticReport and other records as Observation', () => {
+    const report = mapper.toRecordResource({ id: 'r1', patientId: 'p1', recordType: 'Lab Result', diagnosis: 'Anemia' });
+    const observation = mapper.toRecordResource({ id: 'r2', patientId: 'p1', recordType: 'Consultation', diagnosis: 'Flu' });
+
+    expect(report).toMatchObject({ resourceType: 'DiagnosticReport', conclusion: 'Anemia', subject: { reference: 'Patient/p1' } });
+    expect(observation).toMatchObject({ resourceType: 'Observation', valueString: 'Flu' });
+    expect(mapper.recordResourceType({ recordType: 'Lab Result', fhirResourceType: 'Observation' })).toBe('Observation');
+  });
+
+  test('should map consents both ways', () => {
+    const resource = mapper.toConsent({
+      consentId: 'c1',
+      patientId: 'p1',
+      clinicianId: 'm1',
+      consentType: 'AI Analysis',
+      purpose: 'Diagnosis',
+      grantedAt: '2024-01-01T00:00:00.000Z',
+      expiresAt: '2025-01-01T00:00:00.000Z',
+      isRevoked: true,
+      isExpired: false
+    }, 'Device');
+
+    expect(resource.status).toBe('inactive');
+    expect(resource.provision.actor[0].reference).toEqual({ reference: 'Device/m1' });
+    expect(mapper.fromConsent(resource)).toEqual({
+      status: 'inactive',
+      patientId: 'p1',
+      clinicianId: 'm1',
+      granteeType: 'ai-model',
+      consentType: 'AI Analysis',
+      purpose: 'Diagnosis',
+      expiresAt: '2025-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('should carry the consent scope in the provision', () => {
+    const scope = {
+      recordIds: ['r1'],
+      recordTypes: ['Lab Result'],
+      dateRange: { from: '2024-01-01', to: null },
+      fields: ['diagnosis']
+    };
+    const resource = mapper.toConsent({ consentId: 'c1', patientId: 'p1', clinicianId: 'd1', consentType: 'Data Access', scope });
+
+    expect(resource.provision.dataPeriod).toEqual({ start: '2024-01-01' });
+    expect(mapper.fromConsent(resource).scope).toEqual(scope);
+  });
+
+  test('should map audit entries to AuditEvent', () => {
+    const event = mapper.toAuditEvent({
+      logId: 'log-1',
+      type: 'data-access',
+      action: 'read',
+      actorId: 'c1',
+      resourceId: 'r1',
+      resourceType: 'medicalRecord',
+      granted: false,
+      reason: 'No valid Data Access consent from patient',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      metadata: { patientId: 'p1' }
+    });
+
+    expect(event).toMatchObject({ id: 'log-1', action: 'R', outcome: '4', outcomeDesc: 'No valid Data Access consent from patient' });
+    expect(event.entity.map(e => e.what)).toEqual([{ identifier: { value: 'r1' } }, { reference: 'Patient/p1' }]);
+  });
+
+  test('should build searchset Bundles', () => {
+    const bundle = mapper.toBundle([{ resourceType: 'Patient', id: 'p1' }], {
+      base: 'http://host/fhir',
+      total: 2,
+      selfUrl: 'http://host/fhir/Patient?_count=1&_offset=0',
+      nextUrl: 'http://host/fhir/Patient?_count=1&_offset=1'
+    });
+
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 2 });
+    expect(bundle.entry[0].fullUrl).toBe('http://host/fhir/Patient/p1');
+    expect(bundle.link.map(link => link.relation)).toEqual(['self', 'next']);
+  });
+});
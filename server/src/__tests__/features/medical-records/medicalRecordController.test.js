@@ -0,0 +1,168 @@
+/**
+ * Medical Record Controller API Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const AIModelContract = require('../../../features/data-storage/AIModelContract.js');
+const MedicalRecordContract = require('../../../features/data-storage/MedicalRecordContract.js');
+const ConsentContract = require('../../../features/consent-management/ConsentContract.js');
+const medicalRecordRoutes = require('../../../features/medical-records/medicalRecordController.js');
+
+const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const CLINICIAN_ID = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('Medical Record Controller API', () => {
+  let app;
+  let blockchain;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+
+    const clinicianContract = new ClinicianContract(blockchain);
+    const medicalRecordContract = new MedicalRecordContract(blockchain);
+
+    new PatientContract(blockchain).registerPatient({ id: PATIENT_ID, firstName: 'Test', lastName: 'Patient' });
+    clinicianContract.registerClinician({ id: CLINICIAN_ID, firstName: 'Test', lastName: 'Clinician' });
+    medicalRecordContract.registerMedicalRecord({
+      id: 'record-1',
+      patientId: PATIENT_ID,
+      recordType: 'Lab Result',
+      diagnosis: 'Hypertension',
+      notes: 'Internal notes'
+    });
+
+    app = express();
+    app.use(express.json());
+    app.locals.blockchain = blockchain;
+    app.locals.medicalRecordContract = medicalRecordContract;
+    app.locals.clinicianContract = clinicianContract;
+    app.locals.aiModelContract = new AIModelContract(blockchain);
+    app.use('/api/medical-records', medicalRecordRoutes);
+  });
+
+  describe('GET /api/medical-records', () => {
+    test('should list records without clinical fields', async () => {
+      const response = await request(app).get('/api/medical-records').query({ patientId: PATIENT_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].recordType).toBe('Lab Result');
+      expect(response.body.data[0].diagnosis).toBeUndefined();
+      expect(response.body.data[0].notes).toBeUndefined();
+    });
+
+    test('should return full records with clinical fields sealed', async () => {
+      const response = await request(app).get('/api/medical-records').query({ full: 'true' });
+
+      expect(response.body.data[0].diagnosis.sealed).toBe('aes-256-gcm');
+      expect(JSON.stringify(response.body)).not.toContain('Hypertension');
+    });
+  });
+
+  describe('GET /api/medical-records/:recordId', () => {
+    test('should return the record when consent is valid', async () => {
+      new ConsentContract(blockchain).grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access');
+
+      const response = await request(app)
+        .get('/api/medical-records/record-1')
+        .query({ requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.record.notes).toBe('Internal notes');
+      expect(response.body.data.auditLogId).toBeDefined();
+    });
+
+    test('should return 403 without consent', async () => {
+      const response = await request(app)
+        .get('/api/medical-records/record-1')
+        .query({ requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.success).toBe(false);
+      expect(response.body.data.auditLogId).toBeDefined();
+    });
+
+    test('should take the requester from the authenticated caller', async () => {
+      new ConsentContract(blockchain).grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access');
+      const authed = express();
+      authed.locals = app.locals;
+      authed.use((req, res, next) => {
+        req.auth = { actorId: CLINICIAN_ID, role: 'clinician' };
+        next();
+      });
+      authed.use('/api/medical-records', medicalRecordRoutes);
+
+      const response = await request(authed).get('/api/medical-records/record-1').query({ purpose: 'Treatment' });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should return 404 for unknown records', async () => {
+      const response = await request(app)
+        .get('/api/medical-records/missing')
+        .query({ requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should return 400 without a purpose', async () => {
+      const response = await request(app)
+        .get('/api/medical-records/record-1')
+        .query({ requesterId: CLINICIAN_ID });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('versioning', () => {
+    test('should update a record and list its history sealed', async () => {
+      const update = await request(app)
+        .patch('/api/medical-records/record-1')
+        .send({ changes: { diagnosis: 'Stage 1 Hypertension' }, reason: 'Follow-up results' });
+
+      expect(update.status).toBe(200);
+      expect(update.body.data.changes.diagnosis.to.sealed).toBe('aes-256-gcm');
+
+      const history = await request(app).get('/api/medical-records/record-1/history');
+
+      expect(history.status).toBe(200);
+      expect(history.body.data.count).toBe(2);
+      expect(history.body.data.versions[1].reason).toBe('Follow-up results');
+      expect(JSON.stringify(history.body)).not.toContain('Hypertension');
+
+      new ConsentContract(blockchain).grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access');
+      const read = await request(app)
+        .get('/api/medical-records/record-1')
+        .query({ requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+      expect(read.body.data.record.diagnosis).toBe('Stage 1 Hypertension');
+    });
+
+    test('should reject changing the patient of a record', async () => {
+      const response = await request(app)
+        .patch('/api/medical-records/record-1')
+        .send({ changes: { patientId: CLINICIAN_ID } });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 409 when deactivating twice', async () => {
+      await request(app).post('/api/medical-records/record-1/deactivate').send({});
+      const response = await request(app).post('/api/medical-records/record-1/deactivate').send({});
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should return 404 for the history of unknown records', async () => {
+      const response = await request(app).get('/api/medical-records/missing/history');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Medical Record Service Tests
+ */
+
+const MedicalRecordService = require('../../../features/medical-records/medicalRecordService.js');
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const AIModelContract = require('../../../features/data-storage/AIModelContract.js');
+const OrganizationContract = require('../../../features/data-storage/OrganizationContract.js');
+const MedicalRecordContract = require('../../../features/data-storage/MedicalRecordContract.js');
+const ConsentContract = require('../../../features/consent-management/ConsentContract.js');
+const BreakGlassContract = require('../../../features/emergency-access/BreakGlassContract.js');
+
+const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const CLINICIAN_ID = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+const MODEL_ID = 'c58ec6fd-e79f-4a0e-8d12-6379f7af5a87';
+const RECORD_ID = 'record-1';
+
+describe('MedicalRecordService', () => {
+  let blockchain;
+  let service;
+  let consentContract;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+
+    const clinicianContract = new ClinicianContract(blockchain);
+    const aiModelContract = new AIModelContract(blockchain);
+    const medicalRecordContract = new MedicalRecordContract(blockchain);
+
+    new PatientContract(blockchain).registerPatient({ id: PATIENT_ID, firstName: 'Test', lastName: 'Patient' });
+    clinicianContract.registerClinician({ id: CLINICIAN_ID, firstName: 'Test', lastName: 'Clinician' });
+    aiModelContract.registerAIModel({ id: MODEL_ID, name: 'Test Model' });
+    medicalRecordContract.registerMedicalRecord({
+      id: RECORD_ID,
+      patientId: PATIENT_ID,
+      recordType: 'Lab Result',
+      diagnosis: 'Hypertension'
+    });
+
+    consentContract = new ConsentContract(blockchain);
+    service = new MedicalRecordService(blockchain, medicalRecordContract, clinicianContract, aiModelContract);
+  });
+
+  const auditEntries = () => blockchain.pendingTransactions
+    .filter(tx => tx.to === 'audit-contract' && tx.data.resourceType === 'medicalRecord')
+    .map(tx => tx.data);
+
+  test('should return the record to a clinician with a matching consent', async () => {
+    const { consentId } = consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access', { purpose: 'Treatment' });
+
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(result.granted).toBe(true);
+    expect(result.record.diagnosis).toBe('Hypertension');
+    expect(result.consentId).toBe(consentId);
+
+    const [entry] = auditEntries();
+    expect(entry.granted).toBe(true);
+    expect(entry.actorId).toBe(CLINICIAN_ID);
+    expect(entry.resourceId).toBe(RECORD_ID);
+    expect(entry.metadata.consentId).toBe(consentId);
+  });
+
+  test('should check AI models against AI Analysis consent', async () => {
+    consentContract.grantConsent(PATIENT_ID, MODEL_ID, 'AI Analysis', { purpose: 'Diagnosis' });
+
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: MODEL_ID, purpose: 'Diagnosis' });
+
+    expect(result.granted).toBe(true);
+    expect(auditEntries()[0].metadata.requesterType).toBe('ai-model');
+  });
+
+  test('should let an organization consent cover its clinicians', async () => {
+    const organizationId = 'd2b1f4a8-6c3e-4f7a-9b1d-2e5c8a7f6b90';
+    new OrganizationContract(blockchain).registerOrganization({ id: organizationId, name: 'General Hospital' });
+    new ClinicianContract(blockchain).updateClinician(CLINICIAN_ID, { organizationId });
+    const { consentId } = consentContract.grantConsent(PATIENT_ID, organizationId, 'Data Access', {
+      granteeType: 'organization',
+      purpose: 'Treatment'
+    });
+
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(result.granted).toBe(true);
+    expect(result.consentId).toBe(consentId);
+    expect(result.organizationId).toBe(organizationId);
+    expect(auditEntries()[0].metadata.organizationId).toBe(organizationId);
+  });
+
+  test('should deny and audit a read without consent', async () => {
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(result.granted).toBe(false);
+    expect(result.record).toBeNull();
+    expect(result.reason).toBe('No valid Data Access consent from patient');
+
+    const [entry] = auditEntries();
+    expect(entry.granted).toBe(false);
+    expect(entry.reason).toBe(result.reason);
+  });
+
+  test('should deny a read for a different purpose', async () => {
+    const { consentId } = consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access', { purpose: 'Treatment' });
+
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Research' });
+
+    expect(result.granted).toBe(false);
+    expect(result.consentId).toBe(consentId);
+    expect(result.reason).toContain('does not cover');
+  });
+
+  test('should deny a revoked consent', async () => {
+    const { consentId } = consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access');
+    blockchain.minePendingTransactions();
+    consentContract.revokeConsent(consentId);
+    blockchain.minePendingTransactions();
+
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(result.granted).toBe(false);
+  });
+
+  test('should deny records outside the consent scope', async () => {
+    consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access', {
+      purpose: 'Treatment',
+      scope: { recordTypes: ['Imaging'] }
+    });
+
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(result.granted).toBe(false);
+    expect(result.reason).toBe('Consent scope does not cover Lab Result records');
+    expect(auditEntries()[0].reason).toBe(result.reason);
+  });
+
+  test('should mask the fields outside the consent scope', async () => {
+    new MedicalRecordContract(blockchain).registerMedicalRecord({
+      id: 'record-2',
+      patientId: PATIENT_ID,
+      recordType: 'Lab Result',
+      diagnosis: 'Anemia',
+      notes: 'Family history'
+    });
+    consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access', {
+      purpose: 'Treatment',
+      scope: { recordTypes: ['Lab Result'], fields: ['diagnosis'] }
+    });
+
+    const result = await service.readRecord({ recordId: 'record-2', requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(result.granted).toBe(true);
+    expect(result.record.diagnosis).toBe('Anemia');
+    expect(result.record).not.toHaveProperty('notes');
+    expect(result.hiddenFields).toEqual(['notes']);
+    expect(auditEntries()[0].metadata.hiddenFields).toEqual(['notes']);
+  });
+
+  test('should return the full record under break-glass access', async () => {
+    const { accessId } = new BreakGlassContract(blockchain).breakGlass(CLINICIAN_ID, PATIENT_ID, {
+      justification: 'Unconscious on arrival'
+    });
+
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+    const modelResult = await service.readRecord({ recordId: RECORD_ID, requesterId: MODEL_ID, purpose: 'Diagnosis' });
+
+    expect(result.granted).toBe(true);
+    expect(result.reason).toBe('Break-glass emergency access');
+    expect(result.record.diagnosis).toBe('Hypertension');
+    expect(result.breakGlassAccessId).toBe(accessId);
+    expect(auditEntries()[0].metadata.breakGlassAccessId).toBe(accessId);
+    expect(modelResult.granted).toBe(false);
+  });
+
+  test('should deny unknown requesters', async () => {
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: 'someone', purpose: 'Treatment' });
+
+    expect(result.granted).toBe(false);
+    expect(result.reason).toBe('Requester is not a registered clinician or AI model');
+  });
+
+  test('should deny deactivated requesters and records', async () => {
+    consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access', { purpose: 'Treatment' });
+    new ClinicianContract(blockchain).deactivateClinician(CLINICIAN_ID, { reason: 'Suspended' });
+
+    const suspended = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(suspended.granted).toBe(false);
+    expect(suspended.reason).toBe('Requester has been deactivated');
+
+    new ClinicianContract(blockchain).reactivateClinician(CLINICIAN_ID);
+    new MedicalRecordContract(blockchain).deactivateMedicalRecord(RECORD_ID);
+
+    const retired = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(retired.granted).toBe(false);
+    expect(retired.reason).toBe('Medical record has been deactivated');
+  });
+
+  test('should deny reads of records of an erased patient', async () => {
+    consentContract.grantConsent(PATIENT_ID, CLINICIAN_ID, 'Data Access', { purpose: 'Treatment' });
+    new PatientContract(blockchain).erasePatient(PATIENT_ID);
+
+    const result = await service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment' });
+
+    expect(result.granted).toBe(false);
+    expect(result.reason).toBe('Medical record has been erased');
+  });
+
+  test('should audit and reject reads of missing records', async () => {
+    await expect(service.readRecord({ recordId: 'missing', requesterId: CLINICIAN_ID, purpose: 'Treatment' }))
+      .rejects.toThrow('Medical record not found');
+
+    expect(auditEntries()[0].granted).toBe(false);
+  });
+
+  test('should validate the request', async () => {
+    await expect(service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID }))
+      .rejects.toThrow('required');
+    await expect(service.readRecord({ recordId: RECORD_ID, requesterId: CLINICIAN_ID, purpose: 'Treatment', consentType: 'Other' }))
+      .rejects.toThrow('Invalid consent type');
+  });
+});
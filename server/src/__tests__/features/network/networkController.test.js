@@ -0,0 +1,207 @@
+/**
+ * Network Controller API Tests
+ *
+ * Includes a multi-node test with real HTTP servers on ephemeral ports.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const Blockchain = require('../../../core/Blockchain.js');
+const NodeManager = require('../../../core/NodeManager.js');
+const ConsensusService = require('../../../features/consensus/consensusService.js');
+const networkRoutes = require('../../../features/network/networkController.js');
+
+/**
+ * Build an app wired like src/index.js
+ */
+function createNode(nodeId, blockchain = new Blockchain()) {
+  const app = express();
+  app.use(express.json());
+
+  const nodeManager = new NodeManager(blockchain, { nodeId, host: '127.0.0.1' });
+  app.locals.blockchain = blockchain;
+  app.locals.nodeManager = nodeManager;
+  app.locals.consensusService = new ConsensusService(blockchain, nodeManager);
+  app.use('/api/network', networkRoutes);
+
+  return { app, blockchain, nodeManager };
+}
+
+/**
+ * Start a node on an ephemeral port
+ */
+function listen(node) {
+  return new Promise(resolve => {
+    node.server = node.app.listen(0, '127.0.0.1', () => {
+      node.nodeManager.setAddress('127.0.0.1', node.server.address().port);
+      resolve(node);
+    });
+  });
+}
+
+/**
+ * Poll until a condition holds (gossip is fire-and-forget)
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('Network Controller API', () => {
+  let node;
+
+  beforeEach(() => {
+    const blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+    node = createNode('node-1', blockchain);
+  });
+
+  describe('POST /api/network/nodes', () => {
+    test('should register a node', async () => {
+      const peer = createNode('node-2');
+      const response = await request(node.app)
+        .post('/api/network/nodes')
+        .send({ ...peer.nodeManager.getSelfInfo(), host: 'localhost', port: 3001 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.node.nodeId).toBe('node-1');
+    });
+
+    test('should return 409 when a node ID is registered again with a different key', async () => {
+      const peer = createNode('node-2');
+      const impostor = createNode('node-2');
+      await request(node.app)
+        .post('/api/network/nodes')
+        .send({ ...peer.nodeManager.getSelfInfo(), host: 'localhost', port: 3001 });
+
+      const response = await request(node.app)
+        .post('/api/network/nodes')
+        .send({ ...impostor.nodeManager.getSelfInfo(), host: 'localhost', port: 3002 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.message).toBe('A different key is already registered for node-2');
+    });
+
+    test('should return 400 for missing fields', async () => {
+      const response = await request(node.app)
+        .post('/api/network/nodes')
+        .send({ nodeId: 'node-2' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/network/nodes', () => {
+    test('should list peers', async () => {
+      node.nodeManager.addNode('node-2', { host: 'localhost', port: 3001 });
+      const response = await request(node.app).get('/api/network/nodes');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.peers[0].nodeId).toBe('node-2');
+    });
+  });
+
+  describe('DELETE /api/network/nodes/:nodeId', () => {
+    test('should return 404 for unknown node', async () => {
+      const response = await request(node.app).delete('/api/network/nodes/node-9');
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/network/transactions', () => {
+    test('should return 403 for unregistered senders', async () => {
+      const response = await request(node.app)
+        .post('/api/network/transactions')
+        .set('X-Node-Id', 'node-9')
+        .send({ transaction: { id: 'tx', timestamp: 1, from: 'a', to: 'b', data: {} } });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should return 403 for a registered node ID without its signature', async () => {
+      const peer = createNode('node-2');
+      node.nodeManager.addNode('node-2', { ...peer.nodeManager.getSelfInfo(), host: 'localhost', port: 3001 });
+      const body = { transaction: { id: 'tx', timestamp: 1, from: 'a', to: 'b', data: {} } };
+      const headers = peer.nodeManager.getRequestHeaders('POST', '/api/network/transactions', body);
+
+      const forged = await request(node.app)
+        .post('/api/network/transactions')
+        .set('X-Node-Id', 'node-2')
+        .send(body);
+      const replayed = await request(node.app)
+        .post('/api/network/transactions')
+        .set(headers)
+        .send({ transaction: { ...body.transaction, id: 'tx-2' } });
+
+      expect(forged.status).toBe(403);
+      expect(replayed.status).toBe(403);
+      expect(replayed.body.error.message).toBe('Unknown node: requests must be signed by a registered peer');
+    });
+  });
+
+  describe('GET /api/network/blocks', () => {
+    test('should return blocks from index', async () => {
+      const response = await request(node.app).get('/api/network/blocks?from=0');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.blocks.length).toBe(1);
+    });
+  });
+
+  describe('Multi-node network', () => {
+    let nodes;
+
+    beforeEach(async () => {
+      nodes = [await listen(node), await listen(createNode('node-2')), await listen(createNode('node-3'))];
+      // node-2 and node-3 join through node-1 and catch up
+      for (const joiner of nodes.slice(1)) {
+        await joiner.nodeManager.connectToPeer(nodes[0].nodeManager.getSelfInfo().url);
+        await joiner.nodeManager.syncChain();
+      }
+      await nodes[1].nodeManager.connectToPeer(nodes[2].nodeManager.getSelfInfo().url);
+    });
+
+    afterEach(async () => {
+      await Promise.all(nodes.map(n => new Promise(resolve => n.server.close(resolve))));
+    });
+
+    test('should sync the genesis block to joining nodes', () => {
+      const genesisHash = nodes[0].blockchain.getBlock(0).hash;
+      expect(nodes[1].blockchain.getBlock(0).hash).toBe(genesisHash);
+      expect(nodes[2].blockchain.getBlock(0).hash).toBe(genesisHash);
+    });
+
+    test('should register both sides of a connection', () => {
+      expect(nodes[0].nodeManager.getNetworkNodes().sort()).toEqual(['node-2', 'node-3']);
+      expect(nodes[2].nodeManager.isKnownNode('node-2')).toBe(true);
+    });
+
+    test('should gossip transactions and mined blocks to all peers', async () => {
+      const tx = nodes[0].blockchain.addTransaction(nodes[0].blockchain.signTransaction({ from: 'system', to: 'b', data: { n: 1 } }));
+      await waitFor(() => nodes.every(n => n.blockchain.hasTransaction(tx.id)));
+
+      const block = nodes[0].blockchain.minePendingTransactions();
+      await waitFor(() => nodes.every(n => n.blockchain.getLatestBlock().hash === block.hash));
+
+      expect(nodes[1].blockchain.pendingTransactions).toEqual([]);
+      expect(nodes[2].blockchain.isChainValid()).toBe(true);
+    });
+
+    test('should pull missing blocks on sync', async () => {
+      nodes[0].nodeManager.removeNode('node-3');
+      nodes[0].blockchain.addTransaction(nodes[0].blockchain.signTransaction({ from: 'system', to: 'b', data: {} }));
+      const block = nodes[0].blockchain.minePendingTransactions();
+      await waitFor(() => nodes[1].blockchain.getChainLength() === 2);
+
+      const result = await request(nodes[2].app).post('/api/network/sync');
+
+      expect(result.status).toBe(200);
+      expect(nodes[2].blockchain.getLatestBlock().hash).toBe(block.hash);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Network Service Tests
+ */
+
+const NetworkService = require('../../../features/network/networkService.js');
+const ConsensusService = require('../../../features/consensus/consensusService.js');
+const Blockchain = require('../../../core/Blockchain.js');
+const NodeManager = require('../../../core/NodeManager.js');
+const ConsensusEngine = require('../../../features/consensus/ConsensusEngine.js');
+
+describe('NetworkService', () => {
+  let blockchain;
+  let nodeManager;
+  let service;
+
+  beforeEach(() => {
+    blockchain = new Blockchain();
+    blockchain.keyStore.generateKeyPair('a');
+    blockchain.createGenesisBlock();
+    nodeManager = new NodeManager(blockchain, {
+      nodeId: 'node-1',
+      host: 'localhost',
+      port: 3000,
+      transport: jest.fn(async () => ({ status: 200, body: { data: {} } }))
+    });
+    service = new NetworkService(blockchain, nodeManager, new ConsensusService(blockchain, nodeManager));
+  });
+
+  const peerKeyStore = new Blockchain().keyStore;
+  const peerKey = () => peerKeyStore.generateKeyPair('node-2', 'node').publicKey;
+
+  describe('registerNode', () => {
+    test('should register a peer and return own info', async () => {
+      const result = await service.registerNode({ nodeId: 'node-2', host: 'localhost', port: 3001, publicKey: peerKey() });
+
+      expect(result.node.nodeId).toBe('node-1');
+      expect(nodeManager.isKnownNode('node-2')).toBe(true);
+    });
+
+    test('should require nodeId, host, port and publicKey', async () => {
+      await expect(service.registerNode({ nodeId: 'node-2' })).rejects.toThrow('required');
+    });
+
+    test('should reject an invalid port', async () => {
+      await expect(
+        service.registerNode({ nodeId: 'node-2', host: 'localhost', port: 70000, publicKey: peerKey() })
+      ).rejects.toThrow('Invalid port');
+    });
+
+    test('should enforce the network secret when set', async () => {
+      nodeManager.networkSecret = 'shared-secret';
+      const node = { nodeId: 'node-2', host: 'localhost', port: 3001, publicKey: peerKey() };
+
+      await expect(service.registerNode(node, 'wrong')).rejects.toThrow('invalid network secret');
+      await expect(service.registerNode(node, 'shared-secret')).resolves.toHaveProperty('node');
+    });
+
+    test('should let node operators register peers without the secret', async () => {
+      nodeManager.networkSecret = 'shared-secret';
+      const node = { nodeId: 'node-2', host: 'localhost', port: 3001, publicKey: peerKey() };
+
+      await expect(service.registerNode(node, null, { actorId: 'auditor-1', role: 'auditor' }))
+        .rejects.toThrow('invalid network secret');
+      await expect(service.registerNode(node, null, { actorId: 'operator-1', role: 'node-operator' }))
+        .resolves.toHaveProperty('node');
+    });
+  });
+
+  describe('gossip', () => {
+    let peer;
+
+    beforeEach(async () => {
+      await service.registerNode({ nodeId: 'node-2', host: 'localhost', port: 3001, publicKey: peerKey() });
+      peer = new Blockchain({ keyStore: blockchain.keyStore });
+      peer.chain = [...blockchain.chain];
+    });
+
+    test('should reject transactions from unknown nodes', async () => {
+      const tx = peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} }));
+      await expect(service.receiveTransaction(tx, 'node-9')).rejects.toThrow('Unknown node');
+    });
+
+    test('should accept transactions from registered peers', async () => {
+      const tx = peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} }));
+      const result = await service.receiveTransaction(tx, 'node-2');
+
+      expect(result.accepted).toBe(true);
+      expect(blockchain.pendingTransactions[0].id).toBe(tx.id);
+    });
+
+    test('should append blocks that extend the chain', async () => {
+      peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} }));
+      const block = peer.minePendingTransactions();
+
+      const result = await service.receiveBlock(block, 'node-2');
+
+      expect(result.accepted).toBe(true);
+      expect(blockchain.getChainLength()).toBe(2);
+    });
+
+    test('should report blocks it already has', async () => {
+      const result = await service.receiveBlock(blockchain.getBlock(0), 'node-2');
+      expect(result.accepted).toBe(false);
+      expect(result.message).toBe('Block already in chain');
+    });
+
+    // node-2 is the primary for block 1 in view 0 (validators: node-1, node-2)
+    const createProposal = (proposer = 'node-2') => {
+      const tx = peer.addTransaction(peer.signTransaction({ from: 'a', to: 'b', data: {} }));
+      const proposal = {
+        index: 1,
+        timestamp: Date.now(),
+        transactions: [tx],
+        previousHash: blockchain.getLatestBlock().hash,
+        nonce: 0,
+        merkleRoot: blockchain.calculateMerkleRoot([tx])
+      };
+      proposal.hash = blockchain.calculateBlockHash(proposal);
+      proposal.view = 0;
+      proposal.proposer = proposer;
+      proposal.signature = peerKeyStore.sign('node-2', ConsensusEngine.proposalHeader(proposal));
+      return proposal;
+    };
+
+    test('should register proposals with the consensus engine', async () => {
+      const proposal = createProposal();
+
+      const result = await service.receiveProposal(proposal, 'node-2');
+
+      expect(result.accepted).toBe(true);
+      expect(service.consensusService.engine.pendingValidations.has(proposal.hash)).toBe(true);
+      expect(blockchain.pendingTransactions.map(t => t.id)).toContain(proposal.transactions[0].id);
+
+      // The local node prepared the proposal and gossiped its vote
+      expect(nodeManager.transport).toHaveBeenCalledWith(
+        'http://localhost:3001/api/network/votes',
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+
+    test('should reject proposals not signed by the primary', async () => {
+      const proposal = createProposal('node-1');
+      await expect(service.receiveProposal(proposal, 'node-2')).rejects.toThrow('signature');
+    });
+
+    test('should accept signed votes from registered validators', async () => {
+      const proposal = createProposal();
+      await service.receiveProposal(proposal, 'node-2');
+
+      const vote = { type: 'prepare', nodeId: 'node-2', view: 0, index: 1, blockHash: proposal.hash, isValid: true, timestamp: Date.now() };
+      vote.signature = peerKeyStore.sign('node-2', vote);
+
+      const result = await service.receiveVote(vote, 'node-2');
+
+      expect(result.accepted).toBe(true);
+      expect(service.consensusService.engine.checkConsensus(proposal.hash).phase).toBe('prepared');
+    });
+
+    test('should reject votes with a forged signature', async () => {
+      const vote = { type: 'prepare', nodeId: 'node-2', view: 0, index: 1, blockHash: 'abc', isValid: true, timestamp: Date.now() };
+      vote.signature = blockchain.keyStore.sign('node-1', vote);
+
+      await expect(service.receiveVote(vote, 'node-2')).rejects.toThrow('Invalid vote');
+    });
+  });
+
+  describe('getBlocks', () => {
+    test('should return blocks from an index', async () => {
+      const result = await service.getBlocks(0);
+      expect(result.count).toBe(1);
+      expect(result.chainLength).toBe(1);
+    });
+
+    test('should reject a negative index', async () => {
+      await expect(service.getBlocks(-1)).rejects.toThrow('Invalid from index');
+    });
+  });
+});
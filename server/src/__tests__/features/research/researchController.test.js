@@ -0,0 +1,114 @@
+/**
+ * Research Controller API Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+const ResearchStudyContract = require('../../../features/data-storage/ResearchStudyContract.js');
+const researchRoutes = require('../../../features/research/researchController.js');
+
+const PATIENT_ID = 'a73a623f-4a1d-417d-a29a-aeb45a7beb11';
+const INVESTIGATOR = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('Research Controller API', () => {
+  let app;
+  let blockchain;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+
+    const patientContract = new PatientContract(blockchain);
+    const clinicianContract = new ClinicianContract(blockchain);
+    patientContract.registerPatient({ id: PATIENT_ID, firstName: 'Test', lastName: 'Patient' });
+    clinicianContract.registerClinician({ id: INVESTIGATOR, firstName: 'Test', lastName: 'Investigator' });
+    blockchain.minePendingTransactions();
+
+    app.locals.blockchain = blockchain;
+    app.locals.patientContract = patientContract;
+    app.locals.clinicianContract = clinicianContract;
+    app.locals.researchStudyContract = new ResearchStudyContract(blockchain);
+    app.locals.researchOptions = { pseudonymSecret: 'test-secret' };
+
+    app.use('/api/research', researchRoutes);
+  });
+
+  const registerStudy = () => request(app)
+    .post('/api/research/studies')
+    .send({
+      title: 'Cardiac Outcomes',
+      purposes: ['Cardiology Research'],
+      dataCategories: ['Lab Result', 'Imaging'],
+      principalInvestigatorId: INVESTIGATOR
+    });
+
+  test('should register and list studies', async () => {
+    const created = await registerStudy();
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.studyId).toBeDefined();
+
+    const list = await request(app).get('/api/research/studies');
+    expect(list.body.data.count).toBe(1);
+    expect(list.body.data.studies[0]).toMatchObject({ title: 'Cardiac Outcomes', dataCategories: ['Lab Result', 'Imaging'] });
+
+    const invalid = await request(app).post('/api/research/studies').send({ title: 'No declarations' });
+    expect(invalid.status).toBe(400);
+
+    const missing = await request(app).get('/api/research/studies/c95c845a-6c3f-439f-840c-c0d67c9d0d33');
+    expect(missing.status).toBe(404);
+  });
+
+  test('should opt in, query the cohort and withdraw', async () => {
+    const { studyId } = (await registerStudy()).body.data;
+
+    const optIn = await request(app)
+      .post(`/api/research/studies/${studyId}/opt-in`)
+      .send({ patientId: PATIENT_ID, tier: 'de-identified', categories: ['Lab Result'] });
+    expect(optIn.status).toBe(201);
+    expect(optIn.body.data).toMatchObject({ tier: 'de-identified', categories: ['Lab Result'] });
+    blockchain.minePendingTransactions();
+
+    const identifiable = await request(app).get(`/api/research/studies/${studyId}/cohort?tier=identifiable`);
+    const deidentified = await request(app).get(`/api/research/studies/${studyId}/cohort?tier=de-identified`);
+    expect(identifiable.body.data.count).toBe(0);
+    expect(deidentified.body.data.count).toBe(1);
+    expect(JSON.stringify(deidentified.body.data)).not.toContain(PATIENT_ID);
+
+    const raise = await request(app)
+      .post(`/api/research/studies/${studyId}/tier`)
+      .send({ patientId: PATIENT_ID, tier: 'identifiable' });
+    expect(raise.status).toBe(409);
+
+    const withdraw = await request(app)
+      .post(`/api/research/studies/${studyId}/withdraw`)
+      .send({ patientId: PATIENT_ID, reason: 'No longer interested' });
+    expect(withdraw.status).toBe(200);
+    expect(withdraw.body.data.auditLogId).toBeDefined();
+
+    const aggregate = await request(app).get(`/api/research/studies/${studyId}/cohort?tier=aggregate`);
+    expect(aggregate.body.data.count).toBe(0);
+  });
+
+  test('should validate opt-in requests', async () => {
+    const { studyId } = (await registerStudy()).body.data;
+
+    const noPatient = await request(app).post(`/api/research/studies/${studyId}/opt-in`).send({ tier: 'aggregate' });
+    const badTier = await request(app)
+      .post(`/api/research/studies/${studyId}/opt-in`)
+      .send({ patientId: PATIENT_ID, tier: 'everything' });
+    const noConsent = await request(app)
+      .post(`/api/research/studies/${studyId}/withdraw`)
+      .send({ patientId: PATIENT_ID });
+
+    expect(noPatient.status).toBe(400);
+    expect(badTier.status).toBe(400);
+    expect(noConsent.status).toBe(404);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Research Service Tests
+ */
+
+const ResearchService = require('../../../features/research/researchService.js');
+const Blockchain = require('../../../core/Blockchain.js');
+const PatientContract = require('../../../features/data-storage/PatientContract.js');
+const ClinicianContract = require('../../../features/data-storage/ClinicianContract.js');
+
+const PATIENTS = [
+  'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+  'b84b734f-5b2e-428e-b39b-bfc56b8cfc22',
+  'c95c845a-6c3f-439f-840c-c0d67c9d0d33'
+];
+const INVESTIGATOR = 'a36fa4fb-c57a-428c-afb0-4157d58b3e65';
+
+describe('ResearchService', () => {
+  let blockchain;
+  let service;
+  let studyId;
+
+  const auditEntries = (type) => blockchain.pendingTransactions
+    .filter(tx => tx.to === 'audit-contract' && tx.data.type === type)
+    .map(tx => tx.data);
+
+  beforeEach(async () => {
+    blockchain = new Blockchain();
+    blockchain.createGenesisBlock();
+
+    const patientContract = new PatientContract(blockchain);
+    const clinicianContract = new ClinicianContract(blockchain);
+    PATIENTS.forEach((id, i) => patientContract.registerPatient({ id, firstName: 'Patient', lastName: `${i}` }));
+    clinicianContract.registerClinician({ id: INVESTIGATOR, firstName: 'Study', lastName: 'Lead' });
+
+    service = new ResearchService(blockchain, patientContract, clinicianContract, null, { pseudonymSecret: 'test-secret' });
+    ({ studyId } = await service.registerStudy({
+      title: 'Cardiac Outcomes',
+      purposes: ['Cardiology Research'],
+      dataCategories: ['Lab Result', 'Imaging'],
+      principalInvestigatorId: INVESTIGATOR
+    }));
+  });
+
+  test('should require declared purposes and data categories', async () => {
+    await expect(service.registerStudy({ title: 'No purposes', dataCategories: ['Imaging'] }))
+      .rejects.toThrow('Research study purposes must be a non-empty list of strings');
+    await expect(service.registerStudy({ title: 'No categories', purposes: ['Research'], dataCategories: [] }))
+      .rejects.toThrow('Research study dataCategories must be a non-empty list of strings');
+    await expect(service.registerStudy({
+      title: 'Unknown lead',
+      purposes: ['Research'],
+      dataCategories: ['Imaging'],
+      principalInvestigatorId: PATIENTS[0]
+    })).rejects.toThrow('Principal investigator not found');
+
+    expect((await service.getStudy(studyId)).purposes).toEqual(['Cardiology Research']);
+  });
+
+  test('should only accept opt-ins within the study\'s declarations', async () => {
+    await expect(service.optIn(studyId, PATIENTS[0], { tier: 'anonymous' }))
+      .rejects.toThrow('Invalid tier');
+    await expect(service.optIn(studyId, PATIENTS[0], { tier: 'aggregate', categories: ['Genomics'] }))
+      .rejects.toThrow('Invalid categories');
+    await expect(service.optIn(studyId, PATIENTS[0], { tier: 'aggregate', purpose: 'Marketing' }))
+      .rejects.toThrow('Invalid purpose');
+
+    const result = await service.optIn(studyId, PATIENTS[0], { tier: 'de-identified' });
+
+    expect(result).toMatchObject({ studyId, tier: 'de-identified', categories: ['Lab Result', 'Imaging'] });
+    expect(result.granteeType).toBe('research-study');
+    expect(auditEntries('consent-change')[0]).toMatchObject({ action: 'granted', consentId: result.consentId });
+    await expect(service.optIn(studyId, PATIENTS[0], { tier: 'aggregate' })).rejects.toThrow('already exists');
+  });
+
+  test('should release each cohort tier only to the patients who consented to it', async () => {
+    await service.optIn(studyId, PATIENTS[0], { tier: 'identifiable' });
+    await service.optIn(studyId, PATIENTS[1], { tier: 'de-identified' });
+    await service.optIn(studyId, PATIENTS[2], { tier: 'aggregate' });
+
+    const identifiable = await service.getCohort(studyId, { tier: 'identifiable', actorId: INVESTIGATOR });
+    const deidentified = await service.getCohort(studyId, { tier: 'de-identified' });
+    const aggregate = await service.getCohort(studyId, { tier: 'aggregate' });
+
+    expect(identifiable.patients.map(p => p.patientId)).toEqual([PATIENTS[0]]);
+    expect(deidentified.count).toBe(2);
+    expect(deidentified.patients.every(p => p.pseudonym && !p.patientId)).toBe(true);
+    expect(deidentified.patients[0].pseudonym).toBe(service.pseudonym(studyId, PATIENTS[0]));
+    expect(aggregate).toMatchObject({ count: 3 });
+    expect(aggregate).not.toHaveProperty('patients');
+
+    const [query] = auditEntries('data-access');
+    expect(query).toMatchObject({ actorId: INVESTIGATOR, resourceId: studyId, resourceType: 'researchCohort' });
+    expect(query.metadata).toEqual({ tier: 'identifiable', category: null, count: 1 });
+  });
+
+  test('should filter the cohort by data category', async () => {
+    await service.optIn(studyId, PATIENTS[0], { tier: 'aggregate', categories: ['Imaging'] });
+    await service.optIn(studyId, PATIENTS[1], { tier: 'aggregate' });
+
+    expect((await service.getCohort(studyId, { tier: 'aggregate', category: 'Lab Result' })).count).toBe(1);
+    expect((await service.getCohort(studyId, { tier: 'aggregate', category: 'Imaging' })).count).toBe(2);
+    await expect(service.getCohort(studyId, { tier: 'aggregate', category: 'Genomics' }))
+      .rejects.toThrow('Invalid category');
+  });
+
+  test('should drop a withdrawn patient from the cohort at once and audit the withdrawal', async () => {
+    await service.optIn(studyId, PATIENTS[0], { tier: 'identifiable' });
+    blockchain.minePendingTransactions();
+
+    const result = await service.withdraw(studyId, PATIENTS[0], { reason: 'Changed my mind' });
+
+    // The revocation is still pending
+    expect(blockchain.pendingTransactions.some(tx => tx.data.action === 'revoke')).toBe(true);
+    expect((await service.getCohort(studyId, { tier: 'aggregate' })).count).toBe(0);
+
+    const withdrawal = auditEntries('consent-change').find(entry => entry.action === 'withdrawn');
+    expect(withdrawal.logId).toBeUndefined();
+    expect(result.auditLogId).toBeDefined();
+    expect(withdrawal).toMatchObject({ consentId: result.consentId, patientId: PATIENTS[0], clinicianId: studyId });
+    expect(withdrawal.metadata).toMatchObject({ studyId, tier: 'identifiable', reason: 'Changed my mind' });
+
+    await expect(service.withdraw(studyId, PATIENTS[0])).rejects.toThrow('Research consent not found');
+  });
+
+  test('should change tiers, confirming only more revealing ones', async () => {
+    const { consentId } = await service.optIn(studyId, PATIENTS[0], { tier: 'de-identified' });
+    blockchain.minePendingTransactions();
+
+    await expect(service.changeTier(studyId, PATIENTS[0], { tier: 'identifiable' }))
+      .rejects.toThrow('requires confirmation');
+
+    const lowered = await service.changeTier(studyId, PATIENTS[0], { tier: 'aggregate' });
+
+    expect(lowered).toMatchObject({ consentId, tier: 'aggregate', previousTier: 'de-identified' });
+    expect((await service.getCohort(studyId, { tier: 'de-identified' })).count).toBe(0);
+    expect((await service.getCohort(studyId, { tier: 'aggregate' })).count).toBe(1);
+
+    await service.changeTier(studyId, PATIENTS[0], { tier: 'identifiable', confirmed: true });
+    expect((await service.getCohort(studyId, { tier: 'identifiable' })).patients[0].consentId).toBe(consentId);
+  });
+
+  test('should close a deactivated study', async () => {
+    service.studies.deactivateStudy(studyId, { reason: 'Enrolment complete' });
+
+    await expect(service.optIn(studyId, PATIENTS[0], { tier: 'aggregate' })).rejects.toThrow('has been deactivated');
+    await expect(service.getCohort(studyId, { tier: 'aggregate' })).rejects.toThrow('has been deactivated');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Pedersen Commitment Tests
+ */
+
+const crypto = require('crypto');
+const PedersenCommitment = require('../../../features/zk-proofs/PedersenCommitment.js');
+
+describe('PedersenCommitment', () => {
+  const { P, Q, G, H } = PedersenCommitment;
+
+  test('should use a prime-order subgroup', () => {
+    expect(crypto.checkPrimeSync(P)).toBe(true);
+    expect(crypto.checkPrimeSync(Q)).toBe(true);
+    expect((P - 1n) % Q).toBe(0n);
+    expect(PedersenCommitment.isGroupElement(G)).toBe(true);
+    expect(PedersenCommitment.isGroupElement(H)).toBe(true);
+    expect(H).not.toBe(G);
+  });
+
+  test('should hide the message behind the blinding factor', () => {
+    const message = PedersenCommitment.hashToScalar('message');
+    const a = PedersenCommitment.commit(message, PedersenCommitment.randomScalar());
+    const b = PedersenCommitment.commit(message, PedersenCommitment.randomScalar());
+
+    expect(a).not.toBe(b);
+    expect(PedersenCommitment.isGroupElement(a)).toBe(true);
+  });
+
+  test('should be additively homomorphic', () => {
+    const [m1, r1, m2, r2] = [1, 2, 3, 4].map(() => PedersenCommitment.randomScalar());
+    const product = PedersenCommitment.commit(m1, r1) * PedersenCommitment.commit(m2, r2) % P;
+
+    expect(product).toBe(PedersenCommitment.commit(PedersenCommitment.mod(m1 + m2), PedersenCommitment.mod(r1 + r2)));
+  });
+
+  test('should round-trip hex and reject malformed input', () => {
+    expect(PedersenCommitment.fromHex(PedersenCommitment.toHex(G))).toBe(G);
+    expect(PedersenCommitment.fromHex('not-hex')).toBeNull();
+    expect(PedersenCommitment.fromHex(undefined)).toBeNull();
+  });
+});
@@ -3,37 +3,46 @@
  */
 
 const ZKProof = require('../../../features/zk-proofs/ZKProof.js');
+const PedersenCommitment = require('../../../features/zk-proofs/PedersenCommitment.js');
 
 describe('ZKProof', () => {
   describe('Consent Proof', () => {
+    let openings;
+    let activeCommitments;
+
+    beforeEach(() => {
+      // Four active consents, each with its own secret blinding factor
+      openings = ['Data Access', 'AI Analysis', 'Research', 'Treatment'].map((type, i) => {
+        const message = ZKProof.consentMessage('patient-1', `clinician-${i}`, type, `consent-${i}`);
+        const blinding = PedersenCommitment.randomScalar();
+        return {
+          commitment: ZKProof.commitConsent('patient-1', `clinician-${i}`, type, `consent-${i}`, blinding),
+          message,
+          blinding
+        };
+      });
+      activeCommitments = openings.map(opening => opening.commitment);
+    });
+
     test('should generate consent proof', () => {
-      const proof = ZKProof.generateProof(
-        'patient-1',
-        'clinician-1',
-        'Data Access',
-        { valid: true }
-      );
-
-      expect(proof).toHaveProperty('commitment');
-      expect(proof).toHaveProperty('verificationKey');
-      expect(proof).toHaveProperty('salt');
-      expect(proof).toHaveProperty('valid');
-      expect(proof.valid).toBe(true);
+      const proof = ZKProof.generateProof(activeCommitments, openings[2]);
+
+      expect(proof.scheme).toBe(ZKProof.CONSENT_PROOF_SCHEME);
+      expect(proof.ring).toEqual([...activeCommitments].sort());
+      expect(proof.announcements).toHaveLength(4);
+      expect(proof.challenges).toHaveLength(4);
+      expect(proof.responses).toHaveLength(4);
       // Should not reveal patient/clinician IDs
       expect(proof.patientId).toBeUndefined();
       expect(proof.clinicianId).toBeUndefined();
       expect(proof.consentType).toBeUndefined();
+      expect(JSON.stringify(proof)).not.toContain('clinician-2');
     });
 
     test('should verify valid consent proof', () => {
-      const proof = ZKProof.generateProof(
-        'patient-1',
-        'clinician-1',
-        'Data Access',
-        { valid: true }
-      );
-
-      const isValid = ZKProof.verifyProof(proof);
+      const proof = ZKProof.generateProof(activeCommitments, openings[2]);
+
+      const isValid = ZKProof.verifyProof(proof, activeCommitments);
       expect(isValid).toBe(true);
     });
 
@@ -45,69 +54,144 @@ describe('ZKProof', () => {
         valid: true
       };
 
-      const isValid = ZKProof.verifyProof(proof);
+      const isValid = ZKProof.verifyProof(proof, activeCommitments);
       expect(isValid).toBe(false);
     });
 
-    test('should throw error for missing valid field', () => {
+    test('should reject a proof with a tampered response', () => {
+      const proof = ZKProof.generateProof(activeCommitments, openings[0]);
+      proof.responses[1] = { ...proof.responses[1], m: PedersenCommitment.toHex(PedersenCommitment.randomScalar()) };
+
+      expect(ZKProof.verifyProof(proof, activeCommitments)).toBe(false);
+    });
+
+    test('should reject a proof once its ring leaves the active set', () => {
+      const proof = ZKProof.generateProof(activeCommitments, openings[0]);
+
+      expect(ZKProof.verifyProof(proof, activeCommitments.slice(1))).toBe(false);
+    });
+
+    test('should not be forgeable without an opening', () => {
+      // A forger who only knows the public commitments can simulate every member,
+      // but then the challenges cannot match the transcript hash
+      const forged = ZKProof.generateProof(activeCommitments, openings[0]);
+      const fake = { ...openings[0], blinding: PedersenCommitment.randomScalar() };
+
+      expect(() => ZKProof.generateProof(activeCommitments, fake)).toThrow('Opening does not match commitment');
+      forged.challenges = forged.challenges.map(() => PedersenCommitment.toHex(PedersenCommitment.randomScalar()));
+      expect(ZKProof.verifyProof(forged, activeCommitments)).toBe(false);
+    });
+
+    test('should reject expired proofs', () => {
+      const proof = ZKProof.generateProof(activeCommitments, openings[0]);
+      proof.timestamp = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+
+      expect(ZKProof.verifyProof(proof, activeCommitments)).toBe(false);
+    });
+
+    test('should hide the prover among at most ringSize commitments', () => {
+      const proof = ZKProof.generateProof(activeCommitments, openings[3], { ringSize: 2 });
+
+      expect(proof.ring).toHaveLength(2);
+      expect(proof.ring).toContain(openings[3].commitment);
+      expect(ZKProof.verifyProof(proof, activeCommitments)).toBe(true);
+    });
+
+    test('should throw error for commitments outside the active set', () => {
       expect(() => {
-        ZKProof.generateProof('patient-1', 'clinician-1', 'Data Access', {});
-      }).toThrow('valid boolean field');
+        ZKProof.generateProof(activeCommitments.slice(1), openings[0]);
+      }).toThrow('not in the active set');
     });
   });
 
   describe('Permission Proof', () => {
+    let identities;
+    let identityKeys;
+    const challenge = { nonce: 'nonce-1', verifierId: 'vendor-1', requestId: 'request-1' };
+
+    beforeEach(() => {
+      identities = [1, 2, 3].map(() => {
+        const secret = PedersenCommitment.randomScalar();
+        const identityKey = PedersenCommitment.toHex(PedersenCommitment.modPow(PedersenCommitment.G, secret));
+        return { identityKey, secret };
+      });
+      identityKeys = identities.map(identity => identity.identityKey);
+    });
+
     test('should generate permission proof', () => {
-      const proof = ZKProof.generatePermissionProof(
-        'user-1',
-        ['read', 'write'],
-        { hasPermissions: true, permissions: ['read', 'write'] }
-      );
-
-      expect(proof).toHaveProperty('commitment');
-      expect(proof).toHaveProperty('verificationKey');
-      expect(proof).toHaveProperty('permissions');
-      expect(proof).toHaveProperty('hasPermissions');
-      expect(proof.hasPermissions).toBe(true);
+      const proof = ZKProof.generatePermissionProof(identityKeys, identities[1], ['write', 'read'], challenge);
+
+      expect(proof.scheme).toBe(ZKProof.PERMISSION_PROOF_SCHEME);
+      expect(proof.permissions).toEqual(['read', 'write']);
+      expect(proof.challenge).toEqual(challenge);
+      expect(proof).toHaveProperty('nullifier');
+      expect(proof.ring).toEqual([...identityKeys].sort());
       // Should not reveal user ID
       expect(proof.userId).toBeUndefined();
     });
 
     test('should verify permission proof', () => {
-      const proof = ZKProof.generatePermissionProof(
-        'user-1',
-        ['read', 'write'],
-        { hasPermissions: true, permissions: ['read', 'write'] }
-      );
+      const proof = ZKProof.generatePermissionProof(identityKeys, identities[1], ['read', 'write'], challenge);
 
-      const isValid = ZKProof.verifyPermissionProof(proof, ['read', 'write']);
+      const isValid = ZKProof.verifyPermissionProof(proof, ['read', 'write'], identityKeys);
       expect(isValid).toBe(true);
     });
 
     test('should reject proof with missing permissions', () => {
-      const proof = ZKProof.generatePermissionProof(
-        'user-1',
-        ['read'],
-        { hasPermissions: true, permissions: ['read'] }
-      );
+      const proof = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read'], challenge);
 
-      const isValid = ZKProof.verifyPermissionProof(proof, ['read', 'write']);
+      const isValid = ZKProof.verifyPermissionProof(proof, ['read', 'write'], identityKeys);
       expect(isValid).toBe(false);
     });
 
+    test('should reject proof with added permissions', () => {
+      const proof = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read'], challenge);
+      proof.permissions = ['read', 'write'];
+
+      expect(ZKProof.verifyPermissionProof(proof, ['read', 'write'], identityKeys)).toBe(false);
+    });
+
     test('should reject expired proof', () => {
-      const proof = ZKProof.generatePermissionProof(
-        'user-1',
-        ['read', 'write'],
-        { hasPermissions: true, permissions: ['read', 'write'] }
-      );
+      const proof = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read', 'write'], challenge);
 
       // Set timestamp to 25 hours ago
       proof.timestamp = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
 
-      const isValid = ZKProof.verifyPermissionProof(proof, ['read', 'write']);
+      const isValid = ZKProof.verifyPermissionProof(proof, ['read', 'write'], identityKeys);
       expect(isValid).toBe(false);
     });
+
+    test('should bind the proof to its challenge', () => {
+      const proof = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read'], challenge);
+      const moved = { ...proof, challenge: { ...challenge, verifierId: 'vendor-2' } };
+
+      expect(ZKProof.verifyPermissionProof(moved, ['read'], identityKeys)).toBe(false);
+    });
+
+    test('should give the same user the same nullifier per verifier and request', () => {
+      const first = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read'], challenge);
+      const second = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read'], { ...challenge, nonce: 'nonce-2' });
+      const otherRequest = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read'], { ...challenge, requestId: 'request-2' });
+      const otherUser = ZKProof.generatePermissionProof(identityKeys, identities[1], ['read'], challenge);
+
+      expect(second.nullifier).toBe(first.nullifier);
+      expect(otherRequest.nullifier).not.toBe(first.nullifier);
+      expect(otherUser.nullifier).not.toBe(first.nullifier);
+    });
+
+    test('should reject a nullifier that does not match the secret', () => {
+      const proof = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read'], challenge);
+      const other = ZKProof.generatePermissionProof(identityKeys, identities[1], ['read'], challenge);
+
+      expect(ZKProof.verifyPermissionProof({ ...proof, nullifier: other.nullifier }, ['read'], identityKeys)).toBe(false);
+    });
+
+    test('should only prove published identities', () => {
+      expect(() => ZKProof.generatePermissionProof(identityKeys.slice(1), identities[0], ['read'], challenge))
+        .toThrow('Identity key is not published');
+
+      const proof = ZKProof.generatePermissionProof(identityKeys, identities[0], ['read'], challenge);
+      expect(ZKProof.verifyPermissionProof(proof, ['read'], identityKeys.slice(1))).toBe(false);
+    });
   });
 });
-
@@ -101,9 +101,9 @@ describe('ZK Proofs Controller API', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('proof');
-      expect(response.body.data.proof).toHaveProperty('commitment');
-      expect(response.body.data.proof).toHaveProperty('verificationKey');
-      expect(response.body.data.proof).toHaveProperty('valid');
+      expect(response.body.data.proof).toHaveProperty('ring');
+      expect(response.body.data.proof).toHaveProperty('challenges');
+      expect(response.body.data.proof).toHaveProperty('responses');
       // Should not reveal sensitive data
       expect(response.body.data.proof.patientId).toBeUndefined();
       expect(response.body.data.proof.clinicianId).toBeUndefined();
@@ -151,9 +151,9 @@ describe('ZK Proofs Controller API', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('proof');
-      expect(response.body.data.proof).toHaveProperty('commitment');
-      expect(response.body.data.proof).toHaveProperty('verificationKey');
-      expect(response.body.data.proof).toHaveProperty('valid');
+      expect(response.body.data.proof).toHaveProperty('ring');
+      expect(response.body.data.proof).toHaveProperty('challenges');
+      expect(response.body.data.proof).toHaveProperty('responses');
       // Should not reveal sensitive data
       expect(response.body.data.proof.patientId).toBeUndefined();
       expect(response.body.data.proof.clinicianId).toBeUndefined();
@@ -224,21 +224,69 @@ describe('ZK Proofs Controller API', () => {
     });
   });
 
+  describe('GET /api/zk/commitment-root', () => {
+    test('should return the latest commitment root', async () => {
+      const response = await request(app).get('/api/zk/commitment-root');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.blockIndex).toBe(blockchain.getLatestBlock().index);
+      expect(response.body.data.size).toBe(1);
+      expect(response.body.data).toHaveProperty('root');
+    });
+
+    test('should return the root at a given block', async () => {
+      const response = await request(app).get('/api/zk/commitment-root').query({ blockIndex: 0 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.size).toBe(0);
+    });
+
+    test('should return 404 for unknown blocks', async () => {
+      const response = await request(app).get('/api/zk/commitment-root').query({ blockIndex: 999 });
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/zk/challenge', () => {
+    test('should issue a challenge', async () => {
+      const response = await request(app)
+        .post('/api/zk/challenge')
+        .send({ verifierId: 'vendor-1', requestId: 'export-42' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveProperty('challenge');
+      expect(response.body.data.requestId).toBe('export-42');
+    });
+
+    test('should return 400 without a verifier', async () => {
+      const response = await request(app).post('/api/zk/challenge').send({});
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('POST /api/zk/permission-proof', () => {
+    let challenge;
+
+    beforeEach(async () => {
+      const response = await request(app).post('/api/zk/challenge').send({ verifierId: 'vendor-1' });
+      challenge = response.body.data.challenge;
+    });
+
     test('should generate permission proof successfully', async () => {
       const response = await request(app)
         .post('/api/zk/permission-proof')
         .send({
           userId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
-          permissions: ['read', 'write']
+          permissions: ['read', 'write'],
+          challenge
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('proof');
-      expect(response.body.data.proof).toHaveProperty('commitment');
+      expect(response.body.data.proof).toHaveProperty('nullifier');
       expect(response.body.data.proof).toHaveProperty('permissions');
-      expect(response.body.data.proof).toHaveProperty('hasPermissions');
+      expect(response.body.data.proof).toHaveProperty('challenge');
       // Should not reveal user ID
       expect(response.body.data.proof.userId).toBeUndefined();
     });
@@ -259,7 +307,19 @@ describe('ZK Proofs Controller API', () => {
         .post('/api/zk/permission-proof')
         .send({
           userId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
-          permissions: []
+          permissions: [],
+          challenge
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 400 without a challenge', async () => {
+      const response = await request(app)
+        .post('/api/zk/permission-proof')
+        .send({
+          userId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+          permissions: ['read']
         });
 
       expect(response.status).toBe(400);
@@ -270,17 +330,31 @@ describe('ZK Proofs Controller API', () => {
     let proof;
 
     beforeEach(async () => {
+      const challengeResponse = await request(app).post('/api/zk/challenge').send({ verifierId: 'vendor-1' });
       const proofResponse = await request(app)
         .post('/api/zk/permission-proof')
         .send({
           userId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
-          permissions: ['read', 'write', 'admin']
+          permissions: ['read', 'write', 'admin'],
+          challenge: challengeResponse.body.data.challenge
         });
       expect(proofResponse.status).toBe(200);
       expect(proofResponse.body.data).toHaveProperty('proof');
       proof = proofResponse.body.data.proof;
     });
 
+    test('should verify a proof once', async () => {
+      const send = () => request(app)
+        .post('/api/zk/verify-permission')
+        .send({ proof, requiredPermissions: ['read'], verifierId: 'vendor-1' });
+
+      const first = await send();
+      const second = await send();
+
+      expect(first.status).toBe(200);
+      expect(first.body.data.valid).toBe(true);
+      expect(second.body.data.valid).toBe(false);
+    });
 
     test('should return 400 for missing proof', async () => {
       const response = await request(app)
@@ -302,6 +376,16 @@ describe('ZK Proofs Controller API', () => {
 
       expect(response.status).toBe(400);
     });
+
+    test('should return 400 without a verifier', async () => {
+      const response = await request(app)
+        .post('/api/zk/verify-permission')
+        .send({
+          proof,
+          requiredPermissions: ['read']
+        });
+
+      expect(response.status).toBe(400);
+    });
   });
 });
-
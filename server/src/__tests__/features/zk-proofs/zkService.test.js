@@ -68,9 +68,9 @@ describe('ZKService', () => {
       );
 
       expect(result).toHaveProperty('proof');
-      expect(result.proof).toHaveProperty('commitment');
-      expect(result.proof).toHaveProperty('verificationKey');
-      expect(result.proof).toHaveProperty('valid');
+      expect(result.proof).toHaveProperty('ring');
+      expect(result.proof).toHaveProperty('challenges');
+      expect(result.proof).toHaveProperty('responses');
       // Should not reveal sensitive data
       expect(result.proof.patientId).toBeUndefined();
       expect(result.proof.clinicianId).toBeUndefined();
@@ -87,6 +87,22 @@ describe('ZKService', () => {
       ).rejects.toThrow('Invalid');
     });
 
+    test('should not prove consents that are not yet mined', async () => {
+      consentContract.grantConsent(
+        'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+        'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+        'Research'
+      );
+
+      await expect(
+        service.generateConsentProof(
+          'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+          'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+          'Research'
+        )
+      ).rejects.toThrow('not yet on chain');
+    });
+
     test('should throw error for non-existent consent', async () => {
       await expect(
         service.generateConsentProof(
@@ -135,43 +151,141 @@ describe('ZKService', () => {
       const result = await service.verifyConsentProof({ proof: invalidProof });
       expect(result.valid).toBe(false);
     });
+
+    test('should reject a proof after the consent is revoked', async () => {
+      const [grant] = blockchain.searchTransactions({ to: 'consent-contract', 'data.action': 'grant' });
+      consentContract.revokeConsent(grant.data.consentId);
+      blockchain.minePendingTransactions();
+
+      const result = await service.verifyConsentProof({ proof });
+      expect(result.valid).toBe(false);
+      expect(result.hasConsent).toBe(false);
+    });
+
+    test('should anchor proofs to the latest block', async () => {
+      const latest = blockchain.getLatestBlock();
+
+      expect(proof.anchor.blockIndex).toBe(latest.index);
+      expect(proof.anchor.blockHash).toBe(latest.hash);
+      expect(proof.anchor.root).toBe((await service.getCommitmentRoot()).root);
+    });
+
+    test('should keep verifying against the anchor block after new grants', async () => {
+      consentContract.grantConsent(
+        'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+        'a36fa4fb-c57a-428c-afb0-4157d58b3e65',
+        'Research'
+      );
+      blockchain.minePendingTransactions();
+
+      const result = await service.verifyConsentProof({ proof });
+      expect(result.valid).toBe(true);
+      expect(result.anchor.blockIndex).toBe(proof.anchor.blockIndex);
+    });
+
+    test('should reject proofs whose anchor does not match the chain', async () => {
+      const result = await service.verifyConsentProof({
+        proof: { ...proof, anchor: { ...proof.anchor, root: 'f'.repeat(64) } }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('not anchored');
+    });
+
+    test('should honour the revocation grace period', async () => {
+      const graceful = new ZKService(blockchain, patientContract, clinicianContract, { revocationGraceBlocks: 1 });
+      const [grant] = blockchain.searchTransactions({ to: 'consent-contract', 'data.action': 'grant' });
+      consentContract.revokeConsent(grant.data.consentId);
+      blockchain.minePendingTransactions();
+
+      expect((await graceful.verifyConsentProof({ proof })).valid).toBe(true);
+
+      blockchain.keyStore.generateKeyPair('a');
+      blockchain.addTransaction(blockchain.signTransaction({ from: 'a', to: 'b', data: { n: 1 } }));
+      blockchain.minePendingTransactions();
+
+      const result = await graceful.verifyConsentProof({ proof });
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('revoked or expired');
+    });
+  });
+
+  describe('createChallenge', () => {
+    test('should issue a challenge for a verifier', async () => {
+      const result = await service.createChallenge('vendor-1', 'export-42');
+
+      expect(result.challenge).toMatch(/^[0-9a-f]{64}$/);
+      expect(result.verifierId).toBe('vendor-1');
+      expect(result.requestId).toBe('export-42');
+    });
+
+    test('should require a verifier', async () => {
+      await expect(service.createChallenge()).rejects.toThrow('verifierId is required');
+    });
   });
 
   describe('generatePermissionProof', () => {
+    let challenge;
+
+    beforeEach(async () => {
+      ({ challenge } = await service.createChallenge('vendor-1'));
+    });
+
     test('should generate permission proof successfully', async () => {
       const result = await service.generatePermissionProof(
         'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
-        ['read', 'write']
+        ['read', 'write'],
+        challenge
       );
 
       expect(result).toHaveProperty('proof');
-      expect(result.proof).toHaveProperty('commitment');
+      expect(result.proof).toHaveProperty('nullifier');
       expect(result.proof).toHaveProperty('permissions');
-      expect(result.proof).toHaveProperty('hasPermissions');
+      expect(result.proof.challenge.verifierId).toBe('vendor-1');
       // Should not reveal user ID
       expect(result.proof.userId).toBeUndefined();
+      expect(JSON.stringify(result.proof)).not.toContain('a73a623f');
+    });
+
+    test('should hide the user among all published identities', async () => {
+      const result = await service.generatePermissionProof(
+        'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+        ['read'],
+        challenge
+      );
+
+      // The patient and the clinician both published identity keys
+      expect(result.proof.ring).toHaveLength(2);
     });
 
     test('should throw error for invalid user ID', async () => {
       await expect(
-        service.generatePermissionProof('invalid-id', ['read'])
+        service.generatePermissionProof('invalid-id', ['read'], challenge)
       ).rejects.toThrow('Invalid');
     });
+
+    test('should require a live challenge', async () => {
+      await expect(
+        service.generatePermissionProof('a73a623f-4a1d-417d-a29a-aeb45a7beb11', ['read'], 'made-up')
+      ).rejects.toThrow('Invalid or expired challenge');
+    });
   });
 
   describe('verifyPermissionProof', () => {
     let proof;
 
     beforeEach(async () => {
+      const { challenge } = await service.createChallenge('vendor-1', 'export-42');
       const result = await service.generatePermissionProof(
         'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
-        ['read', 'write', 'admin']
+        ['read', 'write', 'admin'],
+        challenge
       );
       proof = result.proof;
     });
 
     test('should verify valid permission proof', async () => {
-      const result = await service.verifyPermissionProof(proof, ['read', 'write']);
+      const result = await service.verifyPermissionProof(proof, ['read', 'write'], 'vendor-1');
 
       expect(result).toHaveProperty('valid');
       expect(result.valid).toBe(true);
@@ -179,10 +293,45 @@ describe('ZKService', () => {
     });
 
     test('should reject proof with missing permissions', async () => {
-      const result = await service.verifyPermissionProof(proof, ['read', 'write', 'delete']);
+      const result = await service.verifyPermissionProof(proof, ['read', 'write', 'delete'], 'vendor-1');
 
       expect(result.valid).toBe(false);
     });
+
+    test('should record the nullifier on chain and reject replays', async () => {
+      await service.verifyPermissionProof(proof, ['read'], 'vendor-1');
+
+      const spent = blockchain.pendingTransactions.find(tx => tx.data.action === 'spend');
+      expect(spent.to).toBe('zk-identity-registry');
+      expect(spent.data.nullifier).toBe(proof.nullifier);
+      expect(spent.data.verifierId).toBe('vendor-1');
+
+      const replay = await service.verifyPermissionProof(proof, ['read'], 'vendor-1');
+      expect(replay.valid).toBe(false);
+    });
+
+    test('should reject a spent nullifier even with a fresh challenge', async () => {
+      await service.verifyPermissionProof(proof, ['read'], 'vendor-1');
+      blockchain.minePendingTransactions();
+
+      // Same user, same verifier and request: same nullifier
+      const { challenge } = await service.createChallenge('vendor-1', 'export-42');
+      const { proof: second } = await service.generatePermissionProof(
+        'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
+        ['read'],
+        challenge
+      );
+
+      const result = await service.verifyPermissionProof(second, ['read'], 'vendor-1');
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Proof has already been used');
+    });
+
+    test('should reject a proof presented by another verifier', async () => {
+      const result = await service.verifyPermissionProof(proof, ['read'], 'vendor-2');
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Proof was issued for another verifier');
+    });
   });
 });
-
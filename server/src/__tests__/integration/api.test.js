@@ -218,12 +218,21 @@ describe('Comprehensive API Integration Tests', () => {
 
 
     test('Complete ZK permission proof flow', async () => {
-      // 1. Generate permission proof
+      // 1. Verifier asks for a challenge
+      const challengeResponse = await request(app)
+        .post('/api/zk/challenge')
+        .send({ verifierId: 'vendor-1' });
+
+      expect(challengeResponse.status).toBe(200);
+      const { challenge } = challengeResponse.body.data;
+
+      // 2. Generate permission proof
       const proofResponse = await request(app)
         .post('/api/zk/permission-proof')
         .send({
           userId: 'a73a623f-4a1d-417d-a29a-aeb45a7beb11',
-          permissions: ['read', 'write', 'admin']
+          permissions: ['read', 'write', 'admin'],
+          challenge
         });
 
       expect(proofResponse.status).toBe(200);
@@ -233,16 +242,28 @@ describe('Comprehensive API Integration Tests', () => {
       // Verify privacy - no user ID
       expect(proof.userId).toBeUndefined();
 
-      // 2. Verify permission proof
+      // 3. Verify permission proof
       const verifyResponse = await request(app)
         .post('/api/zk/verify-permission')
         .send({
           proof,
-          requiredPermissions: ['read', 'write']
+          requiredPermissions: ['read', 'write'],
+          verifierId: 'vendor-1'
         });
 
       expect(verifyResponse.status).toBe(200);
       expect(verifyResponse.body.data.valid).toBe(true);
+
+      // 4. The proof cannot be replayed
+      const replayResponse = await request(app)
+        .post('/api/zk/verify-permission')
+        .send({
+          proof,
+          requiredPermissions: ['read', 'write'],
+          verifierId: 'vendor-1'
+        });
+
+      expect(replayResponse.body.data.valid).toBe(false);
     });
   });
 
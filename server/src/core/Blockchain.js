@@ -3,16 +3,251 @@
  * 
  * Simple permissioned blockchain implementation.
  * Stores transactions in blocks with proof-of-work.
+ * When a storage backend is configured, every block and pending
+ * transaction is written through to it.
+ *
+ * Events:
+ * - 'transaction' (transaction, { source }) - A transaction entered the pending pool
+ * - 'block' (block, { source }) - A block was appended to the chain
+ * source is 'local' for locally created data and 'peer' for data received from the network.
+ *
+ * Every transaction must be signed with the Ed25519 key of its signer.
+ * Transactions from 'system' are signed by a node key; all others by the sending actor.
  */
 
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const KeyStore = require('./KeyStore.js');
+const KeyManagementService = require('./KeyManagementService.js');
+const TransactionIndex = require('./TransactionIndex.js');
 
-class Blockchain {
-  constructor() {
+// Address of the built-in contract that publishes actor public keys
+const KEY_REGISTRY_ADDRESS = 'key-registry';
+
+class Blockchain extends EventEmitter {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Object} options.storage - Storage backend (e.g. FileStorage); in-memory only if omitted
+   * @param {KeyStore} options.keyStore - Key store used to sign and verify transactions
+   * @param {KeyManagementService} options.keyManager - Data keys for encrypted record fields
+   */
+  constructor(options = {}) {
+    super();
     this.chain = [];
     this.pendingTransactions = [];
     this.difficulty = 2; // For proof-of-work (simplified)
     this.miningReward = 0; // No mining rewards in permissioned blockchain
+    this.storage = options.storage || null;
+    this.keyStore = options.keyStore || new KeyStore();
+    this.keyManager = options.keyManager || new KeyManagementService();
+    this.systemSigner = 'system'; // Node key used for 'system' transactions (see setSystemSigner)
+    this.validators = new Set(); // Peer nodes that may also sign new 'system' transactions (see setValidators)
+    this.transactionIndex = new TransactionIndex(); // Secondary indexes behind searchTransactions
+  }
+
+  /**
+   * Set the node whose key signs 'system' transactions
+   *
+   * @param {string} nodeId - Node ID
+   */
+  setSystemSigner(nodeId) {
+    this.keyStore.generateKeyPair(nodeId, 'node');
+    this.systemSigner = nodeId;
+  }
+
+  /**
+   * Set the peer nodes whose keys may sign new 'system' transactions
+   *
+   * @param {Array<string>} nodeIds - Validator node IDs
+   */
+  setValidators(nodeIds) {
+    this.validators = new Set(nodeIds);
+  }
+
+  /**
+   * Check whether a node key may sign on behalf of 'system'
+   * New transactions must come from this node or a validator. Blocks already on a
+   * chain may also carry transactions from nodes that have since left the validator
+   * set, so for those any node key this store trusts is accepted (node keys only
+   * enter the store through this node's own key and authenticated peer registration).
+   *
+   * @param {string} nodeId - Signer of the transaction
+   * @param {Object} options - { committed: the transaction is in a block being validated as history }
+   * @returns {boolean} True if the node may sign 'system' transactions
+   */
+  isSystemSigner(nodeId, options = {}) {
+    if (this.keyStore.getRole(nodeId) !== 'node') {
+      return false;
+    }
+    return options.committed === true || nodeId === this.systemSigner || this.validators.has(nodeId);
+  }
+
+  /**
+   * Fields of a transaction covered by its signature
+   */
+  getSigningPayload(transaction) {
+    return {
+      from: transaction.from,
+      to: transaction.to,
+      data: transaction.data,
+      nonce: transaction.nonce,
+      signer: transaction.signer
+    };
+  }
+
+  /**
+   * Sign a transaction with the sender's key (or the node key for 'system')
+   *
+   * @param {Object} transaction - Transaction with from, to and data
+   * @returns {Object} Transaction with nonce, signer and signature
+   */
+  signTransaction(transaction) {
+    const signer = transaction.from === 'system' ? this.systemSigner : transaction.from;
+
+    if (signer === 'system' && !this.keyStore.hasPrivateKey('system')) {
+      this.keyStore.generateKeyPair('system', 'node');
+    }
+
+    const unsigned = {
+      ...transaction,
+      nonce: transaction.nonce || crypto.randomUUID(),
+      signer
+    };
+
+    return {
+      ...unsigned,
+      signature: this.keyStore.sign(signer, this.getSigningPayload(unsigned))
+    };
+  }
+
+  /**
+   * Verify a transaction's signature against its signer's registered key
+   *
+   * @param {Object} transaction - Signed transaction
+   * @param {Object} options - See isSystemSigner
+   * @returns {boolean} True if signed by an authorized key
+   */
+  verifyTransactionSignature(transaction, options = {}) {
+    if (!transaction.signature || !transaction.signer || !transaction.nonce) {
+      return false;
+    }
+
+    // Only this node and the validators may sign on behalf of 'system'
+    if (transaction.signer !== transaction.from) {
+      if (transaction.from !== 'system' || !this.isSystemSigner(transaction.signer, options)) {
+        return false;
+      }
+    }
+
+    const publicKey = this.keyStore.getPublicKey(transaction.signer);
+    return KeyStore.verify(publicKey, this.getSigningPayload(transaction), transaction.signature);
+  }
+
+  /**
+   * Create a keypair for an actor and publish its public key on chain
+   * Pass publicKey to register a key whose private half the actor holds itself.
+   *
+   * @param {string} actorId - Actor ID
+   * @param {string} role - Actor role (patient, clinician, ai-model, auditor, ...)
+   * @param {string} publicKey - Optional PEM-encoded Ed25519 public key
+   * @returns {Object} { actorId, role, publicKey, created }
+   */
+  registerActorKey(actorId, role, publicKey = null) {
+    const key = publicKey
+      ? { actorId, role, publicKey, created: this.keyStore.registerPublicKey(actorId, publicKey, role) }
+      : this.keyStore.generateKeyPair(actorId, role);
+
+    if (key.created) {
+      this.addTransaction(this.signTransaction({
+        from: 'system',
+        to: KEY_REGISTRY_ADDRESS,
+        data: {
+          action: 'register-key',
+          actorId,
+          role: key.role,
+          publicKey: key.publicKey,
+          timestamp: new Date().toISOString()
+        }
+      }));
+    }
+
+    return key;
+  }
+
+  /**
+   * Learn the public key published by a key registry transaction
+   */
+  applyKeyRegistration(transaction) {
+    if (transaction.to !== KEY_REGISTRY_ADDRESS || transaction.data?.action !== 'register-key') {
+      return;
+    }
+
+    // Node keys are only trusted through peer registration, never from the chain
+    const { actorId, publicKey, role } = transaction.data;
+    if (role === 'node') {
+      return;
+    }
+    if (!this.keyStore.getPublicKey(actorId)) {
+      this.keyStore.registerPublicKey(actorId, publicKey, role);
+    }
+  }
+
+  /**
+   * Load chain and pending pool from storage and re-validate them
+   * Each pending transaction gets the checks of receiveTransaction, in pool order,
+   * before its key registration is applied. Those that fail are dropped and the
+   * pending log is rewritten without them. The validator set is not restored yet
+   * at this point, so 'system' transactions are checked like committed ones (any
+   * node key this store trusts, see isSystemSigner).
+   *
+   * @returns {Object} Load result with block and pending transaction counts, and
+   *   the IDs of dropped pending transactions
+   */
+  loadFromStorage() {
+    if (!this.storage) {
+      return { loaded: false, blocks: 0, pendingTransactions: 0, droppedTransactions: [] };
+    }
+
+    const { chain, pendingTransactions } = this.storage.load();
+    this.chain = chain;
+    this.pendingTransactions = [];
+
+    if (!this.isChainValid()) {
+      throw new Error('Persisted chain failed validation');
+    }
+    this.transactionIndex.sync(this.chain);
+
+    const droppedTransactions = [];
+    for (const tx of pendingTransactions) {
+      if (!tx.id || !tx.timestamp || this.hasTransaction(tx.id) || !this.isValidTransaction(tx, { committed: true })) {
+        droppedTransactions.push(tx.id || null);
+        continue;
+      }
+      this.pendingTransactions.push(tx);
+      this.applyKeyRegistration(tx);
+    }
+    if (droppedTransactions.length > 0) {
+      this.storage.savePendingTransactions(this.pendingTransactions);
+    }
+
+    return {
+      loaded: chain.length > 0,
+      blocks: chain.length,
+      pendingTransactions: this.pendingTransactions.length,
+      droppedTransactions
+    };
+  }
+
+  /**
+   * Write a newly appended block (and the remaining pending pool) through to storage
+   */
+  persistBlock(block) {
+    if (!this.storage) {
+      return;
+    }
+
+    this.storage.appendBlock(block);
+    this.storage.savePendingTransactions(this.pendingTransactions);
   }
 
   /**
@@ -35,6 +270,9 @@ class Blockchain {
     };
     
     this.chain.push(genesisBlock);
+    this.transactionIndex.sync(this.chain);
+    this.persistBlock(genesisBlock);
+    this.emit('block', genesisBlock, { source: 'local' });
     return genesisBlock;
   }
 
@@ -63,22 +301,250 @@ class Blockchain {
    * Add a new transaction to the pending pool
    */
   addTransaction(transaction) {
-    if (!transaction.from || !transaction.to || !transaction.data) {
-      throw new Error('Transaction must include from, to, and data fields');
+    return this.addTransactions([transaction])[0];
+  }
+
+  /**
+   * Add several transactions to the pending pool, all or none
+   * Every transaction is checked before any is added.
+   *
+   * @param {Array} transactions - Signed transactions
+   * @returns {Array} Pending transactions, in the given order
+   */
+  addTransactions(transactions) {
+    for (const transaction of transactions) {
+      if (!transaction.from || !transaction.to || !transaction.data) {
+        throw new Error('Transaction must include from, to, and data fields');
+      }
+
+      if (!transaction.signature) {
+        throw new Error('Invalid transaction: transaction must be signed');
+      }
+
+      // Validate transaction
+      if (!this.isValidTransaction(transaction)) {
+        throw new Error('Invalid transaction: signature verification failed');
+      }
+    }
+
+    const timestamp = Date.now();
+    return transactions.map(transaction => {
+      const pendingTransaction = {
+        ...transaction,
+        timestamp,
+        id: crypto.randomUUID()
+      };
+
+      this.pendingTransactions.push(pendingTransaction);
+      this.applyKeyRegistration(pendingTransaction);
+
+      if (this.storage) {
+        this.storage.appendPendingTransaction(pendingTransaction);
+      }
+
+      this.emit('transaction', pendingTransaction, { source: 'local' });
+
+      return pendingTransaction;
+    });
+  }
+
+  /**
+   * Check whether a transaction ID is already pending or mined
+   */
+  hasTransaction(transactionId) {
+    if (this.pendingTransactions.some(tx => tx.id === transactionId)) {
+      return true;
+    }
+    return this.searchTransactions({ id: transactionId }).length > 0;
+  }
+
+  /**
+   * Accept a transaction gossiped by another node
+   * Keeps the original ID and timestamp so every node refers to the same transaction.
+   *
+   * @param {Object} transaction - Transaction as created on the originating node
+   * @returns {Object} { accepted, transaction }
+   */
+  receiveTransaction(transaction) {
+    if (!transaction || !transaction.id || !transaction.timestamp) {
+      throw new Error('Transaction must include id and timestamp');
+    }
+
+    if (this.hasTransaction(transaction.id)) {
+      return { accepted: false, transaction };
     }
 
-    // Validate transaction
     if (!this.isValidTransaction(transaction)) {
       throw new Error('Invalid transaction');
     }
 
-    this.pendingTransactions.push({
-      ...transaction,
-      timestamp: Date.now(),
-      id: crypto.randomUUID()
-    });
+    this.pendingTransactions.push(transaction);
+    this.applyKeyRegistration(transaction);
+
+    if (this.storage) {
+      this.storage.appendPendingTransaction(transaction);
+    }
+
+    this.emit('transaction', transaction, { source: 'peer' });
+
+    return { accepted: true, transaction };
+  }
+
+  /**
+   * Append a block mined by another node
+   * The block must extend the local chain; included transactions leave the pending pool.
+   *
+   * @param {Object} block - Block received from the network
+   * @returns {Object} Appended block
+   */
+  addBlock(block) {
+    if (!block || block.index === undefined || !Array.isArray(block.transactions)) {
+      throw new Error('Invalid block structure');
+    }
+
+    if (block.index !== this.chain.length) {
+      throw new Error(`Block index ${block.index} does not extend chain of length ${this.chain.length}`);
+    }
+
+    if (block.index === 0) {
+      // Genesis blocks are adopted as-is from the network
+      if (block.previousHash !== '0' || block.transactions.length !== 0) {
+        throw new Error('Invalid genesis block');
+      }
+    } else {
+      if (block.previousHash !== this.getLatestBlock().hash) {
+        throw new Error('Block previous hash does not match latest block');
+      }
+      if (block.hash !== this.calculateBlockHash(block)) {
+        throw new Error('Block hash is invalid');
+      }
+      if (block.hash.substring(0, this.difficulty) !== '0'.repeat(this.difficulty)) {
+        throw new Error('Block does not satisfy proof-of-work');
+      }
+      if (block.merkleRoot !== this.calculateMerkleRoot(block.transactions)) {
+        throw new Error('Block Merkle root is invalid');
+      }
+      for (const tx of block.transactions) {
+        if (!this.isValidTransaction(tx)) {
+          throw new Error(`Invalid transaction in block: ${tx.id || 'unknown'}`);
+        }
+        // Later transactions in the block may be signed with a key registered earlier in it
+        this.applyKeyRegistration(tx);
+      }
+    }
+
+    this.chain.push(block);
+
+    const includedIds = new Set(block.transactions.map(tx => tx.id));
+    this.pendingTransactions = this.pendingTransactions.filter(tx => !includedIds.has(tx.id));
+
+    this.transactionIndex.sync(this.chain);
+    this.persistBlock(block);
+    this.emit('block', block, { source: 'peer' });
+
+    return block;
+  }
+
+  /**
+   * Switch to a longer competing chain (fork resolution)
+   * Local blocks after the common ancestor are rolled back. Their transactions go
+   * back into the pending pool unless the new branch already includes them.
+   * Emits 'reorg' so caches derived from the chain can update.
+   *
+   * @param {Array} newChain - Full competing chain, starting at the same genesis block
+   * @returns {Object} { commonAncestor, removedBlocks, addedBlocks, requeuedTransactions, droppedTransactions }
+   */
+  replaceChain(newChain) {
+    if (!Array.isArray(newChain) || newChain.length <= this.chain.length) {
+      throw new Error('Replacement chain must be longer than the local chain');
+    }
+    if (this.chain.length > 0 && newChain[0]?.hash !== this.chain[0].hash) {
+      throw new Error('Replacement chain does not share the local genesis block');
+    }
+    if (!this.isValidCandidateChain(newChain)) {
+      throw new Error('Replacement chain failed validation');
+    }
+
+    // First block where the chains differ; everything before it is shared
+    let forkIndex = 0;
+    while (forkIndex < this.chain.length && this.chain[forkIndex].hash === newChain[forkIndex].hash) {
+      forkIndex++;
+    }
+
+    const removedBlocks = this.chain.slice(forkIndex);
+    const addedBlocks = newChain.slice(forkIndex);
+
+    this.chain = [...this.chain.slice(0, forkIndex), ...addedBlocks];
+    this.transactionIndex.sync(this.chain);
+    for (const block of addedBlocks) {
+      block.transactions.forEach(tx => this.applyKeyRegistration(tx));
+    }
+
+    // Re-queue rolled back transactions the new branch does not include
+    const includedIds = new Set(addedBlocks.flatMap(block => block.transactions.map(tx => tx.id)));
+    const requeuedTransactions = [];
+    const droppedTransactions = [];
+    for (const tx of removedBlocks.flatMap(block => block.transactions)) {
+      if (includedIds.has(tx.id)) {
+        continue;
+      }
+      (this.isValidTransaction(tx) ? requeuedTransactions : droppedTransactions).push(tx);
+    }
+
+    const queuedIds = new Set(requeuedTransactions.map(tx => tx.id));
+    this.pendingTransactions = [
+      ...requeuedTransactions,
+      ...this.pendingTransactions.filter(tx => !includedIds.has(tx.id) && !queuedIds.has(tx.id))
+    ];
+
+    if (this.storage) {
+      this.storage.truncateBlocks(forkIndex);
+      addedBlocks.forEach(block => this.storage.appendBlock(block));
+      this.storage.savePendingTransactions(this.pendingTransactions);
+    }
 
-    return this.pendingTransactions[this.pendingTransactions.length - 1];
+    const reorg = {
+      commonAncestor: forkIndex - 1,
+      removedBlocks,
+      addedBlocks,
+      requeuedTransactions,
+      droppedTransactions
+    };
+    this.emit('reorg', reorg);
+    return reorg;
+  }
+
+  /**
+   * Fully validate a chain received from the network without touching local state
+   * Keys published in the chain are learned in a scratch key store.
+   */
+  isValidCandidateChain(chain) {
+    const scratchKeys = new KeyStore();
+    for (const { actorId, role, publicKey } of this.keyStore.getPublicKeys()) {
+      scratchKeys.registerPublicKey(actorId, publicKey, role);
+    }
+
+    const scratch = new Blockchain({ keyStore: scratchKeys });
+    scratch.difficulty = this.difficulty;
+    scratch.chain = chain;
+
+    const target = '0'.repeat(this.difficulty);
+    const minedWithWork = chain.slice(1).every(block =>
+      typeof block.hash === 'string' && block.hash.substring(0, this.difficulty) === target
+    );
+
+    try {
+      return minedWithWork && scratch.isChainValid();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get blocks starting at an index (used to serve peers that are catching up)
+   */
+  getBlocksFrom(startIndex = 0) {
+    return this.chain.slice(Math.max(0, startIndex));
   }
 
   /**
@@ -89,10 +555,23 @@ class Blockchain {
       throw new Error('No pending transactions to mine');
     }
 
+    return this.mineBlock([...this.pendingTransactions]);
+  }
+
+  /**
+   * Mine a block with the given transactions on top of the chain
+   * Mining is deterministic, so every node mining the same transactions with the
+   * same timestamp on the same chain produces the same block (see ConsensusEngine).
+   *
+   * @param {Array} transactions - Transactions to include
+   * @param {number} timestamp - Block timestamp
+   * @returns {Object} Mined block
+   */
+  mineBlock(transactions, timestamp = Date.now()) {
     const block = {
       index: this.chain.length,
-      timestamp: Date.now(),
-      transactions: [...this.pendingTransactions],
+      timestamp,
+      transactions: [...transactions],
       previousHash: this.getLatestBlock().hash,
       nonce: 0,
       merkleRoot: null
@@ -107,8 +586,13 @@ class Blockchain {
     // Add block to chain
     this.chain.push(block);
 
-    // Clear pending transactions
-    this.pendingTransactions = [];
+    // Remove the included transactions from the pending pool
+    const includedIds = new Set(block.transactions.map(tx => tx.id));
+    this.pendingTransactions = this.pendingTransactions.filter(tx => !includedIds.has(tx.id));
+
+    this.transactionIndex.sync(this.chain);
+    this.persistBlock(block);
+    this.emit('block', block, { source: 'local' });
 
     return block;
   }
@@ -185,16 +669,25 @@ class Blockchain {
 
   /**
    * Validate a transaction
+   *
+   * @param {Object} transaction - Transaction
+   * @param {Object} options - See isSystemSigner
    */
-  isValidTransaction(transaction) {
-    // Basic validation - in production, this would check signatures, permissions, etc.
-    return transaction.from && transaction.to && transaction.data;
+  isValidTransaction(transaction, options = {}) {
+    if (!transaction.from || !transaction.to || !transaction.data) {
+      return false;
+    }
+    return this.verifyTransactionSignature(transaction, options);
   }
 
   /**
    * Validate the entire chain
    */
   isChainValid() {
+    if (this.chain.length > 0 && (this.chain[0].index !== 0 || this.chain[0].previousHash !== '0')) {
+      return false;
+    }
+
     for (let i = 1; i < this.chain.length; i++) {
       const currentBlock = this.chain[i];
       const previousBlock = this.chain[i - 1];
@@ -215,6 +708,14 @@ class Blockchain {
       if (currentBlock.merkleRoot !== calculatedMerkleRoot) {
         return false;
       }
+
+      // Validate transaction signatures, learning published keys in chain order
+      for (const tx of currentBlock.transactions) {
+        if (!this.isValidTransaction(tx, { committed: true })) {
+          return false;
+        }
+        this.applyKeyRegistration(tx);
+      }
     }
 
     return true;
@@ -235,45 +736,29 @@ class Blockchain {
   }
 
   /**
-   * Search for transactions by criteria
+   * Search for mined transactions by criteria
+   * Criteria map dotted paths ('data.action') to exact values; lookups go through
+   * the transaction index rather than scanning every block.
+   *
+   * With includePending, matching pending transactions follow the mined ones
+   * (read-your-writes). They carry pending: true and null block fields.
+   *
+   * @param {Object} criteria - Dotted path -> value
+   * @param {Object} options - { includePending }
+   * @returns {Array} Matching transactions in chain order, with blockIndex, blockHash and blockTimestamp
    */
-  searchTransactions(criteria) {
-    const results = [];
-    
-    for (const block of this.chain) {
-      for (const tx of block.transactions) {
-        let matches = true;
-        
-        for (const [key, value] of Object.entries(criteria)) {
-          // Handle nested properties like 'data.action'
-          const keys = key.split('.');
-          let txValue = tx;
-          for (const k of keys) {
-            if (txValue && typeof txValue === 'object' && k in txValue) {
-              txValue = txValue[k];
-            } else {
-              txValue = undefined;
-              break;
-            }
-          }
-          
-          if (txValue !== value) {
-            matches = false;
-            break;
-          }
-        }
-        
-        if (matches) {
-          results.push({
-            ...tx,
-            blockIndex: block.index,
-            blockHash: block.hash,
-            blockTimestamp: block.timestamp
-          });
+  searchTransactions(criteria, options = {}) {
+    // Picks up chains that were assigned directly rather than appended block by block
+    this.transactionIndex.sync(this.chain);
+    const results = this.transactionIndex.query(criteria);
+
+    if (options.includePending) {
+      for (const tx of this.pendingTransactions) {
+        if (TransactionIndex.matches(tx, criteria)) {
+          results.push({ ...tx, blockIndex: null, blockHash: null, blockTimestamp: null, pending: true });
         }
       }
     }
-    
     return results;
   }
 }
@@ -0,0 +1,311 @@
+/**
+ * Key Management Service
+ *
+ * Envelope encryption for sensitive record fields (PHI). Every patient has a
+ * data key (AES-256) that encrypts their fields; data keys are stored wrapped
+ * (encrypted) under a master key and only unwrapped in memory when used.
+ * Only the resulting envelopes (ciphertext plus a keyed hash) go on chain.
+ *
+ * Rotation:
+ * - rotateMasterKey() re-wraps every data key under a new master key. The data
+ *   keys themselves do not change, so existing ciphertext stays readable.
+ * - rotateDataKey(ownerId) gives a patient a new data key version for new
+ *   writes. Older versions are kept to read ciphertext already on chain.
+ *
+ * Erasure (crypto-shredding): destroyDataKeys(ownerId) deletes every version of
+ * a patient's data key. Their ciphertext stays on chain but can no longer be
+ * decrypted, and no new key is ever created for them.
+ *
+ * Optionally persisted to a JSON file (readable by the owner only).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+
+class KeyManagementService {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {string} options.filePath - JSON file to persist keys to
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.masterKeys = new Map(); // version -> { version, key, createdAt }
+    this.currentMasterVersion = 0;
+    this.dataKeys = new Map(); // ownerId -> { currentVersion, versions: [{ version, wrappedKey, masterKeyVersion, createdAt }] }
+    this.destroyed = new Map(); // ownerId -> destroyedAt
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.load();
+    }
+    if (this.currentMasterVersion === 0) {
+      this.rotateMasterKey();
+    }
+  }
+
+  /**
+   * Check whether a value is an encrypted field envelope
+   */
+  static isEnvelope(value) {
+    return !!value && typeof value === 'object' && value.sealed === ALGORITHM;
+  }
+
+  /**
+   * Encrypt with AES-256-GCM
+   */
+  static seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt AES-256-GCM output of seal()
+   */
+  static open(key, { iv, tag, ciphertext }, aad) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  }
+
+  /**
+   * Create a new master key and re-wrap every data key under it
+   *
+   * @returns {Object} { version, rewrapped }
+   */
+  rotateMasterKey() {
+    const version = this.currentMasterVersion + 1;
+    const masterKey = { version, key: crypto.randomBytes(32), createdAt: new Date().toISOString() };
+
+    let rewrapped = 0;
+    for (const [ownerId, entry] of this.dataKeys) {
+      for (const dataKey of entry.versions) {
+        const key = this.unwrap(ownerId, dataKey);
+        dataKey.wrappedKey = KeyManagementService.seal(masterKey.key, key, `${ownerId}:${dataKey.version}`);
+        dataKey.masterKeyVersion = version;
+        rewrapped++;
+      }
+    }
+
+    // Nothing is wrapped under the previous master key any more
+    this.masterKeys.clear();
+    this.masterKeys.set(version, masterKey);
+    this.currentMasterVersion = version;
+    this.save();
+
+    return { version, rewrapped };
+  }
+
+  /**
+   * Create a new data key version for an owner (used for new writes)
+   *
+   * @param {string} ownerId - Key owner (patient ID)
+   * @returns {Object} { ownerId, version }
+   */
+  rotateDataKey(ownerId) {
+    if (!ownerId) {
+      throw new Error('Key owner is required');
+    }
+    this.assertNotDestroyed(ownerId);
+
+    const entry = this.dataKeys.get(ownerId) || { currentVersion: 0, versions: [] };
+    const version = entry.currentVersion + 1;
+    const masterKey = this.masterKeys.get(this.currentMasterVersion);
+
+    entry.versions.push({
+      version,
+      wrappedKey: KeyManagementService.seal(masterKey.key, crypto.randomBytes(32), `${ownerId}:${version}`),
+      masterKeyVersion: masterKey.version,
+      createdAt: new Date().toISOString()
+    });
+    entry.currentVersion = version;
+    this.dataKeys.set(ownerId, entry);
+    this.save();
+
+    return { ownerId, version };
+  }
+
+  /**
+   * Destroy every version of an owner's data key (crypto-shredding)
+   *
+   * @param {string} ownerId - Key owner (patient ID)
+   * @returns {Object} { ownerId, versionsDestroyed, destroyedAt }
+   */
+  destroyDataKeys(ownerId) {
+    if (!ownerId) {
+      throw new Error('Key owner is required');
+    }
+    this.assertNotDestroyed(ownerId);
+
+    const versionsDestroyed = this.dataKeys.get(ownerId)?.versions.length || 0;
+    const destroyedAt = new Date().toISOString();
+    this.dataKeys.delete(ownerId);
+    this.destroyed.set(ownerId, destroyedAt);
+    this.save();
+
+    return { ownerId, versionsDestroyed, destroyedAt };
+  }
+
+  /**
+   * Check whether an owner's data keys have been destroyed
+   */
+  isDestroyed(ownerId) {
+    return this.destroyed.has(ownerId);
+  }
+
+  /**
+   * Throw if an owner's data keys have been destroyed
+   */
+  assertNotDestroyed(ownerId) {
+    if (this.destroyed.has(ownerId)) {
+      throw new Error(`Data keys of ${ownerId} have been destroyed`);
+    }
+  }
+
+  /**
+   * Check whether an owner has a data key
+   */
+  hasDataKey(ownerId) {
+    return this.dataKeys.has(ownerId);
+  }
+
+  /**
+   * Describe an owner's data keys (no key material)
+   *
+   * @returns {Object|null} { ownerId, currentVersion, versions: [{ version, masterKeyVersion, createdAt }] }
+   */
+  getKeyInfo(ownerId) {
+    const entry = this.dataKeys.get(ownerId);
+    if (!entry) {
+      return null;
+    }
+    return {
+      ownerId,
+      currentVersion: entry.currentVersion,
+      versions: entry.versions.map(({ version, masterKeyVersion, createdAt }) => ({ version, masterKeyVersion, createdAt }))
+    };
+  }
+
+  /**
+   * Unwrap a data key version
+   */
+  unwrap(ownerId, dataKey) {
+    const masterKey = this.masterKeys.get(dataKey.masterKeyVersion);
+    if (!masterKey) {
+      throw new Error(`Master key version ${dataKey.masterKeyVersion} is not available`);
+    }
+    return KeyManagementService.open(masterKey.key, dataKey.wrappedKey, `${ownerId}:${dataKey.version}`);
+  }
+
+  /**
+   * Get the plaintext data key of an owner
+   *
+   * @param {string} ownerId - Key owner
+   * @param {number} version - Key version (current if omitted)
+   * @returns {Object} { version, key }
+   */
+  getDataKey(ownerId, version = null) {
+    this.assertNotDestroyed(ownerId);
+    const entry = this.dataKeys.get(ownerId);
+    if (!entry) {
+      throw new Error(`No data key for ${ownerId}`);
+    }
+    const dataKey = entry.versions.find(v => v.version === (version || entry.currentVersion));
+    if (!dataKey) {
+      throw new Error(`Data key version ${version} of ${ownerId} not found`);
+    }
+    return { version: dataKey.version, key: this.unwrap(ownerId, dataKey) };
+  }
+
+  /**
+   * Encrypt a field value with the owner's current data key
+   * The owner and field are bound to the ciphertext, so an envelope cannot be
+   * moved to another patient or field. The hash is an HMAC of the value under
+   * the same data key: equal values can be matched without decrypting.
+   *
+   * @param {string} ownerId - Key owner (patient ID); a data key is created on first use
+   * @param {string} field - Field name
+   * @param {*} value - JSON-serializable value
+   * @returns {Object} Envelope { sealed, keyVersion, iv, tag, ciphertext, hash }
+   */
+  encryptField(ownerId, field, value) {
+    if (!this.hasDataKey(ownerId)) {
+      this.rotateDataKey(ownerId);
+    }
+
+    const { version, key } = this.getDataKey(ownerId);
+    const aad = `${ownerId}:${field}`;
+    const plaintext = Buffer.from(JSON.stringify(value));
+
+    return {
+      sealed: ALGORITHM,
+      keyVersion: version,
+      ...KeyManagementService.seal(key, plaintext, aad),
+      hash: crypto.createHmac('sha256', key).update(aad).update(plaintext).digest('hex')
+    };
+  }
+
+  /**
+   * Decrypt a field envelope
+   *
+   * @param {string} ownerId - Key owner the envelope was encrypted for
+   * @param {string} field - Field name the envelope was encrypted for
+   * @param {Object} envelope - Envelope from encryptField
+   * @returns {*} Field value
+   */
+  decryptField(ownerId, field, envelope) {
+    const { key } = this.getDataKey(ownerId, envelope.keyVersion);
+    try {
+      return JSON.parse(KeyManagementService.open(key, envelope, `${ownerId}:${field}`).toString());
+    } catch (error) {
+      throw new Error(`Field '${field}' could not be decrypted`);
+    }
+  }
+
+  /**
+   * Load keys from the key file
+   */
+  load() {
+    const { masterKeys, currentMasterVersion, dataKeys, destroyed = {} } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const masterKey of masterKeys) {
+      this.masterKeys.set(masterKey.version, { ...masterKey, key: Buffer.from(masterKey.key, 'base64') });
+    }
+    this.currentMasterVersion = currentMasterVersion;
+    for (const [ownerId, entry] of Object.entries(dataKeys)) {
+      this.dataKeys.set(ownerId, entry);
+    }
+    for (const [ownerId, destroyedAt] of Object.entries(destroyed)) {
+      this.destroyed.set(ownerId, destroyedAt);
+    }
+  }
+
+  /**
+   * Write keys to the key file (readable by the owner only)
+   */
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      masterKeys: Array.from(this.masterKeys.values()).map(m => ({ ...m, key: m.key.toString('base64') })),
+      currentMasterVersion: this.currentMasterVersion,
+      dataKeys: Object.fromEntries(this.dataKeys),
+      destroyed: Object.fromEntries(this.destroyed)
+    }), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = KeyManagementService;
@@ -0,0 +1,240 @@
+/**
+ * Key Store
+ *
+ * Holds Ed25519 keypairs for actors (patients, clinicians, AI models, nodes).
+ * Private keys are kept locally and never leave this store; public keys of
+ * remote actors are learned from the chain and from peer registration.
+ * Optionally persisted to a JSON file so keys survive restarts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class KeyStore {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {string} options.filePath - JSON file to persist keys to
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.keys = new Map(); // actorId -> { actorId, role, publicKey, privateKey }
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.load();
+    }
+  }
+
+  /**
+   * Serialize a value to JSON with sorted object keys
+   * Signatures are computed over this form so key order never matters.
+   */
+  static canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+      return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+      return `[${value.map(item => KeyStore.canonicalize(item)).join(',')}]`;
+    }
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${KeyStore.canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  /**
+   * Verify a signature against a PEM public key
+   *
+   * @param {string} publicKey - PEM-encoded Ed25519 public key
+   * @param {*} payload - Signed payload (canonicalized before verifying)
+   * @param {string} signature - Base64 signature
+   * @returns {boolean} True if the signature is valid
+   */
+  static verify(publicKey, payload, signature) {
+    return KeyStore.verifyBytes(publicKey, Buffer.from(KeyStore.canonicalize(payload)), signature);
+  }
+
+  /**
+   * Verify a signature over raw bytes
+   *
+   * @param {string} publicKey - PEM-encoded Ed25519 public key
+   * @param {Buffer} bytes - Signed bytes
+   * @param {string} signature - Signature (base64 or base64url)
+   * @returns {boolean} True if the signature is valid
+   */
+  static verifyBytes(publicKey, bytes, signature) {
+    if (!publicKey || !signature) {
+      return false;
+    }
+    try {
+      return crypto.verify(null, bytes, publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Generate a keypair for an actor (returns the existing one if present)
+   *
+   * @param {string} actorId - Actor ID
+   * @param {string} role - Actor role (patient, clinician, ai-model, node, ...)
+   * @returns {Object} { actorId, role, publicKey, created }
+   */
+  generateKeyPair(actorId, role = 'actor') {
+    if (!actorId) {
+      throw new Error('Actor ID is required');
+    }
+
+    const existing = this.keys.get(actorId);
+    if (existing && existing.privateKey) {
+      return { actorId, role: existing.role, publicKey: existing.publicKey, created: false };
+    }
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const entry = {
+      actorId,
+      role,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+
+    this.keys.set(actorId, entry);
+    this.save();
+
+    return { actorId, role, publicKey: entry.publicKey, created: true };
+  }
+
+  /**
+   * Record the public key of an actor whose private key is held elsewhere
+   *
+   * @param {string} actorId - Actor ID
+   * @param {string} publicKey - PEM-encoded Ed25519 public key
+   * @param {string} role - Actor role
+   * @returns {boolean} True if the key was added
+   */
+  registerPublicKey(actorId, publicKey, role = 'actor') {
+    if (!actorId || !publicKey) {
+      throw new Error('Actor ID and public key are required');
+    }
+
+    const existing = this.keys.get(actorId);
+    if (existing) {
+      if (existing.publicKey !== publicKey) {
+        throw new Error(`A different key is already registered for ${actorId}`);
+      }
+      return false;
+    }
+
+    try {
+      const keyObject = crypto.createPublicKey(publicKey);
+      if (keyObject.asymmetricKeyType !== 'ed25519') {
+        throw new Error('not ed25519');
+      }
+    } catch (error) {
+      throw new Error('Invalid public key: must be a PEM-encoded Ed25519 key');
+    }
+
+    this.keys.set(actorId, { actorId, role, publicKey, privateKey: null });
+    this.save();
+    return true;
+  }
+
+  /**
+   * Get an actor's public key
+   */
+  getPublicKey(actorId) {
+    return this.keys.get(actorId)?.publicKey || null;
+  }
+
+  /**
+   * Get an actor's role
+   */
+  getRole(actorId) {
+    return this.keys.get(actorId)?.role || null;
+  }
+
+  /**
+   * List public keys, optionally filtered by role
+   *
+   * @param {string} role - Optional role filter
+   * @returns {Array} Array of { actorId, role, publicKey }
+   */
+  getPublicKeys(role = null) {
+    return Array.from(this.keys.values())
+      .filter(entry => !role || entry.role === role)
+      .map(({ actorId, role: entryRole, publicKey }) => ({ actorId, role: entryRole, publicKey }));
+  }
+
+  /**
+   * Find the ID of a local node key (one this store can sign with)
+   */
+  getLocalNodeId() {
+    for (const entry of this.keys.values()) {
+      if (entry.role === 'node' && entry.privateKey && entry.actorId !== 'system') {
+        return entry.actorId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether this store can sign for an actor
+   */
+  hasPrivateKey(actorId) {
+    return !!this.keys.get(actorId)?.privateKey;
+  }
+
+  /**
+   * Sign a payload with an actor's private key
+   *
+   * @param {string} actorId - Actor ID
+   * @param {*} payload - Payload to sign (canonicalized before signing)
+   * @returns {string} Base64 signature
+   */
+  sign(actorId, payload) {
+    return this.signBytes(actorId, Buffer.from(KeyStore.canonicalize(payload))).toString('base64');
+  }
+
+  /**
+   * Sign raw bytes with an actor's private key
+   *
+   * @param {string} actorId - Actor ID
+   * @param {Buffer} bytes - Bytes to sign
+   * @returns {Buffer} Signature
+   */
+  signBytes(actorId, bytes) {
+    const entry = this.keys.get(actorId);
+    if (!entry || !entry.privateKey) {
+      throw new Error(`No signing key for actor ${actorId}`);
+    }
+
+    return crypto.sign(null, bytes, entry.privateKey);
+  }
+
+  /**
+   * Load keys from the key file
+   */
+  load() {
+    const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const entry of entries) {
+      this.keys.set(entry.actorId, entry);
+    }
+  }
+
+  /**
+   * Write keys to the key file (readable by the owner only)
+   */
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.keys.values())), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = KeyStore;
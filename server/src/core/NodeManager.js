@@ -1,18 +1,87 @@
 /**
  * Node Manager
- * 
+ *
  * Manages blockchain network nodes in a permissioned network.
- * In production, this would handle peer discovery, network topology, etc.
+ * Peers are registered with a host/port and exchange transactions,
+ * proposed blocks and mined blocks over HTTP (see /api/network).
+ *
+ * Node keys are only learned through addNode: when a peer registers with this
+ * node (which requires the network secret or an operator token) or when this
+ * node connects to a configured peer. Peers added with a key form the validator
+ * set; keys are never imported from other peers.
+ *
+ * Every request to a peer is signed with this node's key over the method, path,
+ * timestamp and body (X-Node-Id, X-Node-Timestamp, X-Node-Signature headers), so
+ * the receiving node can check which registered peer sent it.
  */
 
 const crypto = require('crypto');
+const KeyStore = require('./KeyStore.js');
+
+const REQUEST_TIMEOUT_MS = 5000;
+// Signed peer requests older (or further in the future) than this are rejected
+const PEER_REQUEST_MAX_AGE_MS = 5 * 60 * 1000;
 
 class NodeManager {
-  constructor(blockchain) {
+  /**
+   * @param {Blockchain} blockchain - Local blockchain
+   * @param {Object} options - Optional settings
+   * @param {string} options.nodeId - Node ID (random UUID if omitted)
+   * @param {string} options.host - Host other nodes use to reach this node
+   * @param {number} options.port - Port other nodes use to reach this node
+   * @param {string} options.networkSecret - Shared secret peers must present to register
+   * @param {Function} options.transport - async (url, { method, headers, body }) => { status, body }
+   */
+  constructor(blockchain, options = {}) {
     this.blockchain = blockchain;
-    this.nodeId = crypto.randomUUID();
-    this.networkNodes = new Set();
+    this.nodeId = options.nodeId || crypto.randomUUID();
+    this.host = options.host || null;
+    this.port = options.port || null;
+    this.networkSecret = options.networkSecret || null;
+    this.transport = options.transport || NodeManager.httpTransport;
+    this.networkNodes = new Map(); // nodeId -> { nodeId, host, port, url, registeredAt, lastSeen }
+    this.validators = new Set(); // Peers admitted through addNode with a public key
     this.isConsensusNode = false;
+
+    // Gossip locally created transactions and blocks to peers
+    this.onTransaction = (transaction, { source }) => {
+      if (source === 'local') {
+        this.broadcastTransaction(transaction).catch(() => {});
+      }
+    };
+    this.onBlock = (block, { source }) => {
+      if (source === 'local' && block.index > 0) {
+        this.broadcastBlock(block).catch(() => {});
+      }
+    };
+
+    if (blockchain && typeof blockchain.on === 'function') {
+      blockchain.on('transaction', this.onTransaction);
+      blockchain.on('block', this.onBlock);
+    }
+
+    // This node's key signs 'system' transactions
+    if (blockchain && typeof blockchain.setSystemSigner === 'function') {
+      blockchain.setSystemSigner(this.nodeId);
+    }
+  }
+
+  /**
+   * Default transport: JSON over HTTP using fetch
+   */
+  static async httpTransport(url, { method = 'GET', headers = {}, body } = {}) {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const text = await response.text();
+    return {
+      status: response.status,
+      body: text ? JSON.parse(text) : null
+    };
   }
 
   /**
@@ -22,29 +91,105 @@ class NodeManager {
     return this.nodeId;
   }
 
+  /**
+   * Get the address information other nodes need to reach this node
+   */
+  getSelfInfo() {
+    return {
+      nodeId: this.nodeId,
+      host: this.host,
+      port: this.port,
+      url: this.host && this.port ? `http://${this.host}:${this.port}` : null,
+      publicKey: this.blockchain?.keyStore?.getPublicKey(this.nodeId) || null
+    };
+  }
+
+  /**
+   * Trust a peer node's public key for verifying its 'system' transactions
+   */
+  registerNodeKey(nodeId, publicKey) {
+    if (publicKey && this.blockchain?.keyStore && nodeId !== this.nodeId) {
+      this.blockchain.keyStore.registerPublicKey(nodeId, publicKey, 'node');
+    }
+  }
+
+  /**
+   * Set the address this node advertises (e.g. once the server is listening)
+   */
+  setAddress(host, port) {
+    this.host = host;
+    this.port = port;
+  }
+
   /**
    * Add a network node
+   *
+   * @param {string} nodeId - Node ID
+   * @param {Object} address - Optional { host, port, publicKey } used to reach and verify the node
+   * @returns {boolean} True if added or updated
    */
-  addNode(nodeId) {
-    if (nodeId && nodeId !== this.nodeId) {
-      this.networkNodes.add(nodeId);
-      return true;
+  addNode(nodeId, address = {}) {
+    if (!nodeId || nodeId === this.nodeId) {
+      return false;
     }
-    return false;
+
+    this.registerNodeKey(nodeId, address.publicKey);
+    if (address.publicKey) {
+      this.validators.add(nodeId);
+    }
+
+    const existing = this.networkNodes.get(nodeId);
+    const host = address.host || existing?.host || null;
+    const port = address.port ? Number(address.port) : (existing?.port || null);
+
+    this.networkNodes.set(nodeId, {
+      nodeId,
+      host,
+      port,
+      url: host && port ? `http://${host}:${port}` : null,
+      registeredAt: existing?.registeredAt || new Date().toISOString(),
+      lastSeen: existing?.lastSeen || null
+    });
+    this.updateValidators();
+    return true;
   }
 
   /**
    * Remove a network node
    */
   removeNode(nodeId) {
-    return this.networkNodes.delete(nodeId);
+    const removed = this.networkNodes.delete(nodeId);
+    this.validators.delete(nodeId);
+    this.updateValidators();
+    return removed;
   }
 
   /**
-   * Get all network nodes
+   * Get all network node IDs
    */
   getNetworkNodes() {
-    return Array.from(this.networkNodes);
+    return Array.from(this.networkNodes.keys());
+  }
+
+  /**
+   * Get all peers with their address information
+   */
+  getPeers() {
+    return Array.from(this.networkNodes.values());
+  }
+
+  /**
+   * Get a single peer
+   */
+  getPeer(nodeId) {
+    return this.networkNodes.get(nodeId) || null;
+  }
+
+  /**
+   * Check if a node is a registered peer
+   */
+  isKnownNode(nodeId) {
+    return this.networkNodes.has(nodeId);
   }
 
   /**
@@ -54,6 +199,26 @@ class NodeManager {
     return this.networkNodes.size + 1; // +1 for self
   }
 
+  /**
+   * Get the validator set: this node plus every peer added with its public key
+   * Peers without a key cannot sign votes, so they do not count towards quorums.
+   * Other node keys in the key store (e.g. of removed peers) do not count either.
+   *
+   * @returns {Array<string>} Validator node IDs, sorted
+   */
+  getValidators() {
+    return [this.nodeId, ...this.validators].sort();
+  }
+
+  /**
+   * Let the blockchain accept 'system' transactions signed by the current validators
+   */
+  updateValidators() {
+    if (this.blockchain && typeof this.blockchain.setValidators === 'function') {
+      this.blockchain.setValidators(this.getValidators());
+    }
+  }
+
   /**
    * Set this node as a consensus node
    */
@@ -69,24 +234,247 @@ class NodeManager {
   }
 
   /**
-   * Broadcast a transaction to network (simplified - in production would use network protocol)
+   * Check a secret presented by a caller against this network's secret
+   *
+   * @param {string} secret - Presented secret
+   * @returns {boolean} True if a network secret is set and the secret matches it
+   */
+  verifyNetworkSecret(secret) {
+    if (!this.networkSecret || !secret) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.networkSecret);
+    const presented = Buffer.from(secret);
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+  }
+
+  /**
+   * Payload a node signs to authenticate a request to a peer
+   * The body is taken as it arrives after a JSON round trip (an empty object if none).
+   */
+  static getRequestPayload({ nodeId, method, path, timestamp, body }) {
+    return {
+      nodeId,
+      method: String(method).toUpperCase(),
+      path,
+      timestamp: String(timestamp),
+      body: body === undefined || body === null ? {} : JSON.parse(JSON.stringify(body))
+    };
+  }
+
+  /**
+   * Headers identifying this node on an outgoing request, signed with its key
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path including the query string
+   * @param {Object} body - Optional JSON body
+   * @returns {Object} Request headers
+   */
+  getRequestHeaders(method = 'GET', path = '/', body = undefined) {
+    const headers = { 'X-Node-Id': this.nodeId };
+    if (this.blockchain?.keyStore?.hasPrivateKey(this.nodeId)) {
+      const timestamp = String(Date.now());
+      headers['X-Node-Timestamp'] = timestamp;
+      headers['X-Node-Signature'] = this.blockchain.keyStore.sign(
+        this.nodeId,
+        NodeManager.getRequestPayload({ nodeId: this.nodeId, method, path, timestamp, body })
+      );
+    }
+    if (this.networkSecret) {
+      headers['X-Network-Secret'] = this.networkSecret;
+    }
+    return headers;
+  }
+
+  /**
+   * Check that a request was signed by a registered peer (see getRequestHeaders)
+   *
+   * @param {Object} request - { nodeId, timestamp, signature, method, path, body }
+   * @returns {boolean} True if a registered peer signed the request recently
+   */
+  verifyPeerRequest(request = {}) {
+    const { nodeId, timestamp, signature } = request;
+    if (!nodeId || !signature || !this.isKnownNode(nodeId)) {
+      return false;
+    }
+
+    const age = Math.abs(Date.now() - Number(timestamp));
+    if (!Number.isFinite(age) || age > PEER_REQUEST_MAX_AGE_MS) {
+      return false;
+    }
+
+    const publicKey = this.blockchain?.keyStore?.getPublicKey(nodeId);
+    return KeyStore.verify(publicKey, NodeManager.getRequestPayload(request), signature);
+  }
+
+  /**
+   * Send a request to a single peer
+   *
+   * @param {Object} peer - Peer descriptor (must have url)
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the peer's base URL
+   * @param {Object} body - Optional JSON body
+   * @returns {Promise<Object>} { status, body }
+   */
+  async sendToPeer(peer, method, path, body) {
+    if (!peer.url) {
+      throw new Error(`Node ${peer.nodeId} has no address`);
+    }
+
+    const response = await this.transport(`${peer.url}${path}`, {
+      method,
+      headers: this.getRequestHeaders(method, path, body),
+      body
+    });
+
+    if (response.status >= 400) {
+      const message = response.body?.error?.message || `HTTP ${response.status}`;
+      throw new Error(`Node ${peer.nodeId} rejected request: ${message}`);
+    }
+
+    const known = this.networkNodes.get(peer.nodeId);
+    if (known) {
+      known.lastSeen = new Date().toISOString();
+    }
+
+    return response;
+  }
+
+  /**
+   * Send the same request to every reachable peer
+   *
+   * @returns {Promise<Object>} { nodesReached, failures }
+   */
+  async sendToAll(method, path, body) {
+    const peers = this.getPeers().filter(peer => peer.url);
+    const results = await Promise.allSettled(
+      peers.map(peer => this.sendToPeer(peer, method, path, body))
+    );
+
+    const failures = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failures.push({ nodeId: peers[index].nodeId, error: result.reason.message });
+      }
+    });
+
+    return {
+      nodesReached: peers.length - failures.length,
+      failures
+    };
+  }
+
+  /**
+   * Register with a peer and add it to the local peer list
+   *
+   * @param {string} url - Base URL of the peer (e.g. http://localhost:3001)
+   * @returns {Promise<Object>} Peer descriptor
+   */
+  async connectToPeer(url) {
+    if (!url) {
+      throw new Error('Peer URL is required');
+    }
+
+    const baseUrl = url.replace(/\/+$/, '');
+    const response = await this.sendToPeer(
+      { nodeId: baseUrl, url: baseUrl },
+      'POST',
+      '/api/network/nodes',
+      this.getSelfInfo()
+    );
+
+    const peerInfo = response.body?.data?.node;
+    if (!peerInfo || !peerInfo.nodeId) {
+      throw new Error(`Peer at ${baseUrl} did not return its node information`);
+    }
+
+    const parsed = new URL(baseUrl);
+    this.addNode(peerInfo.nodeId, {
+      host: peerInfo.host || parsed.hostname,
+      port: peerInfo.port || parsed.port,
+      publicKey: peerInfo.publicKey
+    });
+
+    return this.getPeer(peerInfo.nodeId);
+  }
+
+  /**
+   * Broadcast a transaction to all peers
    */
   async broadcastTransaction(transaction) {
-    // In production, this would send to all network nodes
-    // For this assessment, we'll just log it
-    console.log(`[NodeManager] Broadcasting transaction to ${this.networkNodes.size} nodes`);
-    return { success: true, nodesReached: this.networkNodes.size };
+    const result = await this.sendToAll('POST', '/api/network/transactions', { transaction });
+    return { success: result.failures.length === 0, ...result };
   }
 
   /**
-   * Synchronize chain with network (simplified)
+   * Broadcast a proposed (not yet mined) block to all peers
+   */
+  async broadcastProposal(blockProposal) {
+    const result = await this.sendToAll('POST', '/api/network/proposals', { block: blockProposal });
+    return { success: result.failures.length === 0, ...result };
+  }
+
+  /**
+   * Broadcast a signed consensus message (prepare, commit or view change) to all peers
+   */
+  async broadcastVote(vote) {
+    const result = await this.sendToAll('POST', '/api/network/votes', { vote });
+    return { success: result.failures.length === 0, ...result };
+  }
+
+  /**
+   * Broadcast a mined block to all peers
+   */
+  async broadcastBlock(block) {
+    const result = await this.sendToAll('POST', '/api/network/blocks', { block });
+    return { success: result.failures.length === 0, ...result };
+  }
+
+  /**
+   * Synchronize chain with network
+   * Pulls blocks the local chain is missing from each peer, plus their pending pools.
+   * Blocks holding 'system' transactions of a node this node has not registered are rejected.
+   *
+   * @returns {Promise<Object>} Sync result
    */
   async syncChain() {
-    // In production, this would fetch chain from other nodes and validate
-    console.log(`[NodeManager] Syncing chain with network`);
-    return { success: true, chainLength: this.blockchain.getChainLength() };
+    const peers = this.getPeers().filter(peer => peer.url);
+    let blocksAdded = 0;
+    let transactionsAdded = 0;
+    const failures = [];
+
+    for (const peer of peers) {
+      try {
+        // Blocks are verified with the keys of this node's own peers only
+        const blocksResponse = await this.sendToPeer(
+          peer, 'GET', `/api/network/blocks?from=${this.blockchain.getChainLength()}`
+        );
+        for (const block of blocksResponse.body?.data?.blocks || []) {
+          this.blockchain.addBlock(block);
+          blocksAdded++;
+        }
+
+        const pendingResponse = await this.sendToPeer(peer, 'GET', '/api/network/pending');
+        for (const tx of pendingResponse.body?.data?.transactions || []) {
+          if (this.blockchain.receiveTransaction(tx).accepted) {
+            transactionsAdded++;
+          }
+        }
+      } catch (error) {
+        failures.push({ nodeId: peer.nodeId, error: error.message });
+      }
+    }
+
+    return {
+      success: failures.length === 0,
+      chainLength: this.blockchain.getChainLength(),
+      blocksAdded,
+      transactionsAdded,
+      peersContacted: peers.length,
+      failures
+    };
   }
 }
 
 module.exports = NodeManager;
-
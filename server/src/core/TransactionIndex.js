@@ -0,0 +1,185 @@
+/**
+ * Transaction Index
+ *
+ * Secondary indexes over mined transactions, so contract reads do not walk the
+ * whole chain. Each indexed field maps a value to the positions (in chain order)
+ * of the transactions holding it. A query starts from the shortest matching list
+ * and checks the remaining criteria on those candidates only.
+ *
+ * The index follows the chain block by block: appended blocks are indexed, and
+ * blocks that left the chain (fork resolution) are dropped again.
+ */
+
+const INDEXED_FIELDS = [
+  'id',
+  'from',
+  'to',
+  'data.action',
+  'data.patientId',
+  'data.clinicianId',
+  'data.modelId',
+  'data.recordId',
+  'data.consentId',
+  'data.delegationId',
+  'data.delegateId',
+  'data.resourceId'
+];
+
+class TransactionIndex {
+  constructor(fields = INDEXED_FIELDS) {
+    this.fields = fields;
+    this.clear();
+  }
+
+  /**
+   * Read a dotted path ('data.action') from a transaction
+   *
+   * @returns {*} Value, or undefined if any part of the path is missing
+   */
+  static getPath(tx, path) {
+    let value = tx;
+    for (const key of path.split('.')) {
+      if (value && typeof value === 'object' && key in value) {
+        value = value[key];
+      } else {
+        return undefined;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Check a transaction against every criterion (exact match per dotted path)
+   */
+  static matches(tx, criteria) {
+    return Object.entries(criteria).every(([field, value]) => TransactionIndex.getPath(tx, field) === value);
+  }
+
+  /**
+   * Drop every indexed block
+   */
+  clear() {
+    this.entries = []; // position -> { tx, blockIndex, blockHash, blockTimestamp }
+    this.blocks = []; // block index -> { hash, start } (start = position of its first transaction)
+    this.postings = new Map(this.fields.map(field => [field, new Map()])); // field -> value -> positions
+  }
+
+  /**
+   * Index a block appended to the chain
+   *
+   * @param {Object} block - Block (must extend the indexed blocks)
+   */
+  addBlock(block) {
+    this.blocks.push({ hash: block.hash, start: this.entries.length });
+
+    for (const tx of block.transactions) {
+      const position = this.entries.length;
+      this.entries.push({ tx, blockIndex: block.index, blockHash: block.hash, blockTimestamp: block.timestamp });
+
+      for (const [field, values] of this.postings) {
+        const value = TransactionIndex.getPath(tx, field);
+        if (value === undefined) {
+          continue;
+        }
+        if (!values.has(value)) {
+          values.set(value, []);
+        }
+        values.get(value).push(position);
+      }
+    }
+  }
+
+  /**
+   * Drop indexed blocks from a height onwards
+   *
+   * @param {number} blockCount - Number of blocks to keep
+   */
+  truncate(blockCount) {
+    if (blockCount >= this.blocks.length) {
+      return;
+    }
+
+    // Positions only grow, so the removed ones sit at the end of every list
+    const start = this.blocks[blockCount].start;
+    for (let position = this.entries.length - 1; position >= start; position--) {
+      const { tx } = this.entries[position];
+      for (const [field, values] of this.postings) {
+        const value = TransactionIndex.getPath(tx, field);
+        const list = value === undefined ? null : values.get(value);
+        if (!list) {
+          continue;
+        }
+        list.pop();
+        if (list.length === 0) {
+          values.delete(value);
+        }
+      }
+    }
+
+    this.entries.length = start;
+    this.blocks.length = blockCount;
+  }
+
+  /**
+   * Bring the index in line with a chain
+   * Cheap when the chain only grew: the indexed tip is compared by hash.
+   *
+   * @param {Array} chain - Blocks
+   */
+  sync(chain) {
+    let valid = Math.min(this.blocks.length, chain.length);
+    while (valid > 0 && this.blocks[valid - 1].hash !== chain[valid - 1].hash) {
+      valid--;
+    }
+
+    this.truncate(valid);
+    for (let i = this.blocks.length; i < chain.length; i++) {
+      this.addBlock(chain[i]);
+    }
+  }
+
+  /**
+   * Find indexed transactions matching every criterion
+   *
+   * @param {Object} criteria - Dotted path -> exact value
+   * @returns {Array} Matching transactions (chain order) with blockIndex, blockHash and blockTimestamp
+   */
+  query(criteria) {
+    const conditions = Object.entries(criteria);
+
+    let candidates = null;
+    for (const [field, value] of conditions) {
+      const values = this.postings.get(field);
+      if (!values || value === undefined) {
+        continue;
+      }
+      const list = values.get(value) || [];
+      if (!candidates || list.length < candidates.length) {
+        candidates = list;
+      }
+    }
+
+    const results = [];
+    const check = (entry) => {
+      if (TransactionIndex.matches(entry.tx, criteria)) {
+        results.push({
+          ...entry.tx,
+          blockIndex: entry.blockIndex,
+          blockHash: entry.blockHash,
+          blockTimestamp: entry.blockTimestamp
+        });
+      }
+    };
+
+    if (candidates) {
+      candidates.forEach(position => check(this.entries[position]));
+    } else {
+      this.entries.forEach(check);
+    }
+    return results;
+  }
+}
+
+TransactionIndex.INDEXED_FIELDS = INDEXED_FIELDS;
+
+module.exports = TransactionIndex;
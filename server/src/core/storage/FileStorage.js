@@ -0,0 +1,229 @@
+/**
+ * File Storage
+ *
+ * On-disk storage backend for the blockchain.
+ * Keeps three files in a data directory:
+ * - blocks.log     - Append-only log, one JSON-encoded block per line
+ * - pending.log    - Pending transaction pool, one JSON-encoded transaction per line
+ * - snapshot.json  - Index of the block log (chain length, latest hash, byte offsets)
+ *
+ * Any object exposing load(), appendBlock(), truncateBlocks(),
+ * appendPendingTransaction() and savePendingTransactions() can be passed to
+ * Blockchain as storage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+  constructor(directory) {
+    if (!directory) {
+      throw new Error('Storage directory is required');
+    }
+
+    this.directory = directory;
+    this.blockLogPath = path.join(directory, 'blocks.log');
+    this.pendingLogPath = path.join(directory, 'pending.log');
+    this.snapshotPath = path.join(directory, 'snapshot.json');
+    this.blockOffsets = [];
+    this.blockLogSize = 0;
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Load the persisted chain and pending pool
+   *
+   * A partially written trailing line (e.g. from a crash mid-append) is
+   * discarded and truncated from the log so the next append starts clean.
+   *
+   * @returns {Object} { chain, pendingTransactions }
+   */
+  load() {
+    const chain = [];
+    this.blockOffsets = [];
+    this.blockLogSize = 0;
+
+    if (fs.existsSync(this.blockLogPath)) {
+      const content = fs.readFileSync(this.blockLogPath);
+      let offset = 0;
+
+      while (offset < content.length) {
+        const newline = content.indexOf(0x0a, offset);
+        if (newline === -1) {
+          // Incomplete final line - drop it
+          fs.truncateSync(this.blockLogPath, offset);
+          break;
+        }
+
+        const line = content.subarray(offset, newline).toString('utf8');
+        try {
+          chain.push(JSON.parse(line));
+        } catch (error) {
+          throw new Error(`Corrupt block log entry at byte ${offset}: ${error.message}`);
+        }
+
+        this.blockOffsets.push(offset);
+        offset = newline + 1;
+      }
+
+      this.blockLogSize = offset;
+    }
+
+    this.checkSnapshot(chain);
+
+    // Drop pending transactions that already made it into a block
+    // (crash between appending a block and rewriting the pending log)
+    const minedIds = new Set();
+    for (const block of chain) {
+      for (const tx of block.transactions) {
+        minedIds.add(tx.id);
+      }
+    }
+
+    const pendingTransactions = this.readLines(this.pendingLogPath)
+      .filter(tx => !minedIds.has(tx.id));
+
+    return { chain, pendingTransactions };
+  }
+
+  /**
+   * Compare the block log with the last snapshot
+   * Throws if the log is shorter than the snapshot says it should be
+   */
+  checkSnapshot(chain) {
+    if (!fs.existsSync(this.snapshotPath)) {
+      return;
+    }
+
+    const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+    if (chain.length < snapshot.chainLength) {
+      throw new Error(`Block log has ${chain.length} blocks but snapshot expects ${snapshot.chainLength}`);
+    }
+
+    const indexed = chain[snapshot.chainLength - 1];
+    if (snapshot.chainLength > 0 && (!indexed || indexed.hash !== snapshot.latestHash)) {
+      throw new Error(`Block ${snapshot.chainLength - 1} does not match snapshot hash`);
+    }
+  }
+
+  /**
+   * Append a block to the block log and update the snapshot
+   *
+   * @param {Object} block - Block to persist
+   */
+  appendBlock(block) {
+    const line = JSON.stringify(block) + '\n';
+    this.appendDurable(this.blockLogPath, line);
+
+    this.blockOffsets.push(this.blockLogSize);
+    this.blockLogSize += Buffer.byteLength(line);
+
+    this.writeAtomic(this.snapshotPath, JSON.stringify({
+      version: 1,
+      chainLength: this.blockOffsets.length,
+      latestHash: block.hash,
+      blockOffsets: this.blockOffsets,
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Drop every block from an index onwards (chain reorganisation)
+   *
+   * @param {number} length - Number of blocks to keep
+   */
+  truncateBlocks(length) {
+    if (length >= this.blockOffsets.length) {
+      return;
+    }
+
+    const size = this.blockOffsets[length];
+    fs.truncateSync(this.blockLogPath, size);
+    this.blockOffsets = this.blockOffsets.slice(0, length);
+    this.blockLogSize = size;
+
+    // Snapshot of the shortened log, so a crash before the new blocks are appended still loads
+    const lastLine = length > 0
+      ? fs.readFileSync(this.blockLogPath).subarray(this.blockOffsets[length - 1], size).toString('utf8')
+      : null;
+    this.writeAtomic(this.snapshotPath, JSON.stringify({
+      version: 1,
+      chainLength: length,
+      latestHash: lastLine ? JSON.parse(lastLine).hash : null,
+      blockOffsets: this.blockOffsets,
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Append a single transaction to the pending log
+   * Synced to disk before returning, so a submitted transaction survives a crash.
+   *
+   * @param {Object} transaction - Pending transaction
+   */
+  appendPendingTransaction(transaction) {
+    this.appendDurable(this.pendingLogPath, JSON.stringify(transaction) + '\n');
+  }
+
+  /**
+   * Replace the pending log with the given pool
+   *
+   * @param {Array} pendingTransactions - Current pending pool
+   */
+  savePendingTransactions(pendingTransactions) {
+    const content = pendingTransactions.map(tx => JSON.stringify(tx) + '\n').join('');
+    this.writeAtomic(this.pendingLogPath, content);
+  }
+
+  /**
+   * Read a newline-delimited JSON file, skipping a truncated last line
+   */
+  readLines(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    const entries = [];
+    for (const line of lines) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Partially written entry - ignore
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Append to a file and fsync it before returning
+   */
+  appendDurable(filePath, content) {
+    const fd = fs.openSync(filePath, 'a');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Write a file via temp file + rename so readers never see half a file
+   */
+  writeAtomic(filePath, content) {
+    const tmpPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  }
+}
+
+module.exports = FileStorage;
@@ -18,6 +18,7 @@ class AuditLogger {
    * @param {string} accessLog.actorId - ID of entity attempting access
    * @param {string} accessLog.resourceId - ID of resource being accessed
    * @param {string} accessLog.resourceType - Type of resource (e.g., 'medicalRecord')
+   * @param {string} accessLog.action - Access made (read, create, update; defaults to read)
    * @param {boolean} accessLog.granted - Whether access was granted
    * @param {string} accessLog.reason - Reason for grant/denial
    * @param {Object} accessLog.metadata - Additional metadata
@@ -40,18 +41,18 @@ class AuditLogger {
       actorId: accessLog.actorId,
       resourceId: accessLog.resourceId,
       resourceType: accessLog.resourceType,
-      action: 'read',
+      action: accessLog.action || 'read',
       granted: accessLog.granted,
       reason: accessLog.reason || (accessLog.granted ? 'Access granted' : 'Access denied'),
       metadata: accessLog.metadata || {}
     };
 
     // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
       from: 'system',
       to: this.contractAddress,
       data: logEntry
-    });
+    }));
 
     // Transaction stays in pending pool for consensus mechanism
     // It will be mined when a block is proposed and consensus is reached
@@ -72,7 +73,7 @@ class AuditLogger {
    * 
    * @param {Object} consentLog - Consent change log
    * @param {string} consentLog.consentId - Consent record ID
-   * @param {string} consentLog.action - Action (granted, revoked, expired)
+   * @param {string} consentLog.action - Action (granted, revoked, expired, amended, renewed, withdrawn)
    * @param {string} consentLog.actorId - ID of entity performing action
    * @param {string} consentLog.patientId - Patient ID
    * @param {Object} consentLog.metadata - Additional metadata
@@ -84,7 +85,7 @@ class AuditLogger {
       throw new Error('consentId, action, actorId, and patientId are required');
     }
 
-    const validActions = ['granted', 'revoked', 'expired'];
+    const validActions = ['granted', 'revoked', 'expired', 'amended', 'renewed', 'withdrawn'];
     if (!validActions.includes(consentLog.action)) {
       throw new Error(`action must be one of: ${validActions.join(', ')}`);
     }
@@ -103,11 +104,11 @@ class AuditLogger {
     };
 
     // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
       from: 'system',
       to: this.contractAddress,
       data: logEntry
-    });
+    }));
 
     // Transaction stays in pending pool for consensus mechanism
     // It will be mined when a block is proposed and consensus is reached
@@ -123,6 +124,110 @@ class AuditLogger {
     };
   }
 
+  /**
+   * Log a right-to-erasure request carried out on a patient
+   * 
+   * @param {Object} erasureLog - Erasure log
+   * @param {string} erasureLog.patientId - Erased patient
+   * @param {string} erasureLog.actorId - ID of entity carrying out the erasure
+   * @param {string} erasureLog.reason - Reason (e.g. the request reference)
+   * @param {Object} erasureLog.metadata - Additional metadata (erase transaction, destroyed key versions)
+   * @returns {Object} Transaction result
+   */
+  async logErasure(erasureLog) {
+    // Validate required fields
+    if (!erasureLog.patientId || !erasureLog.actorId) {
+      throw new Error('patientId and actorId are required');
+    }
+
+    // Create audit log entry
+    const logEntry = {
+      type: 'erasure',
+      timestamp: new Date().toISOString(),
+      actorId: erasureLog.actorId,
+      patientId: erasureLog.patientId,
+      resourceId: erasureLog.patientId,
+      resourceType: 'patient',
+      action: 'erase',
+      reason: erasureLog.reason || 'Erasure requested',
+      metadata: erasureLog.metadata || {}
+    };
+
+    // Create blockchain transaction
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: 'system',
+      to: this.contractAddress,
+      data: logEntry
+    }));
+
+    return {
+      success: true,
+      logId: transaction.id,
+      data: logEntry,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Log an emergency (break-glass) access or the review that follows it
+   * These entries are high severity: they record access without consent.
+   * 
+   * @param {Object} breakGlassLog - Break-glass log
+   * @param {string} breakGlassLog.action - 'break-glass' (access opened) or 'review-closed'
+   * @param {string} breakGlassLog.actorId - Clinician breaking the glass, or the reviewer
+   * @param {string} breakGlassLog.patientId - Patient whose records are accessed
+   * @param {string} breakGlassLog.reviewId - Review task of the access
+   * @param {string} breakGlassLog.reason - Justification, or the review outcome
+   * @param {Object} breakGlassLog.metadata - Additional metadata (access window, outcome)
+   * @returns {Object} Transaction result
+   */
+  async logBreakGlass(breakGlassLog) {
+    // Validate required fields
+    if (!breakGlassLog.action || !breakGlassLog.actorId || !breakGlassLog.patientId || !breakGlassLog.reviewId) {
+      throw new Error('action, actorId, patientId, and reviewId are required');
+    }
+
+    const validActions = ['break-glass', 'review-closed'];
+    if (!validActions.includes(breakGlassLog.action)) {
+      throw new Error(`action must be one of: ${validActions.join(', ')}`);
+    }
+
+    // Create audit log entry
+    const logEntry = {
+      type: 'break-glass',
+      severity: 'high',
+      timestamp: new Date().toISOString(),
+      actorId: breakGlassLog.actorId,
+      patientId: breakGlassLog.patientId,
+      resourceId: breakGlassLog.patientId,
+      resourceType: 'patient',
+      action: breakGlassLog.action,
+      reviewId: breakGlassLog.reviewId,
+      reason: breakGlassLog.reason || null,
+      metadata: breakGlassLog.metadata || {}
+    };
+
+    // Create blockchain transaction
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: 'system',
+      to: this.contractAddress,
+      data: logEntry
+    }));
+
+    return {
+      success: true,
+      logId: transaction.id,
+      data: logEntry,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
   /**
    * Log an AI diagnostic submission
    * 
@@ -156,11 +261,11 @@ class AuditLogger {
     };
 
     // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
       from: 'system',
       to: this.contractAddress,
       data: logEntry
-    });
+    }));
 
     // Transaction stays in pending pool for consensus mechanism
     // It will be mined when a block is proposed and consensus is reached
@@ -180,43 +285,31 @@ class AuditLogger {
    * Query audit logs
    * 
    * @param {Object} filters - Filter criteria
+   * @param {string} filters.logId - Filter by log ID
    * @param {string} filters.actorId - Filter by actor
    * @param {string} filters.resourceId - Filter by resource
    * @param {string} filters.action - Filter by action
    * @param {string} filters.type - Filter by log type
+   * @param {string} filters.severity - Filter by severity (only break-glass entries are 'high')
    * @param {string} filters.startDate - Start date (ISO string)
    * @param {string} filters.endDate - End date (ISO string)
    * @returns {Array} Array of audit log entries
    */
   async queryLogs(filters = {}) {
-    // Search blockchain for all audit transactions (mined blocks)
-    const minedTransactions = this.blockchain.searchTransactions({
-      to: this.contractAddress
-    });
+    // Search blockchain for audit transactions (mined blocks and pending pool); logId and resourceId are indexed
+    const criteria = { to: this.contractAddress };
+    if (filters.logId) {
+      criteria.id = filters.logId;
+    }
+    if (filters.resourceId) {
+      criteria['data.resourceId'] = filters.resourceId;
+    }
+    const transactions = this.blockchain.searchTransactions(criteria, { includePending: true });
 
-    // Also include pending transactions
-    const pendingTransactions = (this.blockchain.pendingTransactions || [])
-      .filter(tx => tx.to === this.contractAddress)
-      .map(tx => {
-        // Ensure timestamp is preserved from transaction or data
-        const timestamp = tx.data?.timestamp || (tx.timestamp ? new Date(tx.timestamp).toISOString() : new Date().toISOString());
-        return {
-          ...tx.data,
-          timestamp, // Ensure timestamp is always present
-          logId: tx.id,
-          blockIndex: null, // Not yet in a block
-          blockHash: null, // Not yet in a block
-          blockTimestamp: null, // Not yet in a block
-          pending: true // Mark as pending
-        };
-      });
-
-    // Combine mined and pending transactions
-    const allTransactions = [...minedTransactions, ...pendingTransactions];
-
-    // Apply filters
-    let filteredLogs = allTransactions.map(tx => ({
+    let filteredLogs = transactions.map(tx => ({
       ...tx.data,
+      // Ensure timestamp is preserved from transaction or data
+      timestamp: tx.data?.timestamp || new Date(tx.timestamp).toISOString(),
       logId: tx.id,
       blockIndex: tx.blockIndex,
       blockHash: tx.blockHash,
@@ -244,6 +337,11 @@ class AuditLogger {
       filteredLogs = filteredLogs.filter(log => log.type === filters.type);
     }
 
+    // Filter by severity
+    if (filters.severity) {
+      filteredLogs = filteredLogs.filter(log => log.severity === filters.severity);
+    }
+
     // Filter by resourceType
     if (filters.resourceType) {
       filteredLogs = filteredLogs.filter(log => log.resourceType === filters.resourceType);
@@ -7,6 +7,9 @@
  * - POST /api/audit/ai-diagnostic - Log AI diagnostic
  * - GET /api/audit/query - Query audit logs
  * - GET /api/audit/trail/:resourceId/:resourceType - Get audit trail
+ * - GET /api/audit/reviews - Break-glass review tasks (?status=open|closed, outcome, clinicianId, patientId)
+ * - GET /api/audit/reviews/:reviewId - Get a review task
+ * - POST /api/audit/reviews/:reviewId/close - Close a review ({ outcome, notes })
  */
 
 const express = require('express');
@@ -146,6 +149,7 @@ router.get('/query', async (req, res, next) => {
       resourceId: req.query.resourceId || null,
       action: req.query.action || null,
       type: req.query.type || null,
+      severity: req.query.severity || null,
       startDate: req.query.startDate || null,
       endDate: req.query.endDate || null
     };
@@ -197,6 +201,68 @@ router.get('/trail/:resourceId/:resourceType', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/audit/reviews
+ * Get break-glass review tasks
+ */
+router.get('/reviews', async (req, res, next) => {
+  try {
+    const { status, outcome, clinicianId, patientId } = req.query;
+    const result = await auditService.getReviews({ status, outcome, clinicianId, patientId });
+
+    res.status(200).json(formatSuccess(result, 'Reviews retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audit/reviews/:reviewId
+ * Get a break-glass review task
+ */
+router.get('/reviews/:reviewId', async (req, res, next) => {
+  try {
+    const result = await auditService.getReview(req.params.reviewId);
+
+    res.status(200).json(formatSuccess(result, 'Review retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json(formatError(error, 404));
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/audit/reviews/:reviewId/close
+ * Close a break-glass review task with its outcome
+ * The reviewer is the authenticated caller, or reviewerId in the body when authentication is disabled.
+ */
+router.post('/reviews/:reviewId/close', async (req, res, next) => {
+  try {
+    const { outcome, notes } = req.body;
+    const reviewerId = req.auth?.actorId || req.body.reviewerId;
+
+    const result = await auditService.closeReview(req.params.reviewId, { reviewerId, outcome, notes });
+
+    res.status(200).json(formatSuccess(result, 'Review closed successfully'));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json(formatError(error, 404));
+    }
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    if (error.message.includes('already been closed')) {
+      return res.status(409).json(formatError(error, 409));
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /api/audit/all
  * Get all audit logs (no filters)
@@ -5,11 +5,14 @@
  */
 
 const AuditLogger = require('./AuditLogger.js');
+const BreakGlassService = require('../emergency-access/breakGlassService.js');
 const { isValidUUID } = require('../../utils/helpers.js');
 
 class AuditService {
   constructor(blockchain) {
     this.logger = new AuditLogger(blockchain);
+    // Only the review side of break-glass access is used here, which needs no registries
+    this.breakGlass = new BreakGlassService(blockchain);
   }
 
   /**
@@ -118,6 +121,37 @@ class AuditService {
       trail: trailResult.trail
     };
   }
+
+  /**
+   * Get break-glass review tasks
+   * 
+   * @param {Object} filters - { status ('open' or 'closed'), outcome, clinicianId, patientId }
+   * @returns {Promise<Object>} Result with reviews, count and overdue count
+   */
+  async getReviews(filters) {
+    return this.breakGlass.getReviews(filters);
+  }
+
+  /**
+   * Get a break-glass review task
+   * 
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<Object>} Review record
+   */
+  async getReview(reviewId) {
+    return this.breakGlass.getReview(reviewId);
+  }
+
+  /**
+   * Close a break-glass review task
+   * 
+   * @param {string} reviewId - Review ID
+   * @param {Object} review - { reviewerId, outcome, notes }
+   * @returns {Promise<Object>} Closed review
+   */
+  async closeReview(reviewId, review) {
+    return this.breakGlass.closeReview(reviewId, review);
+  }
 }
 
 module.exports = AuditService;
@@ -0,0 +1,260 @@
+/**
+ * Auth Service
+ *
+ * Issues and verifies access tokens for API callers.
+ * Tokens are JWTs signed with the issuing node's Ed25519 key (alg EdDSA).
+ * A node only accepts tokens from its own issuer key and the node IDs listed
+ * in options.trustedIssuers; other node keys are not trusted to issue tokens.
+ *
+ * Callers obtain a token by signing a one-time challenge with the private
+ * key registered for their actor ID (see Blockchain.registerActorKey).
+ */
+
+const crypto = require('crypto');
+const KeyStore = require('../../core/KeyStore.js');
+
+// Roles that may hold an API token
+const ROLES = ['patient', 'clinician', 'ai-model', 'auditor', 'privacy-officer', 'node-operator', 'admin'];
+
+// Roles created through the auth API (patients and clinicians register through their contracts)
+const STAFF_ROLES = ['auditor', 'privacy-officer', 'node-operator', 'admin'];
+
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+class AuthService {
+  /**
+   * @param {Blockchain} blockchain - Blockchain whose key store holds actor keys
+   * @param {Object} options - Optional settings
+   * @param {string} options.issuer - Node ID whose key signs tokens (defaults to the system signer)
+   * @param {Array<string>} options.trustedIssuers - Other node IDs whose tokens are accepted
+   * @param {number} options.tokenTtlSeconds - Token lifetime in seconds
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.keyStore = blockchain.keyStore;
+    this.issuer = options.issuer || blockchain.systemSigner;
+    this.trustedIssuers = new Set(options.trustedIssuers || []);
+    this.tokenTtlSeconds = options.tokenTtlSeconds || DEFAULT_TOKEN_TTL_SECONDS;
+    this.challenges = new Map(); // challenge -> { actorId, expiresAt }
+  }
+
+  /**
+   * Encode a buffer or JSON value as base64url
+   */
+  static encode(value) {
+    const buffer = Buffer.isBuffer(value) ? value : Buffer.from(JSON.stringify(value));
+    return buffer.toString('base64url');
+  }
+
+  /**
+   * Decode a base64url JSON segment
+   */
+  static decode(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  }
+
+  /**
+   * Get the API role of an actor, or null if the actor may not authenticate
+   */
+  getActorRole(actorId) {
+    const role = this.keyStore.getRole(actorId);
+    return ROLES.includes(role) ? role : null;
+  }
+
+  /**
+   * Create a one-time login challenge for an actor
+   *
+   * @param {string} actorId - Actor ID
+   * @returns {Object} { actorId, challenge, expiresAt }
+   */
+  createChallenge(actorId) {
+    if (!actorId) {
+      throw new Error('actorId is required');
+    }
+    if (!this.keyStore.getPublicKey(actorId) || !this.getActorRole(actorId)) {
+      throw new Error(`Unknown actor: ${actorId}`);
+    }
+
+    this.pruneChallenges();
+
+    const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+    const challenge = `ai-health-chains-login:${actorId}:${crypto.randomBytes(16).toString('hex')}:${expiresAt}`;
+    this.challenges.set(challenge, { actorId, expiresAt });
+
+    return { actorId, challenge, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Exchange a signed challenge for an access token
+   *
+   * @param {string} actorId - Actor ID
+   * @param {string} challenge - Challenge returned by createChallenge
+   * @param {string} signature - Base64 Ed25519 signature of the challenge string
+   * @returns {Object} Token result (see issueToken)
+   */
+  exchangeChallenge(actorId, challenge, signature) {
+    if (!actorId || !challenge || !signature) {
+      throw new Error('actorId, challenge, and signature are required');
+    }
+
+    const pending = this.challenges.get(challenge);
+    // Challenges are single use, whether or not the signature checks out
+    this.challenges.delete(challenge);
+
+    if (!pending || pending.actorId !== actorId || pending.expiresAt < Date.now()) {
+      throw new Error('Invalid or expired challenge');
+    }
+
+    const publicKey = this.keyStore.getPublicKey(actorId);
+    if (!KeyStore.verifyBytes(publicKey, Buffer.from(challenge), signature)) {
+      throw new Error('Invalid challenge signature');
+    }
+
+    return this.issueToken(actorId);
+  }
+
+  /**
+   * Issue an access token for an actor
+   *
+   * @param {string} actorId - Actor ID
+   * @returns {Object} { token, actorId, role, expiresAt }
+   */
+  issueToken(actorId) {
+    const role = this.getActorRole(actorId);
+    if (!role) {
+      throw new Error(`Unknown actor: ${actorId}`);
+    }
+
+    if (!this.keyStore.hasPrivateKey(this.issuer)) {
+      this.keyStore.generateKeyPair(this.issuer, 'node');
+    }
+
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: this.issuer };
+    const claims = {
+      iss: this.issuer,
+      sub: actorId,
+      role,
+      iat: issuedAt,
+      exp: issuedAt + this.tokenTtlSeconds,
+      jti: crypto.randomUUID()
+    };
+
+    const signingInput = `${AuthService.encode(header)}.${AuthService.encode(claims)}`;
+    const signature = this.keyStore.signBytes(this.issuer, Buffer.from(signingInput));
+
+    return {
+      token: `${signingInput}.${AuthService.encode(signature)}`,
+      actorId,
+      role,
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check whether tokens signed by a node ID are accepted
+   *
+   * @param {string} nodeId - Token issuer (kid)
+   * @returns {boolean} True for this node's issuer and configured trusted issuers
+   */
+  isTrustedIssuer(nodeId) {
+    if (nodeId !== this.issuer && !this.trustedIssuers.has(nodeId)) {
+      return false;
+    }
+    return this.keyStore.getRole(nodeId) === 'node';
+  }
+
+  /**
+   * Verify an access token
+   *
+   * @param {string} token - Bearer token
+   * @returns {Object} Principal { actorId, role, issuer, expiresAt }
+   */
+  verifyToken(token) {
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = AuthService.decode(parts[0]);
+      claims = AuthService.decode(parts[1]);
+    } catch (error) {
+      throw new Error('Malformed token');
+    }
+
+    // Only this node's issuer key and explicitly trusted node keys issue tokens
+    if (header.alg !== 'EdDSA' || claims.iss !== header.kid || !this.isTrustedIssuer(header.kid)) {
+      throw new Error('Token issuer is not trusted');
+    }
+
+    const publicKey = this.keyStore.getPublicKey(header.kid);
+    if (!KeyStore.verifyBytes(publicKey, Buffer.from(`${parts[0]}.${parts[1]}`), parts[2])) {
+      throw new Error('Invalid token signature');
+    }
+
+    if (!claims.exp || claims.exp * 1000 < Date.now()) {
+      throw new Error('Token has expired');
+    }
+
+    // The role must still match the key registry (a token cannot outlive a role change)
+    if (!ROLES.includes(claims.role) || this.getActorRole(claims.sub) !== claims.role) {
+      throw new Error('Token role is no longer valid');
+    }
+
+    return {
+      actorId: claims.sub,
+      role: claims.role,
+      issuer: claims.iss,
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Register a staff actor (auditor, node operator or admin)
+   *
+   * @param {Object} actor - Actor details
+   * @param {string} actor.actorId - Actor ID
+   * @param {string} actor.role - One of auditor, privacy-officer, node-operator, admin
+   * @param {string} actor.publicKey - Optional PEM public key held by the actor
+   * @returns {Object} { actorId, role, publicKey }
+   */
+  registerActor({ actorId, role, publicKey } = {}) {
+    if (!actorId || !role) {
+      throw new Error('actorId and role are required');
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      throw new Error(`Invalid role: must be one of ${STAFF_ROLES.join(', ')}`);
+    }
+    if (this.keyStore.getPublicKey(actorId)) {
+      throw new Error(`Actor ${actorId} already exists`);
+    }
+
+    const key = this.blockchain.registerActorKey(actorId, role, publicKey || null);
+    return { actorId, role: key.role, publicKey: key.publicKey };
+  }
+
+  /**
+   * Drop expired challenges
+   */
+  pruneChallenges() {
+    const now = Date.now();
+    for (const [challenge, pending] of this.challenges) {
+      if (pending.expiresAt < now) {
+        this.challenges.delete(challenge);
+      }
+    }
+  }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.STAFF_ROLES = STAFF_ROLES;
+
+module.exports = AuthService;
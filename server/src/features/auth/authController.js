@@ -0,0 +1,88 @@
+/**
+ * Auth Controller - API endpoints for authentication
+ *
+ * Endpoints:
+ * - POST /api/auth/challenge - Get a one-time login challenge for an actor
+ * - POST /api/auth/token - Exchange a signed challenge for an access token
+ * - GET /api/auth/me - Describe the authenticated caller
+ * - POST /api/auth/actors - Register an auditor, node operator or admin (admin only)
+ */
+
+const express = require('express');
+const { formatSuccess, formatError } = require('../../utils/helpers.js');
+
+const router = express.Router();
+
+/**
+ * Map service errors to HTTP status codes
+ */
+function handleError(error, res, next) {
+  if (error.message.includes('Unknown actor')) {
+    return res.status(404).json(formatError(error, 404));
+  }
+  if (error.message.includes('already exists')) {
+    return res.status(409).json(formatError(error, 409));
+  }
+  if (error.message.includes('challenge')) {
+    return res.status(401).json(formatError(error, 401));
+  }
+  if (error.message.includes('required') || error.message.includes('Invalid')) {
+    return res.status(400).json(formatError(error, 400));
+  }
+  next(error);
+}
+
+/**
+ * POST /api/auth/challenge
+ * Get a one-time login challenge
+ */
+router.post('/challenge', async (req, res, next) => {
+  try {
+    const result = req.app.locals.authService.createChallenge(req.body.actorId);
+    res.status(200).json(formatSuccess(result, 'Sign the challenge with your actor key'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/auth/token
+ * Exchange a signed challenge for an access token
+ */
+router.post('/token', async (req, res, next) => {
+  try {
+    const { actorId, challenge, signature } = req.body;
+    const result = req.app.locals.authService.exchangeChallenge(actorId, challenge, signature);
+    res.status(200).json(formatSuccess(result, 'Token issued successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Describe the authenticated caller
+ */
+router.get('/me', async (req, res, next) => {
+  try {
+    res.status(200).json(formatSuccess(req.auth || null, 'Authenticated'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/actors
+ * Register a staff actor
+ */
+router.post('/actors', async (req, res, next) => {
+  try {
+    const { actorId, role, publicKey } = req.body;
+    const result = req.app.locals.authService.registerActor({ actorId, role, publicKey });
+    res.status(201).json(formatSuccess(result, 'Actor registered successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+/**
+ * Auth Middleware
+ *
+ * createAuthGuard(rules) builds middleware that is mounted in front of a router.
+ * It finds the rule for the request (see policies.js), verifies the bearer token
+ * with app.locals.authService and evaluates the rule. The verified principal is
+ * exposed to the router as req.auth. Rules marked peer also admit peer nodes
+ * without a token: registered peers signing the request with their node key
+ * (see NodeManager.getRequestHeaders) and callers presenting the network secret.
+ *
+ * Every denied call is recorded through app.locals.auditLogger.logDataAccess.
+ */
+
+const { formatError } = require('../../utils/helpers.js');
+
+/**
+ * Compile an Express-style path ('/trail/:resourceId/:type') into a matcher
+ */
+function compilePath(path) {
+  const keys = [];
+  const pattern = path.replace(/:([A-Za-z]+)/g, (match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  const regex = new RegExp(`^${pattern}/?$`);
+
+  return (requestPath) => {
+    const match = regex.exec(requestPath);
+    if (!match) {
+      return null;
+    }
+    const params = {};
+    keys.forEach((key, i) => {
+      params[key] = decodeURIComponent(match[i + 1]);
+    });
+    return params;
+  };
+}
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Read the node signature headers of a request (see NodeManager.verifyPeerRequest)
+ */
+function getPeerRequest(req) {
+  return {
+    nodeId: req.get('X-Node-Id'),
+    timestamp: req.get('X-Node-Timestamp'),
+    signature: req.get('X-Node-Signature'),
+    method: req.method,
+    path: req.originalUrl,
+    body: req.body
+  };
+}
+
+/**
+ * Check whether the request comes from a registered peer or a node holding the network secret
+ */
+function isPeerRequest(req) {
+  const nodeManager = req.app.locals.nodeManager;
+  if (!nodeManager) {
+    return false;
+  }
+  return nodeManager.verifyPeerRequest(getPeerRequest(req)) ||
+    nodeManager.verifyNetworkSecret(req.get('X-Network-Secret'));
+}
+
+/**
+ * Record a denied call and send the error response
+ */
+async function deny(req, res, status, reason, principal = null) {
+  const auditLogger = req.app.locals.auditLogger;
+  if (auditLogger) {
+    try {
+      await auditLogger.logDataAccess({
+        actorId: principal?.actorId || 'anonymous',
+        resourceId: `${req.method} ${req.baseUrl}${req.path}`,
+        resourceType: 'api-route',
+        granted: false,
+        reason,
+        metadata: {
+          role: principal?.role || null,
+          ip: req.ip
+        }
+      });
+    } catch (error) {
+      console.error('Failed to record denied request:', error.message);
+    }
+  }
+
+  res.status(status).json(formatError(new Error(reason), status));
+}
+
+/**
+ * Build a guard for one router
+ *
+ * @param {Array} rules - Route rules for the router (see policies.js)
+ * @returns {Function} Express middleware
+ */
+function createAuthGuard(rules) {
+  const compiled = rules.map(rule => ({ ...rule, match: compilePath(rule.path) }));
+
+  return async (req, res, next) => {
+    let rule = null;
+    let params = null;
+    for (const candidate of compiled) {
+      if (candidate.method === req.method) {
+        params = candidate.match(req.path);
+        if (params) {
+          rule = candidate;
+          break;
+        }
+      }
+    }
+
+    if (!rule) {
+      return deny(req, res, 403, `No access policy for ${req.method} ${req.baseUrl}${req.path}`);
+    }
+    if (rule.public || (rule.peer && isPeerRequest(req))) {
+      return next();
+    }
+
+    let principal;
+    try {
+      principal = req.app.locals.authService.verifyToken(getBearerToken(req));
+    } catch (error) {
+      return deny(req, res, 401, error.message);
+    }
+
+    req.auth = principal;
+
+    let decision;
+    try {
+      decision = await rule.allow(principal, {
+        params,
+        body: req.body || {},
+        query: req.query,
+        locals: req.app.locals
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    if (decision !== true) {
+      const reason = typeof decision === 'string'
+        ? decision
+        : `Role ${principal.role} may not call ${req.method} ${req.baseUrl}${req.path}`;
+      return deny(req, res, 403, reason, principal);
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createAuthGuard,
+  getBearerToken,
+  getPeerRequest
+};
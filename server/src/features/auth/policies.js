@@ -0,0 +1,684 @@
+/**
+ * Access Policies
+ *
+ * Per-route rules for every API router, keyed by the router's mount point.
+ * Each rule matches an HTTP method and a path relative to the router and either
+ * marks the route public or provides allow(principal, context), which returns
+ * true to allow the call, or false / a reason string to deny it. Rules marked
+ * peer also admit peer nodes without a token (see authMiddleware.js).
+ *
+ * Routes without a rule are denied.
+ */
+
+const ConsentContract = require('../consent-management/ConsentContract.js');
+const DelegationContract = require('../consent-management/DelegationContract.js');
+const BreakGlassContract = require('../emergency-access/BreakGlassContract.js');
+const ResearchStudyContract = require('../data-storage/ResearchStudyContract.js');
+const { fromRecordResource } = require('../fhir/fhirMapper.js');
+
+/**
+ * Allow any of the given roles
+ */
+const roles = (...allowed) => (principal) => allowed.includes(principal.role);
+
+/**
+ * Allow any authenticated caller
+ */
+const authenticated = () => true;
+
+/**
+ * Look up a consent record by ID (null if unknown)
+ */
+function findConsent(context, consentId) {
+  if (!consentId) {
+    return null;
+  }
+  return new ConsentContract(context.locals.blockchain).getConsentById(consentId);
+}
+
+/**
+ * Patients may only act on their own ID
+ */
+function ownPatientId(principal, patientId) {
+  return principal.actorId === patientId || 'Patients may only access their own records';
+}
+
+/**
+ * The patient and their valid delegates (guardians, healthcare proxies) may act on the patient's consents
+ */
+function actsFor(principal, context, patientId) {
+  return new DelegationContract(context.locals.blockchain).canActFor(principal.actorId, patientId);
+}
+
+/**
+ * Look up a delegation by ID (null if unknown)
+ */
+function findDelegation(context, delegationId) {
+  return new DelegationContract(context.locals.blockchain).getDelegationById(delegationId);
+}
+
+/**
+ * Patients and their delegates may read the patient's consents; auditors and admins any
+ */
+function readsConsentsOf(principal, context, patientId) {
+  if (['auditor', 'admin'].includes(principal.role)) return true;
+  if (actsFor(principal, context, patientId)) return true;
+  return principal.role === 'patient' ? ownPatientId(principal, patientId) : false;
+}
+
+/**
+ * The patient and their delegates may amend or renew the patient's consents
+ * Consent changes are signed with the acting party's key, so nobody else (not
+ * even an admin) may make them: the change would be attributed to the patient.
+ */
+function changesConsent(principal, context, claimedActor) {
+  if (claimedActor && claimedActor !== principal.actorId) {
+    return 'Consents must be changed by the authenticated patient or delegate';
+  }
+  const record = findConsent(context, context.body.consentId);
+  if (record && actsFor(principal, context, record.patientId)) return true;
+  return principal.role === 'patient' ? 'Patients may only change their own consents' : false;
+}
+
+/**
+ * Items of a bulk consent request (malformed ones are left to the route)
+ */
+function batchItems(context) {
+  const { items } = context.body;
+  return Array.isArray(items) ? items.filter(item => item && typeof item === 'object') : [];
+}
+
+/**
+ * Clinicians may only act on their own ID
+ */
+function ownClinicianId(principal, clinicianId) {
+  return principal.actorId === clinicianId || 'Clinicians may only access their own consents';
+}
+
+const consent = [
+  {
+    method: 'POST',
+    path: '/grant',
+    allow: (principal, context) => {
+      const { body } = context;
+      if (body.grantedBy && body.grantedBy !== principal.actorId) {
+        return 'Consent must be granted by the authenticated patient';
+      }
+      if (actsFor(principal, context, body.patientId)) return true;
+      return principal.role === 'patient' ? ownPatientId(principal, body.patientId) : false;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/revoke',
+    allow: (principal, context) => {
+      const record = findConsent(context, context.body.consentId);
+      if (record && actsFor(principal, context, record.patientId)) return true;
+      return principal.role === 'patient' ? 'Patients may only revoke their own consents' : false;
+    }
+  },
+  {
+    // Every item must be one the caller could grant on its own
+    method: 'POST',
+    path: '/bulk/grant',
+    allow: (principal, context) => {
+      for (const item of batchItems(context)) {
+        if (item.grantedBy && item.grantedBy !== principal.actorId) {
+          return 'Consent must be granted by the authenticated patient';
+        }
+        if (!actsFor(principal, context, item.patientId)) {
+          return principal.role === 'patient' ? ownPatientId(principal, item.patientId) : false;
+        }
+      }
+      return true;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/bulk/revoke',
+    allow: (principal, context) => {
+      for (const item of batchItems(context)) {
+        if (item.revokedBy && item.revokedBy !== principal.actorId) {
+          return 'Consents must be changed by the authenticated patient or delegate';
+        }
+        // Unknown consents are reported per item by the route
+        const record = findConsent(context, item.consentId);
+        if (record && !actsFor(principal, context, record.patientId)) {
+          return principal.role === 'patient' ? 'Patients may only revoke their own consents' : false;
+        }
+      }
+      return true;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/amend',
+    allow: (principal, context) => changesConsent(principal, context, context.body.amendedBy)
+  },
+  {
+    method: 'POST',
+    path: '/renew',
+    allow: (principal, context) => changesConsent(principal, context, context.body.renewedBy)
+  },
+  {
+    method: 'GET',
+    path: '/check/:patientId/:clinicianId/:type',
+    allow: (principal, context) => {
+      const { params } = context;
+      if (actsFor(principal, context, params.patientId)) return true;
+      if (principal.role === 'patient') return ownPatientId(principal, params.patientId);
+      if (principal.role === 'clinician') return ownClinicianId(principal, params.clinicianId);
+      return ['auditor', 'admin'].includes(principal.role);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/history/:patientId',
+    allow: (principal, context) => readsConsentsOf(principal, context, context.params.patientId)
+  },
+  {
+    method: 'GET',
+    path: '/active/:patientId',
+    allow: (principal, context) => readsConsentsOf(principal, context, context.params.patientId)
+  },
+  {
+    method: 'GET',
+    path: '/timeline/:patientId',
+    allow: (principal, context) => {
+      const reads = readsConsentsOf(principal, context, context.params.patientId);
+      // Clinicians may see the timeline of their own consents from the patient
+      if (reads !== true && principal.role === 'clinician' && context.query.clinicianId) {
+        return ownClinicianId(principal, context.query.clinicianId);
+      }
+      return reads;
+    }
+  },
+  { method: 'GET', path: '/all', allow: roles('auditor', 'admin') },
+  {
+    method: 'POST',
+    path: '/delegations',
+    allow: (principal, context) => {
+      const { body } = context;
+      if (body.appointedBy && body.appointedBy !== principal.actorId) {
+        return 'Delegates must be appointed by the authenticated patient or delegate';
+      }
+      return actsFor(principal, context, body.patientId) ||
+        'Only the patient or one of their delegates may appoint a delegate';
+    }
+  },
+  {
+    method: 'POST',
+    path: '/delegations/:delegationId/revoke',
+    allow: (principal, context) => {
+      const delegation = findDelegation(context, context.params.delegationId);
+      // Unknown delegations are answered by the route (404)
+      return !delegation || principal.actorId === delegation.delegateId ||
+        actsFor(principal, context, delegation.patientId) ||
+        'Only the patient or their delegates may revoke a delegation';
+    }
+  },
+  {
+    method: 'GET',
+    path: '/delegations',
+    allow: (principal, context) => {
+      const { query } = context;
+      if (['auditor', 'admin'].includes(principal.role)) return true;
+      if (query.patientId) return actsFor(principal, context, query.patientId) || ownPatientId(principal, query.patientId);
+      return principal.actorId === query.delegateId || 'Delegates may only list their own delegations';
+    }
+  },
+  {
+    method: 'GET',
+    path: '/delegations/:delegationId/chain',
+    allow: (principal, context) => {
+      const delegation = findDelegation(context, context.params.delegationId);
+      if (!delegation || ['auditor', 'admin'].includes(principal.role)) return true;
+      return principal.actorId === delegation.delegateId || actsFor(principal, context, delegation.patientId) ||
+        ownPatientId(principal, delegation.patientId);
+    }
+  }
+];
+
+/**
+ * The patient and their delegates may manage the patient's participation in a study
+ * (a research consent, so the same as changesConsent applies)
+ */
+function joinsStudy(principal, context, claimedActor) {
+  const { body } = context;
+  if (claimedActor && claimedActor !== principal.actorId) {
+    return 'Research consent must be given by the authenticated patient or delegate';
+  }
+  if (actsFor(principal, context, body.patientId)) return true;
+  return principal.role === 'patient' ? ownPatientId(principal, body.patientId) : false;
+}
+
+const research = [
+  { method: 'POST', path: '/studies', allow: roles('admin') },
+  { method: 'GET', path: '/studies', allow: authenticated },
+  { method: 'GET', path: '/studies/:studyId', allow: authenticated },
+  {
+    method: 'POST',
+    path: '/studies/:studyId/opt-in',
+    allow: (principal, context) => joinsStudy(principal, context, context.body.grantedBy)
+  },
+  {
+    method: 'POST',
+    path: '/studies/:studyId/tier',
+    allow: (principal, context) => joinsStudy(principal, context, context.body.amendedBy)
+  },
+  {
+    method: 'POST',
+    path: '/studies/:studyId/withdraw',
+    allow: (principal, context) => joinsStudy(principal, context, context.body.revokedBy)
+  },
+  {
+    // Cohorts are released to admins and to the study's principal investigator
+    method: 'GET',
+    path: '/studies/:studyId/cohort',
+    allow: (principal, context) => {
+      if (principal.role === 'admin') return true;
+      const study = new ResearchStudyContract(context.locals.blockchain).getStudy(context.params.studyId);
+      // Unknown studies are answered by the route (404)
+      if (!study) return true;
+      return (principal.role === 'clinician' && principal.actorId === study.principalInvestigatorId) ||
+        'Only the study\'s principal investigator may query its cohort';
+    }
+  }
+];
+
+const audit = [
+  { method: 'POST', path: '/data-access', allow: roles('clinician', 'node-operator', 'admin') },
+  { method: 'POST', path: '/consent', allow: roles('clinician', 'node-operator', 'admin') },
+  { method: 'POST', path: '/ai-diagnostic', allow: roles('clinician', 'node-operator', 'admin') },
+  { method: 'GET', path: '/query', allow: roles('auditor', 'privacy-officer') },
+  { method: 'GET', path: '/trail/:resourceId/:resourceType', allow: roles('auditor') },
+  { method: 'GET', path: '/all', allow: roles('auditor') },
+  { method: 'GET', path: '/reviews', allow: roles('auditor', 'privacy-officer', 'admin') },
+  { method: 'GET', path: '/reviews/:reviewId', allow: roles('auditor', 'privacy-officer', 'admin') },
+  // Only privacy officers close reviews, so every outcome is signed by one
+  {
+    method: 'POST',
+    path: '/reviews/:reviewId/close',
+    allow: (principal, { body }) => {
+      if (principal.role !== 'privacy-officer') return false;
+      return !body.reviewerId || body.reviewerId === principal.actorId ||
+        'Reviews must be closed by the authenticated privacy officer';
+    }
+  }
+];
+
+const breakGlass = [
+  {
+    method: 'POST',
+    path: '/',
+    allow: (principal, { body }) => {
+      if (principal.role !== 'clinician') return false;
+      return !body.clinicianId || body.clinicianId === principal.actorId ||
+        'Emergency access may only be requested for yourself';
+    }
+  },
+  {
+    method: 'GET',
+    path: '/:accessId',
+    allow: (principal, context) => {
+      if (['auditor', 'privacy-officer', 'admin'].includes(principal.role)) return true;
+      const access = new BreakGlassContract(context.locals.blockchain).getAccessById(context.params.accessId);
+      // Unknown accesses are answered by the route (404)
+      if (!access) return true;
+      if (principal.role === 'clinician') return ownClinicianId(principal, access.clinicianId);
+      return actsFor(principal, context, access.patientId) ||
+        (principal.role === 'patient' ? ownPatientId(principal, access.patientId) : false);
+    }
+  }
+];
+
+const events = [
+  {
+    method: 'GET',
+    path: '/:patientId',
+    allow: (principal, context) => {
+      if (['auditor', 'privacy-officer', 'admin'].includes(principal.role)) return true;
+      if (actsFor(principal, context, context.params.patientId)) return true;
+      return principal.role === 'patient' ? ownPatientId(principal, context.params.patientId) : false;
+    }
+  }
+];
+
+const zk = [
+  {
+    method: 'POST',
+    path: '/consent-proof',
+    allow: (principal, context) => {
+      if (principal.role === 'admin') return true;
+      if (!['patient', 'clinician'].includes(principal.role)) return false;
+
+      const record = findConsent(context, context.body.consentId) || context.body;
+      return principal.role === 'patient'
+        ? ownPatientId(principal, record.patientId)
+        : ownClinicianId(principal, record.clinicianId);
+    }
+  },
+  { method: 'POST', path: '/verify-consent', allow: authenticated },
+  { method: 'GET', path: '/commitment-root', allow: authenticated },
+  { method: 'POST', path: '/challenge', allow: authenticated },
+  {
+    method: 'POST',
+    path: '/permission-proof',
+    allow: (principal, { body }) => principal.role === 'admin' ||
+      principal.actorId === body.userId ||
+      'Permission proofs may only be generated for yourself'
+  },
+  { method: 'POST', path: '/verify-permission', allow: authenticated }
+];
+
+const consensus = [
+  { method: 'POST', path: '/propose', allow: roles('node-operator', 'admin') },
+  { method: 'POST', path: '/vote', allow: roles('node-operator', 'admin') },
+  { method: 'POST', path: '/sync', allow: roles('node-operator', 'admin') },
+  { method: 'GET', path: '/status', allow: roles('node-operator', 'auditor', 'admin') },
+  { method: 'POST', path: '/view-change', allow: roles('node-operator', 'admin') },
+  { method: 'GET', path: '/equivocations', allow: roles('node-operator', 'auditor', 'admin') },
+  { method: 'GET', path: '/pending-transactions', allow: roles('node-operator', 'auditor', 'admin') },
+  { method: 'GET', path: '/all', allow: roles('node-operator', 'auditor', 'admin') }
+];
+
+const integrity = [
+  { method: 'POST', path: '/tree', allow: roles('clinician', 'node-operator', 'admin') },
+  { method: 'POST', path: '/proof', allow: authenticated },
+  { method: 'POST', path: '/verify', allow: authenticated },
+  { method: 'POST', path: '/verify-batch', allow: authenticated },
+  { method: 'GET', path: '/all', allow: roles('clinician', 'auditor', 'node-operator', 'admin') },
+  { method: 'GET', path: '/tree/:root/records', allow: roles('clinician', 'auditor', 'node-operator', 'admin') }
+];
+
+/**
+ * Look up a medical record by ID (null if unknown)
+ */
+function findRecord(context, recordId) {
+  return context.locals.medicalRecordContract?.getMedicalRecord(recordId) || null;
+}
+
+/**
+ * Check that a clinician holds a valid Treatment consent covering a record
+ *
+ * @param {Object} record - Record written (patientId, id, recordType and date are read)
+ * @param {Array<string>} fields - Fields the write changes
+ * @param {string} missing - Reason given when there is no Treatment consent at all
+ */
+function treatmentAccess(principal, context, record, fields, missing) {
+  const access = new ConsentContract(context.locals.blockchain)
+    .evaluateAccess(principal.actorId, record, { consentType: 'Treatment', fields });
+  return access.granted || (access.consentId ? access.reason : missing);
+}
+
+const medicalRecords = [
+  {
+    method: 'GET',
+    path: '/',
+    allow: (principal, { query }) => principal.role === 'patient'
+      ? ownPatientId(principal, query.patientId)
+      : ['auditor', 'node-operator', 'admin'].includes(principal.role)
+  },
+  {
+    // Consent itself is checked (and every attempt audited) by MedicalRecordService
+    method: 'GET',
+    path: '/:recordId',
+    allow: (principal, { query }) => {
+      if (!['clinician', 'ai-model'].includes(principal.role)) return false;
+      return !query.requesterId || query.requesterId === principal.actorId ||
+        'Records may only be requested for yourself';
+    }
+  },
+  {
+    // Clinicians may amend records of patients who gave them a Treatment consent
+    method: 'PATCH',
+    path: '/:recordId',
+    allow: (principal, context) => {
+      if (principal.role === 'admin') return true;
+      if (principal.role !== 'clinician') return false;
+      const record = findRecord(context, context.params.recordId);
+      if (!record) return true; // the controller answers 404
+      return treatmentAccess(principal, context, record, Object.keys(context.body.changes || {}),
+        'A valid Treatment consent from the patient is required to amend a record');
+    }
+  },
+  { method: 'POST', path: '/:recordId/deactivate', allow: roles('admin') },
+  { method: 'POST', path: '/:recordId/reactivate', allow: roles('admin') },
+  { method: 'GET', path: '/:recordId/history', allow: roles('auditor', 'admin') }
+];
+
+const patients = [
+  // The list only shows personal details to admins, auditors and the patient themselves (see registryController.js)
+  { method: 'GET', path: '/', allow: authenticated },
+  {
+    method: 'PATCH',
+    path: '/:id',
+    allow: (principal, { params }) => principal.role === 'admin' ||
+      (principal.role === 'patient' && ownPatientId(principal, params.id))
+  },
+  { method: 'POST', path: '/:id/deactivate', allow: roles('admin') },
+  { method: 'POST', path: '/:id/reactivate', allow: roles('admin') },
+  {
+    // Right to erasure: requested by the patient or carried out by an admin
+    method: 'POST',
+    path: '/:id/erase',
+    allow: (principal, { params }) => principal.role === 'admin' ||
+      (principal.role === 'patient' && ownPatientId(principal, params.id))
+  },
+  {
+    method: 'GET',
+    path: '/:id/history',
+    allow: (principal, { params }) => principal.role === 'patient'
+      ? ownPatientId(principal, params.id)
+      : ['auditor', 'admin'].includes(principal.role)
+  }
+];
+
+const clinicians = [
+  { method: 'GET', path: '/', public: true },
+  {
+    // Membership is set by admins: it brings the organization's consents with it
+    method: 'PATCH',
+    path: '/:id',
+    allow: (principal, { params, body }) => {
+      if (principal.role === 'admin') return true;
+      if (principal.role !== 'clinician') return false;
+      if (principal.actorId !== params.id) return 'Clinicians may only update their own profile';
+      return !('organizationId' in (body.changes || {})) || 'Only admins may change a clinician\'s organization';
+    }
+  },
+  // Suspending and restoring a license is an administrative action
+  { method: 'POST', path: '/:id/deactivate', allow: roles('admin') },
+  { method: 'POST', path: '/:id/reactivate', allow: roles('admin') },
+  {
+    method: 'GET',
+    path: '/:id/history',
+    allow: (principal, { params }) => principal.role === 'clinician'
+      ? principal.actorId === params.id || 'Clinicians may only view their own history'
+      : ['auditor', 'admin'].includes(principal.role)
+  }
+];
+
+const aiModels = [
+  { method: 'GET', path: '/', public: true },
+  { method: 'PATCH', path: '/:id', allow: roles('admin') },
+  { method: 'POST', path: '/:id/deactivate', allow: roles('admin') },
+  { method: 'POST', path: '/:id/reactivate', allow: roles('admin') },
+  { method: 'GET', path: '/:id/history', allow: roles('auditor', 'admin') }
+];
+
+const organizations = [
+  { method: 'GET', path: '/', public: true },
+  { method: 'POST', path: '/', allow: roles('admin') },
+  { method: 'GET', path: '/:id/members', public: true },
+  { method: 'PATCH', path: '/:id', allow: roles('admin') },
+  { method: 'POST', path: '/:id/deactivate', allow: roles('admin') },
+  { method: 'POST', path: '/:id/reactivate', allow: roles('admin') },
+  { method: 'GET', path: '/:id/history', allow: roles('auditor', 'admin') }
+];
+
+/**
+ * Read the ID out of a FHIR reference ('Patient/123' or { reference: 'Patient/123' })
+ */
+function referenceId(value) {
+  const text = typeof value === 'string' ? value : value?.reference;
+  return text ? text.split('/').pop() : null;
+}
+
+/**
+ * Rules for an Observation or DiagnosticReport
+ * Clinicians writing a record need a Treatment consent from the record's patient, as on PATCH /api/medical-records/:recordId.
+ */
+function fhirRecordRules(type) {
+  // Consent itself is checked (and every attempt audited) by MedicalRecordService
+  const read = (principal, { query }) => {
+    if (!['clinician', 'ai-model'].includes(principal.role)) return false;
+    return !query.requesterId || query.requesterId === principal.actorId ||
+      'Records may only be requested for yourself';
+  };
+
+  return [
+    { method: 'GET', path: `/${type}`, allow: read },
+    { method: 'GET', path: `/${type}/:id`, allow: read },
+    {
+      method: 'POST',
+      path: `/${type}`,
+      allow: (principal, context) => {
+        if (principal.role === 'admin') return true;
+        if (principal.role !== 'clinician') return false;
+        const fields = fromRecordResource(context.body);
+        return treatmentAccess(principal, context, fields, Object.keys(fields),
+          'A valid Treatment consent from the patient is required to add a record');
+      }
+    },
+    {
+      method: 'PUT',
+      path: `/${type}/:id`,
+      allow: (principal, context) => {
+        if (principal.role === 'admin') return true;
+        if (principal.role !== 'clinician') return false;
+        const record = findRecord(context, context.params.id);
+        if (!record) return true; // the controller answers 404
+        return treatmentAccess(principal, context, record, Object.keys(fromRecordResource(context.body)),
+          'A valid Treatment consent from the patient is required to amend a record');
+      }
+    }
+  ];
+}
+
+const fhir = [
+  { method: 'GET', path: '/metadata', public: true },
+  { method: 'GET', path: '/Patient', allow: roles('clinician', 'auditor', 'admin') },
+  {
+    method: 'GET',
+    path: '/Patient/:id',
+    allow: (principal, { params }) => principal.role === 'patient'
+      ? ownPatientId(principal, params.id)
+      : ['clinician', 'auditor', 'admin'].includes(principal.role)
+  },
+  { method: 'POST', path: '/Patient', allow: roles('admin') },
+  {
+    method: 'PUT',
+    path: '/Patient/:id',
+    allow: (principal, { params }) => principal.role === 'admin' ||
+      (principal.role === 'patient' && ownPatientId(principal, params.id))
+  },
+  { method: 'GET', path: '/Practitioner', public: true },
+  { method: 'GET', path: '/Practitioner/:id', public: true },
+  { method: 'POST', path: '/Practitioner', allow: roles('admin') },
+  {
+    method: 'PUT',
+    path: '/Practitioner/:id',
+    allow: (principal, { params }) => principal.role === 'admin' ||
+      (principal.role === 'clinician' && (principal.actorId === params.id || 'Clinicians may only update their own profile'))
+  },
+  ...fhirRecordRules('Observation'),
+  ...fhirRecordRules('DiagnosticReport'),
+  {
+    method: 'GET',
+    path: '/Consent',
+    allow: (principal, context) => {
+      const { query } = context;
+      if (query.patient && actsFor(principal, context, referenceId(query.patient))) return true;
+      if (principal.role === 'patient') return ownPatientId(principal, referenceId(query.patient));
+      if (principal.role === 'clinician') return ownClinicianId(principal, referenceId(query.actor));
+      return ['auditor', 'admin'].includes(principal.role);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/Consent/:id',
+    allow: (principal, context) => {
+      const record = findConsent(context, context.params.id);
+      if (!record || ['auditor', 'admin'].includes(principal.role)) return true;
+      if (actsFor(principal, context, record.patientId)) return true;
+      if (principal.role === 'patient') return ownPatientId(principal, record.patientId);
+      if (principal.role === 'clinician') return ownClinicianId(principal, record.clinicianId);
+      return false;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/Consent',
+    allow: (principal, context) => actsFor(principal, context, referenceId(context.body.patient)) ||
+      (principal.role === 'patient' && ownPatientId(principal, referenceId(context.body.patient)))
+  },
+  {
+    method: 'PUT',
+    path: '/Consent/:id',
+    allow: (principal, context) => {
+      const record = findConsent(context, context.params.id);
+      if (!record || actsFor(principal, context, record.patientId)) return true;
+      return principal.role === 'patient' ? 'Patients may only revoke their own consents' : false;
+    }
+  },
+  { method: 'GET', path: '/AuditEvent', allow: roles('auditor', 'admin') },
+  { method: 'GET', path: '/AuditEvent/:id', allow: roles('auditor', 'admin') }
+];
+
+/**
+ * Deny token holders a route only peer nodes may call
+ */
+const peersOnly = () => 'Only peer nodes may call this route';
+
+// Node-to-node routes admit peers by signed request or network secret (see authMiddleware); gossip
+// is only accepted signed, as the router needs to know the sending node
+const network = [
+  { method: 'GET', path: '/nodes', peer: true, allow: roles('node-operator', 'admin') },
+  { method: 'POST', path: '/nodes', peer: true, allow: roles('node-operator', 'admin') },
+  { method: 'DELETE', path: '/nodes/:nodeId', allow: roles('node-operator', 'admin') },
+  { method: 'POST', path: '/transactions', peer: true, allow: peersOnly },
+  { method: 'POST', path: '/proposals', peer: true, allow: peersOnly },
+  { method: 'POST', path: '/votes', peer: true, allow: peersOnly },
+  { method: 'POST', path: '/blocks', peer: true, allow: peersOnly },
+  { method: 'GET', path: '/blocks', peer: true, allow: roles('node-operator', 'auditor', 'admin') },
+  { method: 'GET', path: '/pending', peer: true, allow: roles('node-operator', 'auditor', 'admin') },
+  { method: 'GET', path: '/keys', peer: true, allow: roles('node-operator', 'admin') },
+  { method: 'POST', path: '/sync', allow: roles('node-operator', 'admin') }
+];
+
+const auth = [
+  { method: 'POST', path: '/challenge', public: true },
+  { method: 'POST', path: '/token', public: true },
+  { method: 'GET', path: '/me', allow: authenticated },
+  { method: 'POST', path: '/actors', allow: roles('admin') }
+];
+
+module.exports = {
+  consent,
+  audit,
+  breakGlass,
+  events,
+  zk,
+  consensus,
+  integrity,
+  network,
+  medicalRecords,
+  patients,
+  clinicians,
+  aiModels,
+  organizations,
+  research,
+  fhir,
+  auth
+};
@@ -1,25 +1,172 @@
 /**
  * Consensus Engine
- * 
- * Voting-based consensus for block approval.
- * Requires 67% agreement to mine blocks.
- * Validates transactions before consensus.
+ *
+ * PBFT-style voting among the registered validator nodes (this node plus every
+ * peer whose public key is known, see NodeManager.getValidators).
+ *
+ * - Pre-prepare: the primary of the current view proposes a block and signs it.
+ *   The primary rotates with the block height: validators[(height + view) % n].
+ * - Prepare: every validator that accepts the proposal broadcasts a signed prepare vote.
+ * - Commit: once a validator holds a quorum of prepares it broadcasts a signed
+ *   commit vote, and once it holds a quorum of commits it mines the block locally.
+ *   Mining is deterministic, so every validator appends the same block.
+ * - View change: validators that give up on the primary (timeout, failure or
+ *   equivocation) broadcast signed view-change messages. A quorum of them moves
+ *   the network to the next view; the new primary must re-propose any block
+ *   that was prepared in an earlier view.
+ *
+ * The quorum is the larger of consensusThreshold (67%) of the validators and
+ * 2f + 1, where f = floor((n - 1) / 3) is the number of faulty nodes tolerated.
+ * Every vote is signed with the validator's node key and verified against its
+ * registered public key. A validator that signs two conflicting messages for the
+ * same height and view is recorded as an equivocator and its votes stop counting.
+ *
+ * Transactions submitted as a batch (data.batch = { batchId, size }, see
+ * Blockchain.addTransactions) are committed in one block: a batch is only
+ * proposed once all of it is pending, and proposals holding part of a batch
+ * are rejected.
  */
 
-const crypto = require('crypto');
+const KeyStore = require('../../core/KeyStore.js');
+
+const DEFAULT_VIEW_CHANGE_TIMEOUT_MS = 30000;
 
 class ConsensusEngine {
-  constructor(blockchain, nodeManager) {
+  /**
+   * @param {Blockchain} blockchain - Local blockchain
+   * @param {NodeManager} nodeManager - Node manager (validator set and gossip)
+   * @param {Object} options - Optional settings
+   * @param {number} options.viewChangeTimeoutMs - How long the primary may take to commit pending work
+   */
+  constructor(blockchain, nodeManager, options = {}) {
     this.blockchain = blockchain;
     this.nodeManager = nodeManager;
-    this.pendingValidations = new Map(); // blockHash -> { votes: [], proposal: block }
+    this.pendingValidations = new Map(); // blockHash -> { proposal, votes: [], createdAt, proposedBy, prepared, committed }
     this.consensusThreshold = 0.67; // 67% agreement required
-    this.votes = new Map(); // blockHash -> Map(nodeId -> vote)
+    this.votes = new Map(); // blockHash -> Map(nodeId -> prepare vote)
+    this.commits = new Map(); // blockHash -> Map(nodeId -> commit vote)
+    this.view = 0;
+    this.viewChanges = new Map(); // view -> Map(nodeId -> view-change message)
+    this.prepared = null; // prepared certificate for the current height { view, index, blockHash, proposal, prepares }
+    this.messageLog = new Map(); // `${type}:${view}:${index}:${nodeId}` -> first message seen (equivocation detection)
+    this.equivocations = []; // evidence: pairs of conflicting signed messages
+    this.faultyNodes = new Set();
+    this.viewChangeTimeoutMs = options.viewChangeTimeoutMs || DEFAULT_VIEW_CHANGE_TIMEOUT_MS;
+    this.waitingSince = null;
+
+    // A new block (committed here, received from a peer or applied by a reorg) starts a new height
+    if (blockchain && typeof blockchain.on === 'function') {
+      blockchain.on('block', () => this.onBlockAdded());
+      blockchain.on('reorg', () => this.onBlockAdded());
+    }
+  }
+
+  /**
+   * Block fields covered by the block hash
+   */
+  static blockFields(proposal) {
+    const { index, timestamp, transactions, previousHash, nonce, merkleRoot, hash } = proposal;
+    return { index, timestamp, transactions, previousHash, nonce, merkleRoot, hash };
+  }
+
+  /**
+   * Leave out the transactions of batches that are not complete
+   *
+   * @param {Array} transactions - Candidate block transactions
+   * @returns {Array} The transactions, without those of partial batches
+   */
+  static wholeBatches(transactions) {
+    const counts = new Map();
+    for (const tx of transactions) {
+      const batch = tx.data?.batch;
+      if (batch) {
+        counts.set(batch.batchId, (counts.get(batch.batchId) || 0) + 1);
+      }
+    }
+    return transactions.filter(tx => !tx.data?.batch || counts.get(tx.data.batch.batchId) === tx.data.batch.size);
+  }
+
+  /**
+   * The signed part of a proposal (the PBFT pre-prepare message)
+   */
+  static proposalHeader(proposal) {
+    return {
+      type: 'pre-prepare',
+      nodeId: proposal.proposer,
+      view: proposal.view,
+      index: proposal.index,
+      blockHash: proposal.hash
+    };
+  }
+
+  /**
+   * Fields of a vote covered by its signature
+   */
+  static signingPayload(message) {
+    const { signature, ...payload } = message;
+    return payload;
+  }
+
+  /**
+   * Get the validator node IDs
+   */
+  getValidators() {
+    return this.nodeManager.getValidators();
+  }
+
+  /**
+   * Number of faulty validators the network tolerates
+   */
+  getMaxFaulty(validatorCount = this.getValidators().length) {
+    return Math.floor((validatorCount - 1) / 3);
+  }
+
+  /**
+   * Number of matching votes needed to prepare, commit or change view
+   */
+  getQuorum(validatorCount = this.getValidators().length) {
+    return Math.max(
+      Math.ceil(validatorCount * this.consensusThreshold),
+      2 * this.getMaxFaulty(validatorCount) + 1
+    );
+  }
+
+  /**
+   * Get the primary (the only node allowed to propose) for a height and view
+   *
+   * @param {number} index - Block height
+   * @param {number} view - View number
+   * @returns {string} Node ID
+   */
+  getPrimary(index = this.blockchain.getChainLength(), view = this.view) {
+    const validators = this.getValidators();
+    return validators[(index + view) % validators.length];
+  }
+
+  /**
+   * Sign a consensus message with this node's key
+   */
+  signMessage(message) {
+    return {
+      ...message,
+      signature: this.blockchain.keyStore.sign(message.nodeId, ConsensusEngine.signingPayload(message))
+    };
+  }
+
+  /**
+   * Verify that a payload was signed by a validator
+   */
+  verifySignature(nodeId, payload, signature) {
+    if (!this.getValidators().includes(nodeId)) {
+      return false;
+    }
+    return KeyStore.verify(this.blockchain.keyStore.getPublicKey(nodeId), payload, signature);
   }
 
   /**
    * Propose a new block for consensus
-   * 
+   * Only the primary of the current view may propose.
+   *
    * @param {Array} transactions - Transactions to include in block
    * @returns {Promise<Object>} Consensus result
    */
@@ -35,6 +182,11 @@ class ConsensusEngine {
       }
     }
 
+    const primary = this.getPrimary();
+    if (primary !== this.nodeManager.getNodeId()) {
+      throw new Error(`Only the primary (${primary}) may propose block ${this.blockchain.getChainLength()} in view ${this.view}`);
+    }
+
     // Get pending transactions or use provided ones
     // If transactions are provided, ensure they're added to pendingTransactions
     let pendingTxs;
@@ -59,77 +211,211 @@ class ConsensusEngine {
       pendingTxs = this.blockchain.pendingTransactions;
     }
 
+    // A batch still arriving from a peer waits for the next block
+    pendingTxs = ConsensusEngine.wholeBatches(pendingTxs);
+
     if (pendingTxs.length === 0) {
       throw new Error('No transactions to propose');
     }
 
-    // Create block proposal
-    const latestBlock = this.blockchain.getLatestBlock();
-    const blockProposal = {
-      index: this.blockchain.getChainLength(),
-      timestamp: Date.now(),
-      transactions: [...pendingTxs],
-      previousHash: latestBlock.hash,
-      nonce: 0,
-      merkleRoot: null
+    const blockProposal = this.createProposal(pendingTxs);
+    const broadcast = await this.startRound(blockProposal);
+    const status = this.checkConsensus(blockProposal.hash);
+
+    // Always return the block proposal, even if consensus not reached
+    // The block is mined by every validator once a quorum has committed to it
+    return {
+      success: true,
+      consensusReached: status.consensusReached,
+      blockHash: blockProposal.hash,
+      block: blockProposal,
+      view: blockProposal.view,
+      votes: status.totalVotes,
+      totalVotes: status.totalVotes,
+      yesVotes: status.yesVotes,
+      commitVotes: status.commitVotes,
+      totalNodes: status.totalNodes,
+      quorum: status.quorum,
+      threshold: this.consensusThreshold,
+      nodesReached: broadcast.nodesReached,
+      message: status.consensusReached ? 'Consensus reached' : 'Block proposed, waiting for more votes'
     };
+  }
 
-    // Calculate Merkle root
-    blockProposal.merkleRoot = this.blockchain.calculateMerkleRoot(blockProposal.transactions);
+  /**
+   * Build and sign a proposal for the next block in the current view
+   *
+   * @param {Array} transactions - Transactions to include
+   * @param {Object} block - Optional block fields to re-propose (from a prepared certificate)
+   * @returns {Object} Signed proposal
+   */
+  createProposal(transactions, block = null) {
+    let blockProposal;
+    if (block) {
+      blockProposal = ConsensusEngine.blockFields(block);
+    } else {
+      const latestBlock = this.blockchain.getLatestBlock();
+      blockProposal = {
+        index: this.blockchain.getChainLength(),
+        timestamp: Date.now(),
+        transactions: [...transactions],
+        previousHash: latestBlock.hash,
+        nonce: 0,
+        merkleRoot: null
+      };
 
-    // Calculate block hash
-    blockProposal.hash = this.blockchain.calculateBlockHash(blockProposal);
+      // Calculate Merkle root
+      blockProposal.merkleRoot = this.blockchain.calculateMerkleRoot(blockProposal.transactions);
 
-    // Store proposal
-    this.pendingValidations.set(blockProposal.hash, {
-      proposal: blockProposal,
-      votes: [],
-      createdAt: Date.now()
-    });
+      // Calculate block hash
+      blockProposal.hash = this.blockchain.calculateBlockHash(blockProposal);
+    }
 
-    // Initialize votes map
-    this.votes.set(blockProposal.hash, new Map());
+    blockProposal.view = this.view;
+    blockProposal.proposer = this.nodeManager.getNodeId();
 
-    // Auto-vote from this node (proposer always votes yes if valid)
-    const isValid = this.validateBlockProposal(blockProposal);
-    if (isValid) {
+    // Proposals in a new view carry the view-change quorum that created it
+    const viewChanges = this.viewChanges.get(this.view);
+    blockProposal.viewChangeProof = this.view > 0 && viewChanges ? Array.from(viewChanges.values()) : null;
+
+    blockProposal.signature = this.blockchain.keyStore.sign(
+      blockProposal.proposer,
+      ConsensusEngine.proposalHeader(blockProposal)
+    );
+    return blockProposal;
+  }
+
+  /**
+   * Store a proposal, prepare it locally and share it with peers
+   */
+  async startRound(blockProposal) {
+    const header = ConsensusEngine.proposalHeader(blockProposal);
+    if (this.hasProposed(header.index, header.view)) {
+      // A second proposal for the same height and view would be equivocation
+      throw new Error(`Block ${header.index} was already proposed in view ${header.view}`);
+    }
+    this.recordMessage(header);
+    this.storeProposal(blockProposal, this.nodeManager.getNodeId());
+
+    // The proposer prepares its own proposal
+    if (this.validateBlockProposal(blockProposal)) {
       try {
         this.voteOnBlock(blockProposal.hash, true);
       } catch (error) {
-        // If already voted (shouldn't happen), continue
         if (!error.message.includes('already voted')) {
           throw error;
         }
       }
     }
 
-    // In a real network, broadcast to other nodes
-    // For this assessment, we simulate consensus with current node  
-    const nodeCount = this.nodeManager.getNodeCount();
-    const votesMap = this.votes.get(blockProposal.hash);
-    const currentVotes = votesMap ? votesMap.size : 0;
-    const yesVotes = votesMap ? Array.from(votesMap.values()).filter(v => v.isValid).length : 0;
-    const consensusReached = yesVotes / nodeCount >= this.consensusThreshold;
+    // Share the proposal with peers so they can validate and vote on it
+    return this.nodeManager.broadcastProposal(blockProposal);
+  }
+
+  /**
+   * Check whether this node already proposed a block for a height and view
+   *
+   * @param {number} index - Block height (default: next block)
+   * @param {number} view - View (default: current view)
+   * @returns {boolean} True if a proposal was sent
+   */
+  hasProposed(index = this.blockchain.getChainLength(), view = this.view) {
+    return this.messageLog.has(`pre-prepare:${view}:${index}:${this.nodeManager.getNodeId()}`);
+  }
+
+  /**
+   * Track a proposal (replacing one for the same block from an older view)
+   */
+  storeProposal(blockProposal, proposedBy) {
+    this.pendingValidations.set(blockProposal.hash, {
+      proposal: blockProposal,
+      votes: [],
+      createdAt: Date.now(),
+      proposedBy: proposedBy || null,
+      prepared: false,
+      committed: false
+    });
+
+    if (!this.votes.has(blockProposal.hash)) {
+      this.votes.set(blockProposal.hash, new Map());
+    }
+  }
+
+  /**
+   * Accept a block proposal gossiped by another node
+   * The proposal must be signed by the primary of its view. Proposals for a
+   * newer view must carry the view-change quorum for that view.
+   *
+   * @param {Object} blockProposal - Proposed block
+   * @param {string} fromNodeId - Node that sent the proposal
+   * @returns {Object} Result with proposal hash and validity
+   */
+  receiveProposal(blockProposal, fromNodeId) {
+    if (!blockProposal || !blockProposal.hash) {
+      throw new Error('Block proposal is required');
+    }
+
+    const view = blockProposal.view;
+    if (!Number.isInteger(view) || view < 0) {
+      throw new Error('Invalid block proposal: view is required');
+    }
+    if (view < this.view) {
+      throw new Error(`Invalid block proposal: view ${view} is older than the current view ${this.view}`);
+    }
+
+    const known = this.pendingValidations.get(blockProposal.hash);
+    if (known && known.proposal.view === view) {
+      return { accepted: false, blockHash: blockProposal.hash, message: 'Proposal already known' };
+    }
+
+    const isValid = this.validateBlockProposal(blockProposal);
+    if (!isValid) {
+      throw new Error('Invalid block proposal');
+    }
+
+    const header = ConsensusEngine.proposalHeader(blockProposal);
+    if (!this.verifySignature(header.nodeId, header, blockProposal.signature)) {
+      throw new Error('Invalid block proposal: signature does not match a validator key');
+    }
+
+    if (view > this.view) {
+      this.adoptViewChangeProof(blockProposal.viewChangeProof, view, blockProposal.index);
+    }
+
+    const primary = this.getPrimary(blockProposal.index, view);
+    if (blockProposal.proposer !== primary) {
+      throw new Error(`Invalid block proposal: ${blockProposal.proposer} is not the primary (${primary}) for block ${blockProposal.index} in view ${view}`);
+    }
+
+    // A block prepared in an earlier view must be re-proposed as is
+    const locked = this.getLockedBlock(view, blockProposal.index);
+    if (locked && locked.blockHash !== blockProposal.hash) {
+      throw new Error(`Invalid block proposal: block ${locked.blockHash} was prepared in view ${locked.view} and must be re-proposed`);
+    }
+
+    this.recordMessage(header);
+
+    // Make sure the proposed transactions are in the local pending pool
+    for (const tx of blockProposal.transactions) {
+      this.blockchain.receiveTransaction(tx);
+    }
+
+    this.storeProposal(blockProposal, fromNodeId);
+
+    // Prepare the proposal (PBFT replicas prepare every valid pre-prepare)
+    const vote = this.voteOnBlock(blockProposal.hash, true);
 
-    // Always return the block proposal, even if consensus not reached
-    // Mining happens separately when consensus is reached via voting
     return {
-      success: true,
-      consensusReached,
+      accepted: true,
       blockHash: blockProposal.hash,
-      block: blockProposal,
-      votes: currentVotes,
-      totalVotes: currentVotes,
-      yesVotes,
-      totalNodes: nodeCount,
-      threshold: this.consensusThreshold,
-      message: consensusReached ? 'Consensus reached' : 'Block proposed, waiting for more votes'
+      view,
+      consensusReached: vote.consensusReached
     };
   }
 
   /**
    * Validate a block proposal
-   * 
+   *
    * @param {Object} blockProposal - Proposed block
    * @returns {boolean} True if block is valid
    */
@@ -139,10 +425,10 @@ class ConsensusEngine {
     }
 
     // Check block structure
-    if (blockProposal.index === undefined || 
-        !blockProposal.timestamp || 
-        !blockProposal.transactions || 
-        !blockProposal.previousHash || 
+    if (blockProposal.index === undefined ||
+        !blockProposal.timestamp ||
+        !blockProposal.transactions ||
+        !blockProposal.previousHash ||
         !blockProposal.hash ||
         !blockProposal.merkleRoot) {
       return false;
@@ -155,6 +441,11 @@ class ConsensusEngine {
       }
     }
 
+    // Batches are committed whole
+    if (ConsensusEngine.wholeBatches(blockProposal.transactions).length !== blockProposal.transactions.length) {
+      return false;
+    }
+
     // Verify Merkle root
     const calculatedMerkleRoot = this.blockchain.calculateMerkleRoot(blockProposal.transactions);
     if (blockProposal.merkleRoot !== calculatedMerkleRoot) {
@@ -169,11 +460,11 @@ class ConsensusEngine {
       if (blockProposal.previousHash !== latestBlock.hash) {
         return false;
       }
-      
-      // For unmined blocks, we don't verify the hash exactly because nonce changes during mining
-      // But we verify the structure is correct - hash should be calculated correctly
-      const calculatedHash = this.blockchain.calculateBlockHash(blockProposal);
-      // Note: The hash might not match exactly due to nonce, but structure should be valid
+
+      // The proposal hash (before proof-of-work) identifies the block in every vote
+      if (blockProposal.hash !== this.blockchain.calculateBlockHash(blockProposal)) {
+        return false;
+      }
     } else {
       // Block was already mined, verify it matches the actual block
       const actualBlock = this.blockchain.getAllBlocks()[blockProposal.index];
@@ -183,16 +474,12 @@ class ConsensusEngine {
       // If hash doesn't match, it might be a different proposal, so validate structure
     }
 
-    // Verify block hash structure (for unmined blocks, this is approximate)
-    // The actual hash will be recalculated during mining with correct nonce
-    return true;
-
     return true;
   }
 
   /**
-   * Vote on a block proposal
-   * 
+   * Cast this node's prepare vote on a block proposal
+   *
    * @param {string} blockHash - Hash of proposed block
    * @param {boolean} isValid - Whether block is valid
    * @returns {Object} Vote object
@@ -205,83 +492,546 @@ class ConsensusEngine {
     const nodeId = this.nodeManager.getNodeId();
 
     // Check if proposal exists
-    const proposal = this.pendingValidations.get(blockHash);
-    if (!proposal) {
+    const entry = this.pendingValidations.get(blockHash);
+    if (!entry) {
       throw new Error('Block proposal not found');
     }
+    const { proposal } = entry;
 
     // Check if already voted
-    const votesMap = this.votes.get(blockHash);
-    if (votesMap.has(nodeId)) {
+    const votesMap = this.getVoteMap(this.votes, blockHash);
+    const previousVote = votesMap.get(nodeId);
+    if (previousVote && previousVote.view === proposal.view) {
       throw new Error('Node has already voted on this block');
     }
+    if (this.messageLog.has(`prepare:${proposal.view}:${proposal.index}:${nodeId}`)) {
+      throw new Error('Node has already voted on another block at this height');
+    }
 
     // Validate block if voting yes
-    if (isValid && !this.validateBlockProposal(proposal.proposal)) {
+    if (isValid && !this.validateBlockProposal(proposal)) {
       throw new Error('Cannot vote yes on invalid block');
     }
 
     // Create vote
-    const vote = {
+    const vote = this.signMessage({
+      type: 'prepare',
       nodeId,
+      view: proposal.view,
+      index: proposal.index,
       blockHash,
       isValid,
-      timestamp: Date.now(),
-      signature: this.signVote(blockHash, isValid, nodeId)
+      timestamp: Date.now()
+    });
+
+    this.recordMessage(vote);
+    this.storeVote(vote);
+    this.broadcast(vote);
+
+    // Move on to the commit phase (and mine) if this vote completed a quorum
+    const { block } = this.advance(blockHash);
+    const status = this.checkConsensus(blockHash);
+
+    return {
+      ...vote,
+      consensusReached: status.consensusReached,
+      ...(block ? { block } : {}),
+      totalVotes: status.totalVotes,
+      yesVotes: status.yesVotes,
+      commitVotes: status.commitVotes,
+      totalNodes: status.totalNodes,
+      quorum: status.quorum,
+      threshold: this.consensusThreshold
     };
+  }
 
-    // Store vote
-    votesMap.set(nodeId, vote);
-    proposal.votes.push(vote);
+  /**
+   * Accept a signed prepare, commit or view-change message from another validator
+   *
+   * @param {Object} vote - Signed consensus message
+   * @returns {Object} Result
+   */
+  receiveVote(vote) {
+    if (!vote || !vote.type || !vote.nodeId) {
+      throw new Error('vote is required');
+    }
+    if (!['prepare', 'commit', 'view-change'].includes(vote.type)) {
+      throw new Error(`Invalid vote type: ${vote.type}`);
+    }
+    if (!Number.isInteger(vote.view) || !Number.isInteger(vote.index)) {
+      throw new Error('Invalid vote: view and index are required');
+    }
+    if (!this.verifySignature(vote.nodeId, ConsensusEngine.signingPayload(vote), vote.signature)) {
+      throw new Error('Invalid vote: signature does not match a validator key');
+    }
 
-    // Check if consensus reached
-    const nodeCount = this.nodeManager.getNodeCount();
-    const voteCount = votesMap.size;
-    const yesVotes = Array.from(votesMap.values()).filter(v => v.isValid).length;
-    const consensusReached = yesVotes / nodeCount >= this.consensusThreshold;
+    if (vote.index < this.blockchain.getChainLength()) {
+      return { accepted: false, type: vote.type, message: 'Block height already committed' };
+    }
 
-    // If consensus reached, mine the block
-    if (consensusReached && isValid) {
-      try {
-        // Check if block is still valid
-        if (this.validateBlockProposal(proposal.proposal)) {
-          const minedBlock = this.blockchain.minePendingTransactions();
-          // Keep proposal for additional votes if needed
-          return {
-            ...vote,
-            consensusReached: true,
-            block: minedBlock,
-            totalVotes: voteCount,
-            yesVotes,
-            totalNodes: nodeCount
-          };
-        }
-      } catch (error) {
-        // Mining failed, but vote is recorded
+    if (vote.type === 'view-change') {
+      return this.receiveViewChange(vote);
+    }
+
+    if (!vote.blockHash) {
+      throw new Error('Invalid vote: blockHash is required');
+    }
+    if (!this.recordMessage(vote)) {
+      return { accepted: false, type: vote.type, blockHash: vote.blockHash, message: 'Duplicate vote' };
+    }
+
+    this.storeVote(vote);
+    const { block } = this.advance(vote.blockHash);
+
+    return {
+      accepted: true,
+      type: vote.type,
+      blockHash: vote.blockHash,
+      committed: !!block
+    };
+  }
+
+  /**
+   * Store a prepare or commit vote (votes may arrive before their proposal)
+   */
+  storeVote(vote) {
+    const votesMap = this.getVoteMap(vote.type === 'commit' ? this.commits : this.votes, vote.blockHash);
+    const previous = votesMap.get(vote.nodeId);
+    if (!previous || previous.view <= vote.view) {
+      votesMap.set(vote.nodeId, vote);
+    }
+
+    const entry = this.pendingValidations.get(vote.blockHash);
+    if (entry && vote.type === 'prepare') {
+      entry.votes.push(vote);
+    }
+  }
+
+  /**
+   * Get (or create) the per-node vote map of a block or view
+   */
+  getVoteMap(store, key) {
+    if (!store.has(key)) {
+      store.set(key, new Map());
+    }
+    return store.get(key);
+  }
+
+  /**
+   * Votes of a view that count: from current validators not caught equivocating
+   */
+  countVotes(votesMap, view, isValid = undefined) {
+    if (!votesMap) {
+      return [];
+    }
+    const validators = new Set(this.getValidators());
+    return Array.from(votesMap.values()).filter(vote =>
+      vote.view === view &&
+      validators.has(vote.nodeId) &&
+      !this.faultyNodes.has(vote.nodeId) &&
+      (isValid === undefined || vote.isValid === isValid)
+    );
+  }
+
+  /**
+   * Move a proposal through the prepare and commit phases as quorums are reached
+   *
+   * @param {string} blockHash - Proposal hash
+   * @returns {Object} { block } once the block has been committed
+   */
+  advance(blockHash) {
+    const entry = this.pendingValidations.get(blockHash);
+    if (!entry || entry.committed) {
+      return {};
+    }
+
+    const { proposal } = entry;
+    if (proposal.index !== this.blockchain.getChainLength() || proposal.view !== this.view) {
+      return {};
+    }
+
+    const nodeId = this.nodeManager.getNodeId();
+    const quorum = this.getQuorum();
+
+    if (!entry.prepared) {
+      const prepares = this.countVotes(this.votes.get(blockHash), proposal.view, true);
+      const ownVote = this.votes.get(blockHash)?.get(nodeId);
+      if (prepares.length < quorum || !ownVote || ownVote.view !== proposal.view || !ownVote.isValid) {
+        return {};
       }
+
+      entry.prepared = true;
+      this.prepared = {
+        view: proposal.view,
+        index: proposal.index,
+        blockHash,
+        proposal: ConsensusEngine.blockFields(proposal),
+        prepares
+      };
+
+      const commit = this.signMessage({
+        type: 'commit',
+        nodeId,
+        view: proposal.view,
+        index: proposal.index,
+        blockHash,
+        timestamp: Date.now()
+      });
+      this.recordMessage(commit);
+      this.storeVote(commit);
+      this.broadcast(commit);
+    }
+
+    const commits = this.countVotes(this.commits.get(blockHash), proposal.view);
+    if (commits.length < quorum) {
+      return {};
+    }
+
+    return { block: this.commitBlock(entry) };
+  }
+
+  /**
+   * Mine a committed proposal
+   */
+  commitBlock(entry) {
+    const { proposal } = entry;
+    entry.committed = true;
+
+    // A peer that committed first may already have sent us the block
+    entry.block = proposal.index < this.blockchain.getChainLength()
+      ? this.blockchain.getBlock(proposal.index)
+      : this.blockchain.mineBlock(proposal.transactions, proposal.timestamp);
+    return entry.block;
+  }
+
+  /**
+   * Send a signed message to every peer (fire and forget; peers that miss it
+   * catch up through later votes, view changes or chain sync)
+   */
+  broadcast(message) {
+    if (typeof this.nodeManager.broadcastVote === 'function') {
+      this.nodeManager.broadcastVote(message).catch(() => {});
+    }
+  }
+
+  /**
+   * Remember the first message of each kind a validator signs for a height and view
+   * A second, conflicting message is proof of equivocation.
+   *
+   * @param {Object} message - Signed message (or proposal header)
+   * @returns {boolean} True if new, false if an identical message was already seen
+   */
+  recordMessage(message) {
+    const key = `${message.type}:${message.view}:${message.index}:${message.nodeId}`;
+    const previous = this.messageLog.get(key);
+    if (!previous) {
+      this.messageLog.set(key, message);
+      return true;
+    }
+
+    if (previous.blockHash === message.blockHash && previous.isValid === message.isValid) {
+      return false;
+    }
+
+    this.reportEquivocation(previous, message);
+    throw new Error(`Equivocation detected: ${message.nodeId} signed conflicting ${message.type} messages for block ${message.index} in view ${message.view}`);
+  }
+
+  /**
+   * Record equivocation evidence and stop counting the node's votes
+   * An equivocating primary also triggers a view change.
+   */
+  reportEquivocation(first, second) {
+    const evidence = {
+      nodeId: second.nodeId,
+      type: second.type,
+      view: second.view,
+      index: second.index,
+      messages: [first, second],
+      detectedAt: new Date().toISOString()
+    };
+    this.equivocations.push(evidence);
+    this.faultyNodes.add(second.nodeId);
+
+    if (second.view === this.view &&
+        second.index === this.blockchain.getChainLength() &&
+        second.nodeId === this.getPrimary(second.index, second.view)) {
+      this.requestViewChange(`Primary ${second.nodeId} equivocated`);
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Get recorded equivocation evidence
+   */
+  getEquivocations() {
+    return this.equivocations;
+  }
+
+  /**
+   * Ask the network to replace the current primary
+   *
+   * @param {string} reason - Why the primary is being replaced
+   * @param {number} view - View to move to (defaults to the next view)
+   * @returns {Object} View change result
+   */
+  requestViewChange(reason = 'Primary failed', view = this.view + 1) {
+    const nodeId = this.nodeManager.getNodeId();
+    const index = this.blockchain.getChainLength();
+
+    if (view <= this.view) {
+      throw new Error(`Invalid view: already in view ${this.view}`);
+    }
+
+    const existing = this.viewChanges.get(view)?.get(nodeId);
+    if (!existing) {
+      const message = this.signMessage({
+        type: 'view-change',
+        nodeId,
+        view,
+        index,
+        prepared: this.prepared && this.prepared.index === index ? this.prepared : null,
+        reason,
+        timestamp: Date.now()
+      });
+      this.recordMessage(message);
+      this.getVoteMap(this.viewChanges, view).set(nodeId, message);
+      this.broadcast(message);
+      this.checkViewChange(view);
     }
 
     return {
-      ...vote,
-      consensusReached,
-      totalVotes: voteCount,
-      yesVotes,
-      totalNodes: nodeCount,
-      threshold: this.consensusThreshold
+      view,
+      currentView: this.view,
+      viewChanged: this.view >= view,
+      votes: this.countVotes(this.viewChanges.get(view), view).length,
+      quorum: this.getQuorum(),
+      primary: this.getPrimary(index, view),
+      reason
     };
   }
 
   /**
-   * Sign a vote (simplified - in production would use proper cryptographic signatures)
+   * Accept a view-change message from another validator
    */
-  signVote(blockHash, isValid, nodeId) {
-    const data = `${blockHash}:${isValid}:${nodeId}`;
-    return crypto.createHash('sha256').update(data).digest('hex');
+  receiveViewChange(message) {
+    if (message.view <= this.view) {
+      return { accepted: false, type: 'view-change', view: message.view, message: 'View already reached' };
+    }
+    if (message.prepared && !this.verifyPreparedCertificate(message.prepared, message.index)) {
+      throw new Error('Invalid view change: prepared certificate does not verify');
+    }
+    if (!this.recordMessage(message)) {
+      return { accepted: false, type: 'view-change', view: message.view, message: 'Duplicate vote' };
+    }
+
+    this.getVoteMap(this.viewChanges, message.view).set(message.nodeId, message);
+    this.checkViewChange(message.view);
+
+    return { accepted: true, type: 'view-change', view: message.view, currentView: this.view };
+  }
+
+  /**
+   * Join a view change backed by f + 1 validators, and enter the view once a quorum backs it
+   */
+  checkViewChange(view) {
+    const supporters = this.countVotes(this.viewChanges.get(view), view).length;
+    const nodeId = this.nodeManager.getNodeId();
+
+    // f + 1 requests include at least one honest validator, so join them
+    if (supporters >= this.getMaxFaulty() + 1 && !this.viewChanges.get(view).has(nodeId)) {
+      this.requestViewChange(`Joined view change to view ${view}`, view);
+      return;
+    }
+
+    if (supporters >= this.getQuorum() && view > this.view) {
+      this.enterView(view);
+    }
+  }
+
+  /**
+   * Check a proposal's view-change quorum and move to its view
+   */
+  adoptViewChangeProof(proof, view, index) {
+    if (!Array.isArray(proof)) {
+      throw new Error(`Invalid block proposal: missing view change proof for view ${view}`);
+    }
+
+    const supporters = new Map();
+    for (const message of proof) {
+      if (message?.type !== 'view-change' || message.view !== view || message.index !== index) {
+        continue;
+      }
+      if (this.faultyNodes.has(message.nodeId) ||
+          !this.verifySignature(message.nodeId, ConsensusEngine.signingPayload(message), message.signature)) {
+        continue;
+      }
+      if (message.prepared && !this.verifyPreparedCertificate(message.prepared, index)) {
+        continue;
+      }
+      supporters.set(message.nodeId, message);
+    }
+
+    if (supporters.size < this.getQuorum()) {
+      throw new Error(`Invalid block proposal: view change proof for view ${view} does not reach a quorum`);
+    }
+
+    const viewChanges = this.getVoteMap(this.viewChanges, view);
+    for (const [nodeId, message] of supporters) {
+      viewChanges.set(nodeId, message);
+    }
+    this.enterView(view);
+  }
+
+  /**
+   * Check that a prepared certificate holds a quorum of signed prepares for its block
+   */
+  verifyPreparedCertificate(certificate, index) {
+    const { view, blockHash, proposal, prepares } = certificate || {};
+    if (!proposal || certificate.index !== index || proposal.index !== index || !Array.isArray(prepares)) {
+      return false;
+    }
+    if (proposal.hash !== blockHash || this.blockchain.calculateBlockHash(proposal) !== blockHash) {
+      return false;
+    }
+
+    const voters = new Set();
+    for (const vote of prepares) {
+      if (vote.type === 'prepare' && vote.isValid === true && vote.view === view &&
+          vote.index === index && vote.blockHash === blockHash &&
+          this.verifySignature(vote.nodeId, ConsensusEngine.signingPayload(vote), vote.signature)) {
+        voters.add(vote.nodeId);
+      }
+    }
+    return voters.size >= this.getQuorum();
+  }
+
+  /**
+   * The block a new view must re-propose: the most recently prepared block
+   * reported in the view-change quorum for that view
+   */
+  getLockedBlock(view, index) {
+    let locked = null;
+    for (const message of this.viewChanges.get(view)?.values() || []) {
+      const certificate = message.prepared;
+      if (certificate && certificate.index === index && (!locked || certificate.view > locked.view)) {
+        locked = certificate;
+      }
+    }
+    return locked;
+  }
+
+  /**
+   * Move to a new view; its primary proposes (or re-proposes) the next block
+   */
+  enterView(view) {
+    if (view <= this.view) {
+      return;
+    }
+
+    this.view = view;
+    this.waitingSince = Date.now();
+
+    const index = this.blockchain.getChainLength();
+    if (this.getPrimary(index, view) !== this.nodeManager.getNodeId()) {
+      return;
+    }
+
+    const locked = this.getLockedBlock(view, index);
+    const transactions = locked ? locked.proposal.transactions : this.blockchain.pendingTransactions;
+    if (transactions.length === 0) {
+      return;
+    }
+
+    const blockProposal = this.createProposal(transactions, locked ? locked.proposal : null);
+    this.startRound(blockProposal).catch(() => {});
+  }
+
+  /**
+   * Start a view change if the primary has not committed pending work in time
+   * Call periodically (see CONSENSUS_VIEW_CHANGE_TIMEOUT_MS).
+   *
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if a view change was requested
+   */
+  checkProposerTimeout(now = Date.now()) {
+    const index = this.blockchain.getChainLength();
+    // The primary is not blamed for a batch that has not fully arrived
+    const waiting = ConsensusEngine.wholeBatches(this.blockchain.pendingTransactions).length > 0 ||
+      Array.from(this.pendingValidations.values()).some(entry => !entry.committed && entry.proposal.index === index);
+
+    if (!waiting) {
+      this.waitingSince = null;
+      return false;
+    }
+    if (this.waitingSince === null) {
+      this.waitingSince = now;
+      return false;
+    }
+    if (now - this.waitingSince < this.viewChangeTimeoutMs) {
+      return false;
+    }
+
+    this.waitingSince = now;
+    this.requestViewChange(`Primary ${this.getPrimary()} did not commit block ${index} within ${this.viewChangeTimeoutMs}ms`);
+    return true;
+  }
+
+  /**
+   * Drop consensus state tied to heights that are now committed
+   */
+  onBlockAdded() {
+    const height = this.blockchain.getChainLength();
+    this.waitingSince = null;
+
+    if (this.prepared && this.prepared.index < height) {
+      this.prepared = null;
+    }
+    for (const [key, message] of this.messageLog) {
+      if (message.index < height) {
+        this.messageLog.delete(key);
+      }
+    }
+    for (const [view, messages] of this.viewChanges) {
+      for (const [nodeId, message] of messages) {
+        if (message.index < height) {
+          messages.delete(nodeId);
+        }
+      }
+      if (messages.size === 0) {
+        this.viewChanges.delete(view);
+      }
+    }
+  }
+
+  /**
+   * Get the current view, primary and validator set
+   */
+  getStatus() {
+    const validators = this.getValidators();
+    const height = this.blockchain.getChainLength();
+    const nextView = this.viewChanges.get(this.view + 1);
+
+    return {
+      view: this.view,
+      height,
+      primary: this.getPrimary(height, this.view),
+      nodeId: this.nodeManager.getNodeId(),
+      validators,
+      quorum: this.getQuorum(validators.length),
+      maxFaulty: this.getMaxFaulty(validators.length),
+      threshold: this.consensusThreshold,
+      prepared: this.prepared ? { view: this.prepared.view, blockHash: this.prepared.blockHash } : null,
+      viewChangeVotes: nextView ? this.countVotes(nextView, this.view + 1).length : 0,
+      faultyNodes: Array.from(this.faultyNodes),
+      equivocations: this.equivocations.length
+    };
   }
 
   /**
    * Check if consensus is reached
-   * 
+   *
    * @param {string} blockHash - Hash of proposed block
    * @returns {Object} Consensus status
    */
@@ -290,8 +1040,8 @@ class ConsensusEngine {
       throw new Error('blockHash is required');
     }
 
-    const proposal = this.pendingValidations.get(blockHash);
-    if (!proposal) {
+    const entry = this.pendingValidations.get(blockHash);
+    if (!entry) {
       return {
         consensusReached: false,
         error: 'Block proposal not found'
@@ -306,18 +1056,25 @@ class ConsensusEngine {
       };
     }
 
-    const nodeCount = this.nodeManager.getNodeCount();
-    const voteCount = votesMap.size;
-    const yesVotes = Array.from(votesMap.values()).filter(v => v.isValid).length;
-    const consensusReached = yesVotes / nodeCount >= this.consensusThreshold;
+    const view = entry.proposal.view || 0;
+    const nodeCount = this.getValidators().length;
+    const quorum = this.getQuorum(nodeCount);
+    const prepares = this.countVotes(votesMap, view);
+    const yesVotes = prepares.filter(v => v.isValid).length;
+    const commitVotes = this.countVotes(this.commits.get(blockHash), view).length;
+    const consensusReached = yesVotes >= quorum && commitVotes >= quorum;
 
     return {
       consensusReached,
       blockHash,
-      totalVotes: voteCount,
+      view,
+      phase: entry.committed ? 'committed' : (entry.prepared ? 'prepared' : 'pre-prepared'),
+      totalVotes: prepares.length,
       yesVotes,
-      noVotes: voteCount - yesVotes,
+      noVotes: prepares.length - yesVotes,
+      commitVotes,
       totalNodes: nodeCount,
+      quorum,
       threshold: this.consensusThreshold,
       percentage: (yesVotes / nodeCount * 100).toFixed(2) + '%'
     };
@@ -325,18 +1082,18 @@ class ConsensusEngine {
 
   /**
    * Synchronize chain with network
-   * 
+   *
    * @param {Array} networkChains - Chains from other nodes (optional, simulated if not provided)
    * @returns {Object} Sync result
    */
   async syncChain(networkChains = null) {
     const localChainLength = this.blockchain.getChainLength();
-    
+
     // In a real network, networkChains would be provided
     // For this assessment, we simulate by checking local chain validity
     if (!networkChains || (Array.isArray(networkChains) && networkChains.length === 0)) {
       const isValid = this.blockchain.isChainValid();
-      
+
       return {
         success: true,
         synced: true,
@@ -346,63 +1103,72 @@ class ConsensusEngine {
       };
     }
 
-    // Find longest valid chain
-    let longestChain = this.blockchain.getAllBlocks();
+    // Find the longest structurally valid chain; full validation happens on replacement
+    let longestChain = null;
     let longestLength = localChainLength;
+    let longestInvalidLength = 0;
     let foundInvalidChain = false;
 
     for (const chain of networkChains) {
-      if (Array.isArray(chain)) {
-        // Validate chain
-        const isValid = this.validateChain(chain);
-        if (!isValid) {
-          foundInvalidChain = true;
-          // If invalid chain is longer than local, still mark as invalid
-          if (chain.length > longestLength) {
-            longestLength = chain.length;
-          }
-          continue; // Skip invalid chains
-        }
-        if (chain.length > longestLength) {
-          longestChain = chain;
-          longestLength = chain.length;
-        }
+      if (!Array.isArray(chain)) {
+        continue;
+      }
+      if (!this.validateChain(chain)) {
+        foundInvalidChain = true;
+        longestInvalidLength = Math.max(longestInvalidLength, chain.length);
+        continue;
+      }
+      if (chain.length > longestLength) {
+        longestChain = chain;
+        longestLength = chain.length;
       }
     }
 
-    // If invalid chain was found and it's the only/longest chain, return chainValid: false
-    if (foundInvalidChain && longestLength > localChainLength) {
-      return {
-        success: false,
-        synced: false,
-        localChainLength,
-        chainValid: false,
-        message: 'Invalid chain provided'
-      };
-    }
+    const invalidResult = (message) => ({
+      success: false,
+      synced: false,
+      localChainLength,
+      chainValid: false,
+      message
+    });
+
+    if (!longestChain) {
+      // Only an invalid chain claimed to be ahead of us
+      if (longestInvalidLength > localChainLength) {
+        return invalidResult('Invalid chain provided');
+      }
 
-    // Replace local chain if longer valid chain found
-    if (longestLength > localChainLength && !foundInvalidChain) {
-      // In production, would replace blockchain state
-      // For assessment, we just report
       return {
         success: true,
         synced: true,
         localChainLength,
-        newChainLength: longestLength,
-        chainReplaced: true,
-        chainValid: true,
-        message: `Chain synchronized: ${longestLength} blocks`
+        chainReplaced: false,
+        chainValid: !foundInvalidChain,
+        message: 'Local chain is up to date'
       };
     }
 
+    // Roll back to the common ancestor and apply the winning branch
+    let reorg;
+    try {
+      reorg = this.blockchain.replaceChain(longestChain);
+    } catch (error) {
+      return invalidResult(`Invalid chain provided: ${error.message}`);
+    }
+
     return {
       success: true,
       synced: true,
       localChainLength,
-      chainReplaced: false,
-      chainValid: !foundInvalidChain,
-      message: 'Local chain is up to date'
+      newChainLength: longestLength,
+      chainReplaced: true,
+      chainValid: true,
+      commonAncestor: reorg.commonAncestor,
+      blocksRolledBack: reorg.removedBlocks.length,
+      blocksApplied: reorg.addedBlocks.length,
+      transactionsRequeued: reorg.requeuedTransactions.length,
+      transactionsDropped: reorg.droppedTransactions.length,
+      message: `Chain synchronized: ${longestLength} blocks`
     };
   }
 
@@ -443,7 +1209,9 @@ class ConsensusEngine {
 
   /**
    * Handle node failure
-   * 
+   * Removes the node from the validator set, re-checks open proposals against
+   * the smaller quorum and replaces the node if it was the primary.
+   *
    * @param {string} nodeId - Failed node ID
    * @returns {Object} Result
    */
@@ -452,37 +1220,33 @@ class ConsensusEngine {
       throw new Error('nodeId is required');
     }
 
+    const wasPrimary = this.getPrimary() === nodeId;
+
     // Remove node from network
     const removed = this.nodeManager.removeNode(nodeId);
 
     // Remove votes from failed node
-    for (const [blockHash, votesMap] of this.votes.entries()) {
-      votesMap.delete(nodeId);
-      
-      // Recheck consensus without failed node
-      const nodeCount = this.nodeManager.getNodeCount();
-      const yesVotes = Array.from(votesMap.values()).filter(v => v.isValid).length;
-      const consensusReached = yesVotes / nodeCount >= this.consensusThreshold;
-
-      if (consensusReached) {
-        const proposal = this.pendingValidations.get(blockHash);
-        if (proposal && this.validateBlockProposal(proposal.proposal)) {
-          try {
-            this.blockchain.minePendingTransactions();
-            this.pendingValidations.delete(blockHash);
-            this.votes.delete(blockHash);
-          } catch (error) {
-            // Mining failed
-          }
-        }
+    for (const store of [this.votes, this.commits]) {
+      for (const votesMap of store.values()) {
+        votesMap.delete(nodeId);
       }
     }
 
+    // Recheck consensus without failed node
+    for (const blockHash of this.pendingValidations.keys()) {
+      this.advance(blockHash);
+    }
+
+    const viewChange = removed && wasPrimary
+      ? this.requestViewChange(`Primary ${nodeId} failed`)
+      : null;
+
     return {
       success: true,
       nodeRemoved: removed,
       nodeId,
       remainingNodes: this.nodeManager.getNodeCount(),
+      viewChange,
       message: `Node ${nodeId} removed from network`
     };
   }
@@ -4,6 +4,7 @@
  * API endpoints for consensus mechanism:
  * - Propose blocks
  * - Vote on proposals
+ * - View changes and equivocation evidence
  * - Sync blockchain with network
  * - Get pending transactions
  */
@@ -46,6 +47,9 @@ router.post('/propose', async (req, res, next) => {
     if (error.message.includes('Invalid transaction')) {
       return res.status(400).json(formatError(error, 400));
     }
+    if (error.message.includes('Only the primary') || error.message.includes('already proposed')) {
+      return res.status(409).json(formatError(error, 409));
+    }
     next(error);
   }
 });
@@ -91,6 +95,57 @@ router.post('/vote', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/consensus/status
+ * Get the current view, primary and validator set
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    const result = req.app.locals.consensusService.getStatus();
+    res.status(200).json(formatSuccess(result, 'Consensus status retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consensus/view-change
+ * Ask the validators to replace the current primary
+ */
+router.post('/view-change', async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json(formatError(
+        new Error('reason must be a string'),
+        400
+      ));
+    }
+
+    const result = await req.app.locals.consensusService.requestViewChange(reason);
+
+    res.status(200).json(formatSuccess(result, result.viewChanged
+      ? `Moved to view ${result.view}`
+      : 'View change requested, waiting for more validators'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/consensus/equivocations
+ * Get evidence of validators that signed conflicting messages
+ */
+router.get('/equivocations', async (req, res, next) => {
+  try {
+    const result = req.app.locals.consensusService.getEquivocations();
+    res.status(200).json(formatSuccess(result, 'Equivocations retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/consensus/sync
  * Synchronize chain with network
@@ -154,7 +209,8 @@ router.get('/all', async (req, res, next) => {
         votesArray.push({
           blockHash,
           nodeId,
-          isValid: vote
+          view: vote.view,
+          isValid: vote.isValid
         });
       });
     });
@@ -7,8 +7,13 @@
 const ConsensusEngine = require('./ConsensusEngine.js');
 
 class ConsensusService {
-  constructor(blockchain, nodeManager) {
-    this.engine = new ConsensusEngine(blockchain, nodeManager);
+  /**
+   * @param {Blockchain} blockchain - Local blockchain
+   * @param {NodeManager} nodeManager - Node manager
+   * @param {Object} options - Engine options (see ConsensusEngine)
+   */
+  constructor(blockchain, nodeManager, options = {}) {
+    this.engine = new ConsensusEngine(blockchain, nodeManager, options);
     this.blockchain = blockchain;
     this.nodeManager = nodeManager;
   }
@@ -41,6 +46,23 @@ class ConsensusService {
     return result;
   }
 
+  /**
+   * Propose the pending pool if this node is the primary and has not proposed yet
+   * Contracts only submit transactions; this is how they get into blocks
+   * without an operator calling /api/consensus/propose.
+   *
+   * @returns {Promise<Object|null>} Consensus result, or null when there was nothing to propose
+   */
+  async proposePending() {
+    if (ConsensusEngine.wholeBatches(this.blockchain.pendingTransactions).length === 0 ||
+        this.engine.getPrimary() !== this.nodeManager.getNodeId() ||
+        this.engine.hasProposed()) {
+      return null;
+    }
+
+    return this.engine.proposeBlock(this.blockchain.pendingTransactions);
+  }
+
   /**
    * Validate block
    * 
@@ -113,6 +135,39 @@ class ConsensusService {
     return this.engine.checkConsensus(blockHash);
   }
 
+  /**
+   * Get the current view, primary and validator set
+   *
+   * @returns {Object} Consensus status
+   */
+  getStatus() {
+    return this.engine.getStatus();
+  }
+
+  /**
+   * Ask the validators to replace the current primary
+   *
+   * @param {string} reason - Why the primary is being replaced
+   * @returns {Promise<Object>} View change result
+   */
+  async requestViewChange(reason = null) {
+    return this.engine.requestViewChange(reason || 'Requested by node operator');
+  }
+
+  /**
+   * Get recorded equivocation evidence
+   *
+   * @returns {Object} Equivocations and the validators excluded because of them
+   */
+  getEquivocations() {
+    const equivocations = this.engine.getEquivocations();
+    return {
+      count: equivocations.length,
+      faultyNodes: Array.from(this.engine.faultyNodes),
+      equivocations
+    };
+  }
+
   /**
    * Handle node failure
    * 
@@ -0,0 +1,217 @@
+/**
+ * Consent Commitment Registry
+ *
+ * Tracks the set of active consent commitments (published by every consent
+ * grant, see ConsentContract.grantConsent) as of each block, together with a
+ * Merkle root over the set. The set is derived from the blocks alone, so every
+ * node computes the same root for the same block hash.
+ *
+ * A commitment joins the set in the block that mines its grant and leaves it in
+ * the block that mines its revocation, or the first block whose timestamp is at
+ * or past the consent's expiry. The registry also remembers that removal height.
+ * Amendments and renewals keep the commitment and move its expiry; renewing an
+ * expired consent brings its commitment back into the set.
+ */
+
+const crypto = require('crypto');
+
+const CONSENT_CONTRACT_ADDRESS = 'consent-contract';
+
+// One registry per blockchain instance, shared by every contract and service
+const registries = new WeakMap();
+
+class CommitmentRegistry {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.snapshots = []; // block index -> { blockHash, root, commitments, entries, nextExpiry }
+    this.removals = new Map(); // commitment -> block index where it left the active set
+    this.restorations = new Map(); // commitment -> { blockIndex, removedAt } of its latest return by renewal
+    this.commitmentsByConsent = new Map(); // consentId -> commitment
+  }
+
+  /**
+   * Get the shared registry of a blockchain
+   *
+   * @param {Blockchain} blockchain - Blockchain instance
+   * @returns {CommitmentRegistry} Registry
+   */
+  static for(blockchain) {
+    let registry = registries.get(blockchain);
+    if (!registry) {
+      registry = new CommitmentRegistry(blockchain);
+      registries.set(blockchain, registry);
+    }
+    return registry;
+  }
+
+  /**
+   * Merkle root over a sorted list of commitments
+   *
+   * @param {Array<string>} commitments - Commitments (hex), sorted
+   * @returns {string} Root (hex)
+   */
+  static calculateRoot(commitments) {
+    const hash = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+    if (commitments.length === 0) {
+      return hash('');
+    }
+
+    let level = commitments.map(commitment => hash(`leaf:${commitment}`));
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? hash(`node:${level[i]}${level[i + 1]}`) : level[i]);
+      }
+      level = next;
+    }
+    return level[0];
+  }
+
+  /**
+   * Get the active commitment set as of a block
+   *
+   * @param {number} blockIndex - Block index
+   * @returns {Object|null} { blockIndex, blockHash, root, commitments } or null for unknown blocks
+   */
+  getSnapshot(blockIndex) {
+    this.sync();
+
+    const snapshot = this.snapshots[blockIndex];
+    if (!snapshot) {
+      return null;
+    }
+
+    return {
+      blockIndex,
+      blockHash: snapshot.blockHash,
+      root: snapshot.root,
+      commitments: snapshot.commitments
+    };
+  }
+
+  /**
+   * Get the active commitment set as of the latest block
+   *
+   * @returns {Object|null} Snapshot (see getSnapshot) or null for an empty chain
+   */
+  getLatest() {
+    return this.getSnapshot(this.blockchain.getChainLength() - 1);
+  }
+
+  /**
+   * Get the block index at which a commitment left the active set
+   *
+   * @param {string} commitment - Commitment (hex)
+   * @returns {number|null} Block index, or null while it is still active
+   */
+  getRemovalHeight(commitment) {
+    this.sync();
+    return this.removals.has(commitment) ? this.removals.get(commitment) : null;
+  }
+
+  /**
+   * Bring the snapshots in line with the chain
+   * Snapshots of blocks that are no longer on the chain (after a fork) are dropped.
+   */
+  sync() {
+    const chain = this.blockchain.chain;
+
+    let valid = 0;
+    while (valid < this.snapshots.length && valid < chain.length &&
+           this.snapshots[valid].blockHash === chain[valid].hash) {
+      valid++;
+    }
+
+    if (valid < this.snapshots.length) {
+      this.snapshots.length = valid;
+      for (const [commitment, height] of this.removals) {
+        if (height >= valid) {
+          this.removals.delete(commitment);
+        }
+      }
+      for (const [commitment, restoration] of this.restorations) {
+        if (restoration.blockIndex >= valid) {
+          this.restorations.delete(commitment);
+          if (restoration.removedAt < valid) {
+            this.removals.set(commitment, restoration.removedAt);
+          }
+        }
+      }
+    }
+
+    for (let i = this.snapshots.length; i < chain.length; i++) {
+      this.snapshots.push(this.applyBlock(chain[i], this.snapshots[i - 1] || null));
+    }
+  }
+
+  /**
+   * Build the snapshot of a block from the snapshot of its parent
+   */
+  applyBlock(block, previous) {
+    let entries = previous ? previous.entries : new Map(); // commitment -> expiry time (ms)
+    let changed = false;
+
+    const update = () => {
+      if (!changed) {
+        entries = new Map(entries);
+        changed = true;
+      }
+    };
+
+    for (const tx of block.transactions) {
+      if (tx.to !== CONSENT_CONTRACT_ADDRESS || !tx.data) {
+        continue;
+      }
+
+      if (tx.data.action === 'grant' && tx.data.commitment) {
+        update();
+        this.commitmentsByConsent.set(tx.data.consentId, tx.data.commitment);
+        entries.set(tx.data.commitment, tx.data.expiresAt ? new Date(tx.data.expiresAt).getTime() : Infinity);
+      } else if ((tx.data.action === 'amend' || tx.data.action === 'renew') && tx.data.changes?.expiresAt) {
+        const commitment = this.commitmentsByConsent.get(tx.data.consentId);
+        if (commitment && (entries.has(commitment) || tx.data.action === 'renew')) {
+          update();
+          entries.set(commitment, new Date(tx.data.changes.expiresAt.current).getTime());
+          if (this.removals.has(commitment)) {
+            this.restorations.set(commitment, { blockIndex: block.index, removedAt: this.removals.get(commitment) });
+            this.removals.delete(commitment);
+          }
+        }
+      } else if (tx.data.action === 'revoke') {
+        const commitment = this.commitmentsByConsent.get(tx.data.consentId);
+        if (commitment && entries.has(commitment)) {
+          update();
+          entries.delete(commitment);
+          this.removals.set(commitment, block.index);
+        }
+      }
+    }
+
+    // Expire consents against the block's own timestamp, so every node agrees
+    if (changed || (previous && block.timestamp >= previous.nextExpiry)) {
+      for (const [commitment, expiresAt] of entries) {
+        if (expiresAt <= block.timestamp) {
+          update();
+          entries.delete(commitment);
+          this.removals.set(commitment, block.index);
+        }
+      }
+    }
+
+    if (!changed && previous) {
+      return { ...previous, blockHash: block.hash };
+    }
+
+    const commitments = [...entries.keys()].sort();
+    return {
+      blockHash: block.hash,
+      root: CommitmentRegistry.calculateRoot(commitments),
+      commitments,
+      entries,
+      nextExpiry: Math.min(Infinity, ...entries.values())
+    };
+  }
+}
+
+module.exports = CommitmentRegistry;
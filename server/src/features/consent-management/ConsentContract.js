@@ -3,33 +3,95 @@
  * 
  * Manages patient consent on the blockchain.
  * Handles granting and revoking consent as immutable transactions.
+ *
+ * The grantee of a consent is a clinician, an AI model, an organization or a
+ * research study. Its ID is stored in the clinicianId field (which existing
+ * indexes, commitments and proofs are keyed on) and its kind in granteeType.
+ * A consent granted to an organization covers the organization's active
+ * clinicians.
  */
 
 const crypto = require('crypto');
+const ZKProof = require('../zk-proofs/ZKProof.js');
+const PedersenCommitment = require('../zk-proofs/PedersenCommitment.js');
+const CommitmentRegistry = require('./CommitmentRegistry.js');
+const ConsentScope = require('./ConsentScope.js');
+const DelegationContract = require('./DelegationContract.js');
+const ClinicianContract = require('../data-storage/ClinicianContract.js');
+const OrganizationContract = require('../data-storage/OrganizationContract.js');
+
+// Actions that change the terms of a consent but keep its consent ID
+const AMENDMENT_ACTIONS = ['amend', 'renew'];
+const DEFAULT_CONSENT_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const GRANTEE_TYPES = ['clinician', 'ai-model', 'organization', 'research-study'];
 
 class ConsentContract {
   constructor(blockchain) {
     this.blockchain = blockchain;
     this.contractAddress = 'consent-contract';
+    this.delegations = new DelegationContract(blockchain);
+    this.clinicians = new ClinicianContract(blockchain);
+    this.organizations = new OrganizationContract(blockchain);
   }
 
   /**
-   * Grant consent for a patient to a clinician
+   * Kind of grantee of a grant (grants from before grantee types were recorded are to clinicians)
+   */
+  static granteeTypeOf(grant) {
+    return grant.granteeType || 'clinician';
+  }
+
+  /**
+   * Grant consent for a patient to a clinician, AI model, organization or research study
    * 
    * @param {string} patientId - Patient ID
-   * @param {string} clinicianId - Clinician ID
+   * @param {string} clinicianId - Grantee ID
    * @param {string} consentType - Type of consent (e.g., 'Data Access', 'AI Analysis')
-   * @param {Object} options - Additional options (expiresAt, purpose, etc.)
+   * @param {Object} options - Additional options (expiresAt, purpose, scope, etc.)
+   * @param {string} options.granteeType - Kind of grantee (see GRANTEE_TYPES, default 'clinician')
+   * @param {Object} options.scope - Records and fields the consent covers (see ConsentScope); all if omitted
+   * @param {string} options.grantedBy - Acting party: the patient (default) or one of their delegates
    * @returns {Object} Transaction result
    */
   grantConsent(patientId, clinicianId, consentType, options = {}) {
+    const grant = this.prepareGrant(patientId, clinicianId, consentType, options);
+
+    // Create blockchain transaction, signed by the granting party
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction(grant));
+
+    // Transaction stays in pending pool for consensus mechanism
+    // It will be mined when a block is proposed and consensus is reached
+
+    return {
+      success: true,
+      consentId: grant.data.consentId,
+      granteeType: grant.data.granteeType,
+      scope: grant.data.scope,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Check a grant and build its unsigned transaction (see grantConsent)
+   *
+   * @returns {Object} { from, to, data }
+   */
+  prepareGrant(patientId, clinicianId, consentType, options = {}) {
     // Validate inputs
     if (!patientId || !clinicianId || !consentType) {
       throw new Error('Patient ID, clinician ID, and consent type are required');
     }
+    const granteeType = options.granteeType || 'clinician';
+    if (!GRANTEE_TYPES.includes(granteeType)) {
+      throw new Error(`Invalid grantee type. Must be one of: ${GRANTEE_TYPES.join(', ')}`);
+    }
+    const scope = ConsentScope.normalize(options.scope);
 
-    // Check if active consent already exists
-    if (this.hasValidConsent(patientId, clinicianId, consentType)) {
+    // Check if active consent already exists (a grant to the clinician's organization does not count)
+    if (this.findValidConsent(patientId, clinicianId, consentType)) {
       throw new Error('Active consent already exists for this patient-clinician-type combination');
     }
 
@@ -39,7 +101,19 @@ class ConsentContract {
     // Set expiration date (default: 1 year from now)
     const expiresAt = options.expiresAt 
       ? new Date(options.expiresAt).toISOString()
-      : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+      : new Date(Date.now() + DEFAULT_CONSENT_TTL_MS).toISOString();
+
+    const grantedBy = options.grantedBy || patientId;
+    const delegation = this.authorizeActingParty(patientId, grantedBy);
+
+    // Hiding commitment to the consent, for zero-knowledge consent proofs
+    const commitment = ZKProof.commitConsent(
+      patientId,
+      clinicianId,
+      consentType,
+      consentId,
+      this.getCommitmentBlinding(grantedBy, consentId)
+    );
 
     // Create consent record
     const consentData = {
@@ -47,20 +121,37 @@ class ConsentContract {
       consentId,
       patientId,
       clinicianId,
+      granteeType,
       consentType,
       expiresAt,
       purpose: options.purpose || 'Treatment',
+      scope,
       grantedAt: new Date().toISOString(),
-      grantedBy: options.grantedBy || patientId,
+      grantedBy,
+      delegationId: delegation ? delegation.delegationId : null,
+      commitment,
       metadata: options.metadata || {}
     };
 
-    // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
-      from: 'system',
+    return {
+      from: consentData.grantedBy,
       to: this.contractAddress,
       data: consentData
-    });
+    };
+  }
+
+  /**
+   * Revoke consent
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {Object} options - { revokedBy (default: the patient) or one of their delegates, reason }
+   * @returns {Object} Transaction result
+   */
+  revokeConsent(consentId, options = {}) {
+    const revocation = this.prepareRevocation(consentId, options);
+
+    // Signed by the revoking party
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction(revocation));
 
     // Transaction stays in pending pool for consensus mechanism
     // It will be mined when a block is proposed and consensus is reached
@@ -76,22 +167,20 @@ class ConsentContract {
   }
 
   /**
-   * Revoke consent
-   * 
-   * @param {string} consentId - Consent record ID
-   * @returns {Object} Transaction result
+   * Check a revocation and build its unsigned transaction (see revokeConsent)
+   *
+   * @returns {Object} { from, to, data }
    */
-  revokeConsent(consentId) {
+  prepareRevocation(consentId, options = {}) {
     if (!consentId) {
       throw new Error('Consent ID is required');
     }
 
-    // Find the original consent grant transaction
-    const consentHistory = this.blockchain.searchTransactions({
-      to: this.contractAddress,
+    // Find the original consent grant transaction (mined or pending)
+    const consentHistory = this.searchConsents({
       'data.action': 'grant',
       'data.consentId': consentId
-    });
+    }, { includePending: true });
 
     if (consentHistory.length === 0) {
       throw new Error('Consent record not found');
@@ -99,24 +188,19 @@ class ConsentContract {
 
     const originalConsent = consentHistory[0].data;
 
-    // Check if already revoked
-    const revocations = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.action': 'revoke',
-      'data.consentId': consentId
-    });
-
-    if (revocations.length > 0) {
+    // Check if already revoked (mined or pending)
+    if (this.isRevoked(consentId)) {
       throw new Error('Consent has already been revoked');
     }
 
-    // Check if expired
-    if (new Date(originalConsent.expiresAt) < new Date()) {
+    // Check if expired (as amended or renewed)
+    if (new Date(this.applyAmendments(originalConsent).expiresAt) < new Date()) {
       throw new Error('Consent has already expired');
     }
 
     // Default revokedBy to patientId (the consent owner)
-    const revokedBy = originalConsent.patientId;
+    const revokedBy = options.revokedBy || originalConsent.patientId;
+    const delegation = this.authorizeActingParty(originalConsent.patientId, revokedBy);
 
     // Create revocation transaction
     const revocationData = {
@@ -127,21 +211,285 @@ class ConsentContract {
       consentType: originalConsent.consentType,
       revokedAt: new Date().toISOString(),
       revokedBy,
-      reason: 'User requested revocation'
+      delegationId: delegation ? delegation.delegationId : null,
+      reason: options.reason || 'User requested revocation'
     };
 
-    const transaction = this.blockchain.addTransaction({
-      from: 'system',
+    return {
+      from: revokedBy,
       to: this.contractAddress,
       data: revocationData
+    };
+  }
+
+  /**
+   * Submit prepared grants and revocations as one batch
+   * Each transaction is signed by its acting party and tagged with the batch, so
+   * they enter the pending pool together and consensus commits them in the same
+   * block (see ConsensusEngine.wholeBatches). If any cannot be added, none is.
+   *
+   * @param {Array} prepared - Unsigned transactions from prepareGrant / prepareRevocation
+   * @returns {Object} { batchId, transactions } - pending transactions in the given order
+   */
+  submitBatch(prepared) {
+    if (!Array.isArray(prepared) || prepared.length === 0) {
+      throw new Error('Batch must contain at least one transaction');
+    }
+
+    const batchId = crypto.randomUUID();
+    const signed = prepared.map(tx => this.blockchain.signTransaction({
+      ...tx,
+      data: { ...tx.data, batch: { batchId, size: prepared.length } }
+    }));
+
+    return { batchId, transactions: this.blockchain.addTransactions(signed) };
+  }
+
+  /**
+   * Amend a consent, keeping its consent ID
+   * An amendment may shorten the expiry or narrow the purpose and scope freely.
+   * Changes that extend the clinician's access (a later expiry, another purpose
+   * or a wider scope) must be confirmed, so access is never extended silently.
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {Object} options - expiresAt, purpose, scope (the terms to change), confirmed,
+   *   amendedBy (default: the patient) or one of their delegates, reason
+   * @returns {Object} Transaction result with the previous and new values
+   */
+  amendConsent(consentId, options = {}) {
+    const { grant, terms } = this.getAmendableConsent(consentId);
+    if (terms.expiresAt && new Date(terms.expiresAt) < new Date()) {
+      throw new Error('Consent has already expired; renew it instead');
+    }
+
+    const changes = {};
+    if (options.expiresAt !== undefined) {
+      const expiresAt = new Date(options.expiresAt).toISOString();
+      if (expiresAt !== terms.expiresAt) {
+        changes.expiresAt = { previous: terms.expiresAt, current: expiresAt };
+      }
+    }
+    if (options.purpose !== undefined && options.purpose !== terms.purpose) {
+      changes.purpose = { previous: terms.purpose, current: options.purpose };
+    }
+    if (options.scope !== undefined) {
+      const scope = ConsentScope.normalize(options.scope);
+      if (JSON.stringify(scope) !== JSON.stringify(terms.scope || null)) {
+        changes.scope = { previous: terms.scope || null, current: scope };
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      throw new Error('Amendment must change the expiration date, purpose or scope');
+    }
+
+    const extendsAccess = (changes.expiresAt && new Date(changes.expiresAt.current) > new Date(terms.expiresAt)) ||
+      changes.purpose !== undefined ||
+      (changes.scope && ConsentScope.widens(changes.scope.previous, changes.scope.current));
+    if (extendsAccess && options.confirmed !== true) {
+      throw new Error('Amendment extends the clinician\'s access and requires confirmation');
+    }
+
+    return this.recordAmendment('amend', grant, changes, {
+      actorId: options.amendedBy,
+      reason: options.reason,
+      confirmed: options.confirmed
     });
+  }
 
-    // Transaction stays in pending pool for consensus mechanism
-    // It will be mined when a block is proposed and consensus is reached
+  /**
+   * Renew a consent, keeping its consent ID
+   * A renewal moves the expiry later, also for a consent that has already
+   * expired, and always extends the clinician's access, so it must be confirmed.
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {Object} options - expiresAt (default: 1 year from now), confirmed,
+   *   renewedBy (default: the patient) or one of their delegates, reason
+   * @returns {Object} Transaction result with the previous and new expiry
+   */
+  renewConsent(consentId, options = {}) {
+    const { grant, terms } = this.getAmendableConsent(consentId);
+
+    const expiresAt = options.expiresAt
+      ? new Date(options.expiresAt).toISOString()
+      : new Date(Date.now() + DEFAULT_CONSENT_TTL_MS).toISOString();
+    if (terms.expiresAt && new Date(expiresAt) <= new Date(terms.expiresAt)) {
+      throw new Error('Renewal must extend the expiration date; amend the consent to shorten it');
+    }
+    if (options.confirmed !== true) {
+      throw new Error('Renewal extends the clinician\'s access and requires confirmation');
+    }
+
+    // An expired consent cannot come back while a newer one covers the same clinician and type
+    const current = this.findValidConsent(grant.data.patientId, grant.data.clinicianId, grant.data.consentType);
+    if (current && current.consentId !== consentId) {
+      throw new Error('Active consent already exists for this patient-clinician-type combination');
+    }
+
+    return this.recordAmendment('renew', grant, { expiresAt: { previous: terms.expiresAt, current: expiresAt } }, {
+      actorId: options.renewedBy,
+      reason: options.reason,
+      confirmed: options.confirmed
+    });
+  }
+
+  /**
+   * Record on chain that a consent ran out
+   * Validity is still decided by expiresAt; the record makes the expiry visible
+   * in the history and timeline (see ConsentExpiryScheduler). Each expiry is
+   * recorded once, a renewed consent that runs out again gets a new record.
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {Object} options - { expiredAt: when the expiry was detected (default: now) }
+   * @returns {Object} Transaction result
+   */
+  expireConsent(consentId, options = {}) {
+    const { grant, terms } = this.getAmendableConsent(consentId);
+    const expiredAt = options.expiredAt ? new Date(options.expiredAt) : new Date();
+
+    if (!terms.expiresAt || new Date(terms.expiresAt) >= expiredAt) {
+      throw new Error('Consent has not expired yet');
+    }
+    if (this.getExpiryRecord(consentId, terms.expiresAt, { includePending: true })) {
+      throw new Error('Consent expiry has already been recorded');
+    }
+
+    const expiryData = {
+      action: 'expire',
+      consentId,
+      patientId: grant.data.patientId,
+      clinicianId: grant.data.clinicianId,
+      consentType: grant.data.consentType,
+      expiresAt: terms.expiresAt,
+      expiredAt: expiredAt.toISOString()
+    };
+
+    // Nobody acts on an expiry, so the node signs it
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: 'system',
+      to: this.contractAddress,
+      data: expiryData
+    }));
+
+    return {
+      success: true,
+      consentId,
+      expiresAt: terms.expiresAt,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Find the record of a consent running out at a given expiry
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {string} expiresAt - Expiry the record is for
+   * @param {Object} options - { includePending }
+   * @returns {Object|null} Expire transaction or null
+   */
+  getExpiryRecord(consentId, expiresAt, options = {}) {
+    return this.searchConsents({
+      'data.action': 'expire',
+      'data.consentId': consentId
+    }, options).find(tx => tx.data.expiresAt === expiresAt) || null;
+  }
+
+  /**
+   * Find a consent that may still be amended or renewed
+   * 
+   * @param {string} consentId - Consent record ID
+   * @returns {Object} { grant: grant transaction, terms: current terms (see applyAmendments) }
+   */
+  getAmendableConsent(consentId) {
+    if (!consentId) {
+      throw new Error('Consent ID is required');
+    }
+
+    const grants = this.searchConsents({
+      'data.action': 'grant',
+      'data.consentId': consentId
+    }, { includePending: true });
+
+    if (grants.length === 0) {
+      throw new Error('Consent record not found');
+    }
+
+    if (this.isRevoked(consentId)) {
+      throw new Error('Consent has already been revoked');
+    }
+
+    return { grant: grants[0], terms: this.applyAmendments(grants[0].data) };
+  }
+
+  /**
+   * Check whether a consent has been revoked
+   * A revocation counts as soon as it is submitted, like the grant and its
+   * amendments. Consent IDs are never granted twice, so any revocation of the
+   * ID ends the consent.
+   *
+   * @param {string} consentId - Consent record ID
+   * @returns {boolean} True if a mined or pending revocation exists
+   */
+  isRevoked(consentId) {
+    return this.getRevocation(consentId) !== null;
+  }
+
+  /**
+   * Get the revocation of a consent (mined or pending, see isRevoked)
+   *
+   * @param {string} consentId - Consent record ID
+   * @returns {Object|null} Revocation transaction or null if not revoked
+   */
+  getRevocation(consentId) {
+    const [revocation] = this.searchConsents({
+      'data.action': 'revoke',
+      'data.consentId': consentId
+    }, { includePending: true });
+    return revocation || null;
+  }
+
+  /**
+   * Write an amendment or renewal of a consent
+   * 
+   * @param {string} action - 'amend' or 'renew'
+   * @param {Object} grant - Grant transaction
+   * @param {Object} changes - Field -> { previous, current }
+   * @param {Object} options - { actorId (default: the patient), reason, confirmed }
+   * @returns {Object} Transaction result
+   */
+  recordAmendment(action, grant, changes, options = {}) {
+    const { consentId, patientId, clinicianId, consentType } = grant.data;
+    const amendedBy = options.actorId || patientId;
+    const delegation = this.authorizeActingParty(patientId, amendedBy);
+
+    const amendmentData = {
+      action,
+      consentId,
+      patientId,
+      clinicianId,
+      consentType,
+      changes,
+      amendedAt: new Date().toISOString(),
+      amendedBy,
+      delegationId: delegation ? delegation.delegationId : null,
+      confirmed: options.confirmed === true,
+      reason: options.reason || null
+    };
+
+    // Signed by the amending party
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: amendedBy,
+      to: this.contractAddress,
+      data: amendmentData
+    }));
 
     return {
       success: true,
       consentId,
+      action,
+      changes,
       transaction: {
         id: transaction.id,
         timestamp: transaction.timestamp
@@ -149,47 +497,201 @@ class ConsentContract {
     };
   }
 
+  /**
+   * Get the amendments and renewals of a consent, in chain order
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {Object} options - { includePending (default true), point: only those mined by { timestamp, blockIndex } }
+   * @returns {Array} Amendment transactions
+   */
+  getAmendments(consentId, options = {}) {
+    const includePending = options.includePending !== false && !options.point;
+    return this.searchConsents({
+      'data.consentId': consentId
+    }, { includePending }).filter(tx =>
+      AMENDMENT_ACTIONS.includes(tx.data.action) && (!options.point || this.isMinedBy(tx, options.point)));
+  }
+
+  /**
+   * Apply the amendments and renewals of a consent to its grant
+   * 
+   * @param {Object} grant - Grant data
+   * @param {Object} options - See getAmendments
+   * @returns {Object} Grant data with the current expiresAt, purpose and scope,
+   *   plus amendedAt, amendedBy and amendmentCount
+   */
+  applyAmendments(grant, options = {}) {
+    const amendments = this.getAmendments(grant.consentId, options);
+    const terms = { ...grant, amendedAt: null, amendedBy: null, amendmentCount: amendments.length };
+
+    for (const tx of amendments) {
+      for (const [field, change] of Object.entries(tx.data.changes || {})) {
+        terms[field] = change.current;
+      }
+      terms.amendedAt = tx.data.amendedAt;
+      terms.amendedBy = tx.data.amendedBy;
+    }
+    return terms;
+  }
+
+  /**
+   * Search the consent contract's transactions
+   * Grants, revocations, amendments and renewals only count when signed by a
+   * party who may make them (see isAuthorizedSigner); others are ignored.
+   *
+   * @param {Object} criteria - Search criteria (see Blockchain.searchTransactions)
+   * @param {Object} options - Search options (includePending)
+   * @returns {Array} Matching transactions
+   */
+  searchConsents(criteria, options = {}) {
+    return this.blockchain.searchTransactions({ to: this.contractAddress, ...criteria }, options)
+      .filter(tx => this.isAuthorizedSigner(tx));
+  }
+
+  /**
+   * Check that a consent transaction is signed by the patient, a delegate of
+   * the patient or this node. The delegation is judged as of the transaction,
+   * so ending it later does not undo what the delegate did. Expiry records only
+   * note that a consent ran out, so the node that wrote one may be this node or
+   * any validator, signing as 'system' (see expireConsent); mined ones may also
+   * come from a node that has since left the validator set.
+   *
+   * @param {Object} tx - Consent transaction
+   * @returns {boolean} True if the signer may make the change
+   */
+  isAuthorizedSigner(tx) {
+    if (tx.data.action === 'expire') {
+      return tx.from === 'system' &&
+        this.blockchain.isSystemSigner(tx.signer, { committed: tx.blockIndex !== null && tx.blockIndex !== undefined });
+    }
+    const { patientId } = tx.data;
+    return tx.signer === patientId ||
+      tx.signer === this.blockchain.systemSigner ||
+      this.delegations.findValidDelegation(patientId, tx.signer, new Date(tx.timestamp)) !== null;
+  }
+
+  /**
+   * Check that an actor may act on a patient's consents
+   *
+   * @param {string} patientId - Patient ID
+   * @param {string} actorId - Acting party
+   * @returns {Object|null} The delegation the actor acts under, or null for the patient
+   */
+  authorizeActingParty(patientId, actorId) {
+    if (actorId === patientId) {
+      return null;
+    }
+    const delegation = this.delegations.findValidDelegation(patientId, actorId);
+    if (!delegation) {
+      throw new Error('Acting party is not the patient or a valid delegate of the patient');
+    }
+    return delegation;
+  }
+
   /**
    * Check if consent exists and is valid
+   * A clinician is also covered by a valid consent to their organization.
    * 
    * @param {string} patientId - Patient ID
-   * @param {string} clinicianId - Clinician ID
+   * @param {string} clinicianId - Grantee ID
    * @param {string} consentType - Type of consent to check
+   * @param {Object} record - Medical record the consent must cover (optional)
    * @returns {boolean} True if valid consent exists
    */
-  hasValidConsent(patientId, clinicianId, consentType) {
-    // Find all grant transactions for this patient-clinician-type (mined blocks)
-    let grants = this.blockchain.searchTransactions({
-      to: this.contractAddress,
+  hasValidConsent(patientId, clinicianId, consentType, record = null) {
+    const consent = this.findCoveringConsent(patientId, clinicianId, consentType);
+    return consent !== null && (!record || ConsentScope.covers(consent.scope, record));
+  }
+
+  /**
+   * Decide whether an actor may access a medical record
+   * The actor needs a valid consent of the given type from the record's patient,
+   * for the given purpose, whose scope covers the record. A clinician without a
+   * consent of their own is judged by their organization's consent.
+   * 
+   * @param {string} actorId - Clinician or AI model ID
+   * @param {Object} record - Medical record (patientId, id, recordType and date are read)
+   * @param {Object} options - Access options
+   * @param {string} options.consentType - Consent type to check (default 'Data Access')
+   * @param {string} options.purpose - Purpose of the access (not checked if omitted)
+   * @param {Array<string>} options.fields - Clinical fields the actor wants to change (writes)
+   * @returns {Object} { granted, reason, consentId, organizationId, scope, fields } - fields is the field mask (null for all)
+   */
+  evaluateAccess(actorId, record, options = {}) {
+    const consentType = options.consentType || 'Data Access';
+    const consent = this.findCoveringConsent(record.patientId, actorId, consentType);
+    const result = (granted, reason) => ({
+      granted,
+      reason,
+      consentId: consent?.consentId || null,
+      organizationId: consent?.organizationId || null,
+      scope: consent?.scope || null,
+      fields: granted ? consent.scope?.fields || null : null
+    });
+
+    if (!consent) {
+      return result(false, `No valid ${consentType} consent from patient`);
+    }
+    if (options.purpose && consent.purpose !== options.purpose) {
+      return result(false, `Consent purpose '${consent.purpose}' does not cover '${options.purpose}'`);
+    }
+    const uncovered = ConsentScope.uncovered(consent.scope, record, options.fields);
+    if (uncovered) {
+      return result(false, uncovered);
+    }
+    return result(true, 'Valid consent');
+  }
+
+  /**
+   * Find the valid consent covering a grantee
+   * That is the grantee's own consent or, for an active clinician without one,
+   * a consent to the active organization they belong to.
+   *
+   * @param {string} patientId - Patient ID
+   * @param {string} granteeId - Grantee ID
+   * @param {string} consentType - Type of consent to find
+   * @returns {Object|null} Grant data (see findValidConsent), with organizationId when covered through an organization
+   */
+  findCoveringConsent(patientId, granteeId, consentType) {
+    const consent = this.findValidConsent(patientId, granteeId, consentType);
+    if (consent) {
+      return consent;
+    }
+
+    const clinician = this.clinicians.getClinician(granteeId);
+    if (!clinician?.organizationId || clinician.isActive === false) {
+      return null;
+    }
+    const organization = this.organizations.getOrganization(clinician.organizationId);
+    if (!organization || organization.isActive === false) {
+      return null;
+    }
+    const organizationConsent = this.findValidConsent(patientId, organization.id, consentType);
+    if (!organizationConsent || ConsentContract.granteeTypeOf(organizationConsent) !== 'organization') {
+      return null;
+    }
+    return { ...organizationConsent, organizationId: organization.id };
+  }
+
+  /**
+   * Find the grant behind a valid consent
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Grantee ID
+   * @param {string} consentType - Type of consent to find
+   * @returns {Object|null} Grant data (consentId, purpose, expiresAt, ...) or null if no valid consent
+   */
+  findValidConsent(patientId, clinicianId, consentType) {
+    // Find all grant transactions for this patient-clinician-type (mined and pending)
+    const grants = this.searchConsents({
       'data.action': 'grant',
       'data.patientId': patientId,
       'data.clinicianId': clinicianId,
       'data.consentType': consentType
-    });
-
-    // Also check pending transactions
-    const pendingGrants = (this.blockchain.pendingTransactions || [])
-      .filter(tx => 
-        tx.to === this.contractAddress &&
-        tx.data?.action === 'grant' &&
-        tx.data?.patientId === patientId &&
-        tx.data?.clinicianId === clinicianId &&
-        tx.data?.consentType === consentType
-      );
-
-    // Combine mined and pending transactions
-    if (pendingGrants.length > 0) {
-      grants = [...grants, ...pendingGrants.map(tx => ({
-        ...tx,
-        data: tx.data,
-        blockIndex: null,
-        blockHash: null,
-        blockTimestamp: null // Pending transactions don't have blockTimestamp yet
-      }))];
-    }
+    }, { includePending: true });
 
     if (grants.length === 0) {
-      return false;
+      return null;
     }
 
     // Get the most recent grant (by block timestamp)
@@ -202,28 +704,191 @@ class ConsentContract {
     });
     const latestGrant = sortedGrants[0];
 
-    // Check if revoked (only check mined revocations)
-    const revocations = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.action': 'revoke',
-      'data.consentId': latestGrant.data.consentId
-    });
+    // Check if revoked (mined or pending)
+    if (this.isRevoked(latestGrant.data.consentId)) {
+      return null;
+    }
+
+    // Check if expired (as amended or renewed)
+    const terms = this.applyAmendments(latestGrant.data);
+    if (new Date(terms.expiresAt) < new Date()) {
+      return null;
+    }
+
+    return terms;
+  }
 
-    if (revocations.length > 0 && latestGrant.blockTimestamp !== null) {
-      // Check if revocation happened after grant (only for mined grants)
-      const revocation = revocations[0];
-      if (revocation.blockTimestamp >= latestGrant.blockTimestamp) {
-        return false;
+  /**
+   * Resolve a point in time to evaluate consents at
+   * A date counts every block mined up to it; a block number counts the chain
+   * up to and including that block, as of its timestamp.
+   *
+   * @param {Object} options - { asOf: date, atBlock: block index } (one of them)
+   * @returns {Object} { timestamp (ms), blockIndex }
+   */
+  resolvePointInTime({ asOf, atBlock } = {}) {
+    if (atBlock !== undefined && atBlock !== null && atBlock !== '') {
+      const blockIndex = Number(atBlock);
+      if (!Number.isInteger(blockIndex) || blockIndex < 0) {
+        throw new Error('Invalid block number');
       }
+      const block = this.blockchain.getBlock(blockIndex);
+      if (!block) {
+        throw new Error(`Block ${blockIndex} not found`);
+      }
+      return { timestamp: block.timestamp, blockIndex };
+    }
+
+    const timestamp = asOf ? new Date(asOf).getTime() : Date.now();
+    if (isNaN(timestamp)) {
+      throw new Error('Invalid as-of date format');
     }
+    return { timestamp, blockIndex: this.blockchain.getLatestBlock().index };
+  }
+
+  /**
+   * Check whether a mined transaction is on the chain at a point in time
+   *
+   * @param {Object} tx - Transaction with block fields (from searchConsents)
+   * @param {Object} point - { timestamp, blockIndex } (see resolvePointInTime)
+   * @returns {boolean} True if mined in a block within the point
+   */
+  isMinedBy(tx, point) {
+    return tx.blockIndex !== null && tx.blockIndex <= point.blockIndex && tx.blockTimestamp <= point.timestamp;
+  }
 
-    // Check if expired
-    const expiresAt = new Date(latestGrant.data.expiresAt);
-    if (expiresAt < new Date()) {
-      return false;
+  /**
+   * Find the grant behind a consent that was valid at a point in time
+   * Only mined transactions count. A grant takes effect from its grantedAt time,
+   * amendments, renewals and revocations from the block they were mined in,
+   * and expiry at expiresAt as amended by then.
+   *
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Clinician ID
+   * @param {string} consentType - Type of consent to find
+   * @param {Object} point - { timestamp, blockIndex } (see resolvePointInTime)
+   * @returns {Object|null} Grant data or null if no consent was valid then
+   */
+  findValidConsentAt(patientId, clinicianId, consentType, point) {
+    const grants = this.searchConsents({
+      'data.action': 'grant',
+      'data.patientId': patientId,
+      'data.clinicianId': clinicianId,
+      'data.consentType': consentType
+    }).filter(tx => tx.blockIndex <= point.blockIndex && new Date(tx.data.grantedAt).getTime() <= point.timestamp);
+
+    if (grants.length === 0) {
+      return null;
     }
 
-    return true;
+    // Latest grant in chain order
+    const state = this.getStateAt(grants[grants.length - 1], point);
+    return state.isValid ? state.terms : null;
+  }
+
+  /**
+   * Work out the state of a mined grant at a point in time
+   *
+   * @param {Object} grantTx - Grant transaction (from searchConsents)
+   * @param {Object} point - { timestamp, blockIndex } (see resolvePointInTime)
+   * @returns {Object} { terms (see applyAmendments), isRevoked, isExpired, isValid, revocation }
+   */
+  getStateAt(grantTx, point) {
+    const terms = this.applyAmendments(grantTx.data, { point });
+    const revocation = this.searchConsents({
+      'data.action': 'revoke',
+      'data.consentId': grantTx.data.consentId
+    }).find(tx => this.isMinedBy(tx, point)) || null;
+
+    const isRevoked = revocation !== null;
+    const isExpired = Boolean(terms.expiresAt) && new Date(terms.expiresAt).getTime() < point.timestamp;
+
+    return { terms, isRevoked, isExpired, isValid: !isRevoked && !isExpired, revocation };
+  }
+
+  /**
+   * Get the state transitions of a patient's consents
+   * Transitions are grouped per clinician and consent type, oldest first:
+   * 'active' when a grant takes effect and again at each amendment or renewal,
+   * 'revoked' at the revocation block and 'expired' when a consent runs out
+   * before being revoked or renewed. Only mined transactions count.
+   *
+   * @param {string} patientId - Patient ID
+   * @param {Object} filters - { clinicianId, consentType } (optional)
+   * @returns {Array} [{ clinicianId, granteeType, consentType, currentState, transitions }]
+   */
+  getConsentTimeline(patientId, filters = {}) {
+    const criteria = {
+      'data.action': 'grant',
+      'data.patientId': patientId
+    };
+    if (filters.clinicianId) criteria['data.clinicianId'] = filters.clinicianId;
+    if (filters.consentType) criteria['data.consentType'] = filters.consentType;
+
+    const now = this.resolvePointInTime();
+    const timelines = new Map();
+
+    for (const grantTx of this.searchConsents(criteria)) {
+      const { consentId, clinicianId, consentType } = grantTx.data;
+      const key = `${clinicianId}-${consentType}`;
+      if (!timelines.has(key)) {
+        timelines.set(key, {
+          clinicianId,
+          granteeType: ConsentContract.granteeTypeOf(grantTx.data),
+          consentType,
+          currentState: null,
+          transitions: []
+        });
+      }
+      const transitions = timelines.get(key).transitions;
+
+      const { revocation } = this.getStateAt(grantTx, now);
+      const events = [grantTx, ...this.getAmendments(consentId, { point: now }), ...(revocation ? [revocation] : [])];
+      let expiresAt = grantTx.data.expiresAt;
+      let ended = false;
+
+      const expire = () => {
+        // The expiry record, once the scheduler has written one
+        const record = this.getExpiryRecord(consentId, expiresAt);
+        transitions.push({
+          state: 'expired', action: 'expire', at: expiresAt, consentId, actor: null,
+          transactionId: record?.id || null, blockIndex: record?.blockIndex ?? null, blockHash: record?.blockHash || null
+        });
+        ended = true;
+      };
+
+      for (const tx of events) {
+        const at = tx === grantTx ? tx.data.grantedAt : new Date(tx.blockTimestamp).toISOString();
+        if (!ended && expiresAt && new Date(expiresAt) < new Date(at)) {
+          expire();
+        }
+
+        const transition = { action: tx.data.action, at, consentId, transactionId: tx.id, blockIndex: tx.blockIndex, blockHash: tx.blockHash };
+        if (tx.data.action === 'revoke') {
+          // A revocation mined after the consent ran out changes nothing
+          if (!ended) {
+            transitions.push({ state: 'revoked', ...transition, actor: tx.data.revokedBy || patientId, reason: tx.data.reason || null });
+          }
+          ended = true;
+        } else if (tx.data.action === 'grant') {
+          transitions.push({ state: 'active', ...transition, actor: tx.data.grantedBy || patientId });
+        } else {
+          expiresAt = tx.data.changes?.expiresAt?.current || expiresAt;
+          transitions.push({ state: 'active', ...transition, actor: tx.data.amendedBy, changes: tx.data.changes });
+          ended = false;
+        }
+      }
+
+      if (!ended && expiresAt && new Date(expiresAt).getTime() < now.timestamp) {
+        expire();
+      }
+    }
+
+    return Array.from(timelines.values()).map(timeline => {
+      timeline.transitions.sort((a, b) => new Date(a.at) - new Date(b.at));
+      timeline.currentState = timeline.transitions[timeline.transitions.length - 1].state;
+      return timeline;
+    });
   }
 
   /**
@@ -234,8 +899,7 @@ class ConsentContract {
    */
   getConsentHistory(patientId) {
     // Find all consent transactions for this patient
-    const transactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
+    const transactions = this.searchConsents({
       'data.patientId': patientId
     });
 
@@ -243,21 +907,39 @@ class ConsentContract {
     const sortedTransactions = transactions.sort((a, b) => a.blockTimestamp - b.blockTimestamp);
 
     // Format and return consent records
-    return sortedTransactions.map(tx => ({
+    return sortedTransactions.map(tx => this.toHistoryRecord(tx));
+  }
+
+  /**
+   * Format a consent transaction as a history record (see getConsentHistory)
+   *
+   * @param {Object} tx - Consent transaction (from searchConsents)
+   * @returns {Object} Consent record, timed by its block or, while pending, by its submission
+   */
+  toHistoryRecord(tx) {
+    return {
       consentId: tx.data.consentId,
       patientId: tx.data.patientId,
       clinicianId: tx.data.clinicianId,
+      granteeType: tx.data.action === 'grant' ? ConsentContract.granteeTypeOf(tx.data) : null,
       consentType: tx.data.consentType,
       action: tx.data.action,
-      timestamp: new Date(tx.blockTimestamp).toISOString(),
+      timestamp: new Date(tx.blockTimestamp ?? tx.timestamp).toISOString(),
       expiresAt: tx.data.expiresAt || null,
       purpose: tx.data.purpose || null,
+      scope: tx.data.scope || null,
       grantedAt: tx.data.grantedAt || null,
+      grantedBy: tx.data.grantedBy || null,
       revokedAt: tx.data.revokedAt || null,
       revokedBy: tx.data.revokedBy || null,
+      amendedAt: tx.data.amendedAt || null,
+      amendedBy: tx.data.amendedBy || null,
+      changes: tx.data.changes || null,
+      expiredAt: tx.data.expiredAt || null,
+      delegationId: tx.data.delegationId || null,
       blockIndex: tx.blockIndex,
       blockHash: tx.blockHash
-    }));
+    };
   }
 
   /**
@@ -267,31 +949,35 @@ class ConsentContract {
    * @returns {Array} Array of active consent records
    */
   getActiveConsents(patientId) {
-    const history = this.getConsentHistory(patientId);
-    const activeConsents = [];
-    const consentMap = new Map();
-
-    // Process history chronologically to determine current state
-    for (const record of history) {
-      const key = `${record.patientId}-${record.clinicianId}-${record.consentType}`;
-      
-      if (record.action === 'grant') {
-        // Check if not expired
-        if (record.expiresAt && new Date(record.expiresAt) >= new Date()) {
-          consentMap.set(key, record);
-        }
-      } else if (record.action === 'revoke') {
-        // Remove from active consents
-        consentMap.delete(key);
-      }
+    // Mined and pending grants in chain order, so the latest grant per grantee and type wins
+    const grants = this.searchConsents({
+      'data.action': 'grant',
+      'data.patientId': patientId
+    }, { includePending: true });
+    const latestGrants = new Map();
+    for (const grantTx of grants) {
+      latestGrants.set(`${grantTx.data.clinicianId}-${grantTx.data.consentType}`, grantTx);
     }
 
-    // Convert map to array
-    for (const consent of consentMap.values()) {
-      // Double-check expiration
-      if (!consent.expiresAt || new Date(consent.expiresAt) >= new Date()) {
-        activeConsents.push(consent);
+    // Revocations and amendments count while pending, as in getConsentById
+    const activeConsents = [];
+    for (const grantTx of latestGrants.values()) {
+      if (this.isRevoked(grantTx.data.consentId)) {
+        continue;
+      }
+      const terms = this.applyAmendments(grantTx.data);
+      if (terms.expiresAt && new Date(terms.expiresAt) < new Date()) {
+        continue;
       }
+      activeConsents.push({
+        ...this.toHistoryRecord(grantTx),
+        expiresAt: terms.expiresAt || null,
+        purpose: terms.purpose || null,
+        scope: terms.scope || null,
+        amendedAt: terms.amendedAt,
+        amendedBy: terms.amendedBy,
+        amendmentCount: terms.amendmentCount
+      });
     }
 
     return activeConsents;
@@ -301,38 +987,22 @@ class ConsentContract {
    * Get consent by consent ID
    * 
    * @param {string} consentId - Consent ID
+   * @param {Object} point - Evaluate the consent as of { timestamp, blockIndex } (optional, see resolvePointInTime)
    * @returns {Object|null} Consent record or null if not found
    */
-  getConsentById(consentId) {
+  getConsentById(consentId, point = null) {
     if (!consentId) {
       return null;
     }
+    if (point) {
+      return this.getConsentByIdAt(consentId, point);
+    }
 
-    // Find the grant transaction for this consent ID (mined blocks)
-    let grantTransactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
+    // Find the grant transaction for this consent ID (mined and pending)
+    const grantTransactions = this.searchConsents({
       'data.action': 'grant',
       'data.consentId': consentId
-    });
-
-    // Also check pending transactions
-    const pendingGrants = (this.blockchain.pendingTransactions || [])
-      .filter(tx => 
-        tx.to === this.contractAddress &&
-        tx.data?.action === 'grant' &&
-        tx.data?.consentId === consentId
-      );
-
-    // Combine mined and pending transactions
-    if (pendingGrants.length > 0) {
-      grantTransactions = [...grantTransactions, ...pendingGrants.map(tx => ({
-        ...tx,
-        data: tx.data,
-        blockIndex: null,
-        blockHash: null,
-        blockTimestamp: null // Pending transactions don't have blockTimestamp yet
-      }))];
-    }
+    }, { includePending: true });
 
     if (grantTransactions.length === 0) {
       return null;
@@ -341,32 +1011,78 @@ class ConsentContract {
     // Get the most recent grant (should only be one per consentId)
     const grantTx = grantTransactions[0];
 
-    // Check if revoked
-    const revocations = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.action': 'revoke',
-      'data.consentId': consentId
-    });
+    // Check if revoked (mined or pending)
+    const isRevoked = this.isRevoked(consentId);
 
-    const isRevoked = revocations.length > 0 && 
-                     revocations[0].blockTimestamp >= grantTx.blockTimestamp;
-    const isExpired = grantTx.data.expiresAt && 
-                     new Date(grantTx.data.expiresAt) < new Date();
+    // Current terms, as amended or renewed
+    const terms = this.applyAmendments(grantTx.data);
+    const isExpired = terms.expiresAt && 
+                     new Date(terms.expiresAt) < new Date();
 
     return {
       consentId: grantTx.data.consentId,
       patientId: grantTx.data.patientId,
       clinicianId: grantTx.data.clinicianId,
+      granteeType: ConsentContract.granteeTypeOf(grantTx.data),
       consentType: grantTx.data.consentType,
-      expiresAt: grantTx.data.expiresAt || null,
-      purpose: grantTx.data.purpose || null,
+      expiresAt: terms.expiresAt || null,
+      purpose: terms.purpose || null,
+      scope: terms.scope || null,
       grantedAt: grantTx.data.grantedAt || null,
+      grantedBy: grantTx.data.grantedBy || null,
+      delegationId: grantTx.data.delegationId || null,
+      commitment: grantTx.data.commitment || null,
+      amendedAt: terms.amendedAt,
+      amendedBy: terms.amendedBy,
+      amendmentCount: terms.amendmentCount,
       isRevoked,
       isExpired,
       isValid: !isRevoked && !isExpired
     };
   }
 
+  /**
+   * Get consent by consent ID as it stood at a point in time
+   *
+   * @param {string} consentId - Consent ID
+   * @param {Object} point - { timestamp, blockIndex } (see resolvePointInTime)
+   * @returns {Object|null} Consent record or null if the grant was not on the chain then
+   */
+  getConsentByIdAt(consentId, point) {
+    const grantTx = this.searchConsents({
+      'data.action': 'grant',
+      'data.consentId': consentId
+    }).find(tx => tx.blockIndex <= point.blockIndex && new Date(tx.data.grantedAt).getTime() <= point.timestamp);
+
+    if (!grantTx) {
+      return null;
+    }
+
+    const { terms, isRevoked, isExpired, isValid } = this.getStateAt(grantTx, point);
+    return {
+      consentId: grantTx.data.consentId,
+      patientId: grantTx.data.patientId,
+      clinicianId: grantTx.data.clinicianId,
+      granteeType: ConsentContract.granteeTypeOf(grantTx.data),
+      consentType: grantTx.data.consentType,
+      expiresAt: terms.expiresAt || null,
+      purpose: terms.purpose || null,
+      scope: terms.scope || null,
+      grantedAt: grantTx.data.grantedAt || null,
+      grantedBy: grantTx.data.grantedBy || null,
+      delegationId: grantTx.data.delegationId || null,
+      commitment: grantTx.data.commitment || null,
+      amendedAt: terms.amendedAt,
+      amendedBy: terms.amendedBy,
+      amendmentCount: terms.amendmentCount,
+      isRevoked,
+      isExpired,
+      isValid,
+      asOf: new Date(point.timestamp).toISOString(),
+      atBlock: point.blockIndex
+    };
+  }
+
   /**
    * Get all consents from all patients
    * Returns all grant records with their revocation status
@@ -374,56 +1090,43 @@ class ConsentContract {
    * @returns {Array} Array of all consent records (grants only, with revocation info)
    */
   getAllConsents() {
-    // Find all grant transactions
-    const grantTransactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
+    // Find all grant transactions (mined and pending)
+    const grantTransactions = this.searchConsents({
       'data.action': 'grant'
-    });
+    }, { includePending: true });
 
-    // Find all revocation transactions for quick lookup
-    const revokeTransactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.action': 'revoke'
-    });
-
-    // Create a map of consentId -> revocation info
-    const revocationMap = new Map();
-    revokeTransactions.forEach(revokeTx => {
-      const consentId = revokeTx.data.consentId;
-      if (!revocationMap.has(consentId) || 
-          revokeTx.blockTimestamp > revocationMap.get(consentId).blockTimestamp) {
-        revocationMap.set(consentId, {
-          revokedAt: new Date(revokeTx.blockTimestamp).toISOString(),
-          revokedBy: revokeTx.data.revokedBy,
-          blockTimestamp: revokeTx.blockTimestamp
-        });
-      }
-    });
-
-    // Sort grants by timestamp (oldest first)
-    const sortedGrants = grantTransactions.sort((a, b) => a.blockTimestamp - b.blockTimestamp);
+    // Sort grants by timestamp (oldest first), pending ones by submission
+    const timeOf = tx => tx.blockTimestamp ?? tx.timestamp;
+    const sortedGrants = grantTransactions.sort((a, b) => timeOf(a) - timeOf(b));
 
     // Format and return all consent records with revocation status
+    // Pending revocations and amendments count, as in getConsentById
     return sortedGrants.map(tx => {
-      const consentId = tx.data.consentId;
-      const revocationInfo = revocationMap.get(consentId);
-      const isRevoked = revocationInfo !== undefined && 
-                       revocationInfo.blockTimestamp >= tx.blockTimestamp;
-      const isExpired = tx.data.expiresAt && 
-                       new Date(tx.data.expiresAt) < new Date();
+      const revocation = this.getRevocation(tx.data.consentId);
+      const isRevoked = revocation !== null;
+      const revokedAt = isRevoked ? new Date(timeOf(revocation)).toISOString() : null;
+      const terms = this.applyAmendments(tx.data);
+      const isExpired = terms.expiresAt && 
+                       new Date(terms.expiresAt) < new Date();
 
       return {
         consentId: tx.data.consentId,
         patientId: tx.data.patientId,
         clinicianId: tx.data.clinicianId,
+        granteeType: ConsentContract.granteeTypeOf(tx.data),
         consentType: tx.data.consentType,
         action: isRevoked ? 'revoke' : 'grant', // Show the last/most recent action
-        timestamp: isRevoked ? revocationInfo.revokedAt : new Date(tx.blockTimestamp).toISOString(), // Show revocation timestamp if revoked
-        expiresAt: tx.data.expiresAt || null,
-        purpose: tx.data.purpose || null,
+        timestamp: isRevoked ? revokedAt : new Date(timeOf(tx)).toISOString(), // Show revocation timestamp if revoked
+        expiresAt: terms.expiresAt || null,
+        purpose: terms.purpose || null,
+        scope: terms.scope || null,
+        amendedAt: terms.amendedAt,
+        amendmentCount: terms.amendmentCount,
         grantedAt: tx.data.grantedAt || null,
-        revokedAt: isRevoked ? revocationInfo.revokedAt : null,
-        revokedBy: isRevoked ? revocationInfo.revokedBy : null,
+        grantedBy: tx.data.grantedBy || null,
+        revokedAt,
+        revokedBy: isRevoked ? revocation.data.revokedBy : null,
+        commitment: tx.data.commitment || null,
         blockIndex: tx.blockIndex,
         blockHash: tx.blockHash,
         isRevoked,
@@ -431,7 +1134,55 @@ class ConsentContract {
       };
     });
   }
+
+  /**
+   * Get the commitments of all active consents as of the latest block
+   * This is the public set that ZK consent proofs are verified against.
+   *
+   * @returns {Array<string>} Commitments (hex)
+   */
+  getActiveCommitments() {
+    const snapshot = CommitmentRegistry.for(this.blockchain).getLatest();
+    return snapshot ? snapshot.commitments : [];
+  }
+
+  /**
+   * Derive the blinding factor of a consent commitment
+   * Ed25519 signatures are deterministic, so only the holder of the granting
+   * party's key can recompute it.
+   *
+   * @param {string} grantedBy - Granting party
+   * @param {string} consentId - Consent ID
+   * @returns {bigint} Blinding factor
+   */
+  getCommitmentBlinding(grantedBy, consentId) {
+    const signature = this.blockchain.keyStore.signBytes(grantedBy, Buffer.from(`zk-consent-blinding:${consentId}`));
+    return PedersenCommitment.hashToScalar('consent-blinding', signature.toString('hex'));
+  }
+
+  /**
+   * Open the commitment of a consent grant (for generating ZK proofs)
+   *
+   * @param {Object} grant - Grant data (as returned by findValidConsent)
+   * @returns {Object} { commitment, message, blinding }
+   */
+  getCommitmentOpening(grant) {
+    if (!grant.commitment) {
+      throw new Error('Consent has no ZK commitment');
+    }
+    if (!this.blockchain.keyStore.hasPrivateKey(grant.grantedBy)) {
+      throw new Error('Only the granting party can open this consent commitment');
+    }
+
+    return {
+      commitment: grant.commitment,
+      message: ZKProof.consentMessage(grant.patientId, grant.clinicianId, grant.consentType, grant.consentId),
+      blinding: this.getCommitmentBlinding(grant.grantedBy, grant.consentId)
+    };
+  }
 }
 
+ConsentContract.GRANTEE_TYPES = GRANTEE_TYPES;
+
 module.exports = ConsentContract;
 
@@ -0,0 +1,138 @@
+/**
+ * Consent Expiry Scheduler
+ *
+ * ConsentContract evaluates expiry lazily, comparing expiresAt to the current
+ * time on every check. The scheduler makes expiry visible: each run writes an
+ * 'expire' transaction and an 'expired' audit entry for every consent that has
+ * crossed its expiresAt, and publishes a 'consent-expiring' event to the
+ * patient's feed once a consent is within noticeDays of expiring.
+ *
+ * A run reads the time once from the clock option (Date.now by default) and
+ * skips consents it has already handled, so runs are idempotent and
+ * deterministic under a fake clock.
+ */
+
+const ConsentContract = require('./ConsentContract.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+const EventFeed = require('../notifications/EventFeed.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_NOTICE_DAYS = 7;
+
+class ConsentExpiryScheduler {
+  /**
+   * @param {Blockchain} blockchain - Blockchain instance
+   * @param {Object} options - Scheduler options
+   * @param {number} options.intervalMs - Time between runs (default 1 minute)
+   * @param {number} options.noticeDays - Days before expiry to notify the patient (default 7, 0 disables)
+   * @param {Function} options.clock - Returns the current time in ms (default Date.now)
+   * @param {Function} options.isActive - Runs are skipped while this returns false (e.g. on non-primary nodes)
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.contract = new ConsentContract(blockchain);
+    this.auditLogger = new AuditLogger(blockchain);
+    this.eventFeed = new EventFeed(blockchain);
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this.noticeDays = options.noticeDays ?? DEFAULT_NOTICE_DAYS;
+    this.clock = options.clock || (() => Date.now());
+    this.isActive = options.isActive || (() => true);
+    this.timer = null;
+  }
+
+  /**
+   * Run every intervalMs until stopped
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('⚠ Consent expiry run failed:', error.message));
+    }, this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop running
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Record expired consents and notify patients of consents expiring soon
+   *
+   * @returns {Promise<Object>} { ranAt, expired: [...], notices: [...] }
+   */
+  async run() {
+    const now = this.clock();
+    const result = { ranAt: new Date(now).toISOString(), expired: [], notices: [] };
+    if (!this.isActive()) {
+      return result;
+    }
+
+    const grants = this.contract.searchConsents({ 'data.action': 'grant' });
+
+    for (const grantTx of grants) {
+      const { consentId, patientId, clinicianId, consentType } = grantTx.data;
+
+      // Revoked consents end there, even while the revocation is pending
+      const revocations = this.contract.searchConsents({
+        'data.action': 'revoke',
+        'data.consentId': consentId
+      }, { includePending: true });
+      if (revocations.length > 0) {
+        continue;
+      }
+
+      const { expiresAt } = this.contract.applyAmendments(grantTx.data);
+      if (!expiresAt) {
+        continue;
+      }
+      const expiresAtMs = new Date(expiresAt).getTime();
+
+      if (expiresAtMs < now) {
+        if (this.contract.getExpiryRecord(consentId, expiresAt, { includePending: true })) {
+          continue;
+        }
+        const expiry = this.contract.expireConsent(consentId, { expiredAt: now });
+        const log = await this.auditLogger.logConsentChange({
+          consentId,
+          action: 'expired',
+          actorId: 'system',
+          patientId,
+          clinicianId,
+          consentType,
+          metadata: { expiresAt, transactionId: expiry.transaction.id }
+        });
+        result.expired.push({ consentId, patientId, clinicianId, consentType, expiresAt, auditLogId: log.logId });
+      } else if (this.noticeDays > 0 && expiresAtMs - now <= this.noticeDays * DAY_MS &&
+                 !this.hasNotice(patientId, consentId, expiresAt)) {
+        const days = Math.ceil((expiresAtMs - now) / DAY_MS);
+        const event = this.eventFeed.publish(patientId, {
+          type: 'consent-expiring',
+          message: `Your ${consentType} consent expires in ${days} day${days === 1 ? '' : 's'}`,
+          resourceId: consentId,
+          data: { clinicianId, consentType, expiresAt }
+        });
+        result.notices.push({ consentId, patientId, clinicianId, consentType, expiresAt, eventId: event.eventId });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether the patient has been told that a consent expires at expiresAt
+   * A renewed consent gets a new notice before its new expiry.
+   */
+  hasNotice(patientId, consentId, expiresAt) {
+    return this.eventFeed.getEvents(patientId, { type: 'consent-expiring' })
+      .some(event => event.resourceId === consentId && event.data.expiresAt === expiresAt);
+  }
+}
+
+module.exports = ConsentExpiryScheduler;
@@ -0,0 +1,211 @@
+/**
+ * Consent Scope
+ *
+ * Narrows a consent grant to part of the patient's records. A scope is stored
+ * with the grant and may combine:
+ * - recordIds: only these records
+ * - recordTypes: only records of these types (MedicalRecordContract recordType)
+ * - dateRange: { from, to } only records dated within the range (inclusive)
+ * - fields: only these clinical fields are revealed; the rest are masked
+ * - tier: how identifiable research data may be (see TIERS); a tier does not
+ *   narrow which records are covered, only the form they may be released in
+ *
+ * Every dimension that is given must match. A grant without a scope covers all
+ * of the patient's records and fields, identifiably.
+ */
+
+const MedicalRecordContract = require('../data-storage/MedicalRecordContract.js');
+
+const SCOPE_KEYS = ['recordIds', 'recordTypes', 'dateRange', 'fields', 'tier'];
+
+// Research data tiers, least revealing first; each tier covers the ones before it
+const TIERS = ['aggregate', 'de-identified', 'identifiable'];
+
+class ConsentScope {
+  /**
+   * Validate a scope and bring it into its stored form
+   *
+   * @param {Object} scope - Scope from the grant request
+   * @returns {Object|null} Normalized scope, or null if it does not narrow the consent
+   */
+  static normalize(scope) {
+    if (scope === undefined || scope === null) {
+      return null;
+    }
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+      throw new Error('Invalid consent scope: must be an object');
+    }
+    for (const key of Object.keys(scope)) {
+      if (!SCOPE_KEYS.includes(key)) {
+        throw new Error(`Invalid consent scope: unknown field '${key}'`);
+      }
+    }
+
+    const normalized = {};
+    for (const key of ['recordIds', 'recordTypes', 'fields']) {
+      if (scope[key] !== undefined) {
+        normalized[key] = ConsentScope.normalizeList(key, scope[key]);
+      }
+    }
+
+    const unknownFields = (normalized.fields || []).filter(f => !MedicalRecordContract.SENSITIVE_FIELDS.includes(f));
+    if (unknownFields.length > 0) {
+      throw new Error(`Invalid consent scope: fields must be among ${MedicalRecordContract.SENSITIVE_FIELDS.join(', ')}`);
+    }
+
+    if (scope.dateRange !== undefined) {
+      normalized.dateRange = ConsentScope.normalizeDateRange(scope.dateRange);
+    }
+
+    if (scope.tier !== undefined) {
+      if (!TIERS.includes(scope.tier)) {
+        throw new Error(`Invalid consent scope: tier must be one of ${TIERS.join(', ')}`);
+      }
+      normalized.tier = scope.tier;
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Validate a non-empty list of strings (duplicates removed)
+   */
+  static normalizeList(key, values) {
+    if (!Array.isArray(values) || values.length === 0 ||
+        !values.every(value => typeof value === 'string' && value.length > 0)) {
+      throw new Error(`Invalid consent scope: ${key} must be a non-empty list of strings`);
+    }
+    return [...new Set(values)];
+  }
+
+  /**
+   * Validate a { from, to } date range (either end may be left open)
+   */
+  static normalizeDateRange(dateRange) {
+    const { from = null, to = null } = dateRange || {};
+    if (!from && !to) {
+      throw new Error('Invalid consent scope: dateRange needs from or to');
+    }
+    for (const date of [from, to]) {
+      if (date && isNaN(new Date(date).getTime())) {
+        throw new Error('Invalid consent scope: dateRange dates must be valid dates');
+      }
+    }
+    if (from && to && new Date(from) > new Date(to)) {
+      throw new Error('Invalid consent scope: dateRange from must not be after to');
+    }
+    return { from, to };
+  }
+
+  /**
+   * Explain why a scope does not cover a record
+   *
+   * @param {Object|null} scope - Normalized scope
+   * @param {Object} record - Medical record (id, recordType and date are read)
+   * @param {Array<string>} fields - Clinical fields the caller wants to change (optional)
+   * @returns {string|null} Reason, or null if the record is covered
+   */
+  static uncovered(scope, record, fields = []) {
+    if (!scope) {
+      return null;
+    }
+    if (scope.recordIds && !scope.recordIds.includes(record.id)) {
+      return 'Consent scope does not cover this record';
+    }
+    if (scope.recordTypes && !scope.recordTypes.includes(record.recordType)) {
+      return `Consent scope does not cover ${record.recordType || 'untyped'} records`;
+    }
+    if (scope.dateRange) {
+      const date = record.date ? new Date(record.date) : null;
+      const { from, to } = scope.dateRange;
+      if (!date || (from && date < new Date(from)) || (to && date > new Date(to))) {
+        return 'Consent scope does not cover records from this date';
+      }
+    }
+    if (scope.fields) {
+      const outside = fields.filter(f => MedicalRecordContract.SENSITIVE_FIELDS.includes(f) && !scope.fields.includes(f));
+      if (outside.length > 0) {
+        return `Consent scope does not cover field '${outside[0]}'`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a scope covers a record
+   */
+  static covers(scope, record, fields = []) {
+    return ConsentScope.uncovered(scope, record, fields) === null;
+  }
+
+  /**
+   * Check whether a scope allows data to be released at a tier
+   *
+   * @param {Object|null} scope - Normalized scope
+   * @param {string} tier - Requested tier (see TIERS)
+   * @returns {boolean} True if the scope's tier (identifiable if unset) is at least as revealing
+   */
+  static coversTier(scope, tier) {
+    return TIERS.indexOf(scope?.tier || 'identifiable') >= TIERS.indexOf(tier);
+  }
+
+  /**
+   * Check whether a new scope reaches anything the previous one did not
+   *
+   * @param {Object|null} previous - Normalized scope
+   * @param {Object|null} next - Normalized scope
+   * @returns {boolean} True if next covers records or fields outside previous
+   */
+  static widens(previous, next) {
+    if (!previous) {
+      return false;
+    }
+    if (!next) {
+      return true;
+    }
+    for (const key of ['recordIds', 'recordTypes', 'fields']) {
+      if (previous[key] && (!next[key] || next[key].some(value => !previous[key].includes(value)))) {
+        return true;
+      }
+    }
+    if (previous.tier && !ConsentScope.coversTier(previous, next.tier || 'identifiable')) {
+      return true;
+    }
+    if (previous.dateRange) {
+      const { from, to } = next.dateRange || {};
+      if (previous.dateRange.from && (!from || new Date(from) < new Date(previous.dateRange.from))) {
+        return true;
+      }
+      if (previous.dateRange.to && (!to || new Date(to) > new Date(previous.dateRange.to))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Remove the clinical fields a scope does not reveal
+   *
+   * @param {Object|null} scope - Normalized scope
+   * @param {Object} record - Decrypted medical record
+   * @returns {Object} { record, hiddenFields }
+   */
+  static mask(scope, record) {
+    if (!scope?.fields) {
+      return { record, hiddenFields: [] };
+    }
+    const masked = { ...record };
+    const hiddenFields = [];
+    for (const field of MedicalRecordContract.SENSITIVE_FIELDS) {
+      if (field in masked && !scope.fields.includes(field)) {
+        delete masked[field];
+        hiddenFields.push(field);
+      }
+    }
+    return { record: masked, hiddenFields };
+  }
+}
+
+ConsentScope.TIERS = TIERS;
+
+module.exports = ConsentScope;
@@ -0,0 +1,313 @@
+/**
+ * Delegation Contract
+ *
+ * Records who may act on a patient's consents besides the patient: guardians
+ * (e.g. of minors) and healthcare proxies (e.g. for incapacitated patients).
+ *
+ * A delegation is appointed by the patient, or by a delegate whose delegation
+ * allows sub-delegation, which links it to the delegation above it. Following
+ * those links back to the patient gives the delegation chain. A delegation is
+ * valid while it is neither revoked nor expired and every delegation above it
+ * is valid, so revoking a delegation also ends the ones appointed under it.
+ *
+ * Appointments and revocations take effect as soon as they are submitted
+ * (pending transactions count).
+ */
+
+const crypto = require('crypto');
+
+const RELATIONSHIPS = ['guardian', 'healthcare-proxy'];
+
+class DelegationContract {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.contractAddress = 'delegation-contract';
+  }
+
+  /**
+   * Appoint a delegate for a patient
+   *
+   * @param {string} patientId - Patient ID
+   * @param {string} delegateId - Actor who may act for the patient
+   * @param {Object} options - Appointment options
+   * @param {string} options.relationship - 'guardian' or 'healthcare-proxy'
+   * @param {string} options.expiresAt - Expiry (default: 1 year, never after the appointing delegation)
+   * @param {boolean} options.canDelegate - Whether the delegate may appoint further delegates
+   * @param {string} options.appointedBy - Acting party (default: the patient)
+   * @returns {Object} Transaction result
+   */
+  appointDelegate(patientId, delegateId, options = {}) {
+    if (!patientId || !delegateId || !options.relationship) {
+      throw new Error('Patient ID, delegate ID, and relationship are required');
+    }
+    if (!RELATIONSHIPS.includes(options.relationship)) {
+      throw new Error(`Invalid relationship. Must be one of: ${RELATIONSHIPS.join(', ')}`);
+    }
+    if (delegateId === patientId) {
+      throw new Error('Invalid delegate: a patient cannot be their own delegate');
+    }
+
+    const appointedBy = options.appointedBy || patientId;
+    let parent = null;
+    if (appointedBy !== patientId) {
+      parent = this.findValidDelegation(patientId, appointedBy);
+      if (!parent) {
+        throw new Error('Acting party is not a valid delegate of this patient');
+      }
+      if (!parent.canDelegate) {
+        throw new Error('Delegation does not allow appointing further delegates');
+      }
+    }
+
+    if (this.findValidDelegation(patientId, delegateId)) {
+      throw new Error('Active delegation already exists for this patient and delegate');
+    }
+
+    // Set expiration date (default: 1 year from now, capped by the appointing delegation)
+    let expiresAt = options.expiresAt
+      ? new Date(options.expiresAt).toISOString()
+      : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+    if (parent && new Date(expiresAt) > new Date(parent.expiresAt)) {
+      if (options.expiresAt) {
+        throw new Error('Invalid expiration date: a delegation cannot outlive the delegation it was appointed under');
+      }
+      expiresAt = parent.expiresAt;
+    }
+
+    const delegationId = crypto.randomUUID();
+    const delegationData = {
+      action: 'appoint',
+      delegationId,
+      patientId,
+      delegateId,
+      relationship: options.relationship,
+      canDelegate: options.canDelegate === true,
+      expiresAt,
+      parentDelegationId: parent ? parent.delegationId : null,
+      appointedAt: new Date().toISOString(),
+      appointedBy,
+      metadata: options.metadata || {}
+    };
+
+    // Signed by the appointing party
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: appointedBy,
+      to: this.contractAddress,
+      data: delegationData
+    }));
+
+    return {
+      success: true,
+      delegationId,
+      expiresAt: delegationData.expiresAt,
+      parentDelegationId: delegationData.parentDelegationId,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Revoke a delegation (and with it every delegation appointed under it)
+   * The patient, any delegate above it in the chain, or the delegate themselves
+   * (stepping down) may revoke it.
+   *
+   * @param {string} delegationId - Delegation ID
+   * @param {Object} options - { revokedBy (default: the patient), reason }
+   * @returns {Object} Transaction result
+   */
+  revokeDelegation(delegationId, options = {}) {
+    if (!delegationId) {
+      throw new Error('Delegation ID is required');
+    }
+
+    const appointment = this.getAppointment(delegationId);
+    if (!appointment) {
+      throw new Error('Delegation not found');
+    }
+    if (this.getRevocation(delegationId)) {
+      throw new Error('Delegation has already been revoked');
+    }
+
+    const revokedBy = options.revokedBy || appointment.patientId;
+    const chain = this.getDelegationChain(delegationId);
+    const allowed = revokedBy === appointment.patientId ||
+      revokedBy === appointment.delegateId ||
+      chain.slice(0, -1).some(link => link.delegateId === revokedBy && link.isValid);
+    if (!allowed) {
+      throw new Error('Only the patient, the delegate or a delegate above it in the chain may revoke this delegation');
+    }
+
+    const revocationData = {
+      action: 'revoke',
+      delegationId,
+      patientId: appointment.patientId,
+      delegateId: appointment.delegateId,
+      revokedAt: new Date().toISOString(),
+      revokedBy,
+      reason: options.reason || 'User requested revocation'
+    };
+
+    // Signed by the revoking party
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: revokedBy,
+      to: this.contractAddress,
+      data: revocationData
+    }));
+
+    return {
+      success: true,
+      delegationId,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Find the valid delegation of a delegate for a patient
+   *
+   * @param {string} patientId - Patient ID
+   * @param {string} delegateId - Delegate ID
+   * @param {Date} at - Judge the delegation as of this moment (optional, default: now)
+   * @returns {Object|null} Appointment data or null if the actor is not a valid delegate
+   */
+  findValidDelegation(patientId, delegateId, at = null) {
+    const appointments = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'appoint',
+      'data.patientId': patientId,
+      'data.delegateId': delegateId
+    }, { includePending: true });
+
+    const valid = appointments.find(tx => this.isValid(tx.data, at));
+    return valid ? valid.data : null;
+  }
+
+  /**
+   * Check whether an actor may act on a patient's consents
+   *
+   * @param {string} actorId - Actor ID
+   * @param {string} patientId - Patient ID
+   * @returns {boolean} True for the patient and their valid delegates
+   */
+  canActFor(actorId, patientId) {
+    return !!actorId && (actorId === patientId || this.findValidDelegation(patientId, actorId) !== null);
+  }
+
+  /**
+   * Get a delegation with its status
+   *
+   * @param {string} delegationId - Delegation ID
+   * @returns {Object|null} Delegation or null if not found
+   */
+  getDelegationById(delegationId) {
+    const appointment = delegationId ? this.getAppointment(delegationId) : null;
+    return appointment ? this.formatDelegation(appointment) : null;
+  }
+
+  /**
+   * Get the delegations of a patient and/or held by a delegate
+   *
+   * @param {Object} filters - { patientId, delegateId }
+   * @returns {Array} Delegations with status, oldest first
+   */
+  getDelegations({ patientId, delegateId } = {}) {
+    const criteria = { to: this.contractAddress, 'data.action': 'appoint' };
+    if (patientId) criteria['data.patientId'] = patientId;
+    if (delegateId) criteria['data.delegateId'] = delegateId;
+
+    return this.blockchain.searchTransactions(criteria, { includePending: true })
+      .sort((a, b) => new Date(a.data.appointedAt) - new Date(b.data.appointedAt))
+      .map(tx => this.formatDelegation(tx.data));
+  }
+
+  /**
+   * Get the chain of delegations from the patient down to a delegation
+   *
+   * @param {string} delegationId - Delegation ID
+   * @returns {Array} Delegations with status, the one appointed by the patient first
+   */
+  getDelegationChain(delegationId) {
+    const chain = [];
+    let appointment = this.getAppointment(delegationId);
+    while (appointment) {
+      chain.unshift(this.formatDelegation(appointment));
+      appointment = appointment.parentDelegationId ? this.getAppointment(appointment.parentDelegationId) : null;
+    }
+    return chain;
+  }
+
+  /**
+   * Check that a delegation and every delegation above it are unrevoked and unexpired
+   * With a moment given, a delegation counts if it was appointed by then and
+   * neither revoked before it nor expired at it, so what a delegate did stays
+   * valid after the delegation ends.
+   */
+  isValid(appointment, at = null) {
+    const moment = at || new Date();
+    for (let link = appointment; link; link = link.parentDelegationId ? this.getAppointment(link.parentDelegationId) : null) {
+      const revocation = this.getRevocation(link.delegationId);
+      if (at && new Date(link.appointedAt) > at) {
+        return false;
+      }
+      if ((revocation && (!at || new Date(revocation.revokedAt) < at)) || new Date(link.expiresAt) < moment) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Appointment data of a delegation (null if unknown)
+   */
+  getAppointment(delegationId) {
+    const [appointment] = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'appoint',
+      'data.delegationId': delegationId
+    }, { includePending: true });
+    return appointment ? appointment.data : null;
+  }
+
+  /**
+   * Revocation data of a delegation (null if not revoked)
+   */
+  getRevocation(delegationId) {
+    const [revocation] = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'revoke',
+      'data.delegationId': delegationId
+    }, { includePending: true });
+    return revocation ? revocation.data : null;
+  }
+
+  /**
+   * Appointment data -> delegation with status
+   */
+  formatDelegation(appointment) {
+    const revocation = this.getRevocation(appointment.delegationId);
+    return {
+      delegationId: appointment.delegationId,
+      patientId: appointment.patientId,
+      delegateId: appointment.delegateId,
+      relationship: appointment.relationship,
+      canDelegate: appointment.canDelegate,
+      parentDelegationId: appointment.parentDelegationId,
+      appointedAt: appointment.appointedAt,
+      appointedBy: appointment.appointedBy,
+      expiresAt: appointment.expiresAt,
+      revokedAt: revocation ? revocation.revokedAt : null,
+      revokedBy: revocation ? revocation.revokedBy : null,
+      isRevoked: revocation !== null,
+      isExpired: new Date(appointment.expiresAt) < new Date(),
+      isValid: this.isValid(appointment)
+    };
+  }
+}
+
+DelegationContract.RELATIONSHIPS = RELATIONSHIPS;
+
+module.exports = DelegationContract;
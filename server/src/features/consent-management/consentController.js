@@ -2,11 +2,24 @@
  * Consent Controller - API endpoints for consent management
  * 
  * Endpoints:
- * - POST /api/consent/grant - Grant consent
+ * - POST /api/consent/grant - Grant consent to a clinician, AI model, organization or research study
  * - POST /api/consent/revoke - Revoke consent
- * - GET /api/consent/check/:patientId/:clinicianId/:type - Check consent
+ * - POST /api/consent/bulk/grant - Grant many consents, all or none ({ items: [grant bodies] })
+ * - POST /api/consent/bulk/revoke - Revoke many consents, all or none ({ items: [{ consentId, reason }] })
+ * - POST /api/consent/amend - Change a consent's expiry, purpose or scope, keeping its consentId
+ * - POST /api/consent/renew - Extend a consent's expiry, keeping its consentId
+ * - GET /api/consent/check/:patientId/:clinicianId/:type?asOf=&atBlock= - Check consent, now or at a point in time
+ * - GET /api/consent/timeline/:patientId?clinicianId=&consentType= - Get consent state transitions
  * - GET /api/consent/history/:patientId - Get consent history
  * - GET /api/consent/active/:patientId - Get active consents
+ * - POST /api/consent/delegations - Appoint a guardian or healthcare proxy
+ * - POST /api/consent/delegations/:delegationId/revoke - Revoke a delegation
+ * - GET /api/consent/delegations?patientId=&delegateId= - List delegations
+ * - GET /api/consent/delegations/:delegationId/chain - Get a delegation chain
+ *
+ * Consent and delegation actions are recorded with the party acting: the
+ * authenticated caller when they are the patient or one of their delegates,
+ * otherwise the party named in the body (defaulting to the patient).
  */
 
 const express = require('express');
@@ -26,7 +39,10 @@ router.use((req, res, next) => {
     consentService = new ConsentService(
       req.app.locals.blockchain,
       req.app.locals.patientContract,
-      req.app.locals.clinicianContract
+      req.app.locals.clinicianContract,
+      req.app.locals.aiModelContract,
+      req.app.locals.organizationContract,
+      req.app.locals.researchStudyContract
     );
     consentServiceBlockchain = req.app.locals.blockchain;
   }
@@ -35,24 +51,29 @@ router.use((req, res, next) => {
 
 /**
  * POST /api/consent/grant
- * Grant consent
+ * Grant consent; the grantee is granteeId with granteeType (default 'clinician'),
+ * or clinicianId for a clinician
  */
 router.post('/grant', async (req, res, next) => {
   try {
-    const { patientId, clinicianId, consentType, expiresAt, purpose, grantedBy, metadata } = req.body;
+    const { patientId, clinicianId, granteeType, consentType, expiresAt, purpose, scope, grantedBy, metadata } = req.body;
+    const granteeId = req.body.granteeId || clinicianId;
 
     // Validate required fields
-    if (!patientId || !clinicianId || !consentType) {
+    if (!patientId || !granteeId || !consentType) {
       return res.status(400).json(formatError(
-        new Error('patientId, clinicianId, and consentType are required'),
+        new Error('patientId, granteeId (or clinicianId), and consentType are required'),
         400
       ));
     }
 
     // Call service
-    const result = await consentService.grantConsent(patientId, clinicianId, consentType, {
+    const result = await consentService.grantConsent(patientId, granteeId, consentType, {
+      granteeType,
       expiresAt,
       purpose,
+      scope,
+      actorId: req.auth?.actorId,
       grantedBy,
       metadata
     });
@@ -60,12 +81,19 @@ router.post('/grant', async (req, res, next) => {
     res.status(201).json(formatSuccess(result, 'Consent granted successfully'));
   } catch (error) {
     // Handle specific error types
-    if (error.message.includes('not found') || error.message.includes('Invalid')) {
+    if (error.message.includes('not found') || error.message.includes('Invalid') ||
+        error.message.includes('has been deactivated')) {
       return res.status(400).json(formatError(error, 400));
     }
     if (error.message.includes('already exists')) {
       return res.status(409).json(formatError(error, 409));
     }
+    if (error.message.includes('has been erased')) {
+      return res.status(410).json(formatError(error, 410));
+    }
+    if (error.message.includes('Acting party')) {
+      return res.status(403).json(formatError(error, 403));
+    }
     next(error);
   }
 });
@@ -76,7 +104,7 @@ router.post('/grant', async (req, res, next) => {
  */
 router.post('/revoke', async (req, res, next) => {
   try {
-    const { consentId } = req.body;
+    const { consentId, revokedBy, reason } = req.body;
 
     // Validate required fields
     if (!consentId) {
@@ -87,7 +115,11 @@ router.post('/revoke', async (req, res, next) => {
     }
 
     // Call service (revokedBy is optional, will default to patientId)
-    const result = await consentService.revokeConsent(consentId);
+    const result = await consentService.revokeConsent(consentId, {
+      actorId: req.auth?.actorId,
+      revokedBy,
+      reason
+    });
 
     res.status(200).json(formatSuccess(result, 'Consent revoked successfully'));
   } catch (error) {
@@ -98,13 +130,147 @@ router.post('/revoke', async (req, res, next) => {
     if (error.message.includes('already been revoked') || error.message.includes('already expired')) {
       return res.status(409).json(formatError(error, 409));
     }
+    if (error.message.includes('Acting party')) {
+      return res.status(403).json(formatError(error, 403));
+    }
     next(error);
   }
 });
 
+/**
+ * Send the outcome of a bulk operation
+ * A rejected batch is answered with 400 and the per-item results, so the caller
+ * can see which items failed.
+ */
+function sendBatch(res, result, status, message) {
+  if (!result.applied) {
+    const error = new Error(`Batch rejected: ${result.failed} of ${result.count} items are invalid`);
+    return res.status(400).json({ ...formatError(error, 400), data: result });
+  }
+  res.status(status).json(formatSuccess(result, message));
+}
+
+/**
+ * POST /api/consent/bulk/grant
+ * Grant many consents in one batch; nothing is granted if any item is invalid
+ */
+router.post('/bulk/grant', async (req, res, next) => {
+  try {
+    const result = await consentService.bulkGrant(req.body.items, { actorId: req.auth?.actorId });
+
+    sendBatch(res, result, 201, 'Consents granted successfully');
+  } catch (error) {
+    if (error.message.includes('must')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consent/bulk/revoke
+ * Revoke many consents in one batch; nothing is revoked if any item is invalid
+ */
+router.post('/bulk/revoke', async (req, res, next) => {
+  try {
+    const result = await consentService.bulkRevoke(req.body.items, { actorId: req.auth?.actorId });
+
+    sendBatch(res, result, 200, 'Consents revoked successfully');
+  } catch (error) {
+    if (error.message.includes('must')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consent/amend
+ * Amend a consent; extending the clinician's access requires confirmed: true
+ */
+router.post('/amend', async (req, res, next) => {
+  try {
+    const { consentId, expiresAt, purpose, scope, confirmed, amendedBy, reason } = req.body;
+
+    // Validate required fields
+    if (!consentId) {
+      return res.status(400).json(formatError(
+        new Error('consentId is required'),
+        400
+      ));
+    }
+
+    const result = await consentService.amendConsent(consentId, {
+      expiresAt,
+      purpose,
+      scope,
+      confirmed,
+      actorId: req.auth?.actorId,
+      amendedBy,
+      reason
+    });
+
+    res.status(200).json(formatSuccess(result, 'Consent amended successfully'));
+  } catch (error) {
+    handleChangeError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/consent/renew
+ * Renew a consent; requires confirmed: true
+ */
+router.post('/renew', async (req, res, next) => {
+  try {
+    const { consentId, expiresAt, confirmed, renewedBy, reason } = req.body;
+
+    // Validate required fields
+    if (!consentId) {
+      return res.status(400).json(formatError(
+        new Error('consentId is required'),
+        400
+      ));
+    }
+
+    const result = await consentService.renewConsent(consentId, {
+      expiresAt,
+      confirmed,
+      actorId: req.auth?.actorId,
+      renewedBy,
+      reason
+    });
+
+    res.status(200).json(formatSuccess(result, 'Consent renewed successfully'));
+  } catch (error) {
+    handleChangeError(error, res, next);
+  }
+});
+
+/**
+ * Map errors of amendments and renewals to responses
+ */
+function handleChangeError(error, res, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json(formatError(error, 404));
+  }
+  if (error.message.includes('Invalid') || error.message.includes('must')) {
+    return res.status(400).json(formatError(error, 400));
+  }
+  if (error.message.includes('already') || error.message.includes('requires confirmation')) {
+    return res.status(409).json(formatError(error, 409));
+  }
+  if (error.message.includes('has been erased')) {
+    return res.status(410).json(formatError(error, 410));
+  }
+  if (error.message.includes('Acting party')) {
+    return res.status(403).json(formatError(error, 403));
+  }
+  next(error);
+}
+
 /**
  * GET /api/consent/check/:patientId/:clinicianId/:type
- * Check if consent exists and is valid
+ * Check if consent exists and is valid (at ?asOf= date or ?atBlock= block index if given)
  */
 router.get('/check/:patientId/:clinicianId/:type', async (req, res, next) => {
   try {
@@ -119,7 +285,10 @@ router.get('/check/:patientId/:clinicianId/:type', async (req, res, next) => {
     }
 
     // Call service
-    const result = await consentService.checkConsent(patientId, clinicianId, type);
+    const result = await consentService.checkConsent(patientId, clinicianId, type, {
+      asOf: req.query.asOf,
+      atBlock: req.query.atBlock
+    });
 
     res.status(200).json(formatSuccess(result, 'Consent check completed'));
   } catch (error) {
@@ -127,6 +296,32 @@ router.get('/check/:patientId/:clinicianId/:type', async (req, res, next) => {
     if (error.message.includes('Invalid') || error.message.includes('required')) {
       return res.status(400).json(formatError(error, 400));
     }
+    if (error.message.includes('not found')) {
+      return res.status(404).json(formatError(error, 404));
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/consent/timeline/:patientId
+ * Get the state transitions of a patient's consents per clinician and consent type
+ */
+router.get('/timeline/:patientId', async (req, res, next) => {
+  try {
+    const result = await consentService.getConsentTimeline(req.params.patientId, {
+      clinicianId: req.query.clinicianId,
+      consentType: req.query.consentType
+    });
+
+    res.status(200).json(formatSuccess(result, 'Consent timeline retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json(formatError(error, 404));
+    }
     next(error);
   }
 });
@@ -189,6 +384,116 @@ router.get('/active/:patientId', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/consent/delegations
+ * Appoint a guardian or healthcare proxy
+ */
+router.post('/delegations', async (req, res, next) => {
+  try {
+    const { patientId, delegateId, relationship, expiresAt, canDelegate, appointedBy, metadata } = req.body;
+
+    // Validate required fields
+    if (!patientId || !delegateId || !relationship) {
+      return res.status(400).json(formatError(
+        new Error('patientId, delegateId, and relationship are required'),
+        400
+      ));
+    }
+
+    const result = await consentService.appointDelegate(patientId, delegateId, {
+      relationship,
+      expiresAt,
+      canDelegate,
+      actorId: req.auth?.actorId,
+      appointedBy,
+      metadata
+    });
+
+    res.status(201).json(formatSuccess(result, 'Delegate appointed successfully'));
+  } catch (error) {
+    if (error.message.includes('not found') || error.message.includes('Invalid') ||
+        error.message.includes('must be')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json(formatError(error, 409));
+    }
+    if (error.message.includes('has been erased')) {
+      return res.status(410).json(formatError(error, 410));
+    }
+    if (error.message.includes('Acting party') || error.message.includes('does not allow')) {
+      return res.status(403).json(formatError(error, 403));
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consent/delegations/:delegationId/revoke
+ * Revoke a delegation (delegations appointed under it end with it)
+ */
+router.post('/delegations/:delegationId/revoke', async (req, res, next) => {
+  try {
+    const { revokedBy, reason } = req.body;
+
+    const result = await consentService.revokeDelegation(req.params.delegationId, {
+      actorId: req.auth?.actorId,
+      revokedBy,
+      reason
+    });
+
+    res.status(200).json(formatSuccess(result, 'Delegation revoked successfully'));
+  } catch (error) {
+    if (error.message.includes('not found') || error.message.includes('Invalid')) {
+      return res.status(404).json(formatError(error, 404));
+    }
+    if (error.message.includes('already been revoked')) {
+      return res.status(409).json(formatError(error, 409));
+    }
+    if (error.message.includes('may revoke')) {
+      return res.status(403).json(formatError(error, 403));
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/consent/delegations
+ * List the delegations of a patient (?patientId=) and/or held by a delegate (?delegateId=)
+ */
+router.get('/delegations', async (req, res, next) => {
+  try {
+    const result = await consentService.getDelegations({
+      patientId: req.query.patientId,
+      delegateId: req.query.delegateId
+    });
+
+    res.status(200).json(formatSuccess(result, 'Delegations retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('required')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/consent/delegations/:delegationId/chain
+ * Get the chain of delegations from the patient down to a delegation
+ */
+router.get('/delegations/:delegationId/chain', async (req, res, next) => {
+  try {
+    const result = await consentService.getDelegationChain(req.params.delegationId);
+
+    res.status(200).json(formatSuccess(result, 'Delegation chain retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json(formatError(error, 404));
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /api/consent/all
  * Get all consents from all patients
@@ -6,37 +6,147 @@
  */
 
 const ConsentContract = require('./ConsentContract.js');
+const AIModelContract = require('../data-storage/AIModelContract.js');
+const OrganizationContract = require('../data-storage/OrganizationContract.js');
+const ResearchStudyContract = require('../data-storage/ResearchStudyContract.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
 const { isValidUUID } = require('../../utils/helpers.js');
 
+const CONSENT_TYPES = ['Data Access', 'AI Analysis', 'Research', 'Treatment'];
+const MAX_BATCH_ITEMS = 5000;
+
 class ConsentService {
-  constructor(blockchain, patientContract, clinicianContract) {
+  /**
+   * The AI model, organization and research study registries default to
+   * contracts on the same blockchain.
+   */
+  constructor(blockchain, patientContract, clinicianContract, aiModelContract, organizationContract, researchStudyContract) {
     this.contract = new ConsentContract(blockchain);
     this.patientContract = patientContract;
     this.clinicianContract = clinicianContract;
+    this.aiModelContract = aiModelContract || new AIModelContract(blockchain);
+    this.organizationContract = organizationContract || new OrganizationContract(blockchain);
+    this.researchStudyContract = researchStudyContract || new ResearchStudyContract(blockchain);
+    this.auditLogger = new AuditLogger(blockchain);
+  }
+
+  /**
+   * Registry and rules of each kind of grantee
+   * consentTypes limits the consents a grantee may receive (all if omitted).
+   */
+  getGranteeRegistry(granteeType) {
+    switch (granteeType) {
+      case 'clinician':
+        return { label: 'Clinician', find: id => this.clinicianContract.getClinician(id) };
+      case 'ai-model':
+        // AI models read records under AI Analysis consent (see MedicalRecordService)
+        return { label: 'AI Model', find: id => this.aiModelContract.getAIModel(id), consentTypes: ['AI Analysis'] };
+      case 'organization':
+        return { label: 'Organization', find: id => this.organizationContract.getOrganization(id) };
+      case 'research-study':
+        return { label: 'Research study', find: id => this.researchStudyContract.getStudy(id), consentTypes: ['Research'] };
+      default:
+        throw new Error(`Invalid grantee type. Must be one of: ${ConsentContract.GRANTEE_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check that a grantee is registered and active and may receive the consent type
+   * 
+   * @param {string} granteeId - Grantee ID
+   * @param {string} granteeType - Kind of grantee (see ConsentContract.GRANTEE_TYPES)
+   * @param {string} consentType - Type of consent
+   * @returns {Object} Grantee record
+   */
+  validateGrantee(granteeId, granteeType, consentType) {
+    const registry = this.getGranteeRegistry(granteeType);
+    if (!isValidUUID(granteeId)) {
+      throw new Error(`Invalid ${registry.label.toLowerCase()} ID format`);
+    }
+
+    const grantee = registry.find(granteeId);
+    if (!grantee) {
+      throw new Error(`${registry.label} not found`);
+    }
+    if (grantee.isActive === false) {
+      throw new Error(`${registry.label} has been deactivated`);
+    }
+    if (registry.consentTypes && !registry.consentTypes.includes(consentType)) {
+      throw new Error(`Invalid consent type for grantee type ${granteeType}. Must be one of: ${registry.consentTypes.join(', ')}`);
+    }
+    return grantee;
+  }
+
+  /**
+   * Resolve the party acting on a patient's consents
+   * An authenticated caller who is the patient or one of their delegates acts
+   * in person; otherwise (staff, or authentication disabled) the claimed party
+   * is used, which defaults to the patient.
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} actorId - Authenticated caller (optional)
+   * @param {string} claimed - Acting party named in the request (optional)
+   * @returns {string|undefined} Acting party
+   */
+  resolveActingParty(patientId, actorId, claimed) {
+    if (actorId && this.contract.delegations.canActFor(actorId, patientId)) {
+      return actorId;
+    }
+    return claimed || undefined;
   }
 
   /**
    * Grant consent
    * 
    * @param {string} patientId - Patient ID
-   * @param {string} clinicianId - Clinician ID
+   * @param {string} granteeId - Clinician, AI model, organization or research study ID
    * @param {string} consentType - Type of consent
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (granteeType (default 'clinician'),
+   *   actorId: authenticated caller, grantedBy: claimed acting party)
    * @returns {Promise<Object>} Result with consent ID and transaction info
    */
-  async grantConsent(patientId, clinicianId, consentType, options = {}) {
+  async grantConsent(patientId, granteeId, consentType, options = {}) {
+    const { granteeType, grantedBy } = this.checkGrant(patientId, granteeId, consentType, options);
+
+    // Call contract to grant consent
+    const result = this.contract.grantConsent(patientId, granteeId, consentType, { ...options, granteeType, grantedBy });
+    
+    // Calculate expiresAt (contract sets it, but we need to return it)
+    const expiresAt = options.expiresAt 
+      ? new Date(options.expiresAt).toISOString()
+      : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+    
+    return {
+      success: true,
+      consentId: result.consentId,
+      patientId,
+      clinicianId: granteeId,
+      granteeId,
+      granteeType,
+      consentType,
+      expiresAt,
+      scope: result.scope,
+      grantedBy: grantedBy || patientId,
+      transaction: result.transaction
+    };
+  }
+
+  /**
+   * Validate a grant against the registries (see grantConsent)
+   *
+   * @returns {Object} { granteeType, grantedBy } - grantedBy is undefined when the patient acts
+   */
+  checkGrant(patientId, granteeId, consentType, options = {}) {
+    const granteeType = options.granteeType || 'clinician';
+
     // Validate UUIDs
     if (!isValidUUID(patientId)) {
       throw new Error('Invalid patient ID format');
     }
-    if (!isValidUUID(clinicianId)) {
-      throw new Error('Invalid clinician ID format');
-    }
 
     // Validate consent type
-    const validConsentTypes = ['Data Access', 'AI Analysis', 'Research', 'Treatment'];
-    if (!consentType || !validConsentTypes.includes(consentType)) {
-      throw new Error(`Invalid consent type. Must be one of: ${validConsentTypes.join(', ')}`);
+    if (!consentType || !CONSENT_TYPES.includes(consentType)) {
+      throw new Error(`Invalid consent type. Must be one of: ${CONSENT_TYPES.join(', ')}`);
     }
 
     // Validate patient exists in blockchain
@@ -44,13 +154,13 @@ class ConsentService {
     if (!patient) {
       throw new Error('Patient not found');
     }
-
-    // Validate clinician exists in blockchain
-    const clinician = this.clinicianContract.getClinician(clinicianId);
-    if (!clinician) {
-      throw new Error('Clinician not found');
+    if (patient.erased) {
+      throw new Error('Patient has been erased');
     }
 
+    // Validate the grantee against its registry
+    this.validateGrantee(granteeId, granteeType, consentType);
+
     // Validate expiration date if provided
     if (options.expiresAt) {
       const expirationDate = new Date(options.expiresAt);
@@ -62,57 +172,476 @@ class ConsentService {
       }
     }
 
-    // Call contract to grant consent
-    const result = this.contract.grantConsent(patientId, clinicianId, consentType, options);
-    
-    // Calculate expiresAt (contract sets it, but we need to return it)
-    const expiresAt = options.expiresAt 
-      ? new Date(options.expiresAt).toISOString()
-      : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+    return {
+      granteeType,
+      grantedBy: this.resolveActingParty(patientId, options.actorId, options.grantedBy)
+    };
+  }
+
+  /**
+   * Revoke consent
+   * Revoking a consent to a research study withdraws the patient from the
+   * study; withdrawals are written to the audit trail.
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {Object} options - { actorId: authenticated caller, revokedBy: claimed acting party, reason }
+   * @returns {Promise<Object>} Result with transaction info (and auditLogId for withdrawals)
+   */
+  async revokeConsent(consentId, options = {}) {
+    const { consent, revokedBy } = this.checkRevocation(consentId, options);
+
+    // Call contract to revoke consent (revokedBy defaults to patientId)
+    const result = this.contract.revokeConsent(consentId, { revokedBy, reason: options.reason });
+
+    const auditLogId = await this.logWithdrawal(consent, revokedBy, options.reason, result.transaction.id);
     
     return {
       success: true,
-      consentId: result.consentId,
-      patientId,
-      clinicianId,
-      consentType,
-      expiresAt,
+      action: 'revoke',
+      consentId,
+      revokedBy: revokedBy || consent.patientId,
+      ...(auditLogId ? { auditLogId } : {}),
       transaction: result.transaction
     };
   }
 
   /**
-   * Revoke consent
+   * Look up the consent to revoke and the party revoking it (see revokeConsent)
+   *
+   * @returns {Object} { consent, revokedBy } - revokedBy is undefined when the patient acts
+   */
+  checkRevocation(consentId, options = {}) {
+    // Validate UUIDs
+    if (!isValidUUID(consentId)) {
+      throw new Error('Invalid consent ID format');
+    }
+
+    const consent = this.contract.getConsentById(consentId);
+    if (!consent) {
+      throw new Error('Consent record not found');
+    }
+
+    return { consent, revokedBy: this.resolveActingParty(consent.patientId, options.actorId, options.revokedBy) };
+  }
+
+  /**
+   * Write a withdrawal from a research study to the audit trail
+   *
+   * @returns {Promise<string|undefined>} Audit log ID, or undefined when the consent is not to a study
+   */
+  async logWithdrawal(consent, revokedBy, reason, transactionId) {
+    if (consent.granteeType !== 'research-study') {
+      return undefined;
+    }
+    const log = await this.auditLogger.logConsentChange({
+      consentId: consent.consentId,
+      action: 'withdrawn',
+      actorId: revokedBy || consent.patientId,
+      patientId: consent.patientId,
+      clinicianId: consent.clinicianId,
+      consentType: consent.consentType,
+      metadata: {
+        studyId: consent.clinicianId,
+        tier: consent.scope?.tier || null,
+        reason: reason || null,
+        transactionId
+      }
+    });
+    return log.logId;
+  }
+
+  /**
+   * Grant many consents at once, all or none
+   * Every item is checked as a single grant would be, and against the other
+   * items, before anything is written. If any item fails nothing is granted;
+   * otherwise the grants are submitted as one batch and committed in one block.
+   *
+   * @param {Array<Object>} items - { patientId, granteeId (or clinicianId), granteeType, consentType,
+   *   purpose, scope, expiresAt, grantedBy } as for grantConsent
+   * @param {Object} options - { actorId: authenticated caller }
+   * @returns {Promise<Object>} { applied, batchId, count, failed, results } - one result per item, in order
+   */
+  async bulkGrant(items, options = {}) {
+    const seen = new Set();
+    const batch = this.prepareBatch(items, (item) => {
+      const granteeId = item.granteeId || item.clinicianId;
+      const { granteeType, grantedBy } = this.checkGrant(item.patientId, granteeId, item.consentType, {
+        granteeType: item.granteeType,
+        expiresAt: item.expiresAt,
+        actorId: options.actorId,
+        grantedBy: item.grantedBy
+      });
+
+      const key = `${item.patientId}:${granteeId}:${item.consentType}`;
+      if (seen.has(key)) {
+        throw new Error('Duplicate of an earlier item in the batch');
+      }
+      seen.add(key);
+
+      return this.contract.prepareGrant(item.patientId, granteeId, item.consentType, {
+        granteeType,
+        grantedBy,
+        purpose: item.purpose,
+        scope: item.scope,
+        expiresAt: item.expiresAt
+      });
+    });
+    if (!batch.applied) {
+      return batch;
+    }
+
+    const { transactions, ...summary } = batch;
+    return {
+      ...summary,
+      results: transactions.map((tx, index) => ({
+        index,
+        status: 'granted',
+        consentId: tx.data.consentId,
+        patientId: tx.data.patientId,
+        granteeId: tx.data.clinicianId,
+        granteeType: tx.data.granteeType,
+        consentType: tx.data.consentType,
+        expiresAt: tx.data.expiresAt,
+        grantedBy: tx.data.grantedBy,
+        transactionId: tx.id
+      }))
+    };
+  }
+
+  /**
+   * Revoke many consents at once, all or none (see bulkGrant)
+   * Withdrawals from research studies are written to the audit trail.
+   *
+   * @param {Array<Object>} items - { consentId, reason, revokedBy }
+   * @param {Object} options - { actorId: authenticated caller }
+   * @returns {Promise<Object>} { applied, batchId, count, failed, results } - one result per item, in order
+   */
+  async bulkRevoke(items, options = {}) {
+    const checked = [];
+    const batch = this.prepareBatch(items, (item) => {
+      const { consent, revokedBy } = this.checkRevocation(item.consentId, {
+        actorId: options.actorId,
+        revokedBy: item.revokedBy
+      });
+      if (checked.some(earlier => earlier.consent.consentId === consent.consentId)) {
+        throw new Error('Duplicate of an earlier item in the batch');
+      }
+
+      const revocation = this.contract.prepareRevocation(consent.consentId, { revokedBy, reason: item.reason });
+      checked.push({ consent, revokedBy, reason: item.reason });
+      return revocation;
+    });
+    if (!batch.applied) {
+      return batch;
+    }
+
+    const { transactions, ...summary } = batch;
+    const results = [];
+    for (const [index, tx] of transactions.entries()) {
+      const { consent, revokedBy, reason } = checked[index];
+      const auditLogId = await this.logWithdrawal(consent, revokedBy, reason, tx.id);
+      results.push({
+        index,
+        status: 'revoked',
+        consentId: consent.consentId,
+        patientId: consent.patientId,
+        revokedBy: tx.data.revokedBy,
+        ...(auditLogId ? { auditLogId } : {}),
+        transactionId: tx.id
+      });
+    }
+    return { ...summary, results };
+  }
+
+  /**
+   * Prepare every item of a batch and submit the batch if all of them are valid
+   *
+   * @param {Array} items - Batch items
+   * @param {Function} prepare - item -> unsigned transaction; throws if the item is invalid
+   * @returns {Object} { applied, batchId, count, failed, results, transactions } - results only when not applied
+   */
+  prepareBatch(items, prepare) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('items must be a non-empty array');
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      throw new Error(`Batch must not have more than ${MAX_BATCH_ITEMS} items`);
+    }
+
+    const prepared = items.map((item) => {
+      try {
+        if (!item || typeof item !== 'object') {
+          throw new Error('Invalid batch item: must be an object');
+        }
+        return { transaction: prepare(item) };
+      } catch (error) {
+        return { error: error.message };
+      }
+    });
+
+    const failed = prepared.filter(entry => entry.error).length;
+    if (failed > 0) {
+      return {
+        applied: false,
+        batchId: null,
+        count: items.length,
+        failed,
+        results: prepared.map((entry, index) => (entry.error
+          ? { index, status: 'invalid', error: entry.error }
+          : { index, status: 'skipped' }))
+      };
+    }
+
+    const { batchId, transactions } = this.contract.submitBatch(prepared.map(entry => entry.transaction));
+    return { applied: true, batchId, count: items.length, failed: 0, transactions };
+  }
+
+  /**
+   * Amend a consent's expiry, purpose or scope, keeping its consent ID
+   * Shortening or narrowing is applied as is; extending the clinician's access
+   * needs confirmed: true.
    * 
    * @param {string} consentId - Consent record ID
-   * @returns {Promise<Object>} Result with transaction info
+   * @param {Object} options - expiresAt, purpose, scope, confirmed, reason,
+   *   actorId (authenticated caller), amendedBy (claimed acting party)
+   * @returns {Promise<Object>} Result with the previous and new values and transaction info
    */
-  async revokeConsent(consentId) {
-    // Validate UUIDs
+  async amendConsent(consentId, options = {}) {
+    const consent = this.getChangeableConsent(consentId, options.expiresAt);
+
+    const amendedBy = this.resolveActingParty(consent.patientId, options.actorId, options.amendedBy);
+    const result = this.contract.amendConsent(consentId, {
+      expiresAt: options.expiresAt,
+      purpose: options.purpose,
+      scope: options.scope,
+      confirmed: options.confirmed,
+      reason: options.reason,
+      amendedBy
+    });
+
+    return {
+      success: true,
+      action: 'amend',
+      consentId,
+      changes: result.changes,
+      amendedBy: amendedBy || consent.patientId,
+      transaction: result.transaction
+    };
+  }
+
+  /**
+   * Renew a consent, keeping its consent ID
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {Object} options - expiresAt (default: 1 year from now), confirmed, reason,
+   *   actorId (authenticated caller), renewedBy (claimed acting party)
+   * @returns {Promise<Object>} Result with the previous and new expiry and transaction info
+   */
+  async renewConsent(consentId, options = {}) {
+    const consent = this.getChangeableConsent(consentId, options.expiresAt);
+
+    const renewedBy = this.resolveActingParty(consent.patientId, options.actorId, options.renewedBy);
+    const result = this.contract.renewConsent(consentId, {
+      expiresAt: options.expiresAt,
+      confirmed: options.confirmed,
+      reason: options.reason,
+      renewedBy
+    });
+
+    return {
+      success: true,
+      action: 'renew',
+      consentId,
+      expiresAt: result.changes.expiresAt.current,
+      changes: result.changes,
+      renewedBy: renewedBy || consent.patientId,
+      transaction: result.transaction
+    };
+  }
+
+  /**
+   * Validate an amendment or renewal request and look up its consent
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {string} expiresAt - Requested expiration date (optional)
+   * @returns {Object} Consent record
+   */
+  getChangeableConsent(consentId, expiresAt) {
     if (!isValidUUID(consentId)) {
       throw new Error('Invalid consent ID format');
     }
 
-    // Call contract to revoke consent (revokedBy will default to patientId)
-    const result = this.contract.revokeConsent(consentId);
-    
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const expirationDate = new Date(expiresAt);
+      if (isNaN(expirationDate.getTime())) {
+        throw new Error('Invalid expiration date format');
+      }
+      if (expirationDate <= new Date()) {
+        throw new Error('Expiration date must be in the future');
+      }
+    }
+
+    const consent = this.contract.getConsentById(consentId);
+    if (!consent) {
+      throw new Error('Consent record not found');
+    }
+
+    const patient = this.patientContract.getPatient(consent.patientId);
+    if (patient && patient.erased) {
+      throw new Error('Patient has been erased');
+    }
+    return consent;
+  }
+
+  /**
+   * Appoint a guardian or healthcare proxy for a patient
+   * Delegates sign their own actions, so they must be registered patients or clinicians.
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} delegateId - Delegate ID
+   * @param {Object} options - relationship, expiresAt, canDelegate, metadata,
+   *   actorId (authenticated caller), appointedBy (claimed acting party)
+   * @returns {Promise<Object>} Result with delegation ID and transaction info
+   */
+  async appointDelegate(patientId, delegateId, options = {}) {
+    if (!isValidUUID(patientId)) {
+      throw new Error('Invalid patient ID format');
+    }
+    if (!isValidUUID(delegateId)) {
+      throw new Error('Invalid delegate ID format');
+    }
+
+    const patient = this.patientContract.getPatient(patientId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+    if (patient.erased) {
+      throw new Error('Patient has been erased');
+    }
+    if (!this.patientContract.getPatient(delegateId) && !this.clinicianContract.getClinician(delegateId)) {
+      throw new Error('Delegate not found');
+    }
+
+    if (options.expiresAt) {
+      const expirationDate = new Date(options.expiresAt);
+      if (isNaN(expirationDate.getTime())) {
+        throw new Error('Invalid expiration date format');
+      }
+      if (expirationDate <= new Date()) {
+        throw new Error('Expiration date must be in the future');
+      }
+    }
+
+    const appointedBy = this.resolveActingParty(patientId, options.actorId, options.appointedBy);
+    const result = this.contract.delegations.appointDelegate(patientId, delegateId, {
+      relationship: options.relationship,
+      expiresAt: options.expiresAt,
+      canDelegate: options.canDelegate,
+      appointedBy,
+      metadata: options.metadata
+    });
+
+    return {
+      success: true,
+      delegationId: result.delegationId,
+      patientId,
+      delegateId,
+      relationship: options.relationship,
+      canDelegate: options.canDelegate === true,
+      expiresAt: result.expiresAt,
+      parentDelegationId: result.parentDelegationId,
+      appointedBy: appointedBy || patientId,
+      transaction: result.transaction
+    };
+  }
+
+  /**
+   * Revoke a delegation (delegations appointed under it end with it)
+   * 
+   * @param {string} delegationId - Delegation ID
+   * @param {Object} options - { actorId: authenticated caller, revokedBy: claimed acting party, reason }
+   * @returns {Promise<Object>} Result with transaction info
+   */
+  async revokeDelegation(delegationId, options = {}) {
+    if (!isValidUUID(delegationId)) {
+      throw new Error('Invalid delegation ID format');
+    }
+
+    const delegation = this.contract.delegations.getDelegationById(delegationId);
+    if (!delegation) {
+      throw new Error('Delegation not found');
+    }
+
+    // The delegate may also step down, so the caller acts in person if they hold the delegation
+    const revokedBy = options.actorId === delegation.delegateId
+      ? options.actorId
+      : this.resolveActingParty(delegation.patientId, options.actorId, options.revokedBy);
+    const result = this.contract.delegations.revokeDelegation(delegationId, { revokedBy, reason: options.reason });
+
     return {
       success: true,
       action: 'revoke',
-      consentId,
+      delegationId,
+      revokedBy: revokedBy || delegation.patientId,
       transaction: result.transaction
     };
   }
 
+  /**
+   * Get the delegations of a patient and/or held by a delegate
+   * 
+   * @param {Object} filters - { patientId, delegateId } (at least one)
+   * @returns {Promise<Object>} Result with delegations
+   */
+  async getDelegations({ patientId, delegateId } = {}) {
+    if (!patientId && !delegateId) {
+      throw new Error('patientId or delegateId is required');
+    }
+
+    const delegations = this.contract.delegations.getDelegations({ patientId, delegateId });
+
+    return {
+      patientId: patientId || null,
+      delegateId: delegateId || null,
+      count: delegations.length,
+      delegations
+    };
+  }
+
+  /**
+   * Get the chain of delegations from the patient down to a delegation
+   * 
+   * @param {string} delegationId - Delegation ID
+   * @returns {Promise<Object>} Result with the chain, the delegation appointed by the patient first
+   */
+  async getDelegationChain(delegationId) {
+    const chain = this.contract.delegations.getDelegationChain(delegationId);
+    if (chain.length === 0) {
+      throw new Error('Delegation not found');
+    }
+
+    return {
+      delegationId,
+      depth: chain.length,
+      isValid: chain[chain.length - 1].isValid,
+      chain
+    };
+  }
+
   /**
    * Check consent validity
+   * With asOf or atBlock the check answers whether consent was valid at that
+   * point in time, counting only mined transactions and the grantee's own
+   * consents. Otherwise a clinician is also covered by a consent to their
+   * organization.
    * 
    * @param {string} patientId - Patient ID
    * @param {string} clinicianId - Clinician ID
    * @param {string} consentType - Type of consent to check
+   * @param {Object} options - { asOf: date, atBlock: block index } (optional)
    * @returns {Promise<Object>} Result with validity status
    */
-  async checkConsent(patientId, clinicianId, consentType) {
+  async checkConsent(patientId, clinicianId, consentType, options = {}) {
     // Validate UUIDs (decode URL-encoded type)
     const decodedType = decodeURIComponent(consentType);
     
@@ -126,14 +655,70 @@ class ConsentService {
       throw new Error('Consent type is required');
     }
 
+    if (this.isPointInTime(options)) {
+      const point = this.contract.resolvePointInTime(options);
+      const consent = this.contract.findValidConsentAt(patientId, clinicianId, decodedType, point);
+
+      return {
+        hasConsent: consent !== null,
+        patientId,
+        clinicianId,
+        consentType: decodedType,
+        consentId: consent ? consent.consentId : null,
+        asOf: new Date(point.timestamp).toISOString(),
+        atBlock: point.blockIndex
+      };
+    }
+
     // Check if valid consent exists
-    const hasConsent = this.contract.hasValidConsent(patientId, clinicianId, decodedType);
+    const consent = this.contract.findCoveringConsent(patientId, clinicianId, decodedType);
     
     return {
-      hasConsent,
+      hasConsent: consent !== null,
       patientId,
       clinicianId,
-      consentType: decodedType
+      consentType: decodedType,
+      consentId: consent ? consent.consentId : null,
+      organizationId: consent?.organizationId || null
+    };
+  }
+
+  /**
+   * Check whether a request asks for a point in time
+   * 
+   * @param {Object} options - { asOf, atBlock }
+   * @returns {boolean} True if asOf or atBlock is set
+   */
+  isPointInTime({ asOf, atBlock } = {}) {
+    return Boolean(asOf) || (atBlock !== undefined && atBlock !== null && atBlock !== '');
+  }
+
+  /**
+   * Get the state transitions of a patient's consents per clinician and consent type
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {Object} filters - { clinicianId, consentType } (optional)
+   * @returns {Promise<Object>} Result with one timeline per clinician and consent type
+   */
+  async getConsentTimeline(patientId, filters = {}) {
+    if (!isValidUUID(patientId)) {
+      throw new Error('Invalid patient ID format');
+    }
+    if (filters.clinicianId && !isValidUUID(filters.clinicianId)) {
+      throw new Error('Invalid clinician ID format');
+    }
+
+    const patient = this.patientContract.getPatient(patientId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    const timelines = this.contract.getConsentTimeline(patientId, filters);
+
+    return {
+      patientId,
+      count: timelines.length,
+      timelines
     };
   }
 
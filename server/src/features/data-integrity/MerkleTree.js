@@ -84,7 +84,16 @@ class MerkleTree {
     }
 
     // Hash all leaves
-    this.leaves = data.map(item => this.hash(item));
+    this.buildLevels(data.map(item => this.hash(item)));
+  }
+
+  /**
+   * Build the tree levels above a list of leaf hashes
+   * 
+   * @param {Array<string>} leaves - Leaf hashes
+   */
+  buildLevels(leaves) {
+    this.leaves = leaves;
     this.levels = [this.leaves]; // First level is the leaves
 
     // Build tree levels bottom-up
@@ -117,6 +126,20 @@ class MerkleTree {
     this.root = currentLevel[0];
   }
 
+  /**
+   * Build a tree from leaf hashes alone (no record data needed)
+   * 
+   * @param {Array<string>} leaves - Leaf hashes
+   * @returns {MerkleTree} Tree
+   */
+  static fromLeaves(leaves) {
+    const tree = new MerkleTree();
+    if (leaves.length > 0) {
+      tree.buildLevels(leaves);
+    }
+    return tree;
+  }
+
   /**
    * Get Merkle root
    * 
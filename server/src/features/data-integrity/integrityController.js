@@ -15,13 +15,16 @@ const { formatSuccess, formatError } = require('../../utils/helpers.js');
 const router = express.Router();
 
 let integrityService = null;
+let integrityServiceBlockchain = null;
 
 router.use((req, res, next) => {
-  if (!integrityService) {
+  // Recreate service if blockchain instance has changed (for tests)
+  if (!integrityService || integrityServiceBlockchain !== req.app.locals.blockchain) {
     integrityService = new IntegrityService(
       req.app.locals.blockchain,
       req.app.locals.medicalRecordContract
     );
+    integrityServiceBlockchain = req.app.locals.blockchain;
   }
   next();
 });
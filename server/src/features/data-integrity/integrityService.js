@@ -2,7 +2,9 @@
  * Data Integrity Service
  * 
  * Handles Merkle tree creation, proof generation, and verification.
- * Caches trees and records for faster access.
+ * Caches trees and records for faster access. Cached records of erased patients
+ * are replaced by tombstones holding only their leaf hash, so their proofs stay
+ * verifiable from hashes.
  */
 
 const MerkleTree = require('./MerkleTree.js');
@@ -14,6 +16,83 @@ class IntegrityService {
     this.medicalRecordContract = medicalRecordContract;
     this.treeCache = new Map(); // Cache trees by root hash
     this.recordsCache = new Map(); // Cache records by root hash
+
+    // Forget trees whose on-chain root was rolled back by a fork
+    if (blockchain && typeof blockchain.on === 'function') {
+      blockchain.on('reorg', (reorg) => this.onReorg(reorg));
+
+      // Drop record contents of erased patients, whether the erasure was made here or arrived from a peer
+      const onErase = (tx) => {
+        if (tx.to === 'patient-contract' && tx.data?.action === 'erase') {
+          this.onErasure(tx.data.patientId);
+        }
+      };
+      blockchain.on('transaction', onErase);
+      blockchain.on('block', (block) => block.transactions.forEach(onErase));
+    }
+  }
+
+  /**
+   * Replace cached records of an erased patient by their leaf hash
+   * The trees keep every leaf, so proofs (generated from the hash) still verify.
+   *
+   * @param {string} patientId - Erased patient
+   * @returns {Array<string>} Roots whose cached records were redacted
+   */
+  onErasure(patientId) {
+    const belongsToPatient = (record) => !!record && typeof record === 'object' && !record.erased &&
+      (record.patientId === patientId || record.id === patientId);
+
+    const redacted = [];
+    for (const [root, records] of this.recordsCache) {
+      if (!records.some(belongsToPatient)) {
+        continue;
+      }
+
+      const tree = this.treeCache.get(root) || this.buildTree(records);
+      this.treeCache.set(root, tree);
+      this.recordsCache.set(root, records.map((record, index) => belongsToPatient(record)
+        ? { id: record.id, patientId: record.patientId || patientId, erased: true, leafHash: tree.leaves[index] }
+        : record));
+      redacted.push(root);
+    }
+    return redacted;
+  }
+
+  /**
+   * Rebuild a tree from cached records (tombstones contribute their leaf hash)
+   */
+  buildTree(records) {
+    const hasher = new MerkleTree();
+    return MerkleTree.fromLeaves(records.map(record => record?.erased && record.leafHash
+      ? record.leafHash
+      : hasher.hash(record)));
+  }
+
+  /**
+   * Evict cached trees whose store-root transaction left the chain in a reorg
+   * Roots that the new branch also stores, or that were re-queued, stay cached.
+   *
+   * @param {Object} reorg - Reorg details emitted by Blockchain.replaceChain
+   * @returns {Array<string>} Evicted roots
+   */
+  onReorg({ removedBlocks = [], addedBlocks = [], requeuedTransactions = [] }) {
+    const storedRoots = (transactions) => transactions
+      .filter(tx => tx.to === 'integrity-contract' && tx.data?.action === 'store-root')
+      .map(tx => tx.data.root);
+
+    const kept = new Set([
+      ...storedRoots(addedBlocks.flatMap(block => block.transactions)),
+      ...storedRoots(requeuedTransactions)
+    ]);
+
+    const evicted = storedRoots(removedBlocks.flatMap(block => block.transactions))
+      .filter(root => !kept.has(root));
+    for (const root of evicted) {
+      this.treeCache.delete(root);
+      this.recordsCache.delete(root);
+    }
+    return evicted;
   }
 
   /**
@@ -96,7 +175,7 @@ class IntegrityService {
       }
 
       // Reconstruct tree from cached records
-      tree = new MerkleTree(cachedRecords);
+      tree = this.buildTree(cachedRecords);
       this.treeCache.set(root, tree);
     }
 
@@ -198,7 +277,7 @@ class IntegrityService {
     }
 
     // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
       from: 'system',
       to: 'integrity-contract',
       data: {
@@ -208,7 +287,7 @@ class IntegrityService {
         recordCount: recordCount,
         timestamp: new Date().toISOString()
       }
-    });
+    }));
 
     // Transaction stays in pending pool for consensus mechanism
     // It will be mined when a block is proposed and consensus is reached
@@ -5,10 +5,15 @@
  * All AI model operations are stored immutably as blockchain transactions.
  */
 
-class AIModelContract {
+const RegistryContract = require('./RegistryContract.js');
+
+class AIModelContract extends RegistryContract {
   constructor(blockchain) {
-    this.blockchain = blockchain;
-    this.contractAddress = 'ai-model-contract';
+    super(blockchain, {
+      contractAddress: 'ai-model-contract',
+      idField: 'modelId',
+      label: 'AI Model'
+    });
   }
 
   /**
@@ -37,14 +42,17 @@ class AIModelContract {
     };
 
     // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
       from: 'system',
       to: this.contractAddress,
       data: modelRecord
-    });
+    }));
 
-    // Mine the transaction immediately so it's available for querying
-    this.blockchain.minePendingTransactions();
+    // Give the new actor a signing key and publish its public key
+    this.blockchain.registerActorKey(modelData.id, 'ai-model');
+
+    // Transaction stays in pending pool until consensus commits it to a block
+    // Reads include pending registrations, so it is visible immediately
 
     return {
       success: true,
@@ -60,46 +68,64 @@ class AIModelContract {
    * Get an AI model by ID
    * 
    * @param {string} modelId - AI Model ID
-   * @returns {Object|null} AI Model record or null if not found
+   * @returns {Object|null} Current AI model record (including pending changes) or null if not found
    */
   getAIModel(modelId) {
-    const transactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.modelId': modelId,
-      'data.action': 'register'
-    });
+    return this.getEntity(modelId);
+  }
 
-    if (transactions.length === 0) {
-      return null;
-    }
+  /**
+   * Get all AI models
+   * 
+   * @param {boolean} activeOnly - If true, only return active AI models
+   * @returns {Array} Array of all AI model records (current versions)
+   */
+  getAllAIModels(activeOnly = false) {
+    return this.getAllEntities({}, activeOnly);
+  }
 
-    // Get the most recent registration
-    const sortedTransactions = transactions.sort((a, b) => b.blockTimestamp - a.blockTimestamp);
-    return sortedTransactions[0].data.data;
+  /**
+   * Update fields of an AI model
+   * 
+   * @param {string} modelId - AI Model ID
+   * @param {Object} changes - Field -> new value
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result with the stored field-level diff
+   */
+  updateAIModel(modelId, changes, options = {}) {
+    return this.updateEntity(modelId, changes, options);
   }
 
   /**
-   * Get all AI models
+   * Deactivate an AI model
    * 
-   * @returns {Array} Array of all AI model records
+   * @param {string} modelId - AI Model ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
    */
-  getAllAIModels() {
-    const transactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.action': 'register'
-    });
+  deactivateAIModel(modelId, options = {}) {
+    return this.deactivateEntity(modelId, options);
+  }
 
-    // Use a Map to ensure uniqueness (in case of duplicates)
-    const modelMap = new Map();
-    
-    transactions.forEach(tx => {
-      const modelId = tx.data.modelId;
-      if (!modelMap.has(modelId) || tx.blockTimestamp > modelMap.get(modelId).blockTimestamp) {
-        modelMap.set(modelId, tx.data.data);
-      }
-    });
+  /**
+   * Reactivate a deactivated AI model
+   * 
+   * @param {string} modelId - AI Model ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  reactivateAIModel(modelId, options = {}) {
+    return this.reactivateEntity(modelId, options);
+  }
 
-    return Array.from(modelMap.values());
+  /**
+   * Get every version of an AI model
+   * 
+   * @param {string} modelId - AI Model ID
+   * @returns {Array} Versions (oldest first) with changes and block references
+   */
+  getAIModelHistory(modelId) {
+    return this.getHistory(modelId);
   }
 }
 
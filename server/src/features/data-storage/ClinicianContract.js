@@ -5,10 +5,16 @@
  * All clinician operations are stored immutably as blockchain transactions.
  */
 
-class ClinicianContract {
+const RegistryContract = require('./RegistryContract.js');
+const ZKIdentityRegistry = require('../zk-proofs/ZKIdentityRegistry.js');
+
+class ClinicianContract extends RegistryContract {
   constructor(blockchain) {
-    this.blockchain = blockchain;
-    this.contractAddress = 'clinician-contract';
+    super(blockchain, {
+      contractAddress: 'clinician-contract',
+      idField: 'clinicianId',
+      label: 'Clinician'
+    });
   }
 
   /**
@@ -37,14 +43,22 @@ class ClinicianContract {
     };
 
     // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
       from: 'system',
       to: this.contractAddress,
       data: clinicianRecord
-    });
+    }));
+
+    // Give the new actor a signing key and publish its public key
+    this.blockchain.registerActorKey(clinicianData.id, 'clinician');
+
+    // Publish its anonymous identity key for ZK permission proofs (needs the private key)
+    if (this.blockchain.keyStore.hasPrivateKey(clinicianData.id)) {
+      new ZKIdentityRegistry(this.blockchain).publishIdentity(clinicianData.id);
+    }
 
-    // Transaction stays in pending pool for consensus mechanism
-    // Tests should mine explicitly when needed
+    // Transaction stays in pending pool until consensus commits it to a block
+    // Reads include pending registrations, so it is visible immediately
 
     return {
       success: true,
@@ -60,53 +74,64 @@ class ClinicianContract {
    * Get a clinician by ID
    * 
    * @param {string} clinicianId - Clinician ID
-   * @returns {Object|null} Clinician record or null if not found
+   * @returns {Object|null} Current clinician record (including pending changes) or null if not found
    */
   getClinician(clinicianId) {
-    const transactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.clinicianId': clinicianId,
-      'data.action': 'register'
-    });
-
-    if (transactions.length === 0) {
-      return null;
-    }
-
-    // Get the most recent registration
-    const sortedTransactions = transactions.sort((a, b) => b.blockTimestamp - a.blockTimestamp);
-    return sortedTransactions[0].data.data;
+    return this.getEntity(clinicianId);
   }
 
   /**
    * Get all clinicians
    * 
    * @param {boolean} activeOnly - If true, only return active clinicians
-   * @returns {Array} Array of all clinician records
+   * @returns {Array} Array of all clinician records (current versions)
    */
   getAllClinicians(activeOnly = false) {
-    const transactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.action': 'register'
-    });
+    return this.getAllEntities({}, activeOnly);
+  }
 
-    // Use a Map to ensure uniqueness (in case of duplicates)
-    const clinicianMap = new Map();
-    
-    transactions.forEach(tx => {
-      const clinicianId = tx.data.clinicianId;
-      if (!clinicianMap.has(clinicianId) || tx.blockTimestamp > clinicianMap.get(clinicianId).blockTimestamp) {
-        clinicianMap.set(clinicianId, tx.data.data);
-      }
-    });
+  /**
+   * Update fields of a clinician
+   * 
+   * @param {string} clinicianId - Clinician ID
+   * @param {Object} changes - Field -> new value
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result with the stored field-level diff
+   */
+  updateClinician(clinicianId, changes, options = {}) {
+    return this.updateEntity(clinicianId, changes, options);
+  }
 
-    let clinicians = Array.from(clinicianMap.values());
-    
-    if (activeOnly) {
-      clinicians = clinicians.filter(c => c.isActive !== false);
-    }
+  /**
+   * Deactivate a clinician
+   * 
+   * @param {string} clinicianId - Clinician ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  deactivateClinician(clinicianId, options = {}) {
+    return this.deactivateEntity(clinicianId, options);
+  }
 
-    return clinicians;
+  /**
+   * Reactivate a deactivated clinician
+   * 
+   * @param {string} clinicianId - Clinician ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  reactivateClinician(clinicianId, options = {}) {
+    return this.reactivateEntity(clinicianId, options);
+  }
+
+  /**
+   * Get every version of a clinician
+   * 
+   * @param {string} clinicianId - Clinician ID
+   * @returns {Array} Versions (oldest first) with changes and block references
+   */
+  getClinicianHistory(clinicianId) {
+    return this.getHistory(clinicianId);
   }
 }
 
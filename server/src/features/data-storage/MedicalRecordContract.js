@@ -3,12 +3,28 @@
  * 
  * This contract manages medical records on the blockchain.
  * All medical record operations are stored immutably as blockchain transactions.
+ * Clinical fields are encrypted with the patient's data key; getters return them
+ * sealed, and decryptRecord opens them once consent has been checked.
  */
 
-class MedicalRecordContract {
+const RegistryContract = require('./RegistryContract.js');
+
+// Clinical content, stored encrypted with the patient's data key
+const SENSITIVE_FIELDS = ['diagnosis', 'condition', 'description', 'notes', 'treatment', 'medications', 'results'];
+
+class MedicalRecordContract extends RegistryContract {
   constructor(blockchain) {
-    this.blockchain = blockchain;
-    this.contractAddress = 'medical-record-contract';
+    super(blockchain, {
+      contractAddress: 'medical-record-contract',
+      idField: 'recordId',
+      label: 'Medical record',
+      immutableFields: ['patientId'],
+      indexFields: ['patientId'],
+      sensitiveFields: SENSITIVE_FIELDS,
+      keyOwnerField: 'patientId',
+      // Contents are only decrypted for a consented read (MedicalRecordService)
+      decryptReads: false
+    });
   }
 
   /**
@@ -33,19 +49,19 @@ class MedicalRecordContract {
       action: 'register',
       recordId: recordData.id,
       patientId: recordData.patientId,
-      data: recordData,
+      data: this.sealRecord(recordData),
       timestamp: new Date().toISOString()
     };
 
     // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
       from: 'system',
       to: this.contractAddress,
       data: record
-    });
+    }));
 
-    // Mine the transaction immediately so it's available for querying
-    this.blockchain.minePendingTransactions();
+    // Transaction stays in pending pool until consensus commits it to a block
+    // Reads include pending registrations, so it is visible immediately
 
     return {
       success: true,
@@ -61,55 +77,70 @@ class MedicalRecordContract {
    * Get a medical record by ID
    * 
    * @param {string} recordId - Medical record ID
-   * @returns {Object|null} Medical record or null if not found
+   * @returns {Object|null} Current medical record (including pending changes, clinical fields sealed) or null if not found
    */
   getMedicalRecord(recordId) {
-    const transactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.recordId': recordId,
-      'data.action': 'register'
-    });
-
-    if (transactions.length === 0) {
-      return null;
-    }
-
-    // Get the most recent registration
-    const sortedTransactions = transactions.sort((a, b) => b.blockTimestamp - a.blockTimestamp);
-    return sortedTransactions[0].data.data;
+    return this.getEntity(recordId);
   }
 
   /**
    * Get all medical records
    * 
    * @param {string} patientId - Optional patient ID to filter by
-   * @returns {Array} Array of all medical records
+   * @param {boolean} activeOnly - If true, only return active records
+   * @returns {Array} Array of all medical records (current versions, clinical fields sealed)
    */
-  getAllMedicalRecords(patientId = null) {
-    const searchCriteria = {
-      to: this.contractAddress,
-      'data.action': 'register'
-    };
+  getAllMedicalRecords(patientId = null, activeOnly = false) {
+    return this.getAllEntities(patientId ? { 'data.patientId': patientId } : {}, activeOnly);
+  }
 
-    if (patientId) {
-      searchCriteria['data.patientId'] = patientId;
-    }
+  /**
+   * Update fields of a medical record
+   * 
+   * @param {string} recordId - Medical record ID
+   * @param {Object} changes - Field -> new value
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result with the stored field-level diff
+   */
+  updateMedicalRecord(recordId, changes, options = {}) {
+    return this.updateEntity(recordId, changes, options);
+  }
 
-    const transactions = this.blockchain.searchTransactions(searchCriteria);
+  /**
+   * Deactivate a medical record
+   * 
+   * @param {string} recordId - Medical record ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  deactivateMedicalRecord(recordId, options = {}) {
+    return this.deactivateEntity(recordId, options);
+  }
 
-    // Use a Map to ensure uniqueness (in case of duplicates)
-    const recordMap = new Map();
-    
-    transactions.forEach(tx => {
-      const recordId = tx.data.recordId;
-      if (!recordMap.has(recordId) || tx.blockTimestamp > recordMap.get(recordId).blockTimestamp) {
-        recordMap.set(recordId, tx.data.data);
-      }
-    });
+  /**
+   * Reactivate a deactivated medical record
+   * 
+   * @param {string} recordId - Medical record ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  reactivateMedicalRecord(recordId, options = {}) {
+    return this.reactivateEntity(recordId, options);
+  }
 
-    return Array.from(recordMap.values());
+  /**
+   * Get every version of a medical record
+   * 
+   * @param {string} recordId - Medical record ID
+   * @returns {Array} Versions (oldest first) with changes and block references
+   */
+  getMedicalRecordHistory(recordId) {
+    return this.getHistory(recordId);
   }
 }
 
+// Consent scopes mask these fields (see ConsentScope)
+MedicalRecordContract.SENSITIVE_FIELDS = SENSITIVE_FIELDS;
+
 module.exports = MedicalRecordContract;
 
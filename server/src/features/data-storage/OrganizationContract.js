@@ -0,0 +1,144 @@
+/**
+ * Organization Contract - Smart Contract for Organization Data Storage
+ *
+ * This contract manages organizations (hospitals, clinics) on the blockchain.
+ * Clinicians belong to an organization through the organizationId field of
+ * their record; a consent granted to an organization covers its active
+ * clinicians (see ConsentContract.findCoveringConsent).
+ */
+
+const RegistryContract = require('./RegistryContract.js');
+
+class OrganizationContract extends RegistryContract {
+  constructor(blockchain) {
+    super(blockchain, {
+      contractAddress: 'organization-contract',
+      idField: 'organizationId',
+      label: 'Organization'
+    });
+  }
+
+  /**
+   * Register a new organization
+   *
+   * @param {Object} organizationData - Organization data (id, name, type, address, ...)
+   * @returns {Object} Transaction result
+   */
+  registerOrganization(organizationData) {
+    if (!organizationData.id || !organizationData.name) {
+      throw new Error('Organization ID and name are required');
+    }
+
+    // Check if organization already exists
+    const existing = this.getOrganization(organizationData.id);
+    if (existing) {
+      throw new Error('Organization already exists');
+    }
+
+    // Create organization record
+    const organizationRecord = {
+      action: 'register',
+      organizationId: organizationData.id,
+      data: organizationData,
+      timestamp: new Date().toISOString()
+    };
+
+    // Create blockchain transaction
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: 'system',
+      to: this.contractAddress,
+      data: organizationRecord
+    }));
+
+    // Transaction stays in pending pool until consensus commits it to a block
+    // Reads include pending registrations, so it is visible immediately
+
+    return {
+      success: true,
+      organizationId: organizationData.id,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Get an organization by ID
+   *
+   * @param {string} organizationId - Organization ID
+   * @returns {Object|null} Current organization record (including pending changes) or null if not found
+   */
+  getOrganization(organizationId) {
+    return this.getEntity(organizationId);
+  }
+
+  /**
+   * Get all organizations
+   *
+   * @param {boolean} activeOnly - If true, only return active organizations
+   * @returns {Array} Array of all organization records (current versions)
+   */
+  getAllOrganizations(activeOnly = false) {
+    return this.getAllEntities({}, activeOnly);
+  }
+
+  /**
+   * Update fields of an organization
+   *
+   * @param {string} organizationId - Organization ID
+   * @param {Object} changes - Field -> new value
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result with the stored field-level diff
+   */
+  updateOrganization(organizationId, changes, options = {}) {
+    return this.updateEntity(organizationId, changes, options);
+  }
+
+  /**
+   * Deactivate an organization
+   * Consents granted to it stop covering its clinicians.
+   *
+   * @param {string} organizationId - Organization ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  deactivateOrganization(organizationId, options = {}) {
+    return this.deactivateEntity(organizationId, options);
+  }
+
+  /**
+   * Reactivate a deactivated organization
+   *
+   * @param {string} organizationId - Organization ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  reactivateOrganization(organizationId, options = {}) {
+    return this.reactivateEntity(organizationId, options);
+  }
+
+  /**
+   * Get every version of an organization
+   *
+   * @param {string} organizationId - Organization ID
+   * @returns {Array} Versions (oldest first) with changes and block references
+   */
+  getOrganizationHistory(organizationId) {
+    return this.getHistory(organizationId);
+  }
+
+  /**
+   * Get the active clinicians of an organization
+   *
+   * @param {string} organizationId - Organization ID
+   * @param {ClinicianContract} clinicianContract - Clinician registry
+   * @returns {Array} Clinician records whose organizationId is this organization
+   */
+  getMembers(organizationId, clinicianContract) {
+    return clinicianContract.getAllClinicians(true)
+      .filter(clinician => clinician.organizationId === organizationId);
+  }
+}
+
+module.exports = OrganizationContract;
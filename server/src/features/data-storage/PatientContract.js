@@ -3,12 +3,25 @@
  * 
  * This contract manages patient records on the blockchain.
  * All patient operations are stored immutably as blockchain transactions.
+ * Identifying fields are encrypted with the patient's data key before they are
+ * written; getters return them decrypted, or a tombstone once the patient has
+ * been erased.
  */
 
-class PatientContract {
+const RegistryContract = require('./RegistryContract.js');
+const ZKIdentityRegistry = require('../zk-proofs/ZKIdentityRegistry.js');
+
+// Identifying fields, stored encrypted with the patient's data key
+const SENSITIVE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'address', 'dateOfBirth', 'ssn'];
+
+class PatientContract extends RegistryContract {
   constructor(blockchain) {
-    this.blockchain = blockchain;
-    this.contractAddress = 'patient-contract';
+    super(blockchain, {
+      contractAddress: 'patient-contract',
+      idField: 'patientId',
+      label: 'Patient',
+      sensitiveFields: SENSITIVE_FIELDS
+    });
   }
 
   /**
@@ -32,19 +45,27 @@ class PatientContract {
     const patientRecord = {
       action: 'register',
       patientId: patientData.id,
-      data: patientData,
+      data: this.sealRecord(patientData),
       timestamp: new Date().toISOString()
     };
 
     // Create blockchain transaction
-    const transaction = this.blockchain.addTransaction({
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
       from: 'system',
       to: this.contractAddress,
       data: patientRecord
-    });
+    }));
+
+    // Give the new actor a signing key and publish its public key
+    this.blockchain.registerActorKey(patientData.id, 'patient');
+
+    // Publish its anonymous identity key for ZK permission proofs (needs the private key)
+    if (this.blockchain.keyStore.hasPrivateKey(patientData.id)) {
+      new ZKIdentityRegistry(this.blockchain).publishIdentity(patientData.id);
+    }
 
-    // Transaction stays in pending pool for consensus mechanism
-    // Tests should mine explicitly when needed
+    // Transaction stays in pending pool until consensus commits it to a block
+    // Reads include pending registrations, so it is visible immediately
 
     return {
       success: true,
@@ -60,48 +81,85 @@ class PatientContract {
    * Get a patient by ID
    * 
    * @param {string} patientId - Patient ID
-   * @returns {Object|null} Patient record or null if not found
+   * @returns {Object|null} Current patient record (including pending changes) or null if not found
    */
   getPatient(patientId) {
-    const transactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.patientId': patientId,
-      'data.action': 'register'
-    });
+    return this.getEntity(patientId);
+  }
 
-    if (transactions.length === 0) {
-      return null;
-    }
+  /**
+   * Get all patients
+   * 
+   * @param {boolean} activeOnly - If true, only return active patients
+   * @returns {Array} Array of all patient records (current versions)
+   */
+  getAllPatients(activeOnly = false) {
+    return this.getAllEntities({}, activeOnly);
+  }
 
-    // Get the most recent registration
-    const sortedTransactions = transactions.sort((a, b) => b.blockTimestamp - a.blockTimestamp);
-    return sortedTransactions[0].data.data;
+  /**
+   * Update fields of a patient
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {Object} changes - Field -> new value
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result with the stored field-level diff
+   */
+  updatePatient(patientId, changes, options = {}) {
+    return this.updateEntity(patientId, changes, options);
   }
 
   /**
-   * Get all patients
+   * Deactivate a patient
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  deactivatePatient(patientId, options = {}) {
+    return this.deactivateEntity(patientId, options);
+  }
+
+  /**
+   * Reactivate a deactivated patient
    * 
-   * @returns {Array} Array of all patient records
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
    */
-  getAllPatients() {
-    const transactions = this.blockchain.searchTransactions({
-      to: this.contractAddress,
-      'data.action': 'register'
-    });
+  reactivatePatient(patientId, options = {}) {
+    return this.reactivateEntity(patientId, options);
+  }
 
-    // Use a Map to ensure uniqueness (in case of duplicates)
-    const patientMap = new Map();
-    
-    transactions.forEach(tx => {
-      const patientId = tx.data.patientId;
-      if (!patientMap.has(patientId) || tx.blockTimestamp > patientMap.get(patientId).blockTimestamp) {
-        patientMap.set(patientId, tx.data.data);
-      }
-    });
+  /**
+   * Erase a patient (right to erasure) by crypto-shredding
+   * Records the erase transaction, then destroys every version of the patient's
+   * data key. The patient and their medical records read back as tombstones.
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result with keyVersionsDestroyed
+   */
+  erasePatient(patientId, options = {}) {
+    const record = this.requireEntity(patientId);
+    const result = this.submitChange('erase', patientId, record, null, options);
+    const { versionsDestroyed } = this.blockchain.keyManager.destroyDataKeys(patientId);
 
-    return Array.from(patientMap.values());
+    return { ...result, keyVersionsDestroyed: versionsDestroyed };
+  }
+
+  /**
+   * Get every version of a patient
+   * 
+   * @param {string} patientId - Patient ID
+   * @returns {Array} Versions (oldest first) with changes and block references
+   */
+  getPatientHistory(patientId) {
+    return this.getHistory(patientId);
   }
 }
 
+PatientContract.SENSITIVE_FIELDS = SENSITIVE_FIELDS;
+
 module.exports = PatientContract;
 
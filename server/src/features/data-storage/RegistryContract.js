@@ -0,0 +1,449 @@
+/**
+ * Registry Contract - Versioned entity storage shared by the data storage contracts
+ *
+ * An entity (patient, clinician, AI model, medical record) is registered once
+ * and then changed with update, deactivate and reactivate transactions. Each
+ * change stores a field-level diff ({ field: { from, to } }) on chain. The
+ * current record and its history are rebuilt by replaying the entity's
+ * transactions in chain order, pending ones last (read-your-writes).
+ *
+ * Sensitive fields are encrypted with the data key of the record's owner (see
+ * KeyManagementService) before they are written, in registrations and in both
+ * sides of a diff, so the chain only holds their envelopes. Contracts with
+ * decryptReads return plaintext from their getters; the others return sealed
+ * records and callers decrypt with decryptRecord once access is established.
+ *
+ * Erasure: PatientContract records an erase transaction after destroying the
+ * patient's data keys. From then on every record encrypted with those keys (the
+ * patient and their medical records) is returned as a tombstone, with its
+ * history reduced to actions and block references.
+ */
+
+const KeyManagementService = require('../../core/KeyManagementService.js');
+
+const CHANGE_ACTIONS = ['update', 'deactivate', 'reactivate'];
+
+// Contract recording erasures; its data.patientId names the owner whose keys were destroyed
+const ERASURE_CONTRACT = 'patient-contract';
+
+class RegistryContract {
+  /**
+   * @param {Blockchain} blockchain - Blockchain instance
+   * @param {Object} options - Contract options
+   * @param {string} options.contractAddress - Contract address
+   * @param {string} options.idField - Transaction data field holding the entity ID (e.g. 'patientId')
+   * @param {string} options.label - Entity name used in errors (e.g. 'Patient')
+   * @param {Array<string>} options.immutableFields - Fields updates may not change (besides id and isActive)
+   * @param {Array<string>} options.indexFields - Record fields copied onto every change (e.g. a record's patientId)
+   * @param {Array<string>} options.sensitiveFields - Fields stored encrypted
+   * @param {string} options.keyOwnerField - Record field naming the owner of the data key (e.g. 'patientId')
+   * @param {boolean} options.decryptReads - If true, getters return decrypted records
+   */
+  constructor(blockchain, {
+    contractAddress,
+    idField,
+    label,
+    immutableFields = [],
+    indexFields = [],
+    sensitiveFields = [],
+    keyOwnerField = 'id',
+    decryptReads = true
+  }) {
+    this.blockchain = blockchain;
+    this.contractAddress = contractAddress;
+    this.idField = idField;
+    this.label = label;
+    this.immutableFields = ['id', 'isActive', ...immutableFields];
+    this.indexFields = indexFields;
+    this.sensitiveFields = sensitiveFields;
+    this.keyOwnerField = keyOwnerField;
+    this.decryptReads = decryptReads;
+  }
+
+  /**
+   * Replay an entity's transactions into its versions
+   * Changes before the registration and repeated registrations are ignored.
+   *
+   * @param {Array} transactions - Transactions of one entity, in chain order
+   * @returns {Array} Versions, oldest first
+   */
+  static replay(transactions) {
+    const versions = [];
+    let record = null;
+
+    for (const tx of transactions) {
+      const { action } = tx.data;
+      if (record?.erased) {
+        break;
+      }
+
+      if (action === 'register' && !record) {
+        record = { ...tx.data.data };
+      } else if (record && action === 'erase') {
+        record = RegistryContract.tombstone(record, tx.data.timestamp);
+      } else if (record && CHANGE_ACTIONS.includes(action)) {
+        record = { ...record };
+        for (const [field, { to }] of Object.entries(tx.data.changes || {})) {
+          record[field] = to;
+        }
+      } else {
+        continue;
+      }
+
+      versions.push({
+        version: versions.length + 1,
+        action,
+        changes: action === 'register' ? null : tx.data.changes,
+        reason: tx.data.reason || null,
+        changedBy: tx.data.changedBy || null,
+        timestamp: tx.data.timestamp,
+        record,
+        transactionId: tx.id,
+        blockIndex: tx.blockIndex,
+        blockHash: tx.blockHash,
+        blockTimestamp: tx.blockTimestamp,
+        pending: tx.pending === true
+      });
+    }
+
+    return versions;
+  }
+
+  /**
+   * Build the tombstone left in place of an erased record
+   *
+   * @param {Object} record - Record (only its IDs are kept)
+   * @param {string} erasedAt - Time of the erasure
+   * @returns {Object} { id, patientId?, isActive: false, erased: true, erasedAt }
+   */
+  static tombstone(record, erasedAt) {
+    return {
+      id: record.id,
+      ...(record.patientId ? { patientId: record.patientId } : {}),
+      isActive: false,
+      erased: true,
+      erasedAt
+    };
+  }
+
+  /**
+   * Whether a record is active (records without the flag are)
+   */
+  static isActive(record) {
+    return record.isActive !== false;
+  }
+
+  /**
+   * Mined and pending transactions of this contract matching the criteria
+   */
+  getTransactions(criteria = {}) {
+    return this.blockchain.searchTransactions({ to: this.contractAddress, ...criteria }, { includePending: true });
+  }
+
+  /**
+   * Get every version of an entity
+   *
+   * @param {string} id - Entity ID
+   * @returns {Array} Versions (oldest first), empty if the entity is unknown
+   */
+  getVersions(id) {
+    return RegistryContract.replay(this.getTransactions({ [`data.${this.idField}`]: id }));
+  }
+
+  /**
+   * Get the current record of an entity
+   *
+   * @param {string} id - Entity ID
+   * @returns {Object|null} Record or null if not registered
+   */
+  getEntity(id) {
+    const versions = this.getVersions(id);
+    return versions.length > 0 ? this.reveal(versions[versions.length - 1].record) : null;
+  }
+
+  /**
+   * Find the erasure of a data key owner
+   *
+   * @param {string} owner - Owner of the data key (patient ID)
+   * @returns {Object|null} Erase transaction data or null if not erased
+   */
+  getErasure(owner) {
+    if (this.sensitiveFields.length === 0 || !owner) {
+      return null;
+    }
+    const [erasure] = this.blockchain.searchTransactions({
+      to: ERASURE_CONTRACT,
+      'data.action': 'erase',
+      'data.patientId': owner
+    }, { includePending: true });
+    return erasure ? erasure.data : null;
+  }
+
+  /**
+   * Get the current records of every entity
+   *
+   * @param {Object} criteria - Extra search criteria (e.g. { 'data.patientId': id })
+   * @param {boolean} activeOnly - If true, leave out deactivated entities
+   * @returns {Array} Records, in registration order
+   */
+  getAllEntities(criteria = {}, activeOnly = false) {
+    const byEntity = new Map();
+    for (const tx of this.getTransactions(criteria)) {
+      const id = tx.data[this.idField];
+      if (!byEntity.has(id)) {
+        byEntity.set(id, []);
+      }
+      byEntity.get(id).push(tx);
+    }
+
+    const records = [];
+    for (const transactions of byEntity.values()) {
+      const versions = RegistryContract.replay(transactions);
+      if (versions.length > 0) {
+        records.push(this.reveal(versions[versions.length - 1].record));
+      }
+    }
+
+    return activeOnly ? records.filter(RegistryContract.isActive) : records;
+  }
+
+  /**
+   * Get the history of an entity with block references
+   *
+   * @param {string} id - Entity ID
+   * @returns {Array} Versions, oldest first
+   */
+  getHistory(id) {
+    const versions = this.getVersions(id);
+    if (versions.length === 0) {
+      throw new Error(`${this.label} not found`);
+    }
+    const current = versions[versions.length - 1].record;
+    const erasure = current.erased ? { timestamp: current.erasedAt } : this.getErasure(current[this.keyOwnerField]);
+    if (erasure) {
+      return versions.map(version => ({
+        ...version,
+        changes: null,
+        record: RegistryContract.tombstone(version.record, erasure.timestamp)
+      }));
+    }
+    return this.decryptReads ? versions.map(version => this.decryptVersion(version)) : versions;
+  }
+
+  /**
+   * Change fields of an entity
+   * Only fields whose value actually changes end up in the stored diff.
+   *
+   * @param {string} id - Entity ID
+   * @param {Object} changes - Field -> new value
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  updateEntity(id, changes, options = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      throw new Error('Changes must be a non-empty object');
+    }
+    for (const field of Object.keys(changes)) {
+      if (this.immutableFields.includes(field)) {
+        throw new Error(`Field '${field}' cannot be updated`);
+      }
+    }
+
+    const record = this.requireEntity(id);
+    const current = this.decryptRecord(record);
+    const diff = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (JSON.stringify(current[field]) !== JSON.stringify(value)) {
+        diff[field] = { from: current[field] === undefined ? null : current[field], to: value };
+      }
+    }
+    if (Object.keys(diff).length === 0) {
+      throw new Error('No changes to apply');
+    }
+
+    const owner = record[this.keyOwnerField];
+    const sealed = {};
+    for (const [field, { from, to }] of Object.entries(diff)) {
+      sealed[field] = { from: this.sealValue(owner, field, from), to: this.sealValue(owner, field, to) };
+    }
+
+    const result = this.submitChange('update', id, record, sealed, options);
+    return this.decryptReads ? { ...result, changes: diff } : result;
+  }
+
+  /**
+   * Deactivate an entity (suspend, retire)
+   *
+   * @param {string} id - Entity ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  deactivateEntity(id, options = {}) {
+    const record = this.requireEntity(id);
+    if (!RegistryContract.isActive(record)) {
+      throw new Error(`${this.label} is already deactivated`);
+    }
+    return this.submitChange('deactivate', id, record, { isActive: { from: true, to: false } }, options);
+  }
+
+  /**
+   * Reactivate a deactivated entity
+   *
+   * @param {string} id - Entity ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  reactivateEntity(id, options = {}) {
+    const record = this.requireEntity(id);
+    if (RegistryContract.isActive(record)) {
+      throw new Error(`${this.label} is already active`);
+    }
+    return this.submitChange('reactivate', id, record, { isActive: { from: false, to: true } }, options);
+  }
+
+  /**
+   * Encrypt a field value if the field is sensitive
+   *
+   * @param {string} owner - Owner of the data key
+   * @param {string} field - Field name
+   * @param {*} value - Plaintext value (null and undefined are stored as is)
+   * @returns {*} Envelope or the unchanged value
+   */
+  sealValue(owner, field, value) {
+    if (!this.sensitiveFields.includes(field) || value === null || value === undefined ||
+        KeyManagementService.isEnvelope(value)) {
+      return value;
+    }
+    return this.blockchain.keyManager.encryptField(owner, field, value);
+  }
+
+  /**
+   * Decrypt a field value if it is an envelope (plaintext from before encryption passes through)
+   */
+  openValue(owner, field, value) {
+    return KeyManagementService.isEnvelope(value)
+      ? this.blockchain.keyManager.decryptField(owner, field, value)
+      : value;
+  }
+
+  /**
+   * Encrypt the sensitive fields of a record
+   *
+   * @param {Object} record - Plaintext record
+   * @returns {Object} Copy with sensitive fields replaced by envelopes
+   */
+  sealRecord(record) {
+    const owner = record[this.keyOwnerField];
+    const sealed = { ...record };
+    for (const field of this.sensitiveFields) {
+      if (field in sealed) {
+        sealed[field] = this.sealValue(owner, field, sealed[field]);
+      }
+    }
+    return sealed;
+  }
+
+  /**
+   * Decrypt the sensitive fields of a record
+   *
+   * @param {Object} record - Sealed record
+   * @returns {Object} Plaintext copy
+   */
+  decryptRecord(record) {
+    if (!record) {
+      return record;
+    }
+    const owner = record[this.keyOwnerField];
+    const plain = { ...record };
+    for (const field of this.sensitiveFields) {
+      if (field in plain) {
+        plain[field] = this.openValue(owner, field, plain[field]);
+      }
+    }
+    return plain;
+  }
+
+  /**
+   * Decrypt the record and the diff of a version
+   */
+  decryptVersion(version) {
+    const owner = version.record[this.keyOwnerField];
+    let changes = version.changes;
+    if (changes) {
+      changes = {};
+      for (const [field, { from, to }] of Object.entries(version.changes)) {
+        changes[field] = { from: this.openValue(owner, field, from), to: this.openValue(owner, field, to) };
+      }
+    }
+    return { ...version, changes, record: this.decryptRecord(version.record) };
+  }
+
+  /**
+   * Record as returned by the getters (decrypted if decryptReads, a tombstone once erased)
+   */
+  reveal(record) {
+    if (record.erased) {
+      return record;
+    }
+    const erasure = this.getErasure(record[this.keyOwnerField]);
+    if (erasure) {
+      return RegistryContract.tombstone(record, erasure.timestamp);
+    }
+    return this.decryptReads ? this.decryptRecord(record) : record;
+  }
+
+  /**
+   * Get the current (sealed) record or throw if the entity is unknown or erased
+   */
+  requireEntity(id) {
+    if (!id) {
+      throw new Error(`${this.label} ID is required`);
+    }
+    const versions = this.getVersions(id);
+    if (versions.length === 0) {
+      throw new Error(`${this.label} not found`);
+    }
+    const record = versions[versions.length - 1].record;
+    if (record.erased || this.getErasure(record[this.keyOwnerField])) {
+      throw new Error(`${this.label} has been erased`);
+    }
+    return record;
+  }
+
+  /**
+   * Submit a change transaction to the pending pool
+   */
+  submitChange(action, id, record, changes, options) {
+    const data = {
+      action,
+      [this.idField]: id,
+      changes,
+      reason: options.reason || null,
+      changedBy: options.changedBy || null,
+      timestamp: new Date().toISOString()
+    };
+    for (const field of this.indexFields) {
+      data[field] = record[field];
+    }
+
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: 'system',
+      to: this.contractAddress,
+      data
+    }));
+
+    return {
+      success: true,
+      [this.idField]: id,
+      action,
+      version: this.getVersions(id).length,
+      changes,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+}
+
+module.exports = RegistryContract;
@@ -0,0 +1,136 @@
+/**
+ * Research Study Contract - Smart Contract for Research Study Data Storage
+ *
+ * This contract manages research studies on the blockchain. A study declares
+ * the purposes it uses data for and the data categories (medical record types)
+ * it needs. Patients join a study with a Research consent granted to it (see
+ * ResearchService).
+ */
+
+const RegistryContract = require('./RegistryContract.js');
+
+class ResearchStudyContract extends RegistryContract {
+  constructor(blockchain) {
+    super(blockchain, {
+      contractAddress: 'research-study-contract',
+      idField: 'studyId',
+      label: 'Research study'
+    });
+  }
+
+  /**
+   * Register a new research study
+   *
+   * @param {Object} studyData - Study data
+   * @param {string} studyData.id - Study ID
+   * @param {string} studyData.title - Study title
+   * @param {Array<string>} studyData.purposes - Purposes the study uses data for
+   * @param {Array<string>} studyData.dataCategories - Record types the study needs (e.g. 'Lab Result')
+   * @param {string} studyData.principalInvestigatorId - Clinician leading the study (optional)
+   * @returns {Object} Transaction result
+   */
+  registerStudy(studyData) {
+    if (!studyData.id || !studyData.title) {
+      throw new Error('Research study ID and title are required');
+    }
+    for (const key of ['purposes', 'dataCategories']) {
+      const values = studyData[key];
+      if (!Array.isArray(values) || values.length === 0 ||
+          !values.every(value => typeof value === 'string' && value.length > 0)) {
+        throw new Error(`Research study ${key} must be a non-empty list of strings`);
+      }
+    }
+
+    // Check if study already exists
+    const existing = this.getStudy(studyData.id);
+    if (existing) {
+      throw new Error('Research study already exists');
+    }
+
+    // Create study record
+    const studyRecord = {
+      action: 'register',
+      studyId: studyData.id,
+      data: {
+        ...studyData,
+        purposes: [...new Set(studyData.purposes)],
+        dataCategories: [...new Set(studyData.dataCategories)]
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    // Create blockchain transaction
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: 'system',
+      to: this.contractAddress,
+      data: studyRecord
+    }));
+
+    // Transaction stays in pending pool until consensus commits it to a block
+    // Reads include pending registrations, so it is visible immediately
+
+    return {
+      success: true,
+      studyId: studyData.id,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Get a research study by ID
+   *
+   * @param {string} studyId - Study ID
+   * @returns {Object|null} Current study record (including pending changes) or null if not found
+   */
+  getStudy(studyId) {
+    return this.getEntity(studyId);
+  }
+
+  /**
+   * Get all research studies
+   *
+   * @param {boolean} activeOnly - If true, only return active studies
+   * @returns {Array} Array of all study records (current versions)
+   */
+  getAllStudies(activeOnly = false) {
+    return this.getAllEntities({}, activeOnly);
+  }
+
+  /**
+   * Deactivate a research study (e.g. when it closes)
+   * Patients can no longer join it and its cohort can no longer be queried.
+   *
+   * @param {string} studyId - Study ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  deactivateStudy(studyId, options = {}) {
+    return this.deactivateEntity(studyId, options);
+  }
+
+  /**
+   * Reactivate a closed research study
+   *
+   * @param {string} studyId - Study ID
+   * @param {Object} options - { changedBy, reason }
+   * @returns {Object} Transaction result
+   */
+  reactivateStudy(studyId, options = {}) {
+    return this.reactivateEntity(studyId, options);
+  }
+
+  /**
+   * Get every version of a research study
+   *
+   * @param {string} studyId - Study ID
+   * @returns {Array} Versions (oldest first) with changes and block references
+   */
+  getStudyHistory(studyId) {
+    return this.getHistory(studyId);
+  }
+}
+
+module.exports = ResearchStudyContract;
@@ -0,0 +1,60 @@
+/**
+ * Erasure Service
+ *
+ * Right-to-erasure workflow for patients. The chain cannot forget, so a patient
+ * is erased by crypto-shredding: PatientContract records an erase transaction
+ * and destroys the patient's data keys, which leaves every encrypted field of
+ * the patient and their medical records unreadable. Reads return tombstones
+ * from then on. Each erasure is written to the audit trail.
+ */
+
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+
+class ErasureService {
+  constructor(blockchain, patientContract, medicalRecordContract) {
+    this.auditLogger = new AuditLogger(blockchain);
+    this.patientContract = patientContract;
+    this.medicalRecordContract = medicalRecordContract;
+  }
+
+  /**
+   * Erase a patient
+   *
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - Erasure options
+   * @param {string} options.actorId - Who carries out the erasure
+   * @param {string} options.reason - Reason (e.g. the request reference)
+   * @returns {Promise<Object>} Erase transaction result with medicalRecordsErased and auditLogId
+   */
+  async erasePatient(patientId, { actorId, reason = null } = {}) {
+    if (!patientId || !actorId) {
+      throw new Error('patientId and actorId are required');
+    }
+
+    // Records share the patient's data key, so they are erased with it
+    const medicalRecordsErased = this.medicalRecordContract
+      ? this.medicalRecordContract.getAllMedicalRecords(patientId).length
+      : 0;
+
+    const result = this.patientContract.erasePatient(patientId, { changedBy: actorId, reason });
+
+    const log = await this.auditLogger.logErasure({
+      patientId,
+      actorId,
+      reason,
+      metadata: {
+        transactionId: result.transaction.id,
+        keyVersionsDestroyed: result.keyVersionsDestroyed,
+        medicalRecordsErased
+      }
+    });
+
+    return {
+      ...result,
+      medicalRecordsErased,
+      auditLogId: log.logId
+    };
+  }
+}
+
+module.exports = ErasureService;
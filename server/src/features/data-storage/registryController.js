@@ -0,0 +1,287 @@
+/**
+ * Registry Controller - API endpoints for patients, clinicians, AI models and organizations
+ *
+ * Endpoints (for each of /api/patients, /api/clinicians, /api/ai-models, /api/organizations):
+ * - GET / - List current records
+ * - PATCH /:id - Update fields ({ changes, reason })
+ * - POST /:id/deactivate - Deactivate ({ reason })
+ * - POST /:id/reactivate - Reactivate ({ reason })
+ * - GET /:id/history - Every version with its field-level changes and block
+ *
+ * Patients also have:
+ * - POST /:id/erase - Erase the patient by crypto-shredding ({ reason })
+ *
+ * Organizations also have:
+ * - POST / - Register an organization ({ id (generated if omitted), name, type, ... })
+ * - GET /:id/members - Active clinicians whose organizationId is the organization
+ *
+ * addVersionRoutes adds the same write and history routes to another router
+ * (medical records).
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const ErasureService = require('./erasureService.js');
+const { formatSuccess, formatError } = require('../../utils/helpers.js');
+
+/**
+ * Map contract errors to HTTP responses
+ */
+function sendError(error, res, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json(formatError(error, 404));
+  }
+  if (error.message.includes('already')) {
+    return res.status(409).json(formatError(error, 409));
+  }
+  if (error.message.includes('has been erased')) {
+    return res.status(410).json(formatError(error, 410));
+  }
+  if (error.message.includes('required') || error.message.includes('must be') ||
+      error.message.includes('cannot be updated') || error.message.includes('No changes')) {
+    return res.status(400).json(formatError(error, 400));
+  }
+  next(error);
+}
+
+/**
+ * Add update, deactivate, reactivate and history routes to a router
+ *
+ * @param {Router} router - Express router
+ * @param {Object} options - Route options
+ * @param {string} options.contract - app.locals key of the contract
+ * @param {string} options.idParam - Route parameter name (e.g. 'recordId')
+ * @param {string} options.label - Entity name used in messages (e.g. 'Medical record')
+ * @param {Object} options.methods - Contract method names { update, deactivate, reactivate, history }
+ */
+function addVersionRoutes(router, { contract, idParam, label, methods }) {
+  const getContract = (req) => req.app.locals[contract];
+  const options = (req) => ({
+    changedBy: req.auth?.actorId || null,
+    reason: typeof req.body.reason === 'string' ? req.body.reason : null
+  });
+
+  router.patch(`/:${idParam}`, (req, res, next) => {
+    try {
+      const result = getContract(req)[methods.update](req.params[idParam], req.body.changes, options(req));
+      res.status(200).json(formatSuccess(result, `${label} updated successfully`));
+    } catch (error) {
+      sendError(error, res, next);
+    }
+  });
+
+  router.post(`/:${idParam}/deactivate`, (req, res, next) => {
+    try {
+      const result = getContract(req)[methods.deactivate](req.params[idParam], options(req));
+      res.status(200).json(formatSuccess(result, `${label} deactivated successfully`));
+    } catch (error) {
+      sendError(error, res, next);
+    }
+  });
+
+  router.post(`/:${idParam}/reactivate`, (req, res, next) => {
+    try {
+      const result = getContract(req)[methods.reactivate](req.params[idParam], options(req));
+      res.status(200).json(formatSuccess(result, `${label} reactivated successfully`));
+    } catch (error) {
+      sendError(error, res, next);
+    }
+  });
+
+  router.get(`/:${idParam}/history`, (req, res, next) => {
+    try {
+      const versions = getContract(req)[methods.history](req.params[idParam]);
+      res.status(200).json(formatSuccess({
+        id: req.params[idParam],
+        versions,
+        count: versions.length
+      }, `${label} history retrieved successfully`));
+    } catch (error) {
+      sendError(error, res, next);
+    }
+  });
+}
+
+/**
+ * Build the router of one registry
+ * list and summarize also receive the authenticated caller (req.auth, undefined
+ * with authentication disabled) so a registry can narrow what it lists.
+ */
+function createRegistryRouter({ contract, label, listName, list, summarize, methods }) {
+  const router = express.Router();
+
+  // Read from blockchain (not mock data)
+  router.get('/', (req, res) => {
+    try {
+      const records = list(req.app.locals[contract], req.auth).map(record => summarize(record, req.auth));
+      res.json({ data: records, count: records.length });
+    } catch (error) {
+      console.error(`Error in ${req.baseUrl}:`, error);
+      res.status(500).json({ error: `Failed to get ${listName}`, message: error.message });
+    }
+  });
+
+  addVersionRoutes(router, { contract, idParam: 'id', label, methods });
+  return router;
+}
+
+// Roles that see patients' personal details in the list; patients only list themselves
+const PATIENT_DETAIL_ROLES = ['admin', 'auditor', 'patient'];
+
+const patients = createRegistryRouter({
+  contract: 'patientContract',
+  label: 'Patient',
+  listName: 'patients',
+  list: (contract, principal) => contract.getAllPatients()
+    .filter(p => principal?.role !== 'patient' || p.id === principal.actorId),
+  summarize: (p, principal) => {
+    if (p.erased) {
+      return p;
+    }
+    if (principal && !PATIENT_DETAIL_ROLES.includes(principal.role)) {
+      return { id: p.id, isActive: p.isActive !== false };
+    }
+    return {
+      id: p.id,
+      name: `${p.firstName} ${p.lastName}`,
+      firstName: p.firstName,
+      lastName: p.lastName,
+      age: p.age,
+      gender: p.gender,
+      email: p.email,
+      isActive: p.isActive !== false
+    };
+  },
+  methods: {
+    update: 'updatePatient',
+    deactivate: 'deactivatePatient',
+    reactivate: 'reactivatePatient',
+    history: 'getPatientHistory'
+  }
+});
+
+const clinicians = createRegistryRouter({
+  contract: 'clinicianContract',
+  label: 'Clinician',
+  listName: 'clinicians',
+  list: (contract) => contract.getAllClinicians(true),
+  summarize: c => ({
+    id: c.id,
+    name: `${c.firstName} ${c.lastName}`,
+    firstName: c.firstName,
+    lastName: c.lastName,
+    specialty: c.specialty,
+    hospital: c.hospital,
+    organizationId: c.organizationId || null,
+    email: c.email
+  }),
+  methods: {
+    update: 'updateClinician',
+    deactivate: 'deactivateClinician',
+    reactivate: 'reactivateClinician',
+    history: 'getClinicianHistory'
+  }
+});
+
+const aiModels = createRegistryRouter({
+  contract: 'aiModelContract',
+  label: 'AI Model',
+  listName: 'AI models',
+  list: (contract) => contract.getAllAIModels(),
+  summarize: m => ({
+    id: m.id,
+    name: m.name,
+    version: m.version,
+    description: m.description,
+    accuracy: m.accuracy,
+    isActive: m.isActive !== false
+  }),
+  methods: {
+    update: 'updateAIModel',
+    deactivate: 'deactivateAIModel',
+    reactivate: 'reactivateAIModel',
+    history: 'getAIModelHistory'
+  }
+});
+
+const organizations = createRegistryRouter({
+  contract: 'organizationContract',
+  label: 'Organization',
+  listName: 'organizations',
+  list: (contract) => contract.getAllOrganizations(),
+  summarize: o => ({
+    id: o.id,
+    name: o.name,
+    type: o.type,
+    isActive: o.isActive !== false
+  }),
+  methods: {
+    update: 'updateOrganization',
+    deactivate: 'deactivateOrganization',
+    reactivate: 'reactivateOrganization',
+    history: 'getOrganizationHistory'
+  }
+});
+
+organizations.post('/', (req, res, next) => {
+  try {
+    const result = req.app.locals.organizationContract.registerOrganization({
+      ...req.body,
+      id: req.body.id || crypto.randomUUID()
+    });
+    res.status(201).json(formatSuccess(result, 'Organization registered successfully'));
+  } catch (error) {
+    sendError(error, res, next);
+  }
+});
+
+organizations.get('/:id/members', (req, res, next) => {
+  try {
+    const { organizationContract, clinicianContract } = req.app.locals;
+    if (!organizationContract.getOrganization(req.params.id)) {
+      throw new Error('Organization not found');
+    }
+    const members = organizationContract.getMembers(req.params.id, clinicianContract).map(c => ({
+      id: c.id,
+      name: `${c.firstName} ${c.lastName}`,
+      specialty: c.specialty
+    }));
+    res.status(200).json(formatSuccess({ id: req.params.id, members, count: members.length },
+      'Organization members retrieved successfully'));
+  } catch (error) {
+    sendError(error, res, next);
+  }
+});
+
+let erasureService = null;
+let erasureServiceBlockchain = null;
+
+patients.post('/:id/erase', async (req, res, next) => {
+  // Recreate service if blockchain instance has changed (for tests)
+  if (!erasureService || erasureServiceBlockchain !== req.app.locals.blockchain) {
+    erasureService = new ErasureService(
+      req.app.locals.blockchain,
+      req.app.locals.patientContract,
+      req.app.locals.medicalRecordContract
+    );
+    erasureServiceBlockchain = req.app.locals.blockchain;
+  }
+
+  try {
+    const result = await erasureService.erasePatient(req.params.id, {
+      actorId: req.auth?.actorId || 'system',
+      reason: typeof req.body.reason === 'string' ? req.body.reason : null
+    });
+    res.status(200).json(formatSuccess(result, 'Patient erased successfully'));
+  } catch (error) {
+    sendError(error, res, next);
+  }
+});
+
+module.exports = {
+  patients,
+  clinicians,
+  aiModels,
+  organizations,
+  addVersionRoutes
+};
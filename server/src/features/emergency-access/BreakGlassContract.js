@@ -0,0 +1,258 @@
+/**
+ * Break-Glass Contract
+ *
+ * Emergency access to a patient's records without consent. Breaking the glass
+ * gives one clinician time-limited access to one patient's records and opens a
+ * review task, which a privacy officer closes with an outcome afterwards.
+ *
+ * Access takes effect as soon as it is submitted (pending transactions count):
+ * in an emergency the clinician cannot wait for the next block.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 8 * 60;
+const REVIEW_DUE_HOURS = 72;
+const REVIEW_OUTCOMES = ['justified', 'unjustified'];
+
+class BreakGlassContract {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.contractAddress = 'break-glass-contract';
+  }
+
+  /**
+   * Break the glass: give a clinician emergency access to a patient's records
+   *
+   * @param {string} clinicianId - Clinician requesting access
+   * @param {string} patientId - Patient whose records are accessed
+   * @param {Object} options - Access options
+   * @param {string} options.justification - Why consent could not be obtained (required)
+   * @param {number} options.durationMinutes - Access window (default 60, at most 480)
+   * @returns {Object} Transaction result with accessId, reviewId and expiresAt
+   */
+  breakGlass(clinicianId, patientId, options = {}) {
+    const justification = typeof options.justification === 'string' ? options.justification.trim() : '';
+    if (!clinicianId || !patientId || !justification) {
+      throw new Error('Clinician ID, patient ID, and justification are required');
+    }
+
+    const durationMinutes = options.durationMinutes === undefined ? DEFAULT_DURATION_MINUTES : Number(options.durationMinutes);
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+      throw new Error(`Invalid duration: durationMinutes must be a whole number from 1 to ${MAX_DURATION_MINUTES}`);
+    }
+
+    const now = Date.now();
+    const accessData = {
+      action: 'break-glass',
+      accessId: crypto.randomUUID(),
+      reviewId: crypto.randomUUID(),
+      clinicianId,
+      patientId,
+      justification,
+      grantedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + durationMinutes * 60 * 1000).toISOString(),
+      reviewDueAt: new Date(now + REVIEW_DUE_HOURS * 60 * 60 * 1000).toISOString()
+    };
+
+    // Signed by the clinician breaking the glass
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: clinicianId,
+      to: this.contractAddress,
+      data: accessData
+    }));
+
+    return {
+      success: true,
+      accessId: accessData.accessId,
+      reviewId: accessData.reviewId,
+      grantedAt: accessData.grantedAt,
+      expiresAt: accessData.expiresAt,
+      reviewDueAt: accessData.reviewDueAt,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Find a clinician's unexpired emergency access to a patient's records
+   *
+   * @param {string} clinicianId - Clinician ID
+   * @param {string} patientId - Patient ID
+   * @returns {Object|null} Access data or null
+   */
+  findActiveAccess(clinicianId, patientId) {
+    const accesses = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'break-glass',
+      'data.clinicianId': clinicianId,
+      'data.patientId': patientId
+    }, { includePending: true });
+
+    const now = new Date();
+    const active = accesses
+      .map(tx => tx.data)
+      .filter(access => new Date(access.expiresAt) > now)
+      .sort((a, b) => new Date(b.expiresAt) - new Date(a.expiresAt));
+    return active[0] || null;
+  }
+
+  /**
+   * Close a review task with its outcome
+   *
+   * @param {string} reviewId - Review ID
+   * @param {Object} review - Review outcome
+   * @param {string} review.reviewerId - Privacy officer closing the review
+   * @param {string} review.outcome - 'justified' or 'unjustified'
+   * @param {string} review.notes - Reviewer notes (optional)
+   * @returns {Object} Transaction result
+   */
+  closeReview(reviewId, { reviewerId, outcome, notes } = {}) {
+    if (!reviewId || !reviewerId || !outcome) {
+      throw new Error('Review ID, reviewer ID, and outcome are required');
+    }
+    if (!REVIEW_OUTCOMES.includes(outcome)) {
+      throw new Error(`Invalid outcome. Must be one of: ${REVIEW_OUTCOMES.join(', ')}`);
+    }
+
+    const access = this.getAccessByReviewId(reviewId);
+    if (!access) {
+      throw new Error('Review not found');
+    }
+    if (this.getClosure(reviewId)) {
+      throw new Error('Review has already been closed');
+    }
+    if (reviewerId === access.clinicianId) {
+      throw new Error('Invalid reviewer: clinicians cannot review their own emergency access');
+    }
+
+    const closureData = {
+      action: 'close-review',
+      reviewId,
+      accessId: access.accessId,
+      clinicianId: access.clinicianId,
+      patientId: access.patientId,
+      outcome,
+      notes: notes || null,
+      reviewedBy: reviewerId,
+      closedAt: new Date().toISOString()
+    };
+
+    // Signed by the privacy officer closing the review
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: reviewerId,
+      to: this.contractAddress,
+      data: closureData
+    }));
+
+    return {
+      success: true,
+      reviewId,
+      outcome,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Get an emergency access with its review
+   *
+   * @param {string} accessId - Access ID
+   * @returns {Object|null} Review record or null if not found
+   */
+  getAccessById(accessId) {
+    const [tx] = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'break-glass',
+      'data.accessId': accessId
+    }, { includePending: true });
+    return tx ? this.formatReview(tx.data) : null;
+  }
+
+  /**
+   * Get a review task
+   *
+   * @param {string} reviewId - Review ID
+   * @returns {Object|null} Review record or null if not found
+   */
+  getReview(reviewId) {
+    const access = this.getAccessByReviewId(reviewId);
+    return access ? this.formatReview(access) : null;
+  }
+
+  /**
+   * Get review tasks
+   *
+   * @param {Object} filters - { status ('open' or 'closed'), outcome, clinicianId, patientId }
+   * @returns {Array} Reviews, oldest first (the order they should be worked through)
+   */
+  getReviews({ status, outcome, clinicianId, patientId } = {}) {
+    const criteria = { to: this.contractAddress, 'data.action': 'break-glass' };
+    if (clinicianId) criteria['data.clinicianId'] = clinicianId;
+    if (patientId) criteria['data.patientId'] = patientId;
+
+    return this.blockchain.searchTransactions(criteria, { includePending: true })
+      .map(tx => this.formatReview(tx.data))
+      .filter(review => (!status || review.status === status) && (!outcome || review.outcome === outcome))
+      .sort((a, b) => new Date(a.grantedAt) - new Date(b.grantedAt));
+  }
+
+  /**
+   * Break-glass data of a review (null if unknown)
+   */
+  getAccessByReviewId(reviewId) {
+    const [tx] = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'break-glass',
+      'data.reviewId': reviewId
+    }, { includePending: true });
+    return tx ? tx.data : null;
+  }
+
+  /**
+   * Closure data of a review (null while open)
+   */
+  getClosure(reviewId) {
+    const [tx] = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'close-review',
+      'data.reviewId': reviewId
+    }, { includePending: true });
+    return tx ? tx.data : null;
+  }
+
+  /**
+   * Break-glass data -> review record
+   */
+  formatReview(access) {
+    const closure = this.getClosure(access.reviewId);
+    const now = new Date();
+    return {
+      reviewId: access.reviewId,
+      accessId: access.accessId,
+      clinicianId: access.clinicianId,
+      patientId: access.patientId,
+      justification: access.justification,
+      grantedAt: access.grantedAt,
+      expiresAt: access.expiresAt,
+      isAccessActive: new Date(access.expiresAt) > now,
+      reviewDueAt: access.reviewDueAt,
+      status: closure ? 'closed' : 'open',
+      isOverdue: !closure && new Date(access.reviewDueAt) < now,
+      outcome: closure ? closure.outcome : null,
+      notes: closure ? closure.notes : null,
+      reviewedBy: closure ? closure.reviewedBy : null,
+      closedAt: closure ? closure.closedAt : null
+    };
+  }
+}
+
+BreakGlassContract.REVIEW_OUTCOMES = REVIEW_OUTCOMES;
+BreakGlassContract.MAX_DURATION_MINUTES = MAX_DURATION_MINUTES;
+
+module.exports = BreakGlassContract;
@@ -0,0 +1,87 @@
+/**
+ * Break-Glass Controller - API endpoints for emergency access
+ *
+ * Endpoints:
+ * - POST /api/break-glass - Break the glass ({ patientId, justification, durationMinutes })
+ * - GET /api/break-glass/:accessId - Get an emergency access with its review status
+ *
+ * The clinician breaking the glass is the authenticated caller, or
+ * clinicianId in the body when authentication is disabled. Review tasks are
+ * worked through /api/audit/reviews.
+ */
+
+const express = require('express');
+const BreakGlassService = require('./breakGlassService.js');
+const { formatSuccess, formatError } = require('../../utils/helpers.js');
+
+const router = express.Router();
+
+let breakGlassService = null;
+let breakGlassServiceBlockchain = null;
+
+router.use((req, res, next) => {
+  // Recreate service if blockchain instance has changed (for tests)
+  if (!breakGlassService || breakGlassServiceBlockchain !== req.app.locals.blockchain) {
+    breakGlassService = new BreakGlassService(
+      req.app.locals.blockchain,
+      req.app.locals.patientContract,
+      req.app.locals.clinicianContract
+    );
+    breakGlassServiceBlockchain = req.app.locals.blockchain;
+  }
+  next();
+});
+
+/**
+ * POST /api/break-glass
+ * Give the calling clinician time-limited access to a patient's records without consent
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { patientId, justification, durationMinutes } = req.body;
+    const clinicianId = req.auth?.actorId || req.body.clinicianId;
+
+    // Validate required fields
+    if (!clinicianId || !patientId || !justification) {
+      return res.status(400).json(formatError(
+        new Error('clinicianId, patientId, and justification are required'),
+        400
+      ));
+    }
+
+    const result = await breakGlassService.breakGlass({ clinicianId, patientId, justification, durationMinutes });
+
+    res.status(201).json(formatSuccess(result, 'Emergency access granted; a review task has been opened'));
+  } catch (error) {
+    if (error.message.includes('not found') || error.message.includes('Invalid') ||
+        error.message.includes('required')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    if (error.message.includes('has been deactivated')) {
+      return res.status(403).json(formatError(error, 403));
+    }
+    if (error.message.includes('has been erased')) {
+      return res.status(410).json(formatError(error, 410));
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/break-glass/:accessId
+ * Get an emergency access with its review status
+ */
+router.get('/:accessId', async (req, res, next) => {
+  try {
+    const result = await breakGlassService.getAccess(req.params.accessId);
+
+    res.status(200).json(formatSuccess(result, 'Emergency access retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json(formatError(error, 404));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * Break-Glass Service - Service layer for emergency access
+ *
+ * Breaking the glass gives a clinician time-limited access to a patient's
+ * records without consent. Each access is written to the audit trail as a
+ * high-severity entry, published to the patient's event feed, and opens a
+ * review task that a privacy officer must close. Closing the review is
+ * audited and published to the patient's feed as well.
+ */
+
+const BreakGlassContract = require('./BreakGlassContract.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+const EventFeed = require('../notifications/EventFeed.js');
+
+class BreakGlassService {
+  constructor(blockchain, patientContract, clinicianContract) {
+    this.contract = new BreakGlassContract(blockchain);
+    this.auditLogger = new AuditLogger(blockchain);
+    this.eventFeed = new EventFeed(blockchain);
+    this.patientContract = patientContract;
+    this.clinicianContract = clinicianContract;
+  }
+
+  /**
+   * Break the glass for a clinician
+   *
+   * @param {Object} request - Access request
+   * @param {string} request.clinicianId - Clinician requesting access
+   * @param {string} request.patientId - Patient whose records are needed
+   * @param {string} request.justification - Why consent could not be obtained
+   * @param {number} request.durationMinutes - Access window (optional)
+   * @returns {Promise<Object>} Access with reviewId, auditLogId and eventId
+   */
+  async breakGlass({ clinicianId, patientId, justification, durationMinutes } = {}) {
+    const clinician = this.clinicianContract.getClinician(clinicianId);
+    if (!clinician) {
+      throw new Error('Clinician not found');
+    }
+    if (clinician.isActive === false) {
+      throw new Error('Clinician has been deactivated');
+    }
+
+    const patient = this.patientContract.getPatient(patientId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+    if (patient.erased) {
+      throw new Error('Patient has been erased');
+    }
+
+    const access = this.contract.breakGlass(clinicianId, patientId, { justification, durationMinutes });
+
+    const log = await this.auditLogger.logBreakGlass({
+      action: 'break-glass',
+      actorId: clinicianId,
+      patientId,
+      reviewId: access.reviewId,
+      reason: justification.trim(),
+      metadata: { accessId: access.accessId, grantedAt: access.grantedAt, expiresAt: access.expiresAt }
+    });
+
+    const event = this.eventFeed.publish(patientId, {
+      type: 'break-glass',
+      message: 'A clinician accessed your records in an emergency without your consent',
+      resourceId: access.accessId,
+      data: {
+        clinicianId,
+        justification: justification.trim(),
+        grantedAt: access.grantedAt,
+        expiresAt: access.expiresAt,
+        reviewId: access.reviewId
+      }
+    });
+
+    return {
+      accessId: access.accessId,
+      reviewId: access.reviewId,
+      clinicianId,
+      patientId,
+      grantedAt: access.grantedAt,
+      expiresAt: access.expiresAt,
+      reviewDueAt: access.reviewDueAt,
+      auditLogId: log.logId,
+      eventId: event.eventId,
+      transaction: access.transaction
+    };
+  }
+
+  /**
+   * Get an emergency access with its review status
+   *
+   * @param {string} accessId - Access ID
+   * @returns {Promise<Object>} Review record
+   */
+  async getAccess(accessId) {
+    const access = this.contract.getAccessById(accessId);
+    if (!access) {
+      throw new Error('Emergency access not found');
+    }
+    return access;
+  }
+
+  /**
+   * Get review tasks
+   *
+   * @param {Object} filters - { status, outcome, clinicianId, patientId }
+   * @returns {Promise<Object>} Result with reviews, oldest first
+   */
+  async getReviews(filters = {}) {
+    if (filters.status && !['open', 'closed'].includes(filters.status)) {
+      throw new Error("Invalid status. Must be one of: open, closed");
+    }
+
+    const reviews = this.contract.getReviews(filters);
+    return {
+      count: reviews.length,
+      overdue: reviews.filter(review => review.isOverdue).length,
+      reviews
+    };
+  }
+
+  /**
+   * Get a review task
+   *
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<Object>} Review record
+   */
+  async getReview(reviewId) {
+    const review = this.contract.getReview(reviewId);
+    if (!review) {
+      throw new Error('Review not found');
+    }
+    return review;
+  }
+
+  /**
+   * Close a review task with its outcome
+   *
+   * @param {string} reviewId - Review ID
+   * @param {Object} review - { reviewerId, outcome, notes }
+   * @returns {Promise<Object>} Closed review with auditLogId
+   */
+  async closeReview(reviewId, { reviewerId, outcome, notes } = {}) {
+    const result = this.contract.closeReview(reviewId, { reviewerId, outcome, notes });
+    const review = this.contract.getReview(reviewId);
+
+    const log = await this.auditLogger.logBreakGlass({
+      action: 'review-closed',
+      actorId: reviewerId,
+      patientId: review.patientId,
+      reviewId,
+      reason: `Emergency access reviewed as ${outcome}`,
+      metadata: { accessId: review.accessId, clinicianId: review.clinicianId, outcome, notes: notes || null }
+    });
+
+    this.eventFeed.publish(review.patientId, {
+      type: 'break-glass-reviewed',
+      message: `The emergency access to your records was reviewed and found ${outcome}`,
+      resourceId: review.accessId,
+      data: { reviewId, clinicianId: review.clinicianId, outcome }
+    });
+
+    return {
+      ...review,
+      auditLogId: log.logId,
+      transaction: result.transaction
+    };
+  }
+}
+
+module.exports = BreakGlassService;
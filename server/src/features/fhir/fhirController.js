@@ -0,0 +1,323 @@
+/**
+ * FHIR Controller - FHIR R4 endpoints over the contract layer
+ *
+ * Endpoints:
+ * - GET /fhir/metadata - CapabilityStatement
+ * - GET|POST /fhir/Patient, GET|PUT /fhir/Patient/:id
+ * - GET|POST /fhir/Practitioner, GET|PUT /fhir/Practitioner/:id
+ * - GET|POST /fhir/Observation, GET|PUT /fhir/Observation/:id (?purpose= on every read)
+ * - GET|POST /fhir/DiagnosticReport, GET|PUT /fhir/DiagnosticReport/:id (?purpose= on every read)
+ * - GET|POST /fhir/Consent, GET|PUT /fhir/Consent/:id (status 'inactive' revokes)
+ * - GET /fhir/AuditEvent, GET /fhir/AuditEvent/:id
+ *
+ * Searches return a searchset Bundle, paged with _count and _offset.
+ * Responses are application/fhir+json; errors are OperationOutcome resources.
+ * The requester of a record read is the authenticated caller, or ?requesterId=
+ * when authentication is disabled.
+ */
+
+const express = require('express');
+const FhirService = require('./fhirService.js');
+const { toBundle, toOperationOutcome } = require('./fhirMapper.js');
+
+const router = express.Router();
+
+const FHIR_JSON = 'application/fhir+json';
+const DEFAULT_COUNT = 50;
+const MAX_COUNT = 200;
+
+// Query parameters that are not search filters
+const CONTROL_PARAMS = ['_count', '_offset', '_format', 'requesterId'];
+
+// Supported interactions and search parameters, published by /metadata
+const RESOURCES = {
+  Patient: ['_id', 'name', 'family', 'given', 'gender', 'birthdate', 'email', 'phone', 'active'],
+  Practitioner: ['_id', 'name', 'family', 'given', 'email', 'phone', 'active'],
+  Observation: ['patient', 'purpose', '_id', 'code', 'date'],
+  DiagnosticReport: ['patient', 'purpose', '_id', 'code', 'date'],
+  Consent: ['_id', 'patient', 'actor', 'category', 'status'],
+  AuditEvent: ['_id', 'agent', 'entity', 'patient', 'type', 'subtype', 'outcome', 'date']
+};
+
+let fhirService = null;
+let fhirServiceBlockchain = null;
+
+router.use((req, res, next) => {
+  // Recreate service if blockchain instance has changed (for tests)
+  if (!fhirService || fhirServiceBlockchain !== req.app.locals.blockchain) {
+    fhirService = new FhirService(
+      req.app.locals.blockchain,
+      req.app.locals.patientContract,
+      req.app.locals.clinicianContract,
+      req.app.locals.aiModelContract,
+      req.app.locals.medicalRecordContract
+    );
+    fhirServiceBlockchain = req.app.locals.blockchain;
+  }
+  next();
+});
+
+/**
+ * Send a FHIR resource
+ */
+function send(res, status, resource) {
+  res.status(status).type(FHIR_JSON).json(resource);
+}
+
+/**
+ * Send a created resource with its Location
+ */
+function sendCreated(req, res, resource) {
+  res.location(`${baseUrl(req)}/${resource.resourceType}/${resource.id}`);
+  send(res, 201, resource);
+}
+
+/**
+ * Map service errors to OperationOutcome responses
+ *
+ * @param {Object} options - { notFound } status for unknown references (400 when creating)
+ */
+function sendOutcome(error, res, next, { notFound = 404 } = {}) {
+  const message = error.message;
+  if (message.includes('not found')) {
+    return send(res, notFound, toOperationOutcome(notFound === 404 ? 'not-found' : 'invalid', message));
+  }
+  if (message.includes('has been erased')) {
+    return send(res, 410, toOperationOutcome('deleted', message));
+  }
+  if (message.includes('No valid') || message.includes('does not cover') || message.includes('has been deactivated')) {
+    return send(res, 403, toOperationOutcome('forbidden', message));
+  }
+  if (message.includes('already')) {
+    return send(res, 409, toOperationOutcome('conflict', message));
+  }
+  if (message.includes('required') || message.includes('Invalid') || message.includes('must') ||
+      message.includes('cannot be')) {
+    return send(res, 400, toOperationOutcome('invalid', message));
+  }
+  next(error);
+}
+
+/**
+ * Base URL of the FHIR endpoint
+ */
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+/**
+ * Search parameters of a request (control parameters left out)
+ */
+function searchParams(req) {
+  return Object.fromEntries(Object.entries(req.query).filter(([key]) => !CONTROL_PARAMS.includes(key)));
+}
+
+/**
+ * Page search results into a Bundle
+ */
+function sendBundle(req, res, resources) {
+  const count = Math.min(Math.max(parseInt(req.query._count, 10) || DEFAULT_COUNT, 1), MAX_COUNT);
+  const offset = Math.max(parseInt(req.query._offset, 10) || 0, 0);
+  const base = baseUrl(req);
+
+  const pageUrl = (pageOffset) => {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(req.query)) {
+      [].concat(value).forEach(v => query.append(key, v));
+    }
+    query.set('_count', count);
+    query.set('_offset', pageOffset);
+    return `${base}${req.path}?${query}`;
+  };
+
+  send(res, 200, toBundle(resources.slice(offset, offset + count), {
+    base,
+    total: resources.length,
+    selfUrl: pageUrl(offset),
+    nextUrl: offset + count < resources.length ? pageUrl(offset + count) : null
+  }));
+}
+
+/**
+ * GET /fhir/metadata
+ * CapabilityStatement of this server
+ */
+router.get('/metadata', (req, res) => {
+  send(res, 200, {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    implementation: { description: 'Healthcare blockchain FHIR facade', url: baseUrl(req) },
+    rest: [{
+      mode: 'server',
+      resource: Object.entries(RESOURCES).map(([type, params]) => ({
+        type,
+        interaction: (type === 'AuditEvent' ? ['read', 'search-type'] : ['read', 'search-type', 'create', 'update'])
+          .map(code => ({ code })),
+        searchParam: params.map(name => ({ name, type: ['date', 'birthdate'].includes(name) ? 'date' : 'token' }))
+      }))
+    }]
+  });
+});
+
+// Patient and Practitioner
+for (const type of ['Patient', 'Practitioner']) {
+  router.get(`/${type}`, (req, res, next) => {
+    try {
+      sendBundle(req, res, fhirService.searchPeople(type, searchParams(req)));
+    } catch (error) {
+      sendOutcome(error, res, next);
+    }
+  });
+
+  router.get(`/${type}/:id`, (req, res, next) => {
+    try {
+      send(res, 200, fhirService.readPerson(type, req.params.id));
+    } catch (error) {
+      sendOutcome(error, res, next);
+    }
+  });
+
+  router.post(`/${type}`, (req, res, next) => {
+    try {
+      sendCreated(req, res, fhirService.createPerson(type, req.body));
+    } catch (error) {
+      sendOutcome(error, res, next, { notFound: 400 });
+    }
+  });
+
+  router.put(`/${type}/:id`, (req, res, next) => {
+    try {
+      send(res, 200, fhirService.updatePerson(type, req.params.id, req.body, {
+        changedBy: req.auth?.actorId || null
+      }));
+    } catch (error) {
+      sendOutcome(error, res, next);
+    }
+  });
+}
+
+// Observation and DiagnosticReport (medical records)
+for (const type of ['Observation', 'DiagnosticReport']) {
+  router.get(`/${type}`, async (req, res, next) => {
+    try {
+      const requesterId = req.auth?.actorId || req.query.requesterId;
+      sendBundle(req, res, await fhirService.searchRecords(type, searchParams(req), requesterId));
+    } catch (error) {
+      sendOutcome(error, res, next);
+    }
+  });
+
+  router.get(`/${type}/:id`, async (req, res, next) => {
+    try {
+      const result = await fhirService.readRecord(type, req.params.id, {
+        requesterId: req.auth?.actorId || req.query.requesterId,
+        purpose: req.query.purpose
+      });
+      if (!result.granted) {
+        const erased = result.reason.includes('has been erased');
+        return send(res, erased ? 410 : 403, toOperationOutcome(erased ? 'deleted' : 'forbidden', result.reason));
+      }
+      send(res, 200, result.resource);
+    } catch (error) {
+      sendOutcome(error, res, next);
+    }
+  });
+
+  router.post(`/${type}`, async (req, res, next) => {
+    try {
+      sendCreated(req, res, await fhirService.createRecord(type, req.body, {
+        actorId: req.auth?.actorId || 'system'
+      }));
+    } catch (error) {
+      sendOutcome(error, res, next, { notFound: 400 });
+    }
+  });
+
+  router.put(`/${type}/:id`, async (req, res, next) => {
+    try {
+      send(res, 200, await fhirService.updateRecord(type, req.params.id, req.body, {
+        actorId: req.auth?.actorId || 'system'
+      }));
+    } catch (error) {
+      sendOutcome(error, res, next);
+    }
+  });
+}
+
+/**
+ * GET /fhir/Consent
+ * Search consents
+ */
+router.get('/Consent', (req, res, next) => {
+  try {
+    sendBundle(req, res, fhirService.searchConsents(searchParams(req)));
+  } catch (error) {
+    sendOutcome(error, res, next);
+  }
+});
+
+/**
+ * GET /fhir/Consent/:id
+ * Read a consent
+ */
+router.get('/Consent/:id', (req, res, next) => {
+  try {
+    send(res, 200, fhirService.readConsent(req.params.id));
+  } catch (error) {
+    sendOutcome(error, res, next);
+  }
+});
+
+/**
+ * POST /fhir/Consent
+ * Grant a consent
+ */
+router.post('/Consent', async (req, res, next) => {
+  try {
+    sendCreated(req, res, await fhirService.createConsent(req.body, { actorId: req.auth?.actorId }));
+  } catch (error) {
+    sendOutcome(error, res, next, { notFound: 400 });
+  }
+});
+
+/**
+ * PUT /fhir/Consent/:id
+ * Revoke a consent (status 'inactive')
+ */
+router.put('/Consent/:id', async (req, res, next) => {
+  try {
+    send(res, 200, await fhirService.updateConsent(req.params.id, req.body, { actorId: req.auth?.actorId }));
+  } catch (error) {
+    sendOutcome(error, res, next);
+  }
+});
+
+/**
+ * GET /fhir/AuditEvent
+ * Search audit events
+ */
+router.get('/AuditEvent', async (req, res, next) => {
+  try {
+    sendBundle(req, res, await fhirService.searchAuditEvents(searchParams(req)));
+  } catch (error) {
+    sendOutcome(error, res, next);
+  }
+});
+
+/**
+ * GET /fhir/AuditEvent/:id
+ * Read an audit event
+ */
+router.get('/AuditEvent/:id', async (req, res, next) => {
+  try {
+    send(res, 200, await fhirService.readAuditEvent(req.params.id));
+  } catch (error) {
+    sendOutcome(error, res, next);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,411 @@
+/**
+ * FHIR Mapper
+ *
+ * Maps contract records to FHIR R4 resources and back:
+ * - Patient <-> PatientContract record
+ * - Practitioner <-> ClinicianContract record
+ * - Observation / DiagnosticReport <-> MedicalRecordContract record
+ * - Consent <-> ConsentContract record
+ * - AuditEvent <- AuditLogger entry (read only)
+ *
+ * from* functions return only the fields present in the resource, so an update
+ * never clears a field the resource does not carry.
+ */
+
+const CODE_SYSTEMS = {
+  consentScope: 'http://terminology.hl7.org/CodeSystem/consentscope',
+  consentType: 'urn:healthcare-blockchain:consent-type',
+  purpose: 'urn:healthcare-blockchain:purpose',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  diagnosticCategory: 'http://terminology.hl7.org/CodeSystem/v2-0074',
+  auditEventType: 'urn:healthcare-blockchain:audit-event-type',
+  consentFields: 'urn:healthcare-blockchain:consent-fields',
+  auditOutcome: 'http://hl7.org/fhir/audit-event-outcome'
+};
+
+// Record types served as DiagnosticReport; every other record is an Observation
+const DIAGNOSTIC_REPORT_TYPES = ['Lab Result', 'Imaging', 'Radiology', 'Pathology'];
+
+const GENDERS = ['male', 'female', 'other', 'unknown'];
+
+// Resource type each kind of consent grantee is referenced as
+const GRANTEE_RESOURCE_TYPES = {
+  clinician: 'Practitioner',
+  'ai-model': 'Device',
+  organization: 'Organization',
+  'research-study': 'ResearchStudy'
+};
+
+// AuditEvent.action codes (C, R, U, D, E) per audit entry action
+const AUDIT_ACTIONS = {
+  read: 'R',
+  create: 'C',
+  update: 'U',
+  granted: 'C',
+  revoked: 'U',
+  expired: 'U',
+  erase: 'D'
+};
+
+/**
+ * Build a reference ({ reference: 'Patient/123' })
+ */
+function reference(type, id) {
+  return { reference: `${type}/${id}` };
+}
+
+/**
+ * Read the ID out of a reference ('Patient/123', { reference: 'Patient/123' } or '123')
+ *
+ * @param {string|Object} value - Reference
+ * @param {Array<string>} types - Accepted resource types
+ * @returns {string|null} ID, or null if missing or of another type
+ */
+function parseReference(value, types) {
+  const text = typeof value === 'string' ? value : value?.reference;
+  if (!text) {
+    return null;
+  }
+  const parts = text.split('/');
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  const [type, id] = parts.slice(-2);
+  return types.includes(type) ? id : null;
+}
+
+/**
+ * Read the resource type out of a reference (null for a bare ID)
+ */
+function referenceType(value) {
+  const text = typeof value === 'string' ? value : value?.reference;
+  const parts = text ? text.split('/') : [];
+  return parts.length > 1 ? parts[parts.length - 2] : null;
+}
+
+/**
+ * Drop undefined fields
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function toGender(gender) {
+  const code = typeof gender === 'string' ? gender.toLowerCase() : null;
+  return GENDERS.includes(code) ? code : undefined;
+}
+
+function fromGender(gender) {
+  return gender ? gender.charAt(0).toUpperCase() + gender.slice(1) : undefined;
+}
+
+/**
+ * Map the name and telecom of a person (patient or clinician)
+ */
+function toPerson(record) {
+  const telecom = [
+    record.email ? { system: 'email', value: record.email } : null,
+    record.phone ? { system: 'phone', value: record.phone } : null
+  ].filter(Boolean);
+
+  return compact({
+    id: record.id,
+    active: record.isActive !== false,
+    name: [compact({ use: 'official', family: record.lastName, given: record.firstName ? [record.firstName] : undefined })],
+    telecom: telecom.length > 0 ? telecom : undefined
+  });
+}
+
+function fromPerson(resource) {
+  const [name] = resource.name || [];
+  const telecom = (system) => (resource.telecom || []).find(t => t.system === system)?.value;
+  return compact({
+    firstName: name?.given?.[0],
+    lastName: name?.family,
+    email: telecom('email'),
+    phone: telecom('phone')
+  });
+}
+
+/**
+ * Patient record -> Patient
+ */
+function toPatient(record) {
+  return compact({
+    resourceType: 'Patient',
+    ...toPerson(record),
+    gender: toGender(record.gender),
+    birthDate: record.dateOfBirth,
+    address: record.address ? [{ text: record.address }] : undefined
+  });
+}
+
+/**
+ * Patient -> patient record fields
+ */
+function fromPatient(resource) {
+  return compact({
+    ...fromPerson(resource),
+    gender: fromGender(resource.gender),
+    dateOfBirth: resource.birthDate,
+    address: resource.address?.[0]?.text
+  });
+}
+
+/**
+ * Clinician record -> Practitioner
+ */
+function toPractitioner(record) {
+  return compact({
+    resourceType: 'Practitioner',
+    ...toPerson(record),
+    qualification: record.specialty ? [{ code: { text: record.specialty } }] : undefined
+  });
+}
+
+/**
+ * Practitioner -> clinician record fields
+ */
+function fromPractitioner(resource) {
+  return compact({
+    ...fromPerson(resource),
+    specialty: resource.qualification?.[0]?.code?.text
+  });
+}
+
+/**
+ * Resource type a medical record is served as
+ */
+function recordResourceType(record) {
+  return record.fhirResourceType ||
+    (DIAGNOSTIC_REPORT_TYPES.includes(record.recordType) ? 'DiagnosticReport' : 'Observation');
+}
+
+/**
+ * Decrypted medical record -> Observation or DiagnosticReport
+ */
+function toRecordResource(record) {
+  const type = recordResourceType(record);
+  const common = {
+    resourceType: type,
+    id: record.id,
+    status: 'final',
+    code: { text: record.recordType },
+    subject: reference('Patient', record.patientId),
+    effectiveDateTime: record.date,
+    performer: record.clinicianId ? [reference('Practitioner', record.clinicianId)] : undefined
+  };
+
+  if (type === 'DiagnosticReport') {
+    return compact({
+      ...common,
+      category: [{ coding: [{ system: CODE_SYSTEMS.diagnosticCategory, code: 'LAB' }], text: record.recordType }],
+      conclusion: record.diagnosis,
+      presentedForm: record.description ? [{ contentType: 'text/plain', title: record.description }] : undefined
+    });
+  }
+
+  return compact({
+    ...common,
+    category: [{ coding: [{ system: CODE_SYSTEMS.observationCategory, code: 'exam' }], text: record.recordType }],
+    valueString: record.diagnosis,
+    note: [record.description, record.notes].filter(Boolean).map(text => ({ text }))
+  });
+}
+
+/**
+ * Observation or DiagnosticReport -> medical record fields
+ */
+function fromRecordResource(resource) {
+  const fields = {
+    patientId: parseReference(resource.subject, ['Patient']) || undefined,
+    recordType: resource.code?.text,
+    date: resource.effectiveDateTime,
+    clinicianId: parseReference(resource.performer?.[0], ['Practitioner']) || undefined
+  };
+
+  if (resource.resourceType === 'DiagnosticReport') {
+    fields.diagnosis = resource.conclusion;
+    fields.description = resource.presentedForm?.[0]?.title;
+  } else {
+    fields.diagnosis = resource.valueString;
+    fields.notes = resource.note?.map(note => note.text).join('\n') || undefined;
+  }
+  return compact(fields);
+}
+
+/**
+ * Consent record -> Consent
+ *
+ * @param {Object} consent - Consent record (ConsentContract.getAllConsents / getConsentById shape)
+ * @param {string} actorType - Resource type of the grantee (see GRANTEE_RESOURCE_TYPES)
+ */
+function toConsent(consent, actorType = 'Practitioner') {
+  const active = !consent.isRevoked && !consent.isExpired;
+  return compact({
+    resourceType: 'Consent',
+    id: consent.consentId,
+    status: active ? 'active' : 'inactive',
+    scope: { coding: [{ system: CODE_SYSTEMS.consentScope, code: 'patient-privacy' }] },
+    category: [{ coding: [{ system: CODE_SYSTEMS.consentType, code: consent.consentType }], text: consent.consentType }],
+    patient: reference('Patient', consent.patientId),
+    dateTime: consent.grantedAt || undefined,
+    // The granting party: the patient, or a guardian or proxy acting for them
+    performer: consent.grantedBy
+      ? [consent.grantedBy === consent.patientId
+        ? reference('Patient', consent.patientId)
+        : { type: 'RelatedPerson', identifier: { value: consent.grantedBy } }]
+      : undefined,
+    provision: compact({
+      type: 'permit',
+      period: compact({ start: consent.grantedAt || undefined, end: consent.expiresAt || undefined }),
+      actor: [{ role: { text: 'grantee' }, reference: reference(actorType, consent.clinicianId) }],
+      purpose: consent.purpose ? [{ system: CODE_SYSTEMS.purpose, code: consent.purpose }] : undefined,
+      ...toProvisionScope(consent.scope)
+    })
+  });
+}
+
+/**
+ * Consent scope -> provision elements
+ * Record IDs become data, record types code, the date range dataPeriod and the
+ * field mask an extension (FHIR has no element for it).
+ */
+function toProvisionScope(scope) {
+  if (!scope) {
+    return {};
+  }
+  return compact({
+    extension: scope.fields?.map(field => ({ url: CODE_SYSTEMS.consentFields, valueString: field })),
+    data: scope.recordIds?.map(id => ({ meaning: 'instance', reference: { identifier: { value: id } } })),
+    code: scope.recordTypes?.map(text => ({ text })),
+    dataPeriod: scope.dateRange
+      ? compact({ start: scope.dateRange.from || undefined, end: scope.dateRange.to || undefined })
+      : undefined
+  });
+}
+
+/**
+ * Provision elements -> consent scope (undefined if the provision has none)
+ */
+function fromProvisionScope(provision) {
+  const fields = (provision.extension || [])
+    .filter(extension => extension.url === CODE_SYSTEMS.consentFields)
+    .map(extension => extension.valueString);
+  const scope = compact({
+    recordIds: provision.data?.map(data => data.reference?.identifier?.value || parseReference(data.reference, ['Observation', 'DiagnosticReport'])),
+    recordTypes: provision.code?.map(code => code.text || code.coding?.[0]?.code),
+    dateRange: provision.dataPeriod
+      ? { from: provision.dataPeriod.start || null, to: provision.dataPeriod.end || null }
+      : undefined,
+    fields: fields.length > 0 ? fields : undefined
+  });
+  return Object.keys(scope).length > 0 ? scope : undefined;
+}
+
+/**
+ * Consent -> grant fields
+ */
+function fromConsent(resource) {
+  const provision = resource.provision || {};
+  const actor = provision.actor?.[0]?.reference;
+  const granteeTypes = Object.keys(GRANTEE_RESOURCE_TYPES);
+  return compact({
+    status: resource.status,
+    patientId: parseReference(resource.patient, ['Patient']) || undefined,
+    clinicianId: parseReference(actor, Object.values(GRANTEE_RESOURCE_TYPES)) || undefined,
+    granteeType: granteeTypes.find(type => GRANTEE_RESOURCE_TYPES[type] === referenceType(actor)),
+    consentType: resource.category?.[0]?.coding?.[0]?.code || resource.category?.[0]?.text,
+    purpose: provision.purpose?.[0]?.code,
+    expiresAt: provision.period?.end,
+    scope: fromProvisionScope(provision)
+  });
+}
+
+/**
+ * Patient an audit log entry is about (null if none)
+ */
+function auditPatientId(log) {
+  return log.patientId || (log.resourceType === 'patient' ? log.resourceId : log.metadata?.patientId) || null;
+}
+
+/**
+ * Audit log entry -> AuditEvent
+ */
+function toAuditEvent(log) {
+  const patientId = auditPatientId(log);
+  const entity = [
+    log.resourceId ? { what: { identifier: { value: log.resourceId } }, type: { code: log.resourceType } } : null,
+    log.consentId ? { what: reference('Consent', log.consentId), type: { code: 'consent' } } : null,
+    patientId && patientId !== log.resourceId ? { what: reference('Patient', patientId), type: { code: 'patient' } } : null
+  ].filter(Boolean);
+
+  return compact({
+    resourceType: 'AuditEvent',
+    id: log.logId,
+    type: { system: CODE_SYSTEMS.auditEventType, code: log.type },
+    subtype: log.action ? [{ system: CODE_SYSTEMS.auditEventType, code: log.action }] : undefined,
+    action: AUDIT_ACTIONS[log.action] || 'E',
+    recorded: log.timestamp,
+    outcome: log.granted === false ? '4' : '0',
+    outcomeDesc: log.reason,
+    agent: [{ who: { identifier: { value: log.actorId } }, requestor: true }],
+    source: { observer: { display: 'healthcare-blockchain' } },
+    entity: entity.length > 0 ? entity : undefined
+  });
+}
+
+/**
+ * Wrap resources in a searchset Bundle
+ *
+ * @param {Array} resources - Resources of this page
+ * @param {Object} options - { base, total, selfUrl, nextUrl }
+ */
+function toBundle(resources, { base, total, selfUrl, nextUrl = null }) {
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total,
+    link: [
+      { relation: 'self', url: selfUrl },
+      ...(nextUrl ? [{ relation: 'next', url: nextUrl }] : [])
+    ],
+    entry: resources.map(resource => ({
+      fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }))
+  };
+}
+
+/**
+ * Build an OperationOutcome for an error
+ */
+function toOperationOutcome(code, diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code, diagnostics }]
+  };
+}
+
+module.exports = {
+  CODE_SYSTEMS,
+  DIAGNOSTIC_REPORT_TYPES,
+  GRANTEE_RESOURCE_TYPES,
+  reference,
+  parseReference,
+  referenceType,
+  toPatient,
+  fromPatient,
+  toPractitioner,
+  fromPractitioner,
+  recordResourceType,
+  toRecordResource,
+  fromRecordResource,
+  toConsent,
+  fromConsent,
+  auditPatientId,
+  toAuditEvent,
+  toBundle,
+  toOperationOutcome
+};
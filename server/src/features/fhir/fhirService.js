@@ -0,0 +1,517 @@
+/**
+ * FHIR Service
+ *
+ * FHIR R4 operations over the contract layer. Resources are mapped by
+ * fhirMapper.js; every read and write goes through the same services as the
+ * REST API:
+ * - Observation / DiagnosticReport reads use MedicalRecordService, so consent
+ *   is checked and every attempt is audited. Writes by a clinician need a valid
+ *   Treatment consent from the patient and are audited as data access.
+ * - Consent writes use ConsentService and are audited as consent changes.
+ * - AuditEvent is a read-only view of AuditLogger entries.
+ *
+ * Updates only change the fields the resource carries; fields it leaves out
+ * are kept.
+ */
+
+const crypto = require('crypto');
+const ConsentService = require('../consent-management/consentService.js');
+const MedicalRecordService = require('../medical-records/medicalRecordService.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+const mapper = require('./fhirMapper.js');
+
+const ACTOR_TYPES = ['Patient', 'Practitioner', 'Device', 'Organization'];
+
+// Patient and Practitioner map onto registry contracts the same way
+const PEOPLE = {
+  Patient: {
+    contract: 'patientContract',
+    get: 'getPatient',
+    list: 'getAllPatients',
+    register: 'registerPatient',
+    update: 'updatePatient',
+    deactivate: 'deactivatePatient',
+    reactivate: 'reactivatePatient',
+    toResource: mapper.toPatient,
+    fromResource: mapper.fromPatient
+  },
+  Practitioner: {
+    contract: 'clinicianContract',
+    get: 'getClinician',
+    list: 'getAllClinicians',
+    register: 'registerClinician',
+    update: 'updateClinician',
+    deactivate: 'deactivateClinician',
+    reactivate: 'reactivateClinician',
+    toResource: mapper.toPractitioner,
+    fromResource: mapper.fromPractitioner
+  }
+};
+
+/**
+ * Match a date against a FHIR date search value ('2024-01', 'ge2024-01-01', ...)
+ * Repeated parameters (date=ge...&date=le...) must all match.
+ */
+function matchesDate(value, search) {
+  if (!value) {
+    return false;
+  }
+  return [].concat(search).every(term => {
+    const [, prefix = 'eq', date] = /^(eq|ne|gt|lt|ge|le)?(.+)$/.exec(term);
+    const time = new Date(value).getTime();
+    const bound = new Date(date).getTime();
+    switch (prefix) {
+      case 'gt': return time > bound;
+      case 'lt': return time < bound;
+      case 'ge': return time >= bound;
+      case 'le': return time <= bound;
+      case 'ne': return !String(value).startsWith(date);
+      default: return String(value).startsWith(date);
+    }
+  });
+}
+
+/**
+ * Case-insensitive FHIR string match (value starts with the search term)
+ */
+function matchesString(values, search) {
+  const term = String(search).toLowerCase();
+  return values.some(value => typeof value === 'string' && value.toLowerCase().startsWith(term));
+}
+
+class FhirService {
+  constructor(blockchain, patientContract, clinicianContract, aiModelContract, medicalRecordContract) {
+    this.consentService = new ConsentService(blockchain, patientContract, clinicianContract, aiModelContract);
+    this.consentContract = this.consentService.contract;
+    this.medicalRecordService = new MedicalRecordService(blockchain, medicalRecordContract, clinicianContract, aiModelContract);
+    this.auditLogger = new AuditLogger(blockchain);
+    this.patientContract = patientContract;
+    this.clinicianContract = clinicianContract;
+    this.aiModelContract = aiModelContract;
+    this.medicalRecordContract = medicalRecordContract;
+  }
+
+  /**
+   * Check that a resource body has the expected resourceType (and ID, if given)
+   */
+  static checkResource(resource, type, id = null) {
+    if (!resource || resource.resourceType !== type) {
+      throw new Error(`Resource must be a ${type}`);
+    }
+    if (id && resource.id && resource.id !== id) {
+      throw new Error('Resource id must match the URL');
+    }
+  }
+
+  // ---- Patient / Practitioner ----
+
+  /**
+   * Search patients or practitioners
+   *
+   * @param {string} type - 'Patient' or 'Practitioner'
+   * @param {Object} params - _id, name, family, given, gender, birthdate, email, phone, active
+   * @returns {Array} Resources (erased patients are left out)
+   */
+  searchPeople(type, params = {}) {
+    const people = PEOPLE[type];
+    return this[people.contract][people.list]()
+      .filter(record => !record.erased)
+      .map(people.toResource)
+      .filter(resource => {
+        const [name = {}] = resource.name;
+        const telecom = (system) => (resource.telecom || []).filter(t => t.system === system).map(t => t.value);
+        return (!params._id || resource.id === params._id) &&
+          (!params.name || matchesString([name.family, ...(name.given || [])], params.name)) &&
+          (!params.family || matchesString([name.family], params.family)) &&
+          (!params.given || matchesString(name.given || [], params.given)) &&
+          (!params.gender || resource.gender === params.gender) &&
+          (!params.birthdate || matchesDate(resource.birthDate, params.birthdate)) &&
+          (!params.email || telecom('email').includes(params.email)) &&
+          (!params.phone || telecom('phone').includes(params.phone)) &&
+          (!params.active || String(resource.active) === params.active);
+      });
+  }
+
+  /**
+   * Read a patient or practitioner
+   */
+  readPerson(type, id) {
+    const people = PEOPLE[type];
+    const record = this[people.contract][people.get](id);
+    if (!record) {
+      throw new Error(`${type} not found`);
+    }
+    if (record.erased) {
+      throw new Error(`${type} has been erased`);
+    }
+    return people.toResource(record);
+  }
+
+  /**
+   * Register a patient or practitioner (the server assigns the ID)
+   */
+  createPerson(type, resource) {
+    FhirService.checkResource(resource, type);
+    const people = PEOPLE[type];
+    const id = crypto.randomUUID();
+
+    this[people.contract][people.register]({ id, ...people.fromResource(resource) });
+    return this.readPerson(type, id);
+  }
+
+  /**
+   * Update a patient or practitioner; active: false / true deactivates or reactivates
+   *
+   * @param {Object} options - { changedBy, reason }
+   */
+  updatePerson(type, id, resource, options = {}) {
+    FhirService.checkResource(resource, type, id);
+    const people = PEOPLE[type];
+    const contract = this[people.contract];
+    const current = this.readPerson(type, id);
+
+    const changes = people.fromResource(resource);
+    if (Object.keys(changes).length > 0) {
+      try {
+        contract[people.update](id, changes, options);
+      } catch (error) {
+        if (!error.message.includes('No changes')) {
+          throw error;
+        }
+      }
+    }
+
+    if (resource.active === false && current.active) {
+      contract[people.deactivate](id, options);
+    } else if (resource.active === true && !current.active) {
+      contract[people.reactivate](id, options);
+    }
+    return this.readPerson(type, id);
+  }
+
+  // ---- Observation / DiagnosticReport ----
+
+  /**
+   * Get a record stored as the given resource type
+   */
+  findRecord(type, id) {
+    const record = this.medicalRecordContract.getMedicalRecord(id);
+    if (!record || (!record.erased && mapper.recordResourceType(record) !== type)) {
+      throw new Error(`${type} not found`);
+    }
+    return record;
+  }
+
+  /**
+   * Search a patient's records; each candidate is read through the consent check
+   *
+   * @param {string} type - 'Observation' or 'DiagnosticReport'
+   * @param {Object} params - patient and purpose (required), code, date, _id
+   * @param {string} requesterId - Requesting clinician or AI model
+   * @returns {Promise<Array>} Resources the requester was granted
+   */
+  async searchRecords(type, params, requesterId) {
+    if (!params.patient || !params.purpose) {
+      throw new Error('patient and purpose search parameters are required');
+    }
+    if (!requesterId) {
+      throw new Error('requesterId is required');
+    }
+
+    const patientId = mapper.parseReference(params.patient, ['Patient']);
+    if (!patientId) {
+      throw new Error('patient must reference a Patient');
+    }
+    const candidates = this.medicalRecordContract.getAllMedicalRecords(patientId, true)
+      .filter(record => !record.erased && mapper.recordResourceType(record) === type)
+      .filter(record => (!params._id || record.id === params._id) &&
+        (!params.code || matchesString([record.recordType], params.code)) &&
+        (!params.date || matchesDate(record.date, params.date)));
+
+    const resources = [];
+    for (const record of candidates) {
+      const result = await this.medicalRecordService.readRecord({
+        recordId: record.id,
+        requesterId,
+        purpose: params.purpose
+      });
+      if (result.granted) {
+        resources.push(mapper.toRecordResource(result.record));
+      }
+    }
+    return resources;
+  }
+
+  /**
+   * Read a record through the consent check
+   *
+   * @returns {Promise<Object>} { granted, reason, resource }
+   */
+  async readRecord(type, id, { requesterId, purpose } = {}) {
+    this.findRecord(type, id);
+    const result = await this.medicalRecordService.readRecord({ recordId: id, requesterId, purpose });
+    return {
+      granted: result.granted,
+      reason: result.reason,
+      resource: result.granted ? mapper.toRecordResource(result.record) : null
+    };
+  }
+
+  /**
+   * Add a record for a patient
+   *
+   * @param {Object} options - { actorId }
+   */
+  async createRecord(type, resource, { actorId } = {}) {
+    FhirService.checkResource(resource, type);
+    const fields = mapper.fromRecordResource(resource);
+    if (!fields.patientId || !fields.recordType) {
+      throw new Error('subject and code are required');
+    }
+    const patient = this.patientContract.getPatient(fields.patientId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+    if (patient.erased) {
+      throw new Error('Patient has been erased');
+    }
+
+    const id = crypto.randomUUID();
+    const consentId = await this.authorizeWrite(actorId, { id, ...fields }, Object.keys(fields), 'create');
+
+    this.medicalRecordContract.registerMedicalRecord({ id, ...fields, fhirResourceType: type });
+    await this.logWrite(actorId, id, 'create', true, `${type} created`, { patientId: fields.patientId, consentId });
+
+    return mapper.toRecordResource(this.medicalRecordContract.decryptRecord(this.medicalRecordContract.getMedicalRecord(id)));
+  }
+
+  /**
+   * Amend a record (its subject cannot change)
+   *
+   * @param {Object} options - { actorId, reason }
+   */
+  async updateRecord(type, id, resource, { actorId, reason = null } = {}) {
+    FhirService.checkResource(resource, type, id);
+    const record = this.findRecord(type, id);
+    if (record.erased) {
+      throw new Error('Medical record has been erased');
+    }
+
+    const { patientId, ...changes } = mapper.fromRecordResource(resource);
+    if (patientId && patientId !== record.patientId) {
+      throw new Error('The subject of a record cannot be changed');
+    }
+
+    const consentId = await this.authorizeWrite(actorId, record, Object.keys(changes), 'update');
+    try {
+      this.medicalRecordContract.updateMedicalRecord(id, changes, { changedBy: actorId, reason });
+    } catch (error) {
+      if (!error.message.includes('No changes')) {
+        throw error;
+      }
+    }
+    await this.logWrite(actorId, id, 'update', true, `${type} updated`, { patientId: record.patientId, consentId });
+
+    return mapper.toRecordResource(this.medicalRecordContract.decryptRecord(this.medicalRecordContract.getMedicalRecord(id)));
+  }
+
+  /**
+   * Require a clinician writing a record to hold a valid Treatment consent whose
+   * scope covers the record and the fields written
+   * Other callers (administrators) are limited by the route policy only.
+   * A denied write is audited before it is rejected.
+   *
+   * @param {Object} record - Record written (patientId, id, recordType and date are read)
+   * @param {Array<string>} fields - Fields the write changes
+   * @returns {Promise<string|null>} ID of the consent that allowed the write
+   */
+  async authorizeWrite(actorId, record, fields, action) {
+    if (!this.clinicianContract.getClinician(actorId)) {
+      return null;
+    }
+
+    const access = this.medicalRecordService.isRequesterActive(actorId, 'clinician')
+      ? this.consentContract.evaluateAccess(actorId, record, { consentType: 'Treatment', fields })
+      : { granted: false, reason: 'Requester has been deactivated' };
+
+    if (!access.granted) {
+      await this.logWrite(actorId, record.id, action, false, access.reason, { patientId: record.patientId });
+      throw new Error(access.reason);
+    }
+    return access.consentId;
+  }
+
+  /**
+   * Write the data-access audit entry for a record write
+   */
+  logWrite(actorId, recordId, action, granted, reason, metadata) {
+    return this.auditLogger.logDataAccess({
+      actorId: actorId || 'system',
+      resourceId: recordId,
+      resourceType: 'medicalRecord',
+      action,
+      granted,
+      reason,
+      metadata: { ...metadata, source: 'fhir' }
+    });
+  }
+
+  // ---- Consent ----
+
+  /**
+   * Resource type of a consent's grantee (AI models are Devices)
+   */
+  actorType(consent) {
+    // Grants from before grantee types were recorded name AI models as clinicians
+    if (this.aiModelContract?.getAIModel(consent.clinicianId)) {
+      return 'Device';
+    }
+    return mapper.GRANTEE_RESOURCE_TYPES[consent.granteeType] || 'Practitioner';
+  }
+
+  /**
+   * Search consents
+   *
+   * @param {Object} params - _id, patient, actor, category, status
+   */
+  searchConsents(params = {}) {
+    const patientId = params.patient ? mapper.parseReference(params.patient, ['Patient']) : null;
+    const actorId = params.actor ? mapper.parseReference(params.actor, Object.values(mapper.GRANTEE_RESOURCE_TYPES)) : null;
+
+    return this.consentContract.getAllConsents()
+      .filter(consent => (!params._id || consent.consentId === params._id) &&
+        (!params.patient || consent.patientId === patientId) &&
+        (!params.actor || consent.clinicianId === actorId) &&
+        (!params.category || consent.consentType === params.category))
+      .map(consent => mapper.toConsent(consent, this.actorType(consent)))
+      .filter(resource => !params.status || resource.status === params.status);
+  }
+
+  /**
+   * Read a consent
+   */
+  readConsent(id) {
+    const consent = this.consentContract.getConsentById(id);
+    if (!consent) {
+      throw new Error('Consent not found');
+    }
+    return mapper.toConsent(consent, this.actorType(consent));
+  }
+
+  /**
+   * Grant a consent
+   *
+   * @param {Object} options - { actorId }
+   */
+  async createConsent(resource, { actorId } = {}) {
+    FhirService.checkResource(resource, 'Consent');
+    const fields = mapper.fromConsent(resource);
+    if (fields.status && fields.status !== 'active') {
+      throw new Error("Consent status must be 'active'");
+    }
+    if (!fields.patientId || !fields.clinicianId) {
+      throw new Error('patient and provision.actor are required');
+    }
+
+    const result = await this.consentService.grantConsent(fields.patientId, fields.clinicianId, fields.consentType, {
+      granteeType: fields.granteeType,
+      expiresAt: fields.expiresAt,
+      purpose: fields.purpose,
+      scope: fields.scope,
+      actorId
+    });
+    await this.auditLogger.logConsentChange({
+      consentId: result.consentId,
+      action: 'granted',
+      actorId: actorId || fields.patientId,
+      patientId: fields.patientId,
+      clinicianId: fields.clinicianId,
+      consentType: fields.consentType,
+      metadata: { purpose: fields.purpose || null, expiresAt: result.expiresAt, scope: result.scope, source: 'fhir' }
+    });
+
+    return this.readConsent(result.consentId);
+  }
+
+  /**
+   * Update a consent; setting status to 'inactive' revokes it
+   * Any other change is rejected: a consent is granted again rather than edited.
+   *
+   * @param {Object} options - { actorId }
+   */
+  async updateConsent(id, resource, { actorId } = {}) {
+    FhirService.checkResource(resource, 'Consent', id);
+    const current = this.consentContract.getConsentById(id);
+    if (!current) {
+      throw new Error('Consent not found');
+    }
+
+    const fields = mapper.fromConsent(resource);
+    const changed = ['patientId', 'clinicianId', 'consentType', 'purpose'].some(field =>
+      fields[field] !== undefined && fields[field] !== current[field]) ||
+      (fields.scope !== undefined && JSON.stringify(fields.scope) !== JSON.stringify(current.scope)) ||
+      (fields.expiresAt !== undefined && new Date(fields.expiresAt).getTime() !== new Date(current.expiresAt).getTime());
+    if (changed) {
+      throw new Error('Consent fields other than status cannot be changed');
+    }
+
+    if (fields.status === 'active' && !current.isValid) {
+      throw new Error('A revoked or expired consent cannot be reactivated');
+    }
+    if (fields.status !== 'inactive' || !current.isValid) {
+      return this.readConsent(id);
+    }
+
+    await this.consentService.revokeConsent(id, { actorId });
+    await this.auditLogger.logConsentChange({
+      consentId: id,
+      action: 'revoked',
+      actorId: actorId || current.patientId,
+      patientId: current.patientId,
+      clinicianId: current.clinicianId,
+      consentType: current.consentType,
+      metadata: { source: 'fhir' }
+    });
+
+    // The revocation counts once it is mined; answer with the state it leads to
+    return mapper.toConsent({ ...current, isRevoked: true }, this.actorType(current));
+  }
+
+  // ---- AuditEvent ----
+
+  /**
+   * Search audit events
+   *
+   * @param {Object} params - _id, agent, entity, patient, type, subtype, outcome, date
+   * @returns {Promise<Array>} Resources, newest first
+   */
+  async searchAuditEvents(params = {}) {
+    const logs = await this.auditLogger.queryLogs({
+      logId: params._id,
+      actorId: params.agent ? mapper.parseReference(params.agent, ACTOR_TYPES) : undefined,
+      resourceId: params.entity ? mapper.parseReference(params.entity, [...ACTOR_TYPES, 'Observation', 'DiagnosticReport']) : undefined,
+      type: params.type,
+      action: params.subtype
+    });
+
+    const patientId = params.patient ? mapper.parseReference(params.patient, ['Patient']) : null;
+    return logs
+      .filter(log => (!patientId || mapper.auditPatientId(log) === patientId) &&
+        (!params.date || matchesDate(log.timestamp, params.date)))
+      .map(mapper.toAuditEvent)
+      .filter(resource => !params.outcome || resource.outcome === params.outcome);
+  }
+
+  /**
+   * Read an audit event
+   */
+  async readAuditEvent(id) {
+    const [log] = await this.auditLogger.queryLogs({ logId: id });
+    if (!log) {
+      throw new Error('AuditEvent not found');
+    }
+    return mapper.toAuditEvent(log);
+  }
+}
+
+module.exports = FhirService;
@@ -0,0 +1,110 @@
+/**
+ * Medical Record Controller - API endpoints for reading medical records
+ *
+ * Endpoints:
+ * - GET /api/medical-records - List records (optionally ?patientId=, ?full=true)
+ * - GET /api/medical-records/:recordId?purpose=...&consentType=... - Consent-enforced read (decrypted)
+ * - PATCH /api/medical-records/:recordId - Amend fields ({ changes, reason })
+ * - POST /api/medical-records/:recordId/deactivate|reactivate - Withdraw or restore a record
+ * - GET /api/medical-records/:recordId/history - Every version of a record
+ *
+ * The requester of a consent-enforced read is the authenticated caller,
+ * or ?requesterId= when authentication is disabled.
+ */
+
+const express = require('express');
+const MedicalRecordService = require('./medicalRecordService.js');
+const { addVersionRoutes } = require('../data-storage/registryController.js');
+const { formatSuccess, formatError } = require('../../utils/helpers.js');
+
+const router = express.Router();
+
+let medicalRecordService = null;
+let medicalRecordServiceBlockchain = null;
+
+router.use((req, res, next) => {
+  // Recreate service if blockchain instance has changed (for tests)
+  if (!medicalRecordService || medicalRecordServiceBlockchain !== req.app.locals.blockchain) {
+    medicalRecordService = new MedicalRecordService(
+      req.app.locals.blockchain,
+      req.app.locals.medicalRecordContract,
+      req.app.locals.clinicianContract,
+      req.app.locals.aiModelContract
+    );
+    medicalRecordServiceBlockchain = req.app.locals.blockchain;
+  }
+  next();
+});
+
+/**
+ * GET /api/medical-records
+ * List medical records
+ */
+router.get('/', (req, res) => {
+  try {
+    const { patientId, full } = req.query;
+    const allRecords = req.app.locals.medicalRecordContract.getAllMedicalRecords(patientId || null);
+
+    // If full=true, return complete records as stored, clinical fields sealed (for data integrity)
+    // Otherwise, return the plaintext fields (for UI display)
+    const records = full === 'true'
+      ? allRecords
+      : allRecords.map(r => r.erased ? r : ({
+          id: r.id,
+          patientId: r.patientId,
+          recordType: r.recordType,
+          date: r.date,
+          isActive: r.isActive !== false
+        }));
+
+    res.json({ data: records, count: records.length });
+  } catch (error) {
+    console.error('Error in /api/medical-records:', error);
+    res.status(500).json({ error: 'Failed to get medical records', message: error.message });
+  }
+});
+
+/**
+ * GET /api/medical-records/:recordId
+ * Read a single record if the requester holds a valid consent
+ */
+router.get('/:recordId', async (req, res, next) => {
+  try {
+    const { recordId } = req.params;
+    const { purpose, consentType } = req.query;
+    const requesterId = req.auth?.actorId || req.query.requesterId;
+
+    const result = await medicalRecordService.readRecord({ recordId, requesterId, purpose, consentType });
+
+    if (!result.granted) {
+      return res.status(403).json({
+        ...formatError(new Error(result.reason), 403),
+        data: { auditLogId: result.auditLogId, consentId: result.consentId }
+      });
+    }
+
+    res.status(200).json(formatSuccess(result, 'Medical record retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json(formatError(error, 404));
+    }
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    next(error);
+  }
+});
+
+addVersionRoutes(router, {
+  contract: 'medicalRecordContract',
+  idParam: 'recordId',
+  label: 'Medical record',
+  methods: {
+    update: 'updateMedicalRecord',
+    deactivate: 'deactivateMedicalRecord',
+    reactivate: 'reactivateMedicalRecord',
+    history: 'getMedicalRecordHistory'
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+/**
+ * Medical Record Service
+ *
+ * Consent-enforced read path for medical records.
+ * A record is only returned to a clinician or AI model holding a valid consent
+ * of the right type and purpose from the record's patient, whose scope covers
+ * the record (see ConsentScope). Every read attempt, allowed or denied, is
+ * written to the audit trail as a data-access entry.
+ * Clinical fields are decrypted only for granted reads, and fields outside the
+ * consent's field mask are left out.
+ * Without such a consent, a clinician holding unexpired break-glass access to
+ * the patient (see BreakGlassContract) is still given the full record; those
+ * reads are audited with the access they were made under.
+ */
+
+const ConsentContract = require('../consent-management/ConsentContract.js');
+const ConsentScope = require('../consent-management/ConsentScope.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+const BreakGlassContract = require('../emergency-access/BreakGlassContract.js');
+
+// Consent type checked when the caller does not ask for a specific one
+const DEFAULT_CONSENT_TYPES = {
+  clinician: 'Data Access',
+  'ai-model': 'AI Analysis'
+};
+
+const VALID_CONSENT_TYPES = ['Data Access', 'AI Analysis', 'Research', 'Treatment'];
+
+class MedicalRecordService {
+  constructor(blockchain, medicalRecordContract, clinicianContract, aiModelContract) {
+    this.consentContract = new ConsentContract(blockchain);
+    this.auditLogger = new AuditLogger(blockchain);
+    this.breakGlassContract = new BreakGlassContract(blockchain);
+    this.medicalRecordContract = medicalRecordContract;
+    this.clinicianContract = clinicianContract;
+    this.aiModelContract = aiModelContract;
+  }
+
+  /**
+   * Work out whether the requester is a clinician or an AI model
+   *
+   * @param {string} requesterId - Requester ID
+   * @returns {string|null} 'clinician', 'ai-model' or null if unknown
+   */
+  getRequesterType(requesterId) {
+    if (this.clinicianContract?.getClinician(requesterId)) {
+      return 'clinician';
+    }
+    if (this.aiModelContract?.getAIModel(requesterId)) {
+      return 'ai-model';
+    }
+    return null;
+  }
+
+  /**
+   * Check that a requester has not been deactivated (suspended clinician, retired model)
+   */
+  isRequesterActive(requesterId, requesterType) {
+    const requester = requesterType === 'clinician'
+      ? this.clinicianContract.getClinician(requesterId)
+      : this.aiModelContract.getAIModel(requesterId);
+    return requester.isActive !== false;
+  }
+
+  /**
+   * Read a medical record on behalf of a clinician or AI model
+   *
+   * @param {Object} request - Read request
+   * @param {string} request.recordId - Medical record ID
+   * @param {string} request.requesterId - Requesting clinician or AI model
+   * @param {string} request.purpose - Purpose of the access; must match the consent's purpose
+   * @param {string} request.consentType - Optional consent type (defaults by requester type)
+   * @returns {Promise<Object>} { granted, reason, record, hiddenFields, consentId, organizationId, breakGlassAccessId, auditLogId }
+   */
+  async readRecord({ recordId, requesterId, purpose, consentType } = {}) {
+    if (!recordId || !requesterId || !purpose) {
+      throw new Error('recordId, requesterId, and purpose are required');
+    }
+    if (consentType && !VALID_CONSENT_TYPES.includes(consentType)) {
+      throw new Error(`Invalid consent type. Must be one of: ${VALID_CONSENT_TYPES.join(', ')}`);
+    }
+
+    const record = this.medicalRecordContract.getMedicalRecord(recordId);
+    if (!record) {
+      await this.logAccess(requesterId, recordId, false, 'Medical record not found', { purpose });
+      throw new Error('Medical record not found');
+    }
+
+    const requesterType = this.getRequesterType(requesterId);
+    const checkedType = consentType || DEFAULT_CONSENT_TYPES[requesterType] || null;
+    const details = {
+      patientId: record.patientId,
+      requesterType,
+      consentType: checkedType,
+      purpose
+    };
+
+    if (!requesterType) {
+      return this.deny(requesterId, recordId, 'Requester is not a registered clinician or AI model', details);
+    }
+    if (!this.isRequesterActive(requesterId, requesterType)) {
+      return this.deny(requesterId, recordId, 'Requester has been deactivated', details);
+    }
+    if (record.erased) {
+      return this.deny(requesterId, recordId, 'Medical record has been erased', details);
+    }
+    if (record.isActive === false) {
+      return this.deny(requesterId, recordId, 'Medical record has been deactivated', details);
+    }
+
+    const access = this.consentContract.evaluateAccess(requesterId, record, { consentType: checkedType, purpose });
+    const emergency = !access.granted && requesterType === 'clinician'
+      ? this.breakGlassContract.findActiveAccess(requesterId, record.patientId)
+      : null;
+    if (emergency) {
+      return this.grantEmergency(requesterId, record, emergency, details);
+    }
+    if (!access.granted) {
+      return this.deny(requesterId, recordId, access.reason, {
+        ...details,
+        ...(access.consentId ? { consentId: access.consentId } : {})
+      });
+    }
+
+    // Clinical fields are stored encrypted and only opened for a consented read;
+    // fields outside the consent's field mask are then left out
+    const { record: revealed, hiddenFields } = ConsentScope.mask(
+      access.scope,
+      this.medicalRecordContract.decryptRecord(record)
+    );
+
+    const log = await this.logAccess(requesterId, recordId, true, 'Valid consent', {
+      ...details,
+      consentId: access.consentId,
+      // Set when the consent was given to the clinician's organization
+      ...(access.organizationId ? { organizationId: access.organizationId } : {}),
+      hiddenFields
+    });
+
+    return {
+      granted: true,
+      reason: 'Valid consent',
+      record: revealed,
+      hiddenFields,
+      consentId: access.consentId,
+      organizationId: access.organizationId,
+      auditLogId: log.logId
+    };
+  }
+
+  /**
+   * Return a record read under break-glass access (no consent, so nothing is masked)
+   */
+  async grantEmergency(requesterId, record, emergency, details) {
+    const reason = 'Break-glass emergency access';
+    const log = await this.logAccess(requesterId, record.id, true, reason, {
+      ...details,
+      breakGlassAccessId: emergency.accessId,
+      reviewId: emergency.reviewId
+    });
+
+    return {
+      granted: true,
+      reason,
+      record: this.medicalRecordContract.decryptRecord(record),
+      hiddenFields: [],
+      consentId: null,
+      breakGlassAccessId: emergency.accessId,
+      auditLogId: log.logId
+    };
+  }
+
+  /**
+   * Record a denied read and build the denial result
+   */
+  async deny(requesterId, recordId, reason, details) {
+    const log = await this.logAccess(requesterId, recordId, false, reason, details);
+    return {
+      granted: false,
+      reason,
+      record: null,
+      consentId: details.consentId || null,
+      auditLogId: log.logId
+    };
+  }
+
+  /**
+   * Write the data-access audit entry for a read attempt
+   */
+  logAccess(requesterId, recordId, granted, reason, metadata) {
+    return this.auditLogger.logDataAccess({
+      actorId: requesterId,
+      resourceId: recordId,
+      resourceType: 'medicalRecord',
+      granted,
+      reason,
+      metadata
+    });
+  }
+}
+
+module.exports = MedicalRecordService;
@@ -0,0 +1,216 @@
+/**
+ * Network Controller - API endpoints for peer-to-peer networking
+ *
+ * Endpoints:
+ * - GET /api/network/nodes - List this node and its peers
+ * - POST /api/network/nodes - Register a peer node (network secret or node operator token)
+ * - DELETE /api/network/nodes/:nodeId - Remove a peer node
+ * - POST /api/network/transactions - Receive a gossiped transaction
+ * - POST /api/network/proposals - Receive a block proposal
+ * - POST /api/network/votes - Receive a signed consensus vote
+ * - POST /api/network/blocks - Receive a mined block
+ * - GET /api/network/blocks?from=N - Get blocks starting at index N
+ * - GET /api/network/pending - Get the pending transaction pool
+ * - GET /api/network/keys - Get the public keys of known nodes
+ * - POST /api/network/sync - Pull missing blocks from peers
+ *
+ * Gossip endpoints only accept requests signed by a registered peer (see
+ * NodeManager.getRequestHeaders). The other endpoints are guarded in policies.js.
+ */
+
+const express = require('express');
+const NetworkService = require('./networkService.js');
+const { getPeerRequest } = require('../auth/authMiddleware.js');
+const { formatSuccess, formatError } = require('../../utils/helpers.js');
+
+const router = express.Router();
+
+let networkService = null;
+let networkServiceBlockchain = null;
+
+router.use((req, res, next) => {
+  // Recreate service if blockchain instance has changed (for tests)
+  if (!networkService || networkServiceBlockchain !== req.app.locals.blockchain) {
+    networkService = new NetworkService(
+      req.app.locals.blockchain,
+      req.app.locals.nodeManager,
+      req.app.locals.consensusService
+    );
+    networkServiceBlockchain = req.app.locals.blockchain;
+  }
+  next();
+});
+
+/**
+ * Map service errors to HTTP status codes
+ */
+function handleError(error, res, next) {
+  if (error.message.includes('Unknown node')) {
+    return res.status(403).json(formatError(error, 403));
+  }
+  if (error.message.includes('Equivocation') || error.message.includes('different key is already registered')) {
+    return res.status(409).json(formatError(error, 409));
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json(formatError(error, 404));
+  }
+  if (error.message.includes('required') || error.message.includes('Invalid') ||
+      error.message.includes('does not') || error.message.includes('invalid')) {
+    return res.status(400).json(formatError(error, 400));
+  }
+  next(error);
+}
+
+/**
+ * GET /api/network/nodes
+ * List this node and its peers
+ */
+router.get('/nodes', async (req, res, next) => {
+  try {
+    const result = await networkService.getNodes();
+    res.status(200).json(formatSuccess(result, 'Network nodes retrieved successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/network/nodes
+ * Register a peer node
+ */
+router.post('/nodes', async (req, res, next) => {
+  try {
+    const { nodeId, host, port, publicKey } = req.body;
+    const result = await networkService.registerNode(
+      { nodeId, host, port, publicKey },
+      req.get('X-Network-Secret'),
+      req.auth
+    );
+    res.status(201).json(formatSuccess(result, 'Node registered successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /api/network/nodes/:nodeId
+ * Remove a peer node
+ */
+router.delete('/nodes/:nodeId', async (req, res, next) => {
+  try {
+    const result = await networkService.removeNode(req.params.nodeId);
+    res.status(200).json(formatSuccess(result, 'Node removed successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/network/transactions
+ * Receive a gossiped transaction
+ */
+router.post('/transactions', async (req, res, next) => {
+  try {
+    const fromNodeId = networkService.authenticatePeer(getPeerRequest(req));
+    const result = await networkService.receiveTransaction(req.body.transaction, fromNodeId);
+    res.status(200).json(formatSuccess(result, 'Transaction received'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/network/proposals
+ * Receive a block proposal
+ */
+router.post('/proposals', async (req, res, next) => {
+  try {
+    const fromNodeId = networkService.authenticatePeer(getPeerRequest(req));
+    const result = await networkService.receiveProposal(req.body.block, fromNodeId);
+    res.status(200).json(formatSuccess(result, 'Block proposal received'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/network/votes
+ * Receive a signed prepare, commit or view-change vote
+ */
+router.post('/votes', async (req, res, next) => {
+  try {
+    const fromNodeId = networkService.authenticatePeer(getPeerRequest(req));
+    const result = await networkService.receiveVote(req.body.vote, fromNodeId);
+    res.status(200).json(formatSuccess(result, 'Vote received'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/network/blocks
+ * Receive a mined block
+ */
+router.post('/blocks', async (req, res, next) => {
+  try {
+    const fromNodeId = networkService.authenticatePeer(getPeerRequest(req));
+    const result = await networkService.receiveBlock(req.body.block, fromNodeId);
+    res.status(200).json(formatSuccess(result, 'Block received'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/network/blocks?from=N
+ * Get blocks starting at index N
+ */
+router.get('/blocks', async (req, res, next) => {
+  try {
+    const result = await networkService.getBlocks(req.query.from || 0);
+    res.status(200).json(formatSuccess(result, 'Blocks retrieved successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/network/pending
+ * Get the pending transaction pool
+ */
+router.get('/pending', async (req, res, next) => {
+  try {
+    const result = await networkService.getPendingTransactions();
+    res.status(200).json(formatSuccess(result, 'Pending transactions retrieved successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/network/keys
+ * Get the public keys of known nodes
+ */
+router.get('/keys', async (req, res, next) => {
+  try {
+    const result = await networkService.getNodeKeys();
+    res.status(200).json(formatSuccess(result, 'Node keys retrieved successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/network/sync
+ * Pull missing blocks and pending transactions from peers
+ */
+router.post('/sync', async (req, res, next) => {
+  try {
+    const result = await networkService.syncChain();
+    res.status(200).json(formatSuccess(result, 'Chain synchronized with peers'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+module.exports = router;
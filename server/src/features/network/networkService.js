@@ -0,0 +1,223 @@
+/**
+ * Network Service
+ *
+ * This service handles node registration and the peer-to-peer gossip
+ * of transactions, block proposals and mined blocks.
+ */
+
+// Roles that may register peers without the network secret
+const OPERATOR_ROLES = ['node-operator', 'admin'];
+
+class NetworkService {
+  constructor(blockchain, nodeManager, consensusService) {
+    this.blockchain = blockchain;
+    this.nodeManager = nodeManager;
+    this.consensusService = consensusService;
+  }
+
+  /**
+   * Register a peer node
+   *
+   * @param {Object} nodeInfo - { nodeId, host, port, publicKey }
+   * @param {string} networkSecret - Secret presented by the peer
+   * @param {Object} principal - Authenticated caller (node operators and admins need no secret)
+   * @returns {Promise<Object>} This node's info and current peers
+   */
+  async registerNode(nodeInfo, networkSecret = null, principal = null) {
+    if (!OPERATOR_ROLES.includes(principal?.role)) {
+      this.checkNetworkSecret(networkSecret);
+    }
+
+    const { nodeId, host, port, publicKey } = nodeInfo || {};
+    if (!nodeId || !host || !port || !publicKey) {
+      throw new Error('nodeId, host, port, and publicKey are required');
+    }
+    if (!Number.isInteger(Number(port)) || Number(port) <= 0 || Number(port) > 65535) {
+      throw new Error('Invalid port');
+    }
+    if (nodeId === this.nodeManager.getNodeId()) {
+      throw new Error('Invalid nodeId: cannot register self');
+    }
+
+    this.nodeManager.addNode(nodeId, { host, port, publicKey });
+
+    return {
+      node: this.nodeManager.getSelfInfo(),
+      peers: this.nodeManager.getPeers()
+    };
+  }
+
+  /**
+   * List this node and its peers
+   */
+  async getNodes() {
+    const peers = this.nodeManager.getPeers();
+    return {
+      self: this.nodeManager.getSelfInfo(),
+      count: peers.length,
+      peers
+    };
+  }
+
+  /**
+   * Remove a peer
+   */
+  async removeNode(nodeId) {
+    if (!this.nodeManager.removeNode(nodeId)) {
+      throw new Error('Node not found');
+    }
+    return { nodeId, removed: true };
+  }
+
+  /**
+   * Accept a gossiped transaction from a registered peer
+   */
+  async receiveTransaction(transaction, fromNodeId) {
+    this.checkKnownNode(fromNodeId);
+
+    if (!transaction) {
+      throw new Error('transaction is required');
+    }
+
+    const result = this.blockchain.receiveTransaction(transaction);
+    return { accepted: result.accepted, transactionId: transaction.id };
+  }
+
+  /**
+   * Accept a mined block from a registered peer
+   * Blocks ahead of the local chain trigger a sync to fetch the gap.
+   */
+  async receiveBlock(block, fromNodeId) {
+    this.checkKnownNode(fromNodeId);
+
+    if (!block || block.index === undefined) {
+      throw new Error('block is required');
+    }
+
+    const localLength = this.blockchain.getChainLength();
+
+    if (block.index < localLength) {
+      const existing = this.blockchain.getBlock(block.index);
+      return {
+        accepted: false,
+        blockHash: block.hash,
+        message: existing.hash === block.hash ? 'Block already in chain' : 'Block conflicts with local chain'
+      };
+    }
+
+    if (block.index > localLength) {
+      const sync = await this.nodeManager.syncChain();
+      return { accepted: false, blockHash: block.hash, synced: true, chainLength: sync.chainLength };
+    }
+
+    this.blockchain.addBlock(block);
+    return { accepted: true, blockHash: block.hash, chainLength: this.blockchain.getChainLength() };
+  }
+
+  /**
+   * Accept a block proposal from a registered peer
+   */
+  async receiveProposal(block, fromNodeId) {
+    this.checkKnownNode(fromNodeId);
+
+    if (!block) {
+      throw new Error('block is required');
+    }
+
+    return this.consensusService.engine.receiveProposal(block, fromNodeId);
+  }
+
+  /**
+   * Accept a signed consensus vote (prepare, commit or view change) from a registered peer
+   */
+  async receiveVote(vote, fromNodeId) {
+    this.checkKnownNode(fromNodeId);
+
+    if (!vote) {
+      throw new Error('vote is required');
+    }
+
+    return this.consensusService.engine.receiveVote(vote);
+  }
+
+  /**
+   * Get blocks from an index (for peers catching up)
+   */
+  async getBlocks(fromIndex = 0) {
+    const start = Number(fromIndex);
+    if (!Number.isInteger(start) || start < 0) {
+      throw new Error('Invalid from index');
+    }
+
+    const blocks = this.blockchain.getBlocksFrom(start);
+    return {
+      from: start,
+      count: blocks.length,
+      chainLength: this.blockchain.getChainLength(),
+      blocks
+    };
+  }
+
+  /**
+   * Get the public keys of the nodes this node trusts (for operators comparing node configurations)
+   */
+  async getNodeKeys() {
+    const keys = this.blockchain.keyStore.getPublicKeys('node')
+      .filter(key => key.actorId !== 'system');
+    return {
+      count: keys.length,
+      keys
+    };
+  }
+
+  /**
+   * Get the pending transaction pool (for peers catching up)
+   */
+  async getPendingTransactions() {
+    const transactions = this.blockchain.pendingTransactions || [];
+    return {
+      count: transactions.length,
+      transactions
+    };
+  }
+
+  /**
+   * Pull missing blocks and pending transactions from peers
+   */
+  async syncChain() {
+    return this.nodeManager.syncChain();
+  }
+
+  /**
+   * Identify the registered peer that signed a request
+   *
+   * @param {Object} request - Signed request (see NodeManager.verifyPeerRequest)
+   * @returns {string} Node ID of the sender
+   */
+  authenticatePeer(request) {
+    if (!this.nodeManager.verifyPeerRequest(request)) {
+      throw new Error('Unknown node: requests must be signed by a registered peer');
+    }
+    return request.nodeId;
+  }
+
+  /**
+   * Throw unless the sender is a registered peer
+   */
+  checkKnownNode(nodeId) {
+    if (!nodeId || !this.nodeManager.isKnownNode(nodeId)) {
+      throw new Error('Unknown node: register with this node first');
+    }
+  }
+
+  /**
+   * Throw unless the presented secret matches this network's secret (if one is set)
+   */
+  checkNetworkSecret(secret) {
+    if (this.nodeManager.networkSecret && !this.nodeManager.verifyNetworkSecret(secret)) {
+      throw new Error('Unknown node: invalid network secret');
+    }
+  }
+}
+
+module.exports = NetworkService;
@@ -0,0 +1,95 @@
+/**
+ * Event Feed
+ *
+ * Per-patient feed of events the patient should be told about (emergency
+ * access to their records, review outcomes, ...). Events are stored as
+ * blockchain transactions, so the feed is as tamper-proof as the audit trail
+ * and every node serves the same feed.
+ */
+
+const crypto = require('crypto');
+
+class EventFeed {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.contractAddress = 'event-feed';
+  }
+
+  /**
+   * Publish an event to a patient's feed
+   *
+   * @param {string} patientId - Patient the event is about
+   * @param {Object} event - Event
+   * @param {string} event.type - Event type (e.g. 'break-glass')
+   * @param {string} event.message - Human-readable summary
+   * @param {string} event.resourceId - Resource the event refers to (optional)
+   * @param {Object} event.data - Event details
+   * @returns {Object} { eventId, transaction }
+   */
+  publish(patientId, { type, message, resourceId = null, data = {} } = {}) {
+    if (!patientId || !type || !message) {
+      throw new Error('patientId, type, and message are required');
+    }
+
+    const eventId = crypto.randomUUID();
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: 'system',
+      to: this.contractAddress,
+      data: {
+        action: 'publish',
+        eventId,
+        patientId,
+        type,
+        message,
+        resourceId,
+        occurredAt: new Date().toISOString(),
+        data
+      }
+    }));
+
+    return {
+      eventId,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Get a patient's events (mined and pending)
+   *
+   * @param {string} patientId - Patient ID
+   * @param {Object} filters - { type, since (ISO date) }
+   * @returns {Array} Events, newest first
+   */
+  getEvents(patientId, { type, since } = {}) {
+    const criteria = { to: this.contractAddress, 'data.action': 'publish', 'data.patientId': patientId };
+    if (type) {
+      criteria['data.type'] = type;
+    }
+
+    let events = this.blockchain.searchTransactions(criteria, { includePending: true }).map(tx => ({
+      eventId: tx.data.eventId,
+      patientId: tx.data.patientId,
+      type: tx.data.type,
+      message: tx.data.message,
+      resourceId: tx.data.resourceId,
+      occurredAt: tx.data.occurredAt,
+      data: tx.data.data,
+      pending: tx.pending || false
+    }));
+
+    if (since) {
+      const sinceDate = new Date(since);
+      if (isNaN(sinceDate.getTime())) {
+        throw new Error('Invalid since date');
+      }
+      events = events.filter(event => new Date(event.occurredAt) > sinceDate);
+    }
+
+    return events.sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+  }
+}
+
+module.exports = EventFeed;
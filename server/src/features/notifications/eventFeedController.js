@@ -0,0 +1,44 @@
+/**
+ * Event Feed Controller - API endpoints for patient event feeds
+ *
+ * Endpoints:
+ * - GET /api/events/:patientId - A patient's events, newest first (?type=, ?since=)
+ */
+
+const express = require('express');
+const EventFeed = require('./EventFeed.js');
+const { formatSuccess, formatError } = require('../../utils/helpers.js');
+
+const router = express.Router();
+
+let eventFeed = null;
+let eventFeedBlockchain = null;
+
+router.use((req, res, next) => {
+  // Recreate feed if blockchain instance has changed (for tests)
+  if (!eventFeed || eventFeedBlockchain !== req.app.locals.blockchain) {
+    eventFeed = new EventFeed(req.app.locals.blockchain);
+    eventFeedBlockchain = req.app.locals.blockchain;
+  }
+  next();
+});
+
+/**
+ * GET /api/events/:patientId
+ * Get a patient's events
+ */
+router.get('/:patientId', (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+    const events = eventFeed.getEvents(patientId, { type: req.query.type, since: req.query.since });
+
+    res.status(200).json(formatSuccess({ patientId, count: events.length, events }, 'Events retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+/**
+ * Research Controller - API endpoints for research studies and cohorts
+ *
+ * Endpoints:
+ * - POST /api/research/studies - Register a study ({ title, purposes, dataCategories, principalInvestigatorId })
+ * - GET /api/research/studies?activeOnly=true - List studies
+ * - GET /api/research/studies/:studyId - Get a study
+ * - POST /api/research/studies/:studyId/opt-in - Join a patient at a tier ({ patientId, tier, categories, purpose, expiresAt })
+ * - POST /api/research/studies/:studyId/tier - Change a patient's tier ({ patientId, tier, confirmed, reason })
+ * - POST /api/research/studies/:studyId/withdraw - Withdraw a patient ({ patientId, reason })
+ * - GET /api/research/studies/:studyId/cohort?tier=&category= - Patients whose current consent covers the tier
+ *
+ * As with /api/consent, a patient's actions are recorded with the party acting:
+ * the authenticated caller when they are the patient or one of their delegates,
+ * otherwise the party named in the body (grantedBy, amendedBy, revokedBy).
+ */
+
+const express = require('express');
+const ResearchService = require('./researchService.js');
+const { formatSuccess, formatError } = require('../../utils/helpers.js');
+
+const router = express.Router();
+
+let researchService = null;
+let researchServiceBlockchain = null;
+
+router.use((req, res, next) => {
+  // Recreate service if blockchain instance has changed (for tests)
+  if (!researchService || researchServiceBlockchain !== req.app.locals.blockchain) {
+    researchService = new ResearchService(
+      req.app.locals.blockchain,
+      req.app.locals.patientContract,
+      req.app.locals.clinicianContract,
+      req.app.locals.researchStudyContract,
+      req.app.locals.researchOptions
+    );
+    researchServiceBlockchain = req.app.locals.blockchain;
+  }
+  next();
+});
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleError(error, res, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json(formatError(error, 404));
+  }
+  if (error.message.includes('Invalid') || error.message.includes('required') || error.message.includes('must')) {
+    return res.status(400).json(formatError(error, 400));
+  }
+  if (error.message.includes('already') || error.message.includes('requires confirmation') ||
+      error.message.includes('has been deactivated')) {
+    return res.status(409).json(formatError(error, 409));
+  }
+  if (error.message.includes('has been erased')) {
+    return res.status(410).json(formatError(error, 410));
+  }
+  if (error.message.includes('Acting party')) {
+    return res.status(403).json(formatError(error, 403));
+  }
+  next(error);
+}
+
+/**
+ * Reject a request without a patientId
+ */
+function requirePatient(req, res) {
+  if (!req.body.patientId) {
+    res.status(400).json(formatError(new Error('patientId is required'), 400));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * POST /api/research/studies
+ * Register a research study
+ */
+router.post('/studies', async (req, res, next) => {
+  try {
+    const result = await researchService.registerStudy(req.body);
+
+    res.status(201).json(formatSuccess(result, 'Research study registered successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/research/studies
+ * List research studies
+ */
+router.get('/studies', async (req, res, next) => {
+  try {
+    const studies = await researchService.listStudies(req.query.activeOnly === 'true');
+
+    res.status(200).json(formatSuccess({ studies, count: studies.length }, 'Research studies retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/research/studies/:studyId
+ * Get a research study
+ */
+router.get('/studies/:studyId', async (req, res, next) => {
+  try {
+    const result = await researchService.getStudy(req.params.studyId);
+
+    res.status(200).json(formatSuccess(result, 'Research study retrieved successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/research/studies/:studyId/opt-in
+ * Join a patient to a study at a data tier
+ */
+router.post('/studies/:studyId/opt-in', async (req, res, next) => {
+  try {
+    if (!requirePatient(req, res)) return;
+    const { patientId, tier, categories, purpose, expiresAt, grantedBy } = req.body;
+
+    const result = await researchService.optIn(req.params.studyId, patientId, {
+      tier,
+      categories,
+      purpose,
+      expiresAt,
+      actorId: req.auth?.actorId,
+      grantedBy
+    });
+
+    res.status(201).json(formatSuccess(result, 'Joined research study successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/research/studies/:studyId/tier
+ * Change a patient's data tier; a more revealing tier requires confirmed: true
+ */
+router.post('/studies/:studyId/tier', async (req, res, next) => {
+  try {
+    if (!requirePatient(req, res)) return;
+    const { patientId, tier, confirmed, reason, amendedBy } = req.body;
+
+    const result = await researchService.changeTier(req.params.studyId, patientId, {
+      tier,
+      confirmed,
+      reason,
+      actorId: req.auth?.actorId,
+      amendedBy
+    });
+
+    res.status(200).json(formatSuccess(result, 'Research tier changed successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/research/studies/:studyId/withdraw
+ * Withdraw a patient from a study
+ */
+router.post('/studies/:studyId/withdraw', async (req, res, next) => {
+  try {
+    if (!requirePatient(req, res)) return;
+    const { patientId, reason, revokedBy } = req.body;
+
+    const result = await researchService.withdraw(req.params.studyId, patientId, {
+      reason,
+      actorId: req.auth?.actorId,
+      revokedBy
+    });
+
+    res.status(200).json(formatSuccess(result, 'Withdrawn from research study successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/research/studies/:studyId/cohort
+ * Get the study's cohort at a tier
+ */
+router.get('/studies/:studyId/cohort', async (req, res, next) => {
+  try {
+    const result = await researchService.getCohort(req.params.studyId, {
+      tier: req.query.tier,
+      category: req.query.category,
+      actorId: req.auth?.actorId
+    });
+
+    res.status(200).json(formatSuccess(result, 'Research cohort retrieved successfully'));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+});
+
+module.exports = router;
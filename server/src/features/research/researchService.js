@@ -0,0 +1,316 @@
+/**
+ * Research Service - Research studies, tiered consent and cohorts
+ *
+ * A patient joins a study by granting it a Research consent (granteeType
+ * 'research-study'). The consent's scope records the data tier the patient
+ * agreed to (see ConsentScope.TIERS) and the study's data categories it covers
+ * (as recordTypes); its purpose is one of the study's declared purposes. The
+ * tier can be changed later by amending the consent, and the patient leaves
+ * the study by revoking it.
+ *
+ * Cohorts are computed from the current consents on every query. A withdrawal
+ * takes effect as soon as its revocation is submitted, before it is mined.
+ * Cohorts are released in the form of the requested tier: patient IDs for
+ * identifiable, per-study pseudonyms for de-identified, and only a count for
+ * aggregate. Joining, changing tier, withdrawing and querying a cohort are
+ * written to the audit trail.
+ */
+
+const crypto = require('crypto');
+const ConsentService = require('../consent-management/consentService.js');
+const ConsentScope = require('../consent-management/ConsentScope.js');
+const ResearchStudyContract = require('../data-storage/ResearchStudyContract.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+const { isValidUUID } = require('../../utils/helpers.js');
+
+class ResearchService {
+  /**
+   * @param {Blockchain} blockchain - Blockchain instance
+   * @param {PatientContract} patientContract - Patient registry
+   * @param {ClinicianContract} clinicianContract - Clinician registry
+   * @param {ResearchStudyContract} researchStudyContract - Study registry (defaults to one on the same blockchain)
+   * @param {Object} options - Service options
+   * @param {string} options.pseudonymSecret - Key for de-identified patient pseudonyms (random per process if omitted)
+   */
+  constructor(blockchain, patientContract, clinicianContract, researchStudyContract, options = {}) {
+    this.blockchain = blockchain;
+    this.studies = researchStudyContract || new ResearchStudyContract(blockchain);
+    this.consentService = new ConsentService(blockchain, patientContract, clinicianContract, null, null, this.studies);
+    this.contract = this.consentService.contract;
+    this.patientContract = patientContract;
+    this.clinicianContract = clinicianContract;
+    this.auditLogger = new AuditLogger(blockchain);
+    this.pseudonymSecret = options.pseudonymSecret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Register a research study
+   *
+   * @param {Object} fields - id (generated if omitted), title, purposes, dataCategories, principalInvestigatorId, ...
+   * @returns {Promise<Object>} Result with study ID and transaction info
+   */
+  async registerStudy(fields = {}) {
+    const studyId = fields.id || crypto.randomUUID();
+    if (!isValidUUID(studyId)) {
+      throw new Error('Invalid study ID format');
+    }
+    if (fields.principalInvestigatorId && !this.clinicianContract.getClinician(fields.principalInvestigatorId)) {
+      throw new Error('Principal investigator not found');
+    }
+    return this.studies.registerStudy({ ...fields, id: studyId });
+  }
+
+  /**
+   * List research studies
+   *
+   * @param {boolean} activeOnly - If true, leave closed studies out
+   * @returns {Promise<Array>} Study records
+   */
+  async listStudies(activeOnly = false) {
+    return this.studies.getAllStudies(activeOnly);
+  }
+
+  /**
+   * Get a research study
+   *
+   * @param {string} studyId - Study ID
+   * @returns {Promise<Object>} Study record
+   */
+  async getStudy(studyId) {
+    const study = this.studies.getStudy(studyId);
+    if (!study) {
+      throw new Error('Research study not found');
+    }
+    return study;
+  }
+
+  /**
+   * Get an active study (closed studies take no new participants or queries)
+   */
+  async getActiveStudy(studyId) {
+    const study = await this.getStudy(studyId);
+    if (study.isActive === false) {
+      throw new Error('Research study has been deactivated');
+    }
+    return study;
+  }
+
+  /**
+   * Find a patient's current consent to a study
+   * A consent whose revocation is still pending no longer counts.
+   *
+   * @param {string} studyId - Study ID
+   * @param {string} patientId - Patient ID
+   * @returns {Object|null} Consent terms (see ConsentContract.findValidConsent) or null
+   */
+  getParticipation(studyId, patientId) {
+    const consent = this.contract.findValidConsent(patientId, studyId, 'Research');
+    if (!consent || consent.granteeType !== 'research-study') {
+      return null;
+    }
+    const revocations = this.contract.searchConsents({
+      'data.action': 'revoke',
+      'data.consentId': consent.consentId
+    }, { includePending: true });
+    return revocations.length > 0 ? null : consent;
+  }
+
+  /**
+   * Join a patient to a study at a data tier
+   *
+   * @param {string} studyId - Study ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - tier (required), categories (default: all of the study's),
+   *   purpose (default: the study's first), expiresAt, actorId (authenticated caller), grantedBy (claimed acting party)
+   * @returns {Promise<Object>} Consent grant result with tier, categories and auditLogId
+   */
+  async optIn(studyId, patientId, options = {}) {
+    const study = await this.getActiveStudy(studyId);
+
+    if (!ConsentScope.TIERS.includes(options.tier)) {
+      throw new Error(`Invalid tier. Must be one of: ${ConsentScope.TIERS.join(', ')}`);
+    }
+    const categories = options.categories || study.dataCategories;
+    if (!Array.isArray(categories) || categories.length === 0 ||
+        categories.some(category => !study.dataCategories.includes(category))) {
+      throw new Error(`Invalid categories. Must be among the study's data categories: ${study.dataCategories.join(', ')}`);
+    }
+    const purpose = options.purpose || study.purposes[0];
+    if (!study.purposes.includes(purpose)) {
+      throw new Error(`Invalid purpose. Must be one of the study's purposes: ${study.purposes.join(', ')}`);
+    }
+
+    const result = await this.consentService.grantConsent(patientId, studyId, 'Research', {
+      granteeType: 'research-study',
+      purpose,
+      scope: { recordTypes: categories, tier: options.tier },
+      expiresAt: options.expiresAt,
+      actorId: options.actorId,
+      grantedBy: options.grantedBy
+    });
+
+    const log = await this.auditLogger.logConsentChange({
+      consentId: result.consentId,
+      action: 'granted',
+      actorId: result.grantedBy,
+      patientId,
+      clinicianId: studyId,
+      consentType: 'Research',
+      metadata: { studyId, tier: options.tier, categories: result.scope.recordTypes, purpose }
+    });
+
+    return {
+      ...result,
+      studyId,
+      tier: options.tier,
+      categories: result.scope.recordTypes,
+      auditLogId: log.logId
+    };
+  }
+
+  /**
+   * Change the data tier of a patient's participation, keeping the consent ID
+   * Moving to a more revealing tier needs confirmed: true.
+   *
+   * @param {string} studyId - Study ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - tier, confirmed, reason, actorId (authenticated caller), amendedBy (claimed acting party)
+   * @returns {Promise<Object>} Amendment result with the previous and new tier and auditLogId
+   */
+  async changeTier(studyId, patientId, options = {}) {
+    await this.getStudy(studyId);
+    if (!ConsentScope.TIERS.includes(options.tier)) {
+      throw new Error(`Invalid tier. Must be one of: ${ConsentScope.TIERS.join(', ')}`);
+    }
+    const consent = this.getParticipation(studyId, patientId);
+    if (!consent) {
+      throw new Error('Research consent not found');
+    }
+
+    const previousTier = consent.scope?.tier || 'identifiable';
+    const result = await this.consentService.amendConsent(consent.consentId, {
+      scope: { ...consent.scope, tier: options.tier },
+      confirmed: options.confirmed,
+      reason: options.reason,
+      actorId: options.actorId,
+      amendedBy: options.amendedBy
+    });
+
+    const log = await this.auditLogger.logConsentChange({
+      consentId: consent.consentId,
+      action: 'amended',
+      actorId: result.amendedBy,
+      patientId,
+      clinicianId: studyId,
+      consentType: 'Research',
+      metadata: { studyId, tier: { previous: previousTier, current: options.tier }, reason: options.reason || null }
+    });
+
+    return {
+      ...result,
+      studyId,
+      patientId,
+      tier: options.tier,
+      previousTier,
+      auditLogId: log.logId
+    };
+  }
+
+  /**
+   * Withdraw a patient from a study
+   * The patient leaves the study's cohort at once; the withdrawal is audited by ConsentService.
+   *
+   * @param {string} studyId - Study ID
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - reason, actorId (authenticated caller), revokedBy (claimed acting party)
+   * @returns {Promise<Object>} Revocation result with auditLogId
+   */
+  async withdraw(studyId, patientId, options = {}) {
+    await this.getStudy(studyId);
+    const consent = this.getParticipation(studyId, patientId);
+    if (!consent) {
+      throw new Error('Research consent not found');
+    }
+
+    const result = await this.consentService.revokeConsent(consent.consentId, {
+      actorId: options.actorId,
+      revokedBy: options.revokedBy,
+      reason: options.reason
+    });
+
+    return { ...result, studyId, patientId };
+  }
+
+  /**
+   * Get the patients whose current consent covers a tier (and data category)
+   *
+   * @param {string} studyId - Study ID
+   * @param {Object} options - tier (required), category (optional), actorId (caller, for the audit trail)
+   * @returns {Promise<Object>} { studyId, tier, category, count, patients } - patients is left out for aggregate
+   */
+  async getCohort(studyId, options = {}) {
+    const study = await this.getActiveStudy(studyId);
+    const { tier, category = null } = options;
+    if (!ConsentScope.TIERS.includes(tier)) {
+      throw new Error(`Invalid tier. Must be one of: ${ConsentScope.TIERS.join(', ')}`);
+    }
+    if (category && !study.dataCategories.includes(category)) {
+      throw new Error(`Invalid category. Must be one of the study's data categories: ${study.dataCategories.join(', ')}`);
+    }
+
+    const grants = this.contract.searchConsents({
+      'data.action': 'grant',
+      'data.clinicianId': studyId
+    }, { includePending: true });
+    const patientIds = [...new Set(grants.map(tx => tx.data.patientId))];
+
+    const members = [];
+    for (const patientId of patientIds) {
+      const consent = this.getParticipation(studyId, patientId);
+      if (!consent || !ConsentScope.coversTier(consent.scope, tier)) {
+        continue;
+      }
+      if (category && consent.scope?.recordTypes && !consent.scope.recordTypes.includes(category)) {
+        continue;
+      }
+      if (this.patientContract.getPatient(patientId)?.erased) {
+        continue;
+      }
+      members.push({ patientId, consent });
+    }
+
+    const cohort = { studyId, tier, category, count: members.length };
+    if (tier === 'identifiable') {
+      cohort.patients = members.map(({ patientId, consent }) => ({
+        patientId,
+        consentId: consent.consentId,
+        categories: consent.scope?.recordTypes || study.dataCategories
+      }));
+    } else if (tier === 'de-identified') {
+      cohort.patients = members.map(({ patientId, consent }) => ({
+        pseudonym: this.pseudonym(studyId, patientId),
+        categories: consent.scope?.recordTypes || study.dataCategories
+      }));
+    }
+
+    const log = await this.auditLogger.logDataAccess({
+      actorId: options.actorId || 'system',
+      resourceId: studyId,
+      resourceType: 'researchCohort',
+      granted: true,
+      reason: 'Cohort query',
+      metadata: { tier, category, count: cohort.count }
+    });
+
+    return { ...cohort, auditLogId: log.logId };
+  }
+
+  /**
+   * Stable pseudonym of a patient within a study (differs between studies)
+   */
+  pseudonym(studyId, patientId) {
+    return crypto.createHmac('sha256', this.pseudonymSecret).update(`${studyId}:${patientId}`).digest('hex').slice(0, 32);
+  }
+}
+
+module.exports = ResearchService;
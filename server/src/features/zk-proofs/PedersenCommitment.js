@@ -0,0 +1,157 @@
+/**
+ * Pedersen Commitments
+ *
+ * Group arithmetic for the ZK proofs, in pure JavaScript (BigInt).
+ *
+ * Works in the order-q subgroup of Z_p* with a 2048-bit prime p and a 256-bit
+ * prime q (generated with
+ * `openssl genpkey -genparam -algorithm DSA -pkeyopt dsa_paramgen_bits:2048 -pkeyopt dsa_paramgen_q_bits:256`).
+ * The second generator h is derived by hashing a fixed label into the subgroup,
+ * so nobody knows log_g(h) and a commitment g^m * h^r (mod p) is perfectly
+ * hiding and computationally binding.
+ */
+
+const crypto = require('crypto');
+
+const P = BigInt('0x' +
+  'cac7e60c8d7263bb9e8ffa79c6eec712d0a33b99aa2b026a8d8811b017c8873c' +
+  'f9379b73f99f34c311880272133b7faab485663250039a56f629a1a4ae8961a6' +
+  '51a1f08cefcdecc0d25c8b42e7ee291fc3cccf71dc1755b999314418f3000182' +
+  'dab6b4afea2c5009eff01267cd4b05040d181f9d581412fe7c0ec2528bdbfc94' +
+  '0b028aa9b05f9ac4beacb9973b650914b4e8b12cb56626f7547ca6a61566f99a' +
+  '5583dc2a9ede29bf7d5eff4eb12699ac79c9504c22dbb6b09960dc16f6ba0c41' +
+  '93fe9daea07c142241312e01852b4af9cd9bc58b048a01f4d5892d4ec106efea' +
+  '6fcf38ab2cfae2d73aac8947ae2135c6c8c430b19f015b2b0891c1342b5c8cf7');
+
+const Q = BigInt('0x' +
+  '844b7dbff7fe078c04c067a0978e1eca141dff33261ab1a49e5b31447098403b');
+
+const G = BigInt('0x' +
+  'b9bae4f589ef6755e7bfcf1b8cd58b079ab8b780430c9718df114d622d410d7a' +
+  'dd96e1ef844891df3a8953c7b15858c597253106a44fe3e5ed42b65928794cfc' +
+  '925eb9db6bdc14b83a6b1000cf54e58669f101d60eba807cd46f5e3d56a32500' +
+  '00ba4ac15985f92d9232727200d94168466e57e667efadd06783335e83e03a16' +
+  '41b3cafdab7cbe9e5c6fde3138bd8da350811915c9754ad8e0d394eeb37aa2c9' +
+  '0fa6d852668c0d24ec80176a7449183dede294338cf8ee4d28a272e6a799ba38' +
+  '3c21968fe184bb00255e039d2f54b9112fa1a42549fcf4df6caa37bb7d514c13' +
+  'a1f40ebb1d23a9eec3ac7b51ffcd6103e75bdd7d05bf4d125f319b25fb7dfec9');
+
+const H_LABEL = 'ai-health-chains/pedersen/h';
+
+class PedersenCommitment {
+  /**
+   * Modular exponentiation (square and multiply)
+   *
+   * @param {bigint} base - Base
+   * @param {bigint} exponent - Non-negative exponent
+   * @param {bigint} modulus - Modulus
+   * @returns {bigint} base^exponent mod modulus
+   */
+  static modPow(base, exponent, modulus = P) {
+    let result = 1n;
+    let b = ((base % modulus) + modulus) % modulus;
+    let e = exponent;
+    while (e > 0n) {
+      if (e & 1n) {
+        result = (result * b) % modulus;
+      }
+      b = (b * b) % modulus;
+      e >>= 1n;
+    }
+    return result;
+  }
+
+  /**
+   * Reduce a value into the scalar field Z_q
+   */
+  static mod(value) {
+    return ((value % Q) + Q) % Q;
+  }
+
+  /**
+   * Uniformly random scalar in Z_q
+   */
+  static randomScalar() {
+    // 128 extra bits keep the modulo bias negligible
+    return PedersenCommitment.mod(BigInt('0x' + crypto.randomBytes(48).toString('hex')));
+  }
+
+  /**
+   * Hash any number of strings (or bigints) to a scalar in Z_q
+   *
+   * @param {...(string|bigint)} parts - Values to hash; each is length-prefixed
+   * @returns {bigint} Scalar
+   */
+  static hashToScalar(...parts) {
+    const hash = crypto.createHash('sha512');
+    for (const part of parts) {
+      const value = typeof part === 'bigint' ? part.toString(16) : String(part);
+      hash.update(`${value.length}:${value}|`);
+    }
+    return PedersenCommitment.mod(BigInt('0x' + hash.digest('hex')));
+  }
+
+  /**
+   * Commit to a message with a blinding factor: g^message * h^blinding mod p
+   *
+   * @param {bigint} message - Committed scalar
+   * @param {bigint} blinding - Blinding scalar (must stay secret)
+   * @returns {bigint} Commitment
+   */
+  static commit(message, blinding) {
+    return (PedersenCommitment.modPow(G, message) * PedersenCommitment.modPow(PedersenCommitment.H, blinding)) % P;
+  }
+
+  /**
+   * Check that a value is an element of the order-q subgroup
+   */
+  static isGroupElement(value) {
+    return typeof value === 'bigint' && value > 1n && value < P &&
+      PedersenCommitment.modPow(value, Q) === 1n;
+  }
+
+  /**
+   * Hash a label into the order-q subgroup
+   * Nobody knows the discrete log of the result with respect to g.
+   *
+   * @param {string} label - Public label
+   * @returns {bigint} Group element
+   */
+  static hashToGroup(label) {
+    const cofactor = (P - 1n) / Q;
+    for (let counter = 0; ; counter++) {
+      const seed = Buffer.concat([0, 1, 2, 3].map(block =>
+        crypto.createHash('sha512').update(`${label}:${counter}:${block}`).digest()
+      ));
+      const element = PedersenCommitment.modPow(BigInt('0x' + seed.toString('hex')) % P, cofactor);
+      if (element !== 1n) {
+        return element;
+      }
+    }
+  }
+
+  /**
+   * Encode a group element or scalar as hex
+   */
+  static toHex(value) {
+    return value.toString(16);
+  }
+
+  /**
+   * Decode a hex group element or scalar (null if malformed)
+   */
+  static fromHex(hex) {
+    if (typeof hex !== 'string' || !/^[0-9a-f]{1,512}$/i.test(hex)) {
+      return null;
+    }
+    return BigInt('0x' + hex);
+  }
+}
+
+PedersenCommitment.P = P;
+PedersenCommitment.Q = Q;
+PedersenCommitment.G = G;
+// Second generator, hashed from a public label (nothing up our sleeve)
+PedersenCommitment.H = PedersenCommitment.hashToGroup(H_LABEL);
+
+module.exports = PedersenCommitment;
@@ -0,0 +1,153 @@
+/**
+ * ZK Identity Registry - Smart Contract for anonymous identity keys
+ *
+ * Every patient and clinician publishes an identity key Y = g^s on chain.
+ * The secret s is derived from the actor's Ed25519 signing key (signatures are
+ * deterministic), so only the key holder can prove knowledge of it. Permission
+ * proofs hide the prover among the published identity keys.
+ *
+ * The registry also records spent nullifiers, which make each permission proof
+ * single use across every node.
+ */
+
+const PedersenCommitment = require('./PedersenCommitment.js');
+
+class ZKIdentityRegistry {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.contractAddress = 'zk-identity-registry';
+  }
+
+  /**
+   * Derive an actor's identity secret
+   *
+   * @param {string} actorId - Actor ID (its private key must be held locally)
+   * @returns {bigint} Secret scalar
+   */
+  getIdentitySecret(actorId) {
+    if (!this.blockchain.keyStore.hasPrivateKey(actorId)) {
+      throw new Error('Only the actor can use its ZK identity');
+    }
+    const signature = this.blockchain.keyStore.signBytes(actorId, Buffer.from(`zk-identity:${actorId}`));
+    return PedersenCommitment.hashToScalar('zk-identity', signature.toString('hex'));
+  }
+
+  /**
+   * Publish an actor's identity key
+   *
+   * @param {string} actorId - Actor ID
+   * @returns {Object} Transaction result
+   */
+  publishIdentity(actorId) {
+    const identityKey = PedersenCommitment.toHex(
+      PedersenCommitment.modPow(PedersenCommitment.G, this.getIdentitySecret(actorId))
+    );
+
+    // Signed by the actor, so nobody else can publish a key in its name
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: actorId,
+      to: this.contractAddress,
+      data: {
+        action: 'publish',
+        actorId,
+        identityKey,
+        timestamp: new Date().toISOString()
+      }
+    }));
+
+    return {
+      success: true,
+      actorId,
+      identityKey,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Get the identity key published by an actor
+   *
+   * @param {string} actorId - Actor ID
+   * @returns {string|null} Identity key (hex) or null if none is on chain
+   */
+  getIdentityKey(actorId) {
+    const transactions = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'publish',
+      'data.actorId': actorId
+    });
+    const published = transactions.find(tx => tx.from === actorId);
+    return published ? published.data.identityKey : null;
+  }
+
+  /**
+   * Get every identity key on chain
+   *
+   * @returns {Array<string>} Identity keys (hex), sorted
+   */
+  getIdentityKeys() {
+    const transactions = this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'publish'
+    });
+
+    // Only keys published by the actor they belong to count
+    const keys = transactions
+      .filter(tx => tx.from === tx.data.actorId)
+      .map(tx => tx.data.identityKey);
+    return [...new Set(keys)].sort();
+  }
+
+  /**
+   * Record a nullifier as spent
+   *
+   * @param {string} nullifier - Nullifier (hex)
+   * @param {Object} details - Verifier, request and permissions the proof was spent on
+   * @returns {Object} Transaction result
+   */
+  spendNullifier(nullifier, details = {}) {
+    if (this.isNullifierSpent(nullifier)) {
+      throw new Error('Nullifier has already been spent');
+    }
+
+    const transaction = this.blockchain.addTransaction(this.blockchain.signTransaction({
+      from: 'system',
+      to: this.contractAddress,
+      data: {
+        action: 'spend',
+        nullifier,
+        verifierId: details.verifierId || null,
+        requestId: details.requestId || null,
+        permissions: details.permissions || [],
+        spentAt: new Date().toISOString()
+      }
+    }));
+
+    return {
+      success: true,
+      nullifier,
+      transaction: {
+        id: transaction.id,
+        timestamp: transaction.timestamp
+      }
+    };
+  }
+
+  /**
+   * Check whether a nullifier has been spent (mined or pending)
+   *
+   * @param {string} nullifier - Nullifier (hex)
+   * @returns {boolean} True if spent
+   */
+  isNullifierSpent(nullifier) {
+    return this.blockchain.searchTransactions({
+      to: this.contractAddress,
+      'data.action': 'spend',
+      'data.nullifier': nullifier
+    }, { includePending: true }).length > 0;
+  }
+}
+
+module.exports = ZKIdentityRegistry;
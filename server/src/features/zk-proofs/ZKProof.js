@@ -1,211 +1,435 @@
 /**
  * Zero-Knowledge Proof Implementation
  * 
- * This is a simplified ZK proof system using cryptographic commitments.
- * In production, you would use libraries like circom, snarkjs, or similar for proper ZK-SNARKs.
+ * Consent proofs are non-interactive Sigma-protocol proofs over Pedersen
+ * commitments (see PedersenCommitment.js). Every consent grant publishes a
+ * commitment C = g^m * h^r, where m binds the patient, clinician, type and
+ * consent ID and r is a blinding factor only the granting party can derive.
  * 
- * This implementation demonstrates the concept by:
- * - Using cryptographic commitments (hash with salt) to hide data
- * - Generating proofs that can be verified without revealing underlying data
- * - Supporting consent and permission proofs
+ * A consent proof is a one-out-of-many ("ring") proof: the prover shows it
+ * knows an opening (m, r) of one commitment in a ring drawn from the active
+ * set, without revealing which one. The Schnorr proof for the real member is
+ * computed honestly and the others are simulated; the Fiat-Shamir challenge
+ * forces the challenges to sum to a hash of the whole transcript, so at most
+ * one member can be simulated less than perfectly. A verifier only needs the
+ * on-chain set of active commitments; proofs name the block that set was taken
+ * from (the anchor), which is bound into the challenge.
+ * 
+ * Permission proofs use the same ring construction over published identity
+ * keys, plus a nullifier that makes them single use (see
+ * generatePermissionProof).
  */
 
 const crypto = require('crypto');
+const PedersenCommitment = require('./PedersenCommitment.js');
+
+const CONSENT_PROOF_SCHEME = 'pedersen-ring-sigma-v1';
+const PERMISSION_PROOF_SCHEME = 'linkable-ring-sigma-v1';
+
+// Ring size trades anonymity for proof size and verification time (linear in both)
+const DEFAULT_RING_SIZE = 16;
+const MAX_RING_SIZE = 256;
+
+// Proofs older than this are rejected
+const PROOF_MAX_AGE_HOURS = 24;
 
 class ZKProof {
   /**
-   * Generate a ZK proof that proves consent exists without revealing details
+   * Committed message for a consent
    * 
-   * @param {string} patientId - Patient ID (will be hidden)
-   * @param {string} clinicianId - Clinician ID (will be hidden)
-   * @param {string} consentType - Consent type (will be hidden)
-   * @param {Object} consentData - Actual consent data (must contain valid: boolean)
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Clinician ID
+   * @param {string} consentType - Consent type
+   * @param {string} consentId - Consent ID (keeps repeated grants distinct)
+   * @returns {bigint} Scalar message
+   */
+  static consentMessage(patientId, clinicianId, consentType, consentId) {
+    return PedersenCommitment.hashToScalar('consent', patientId, clinicianId, consentType, consentId);
+  }
+
+  /**
+   * Pedersen commitment to a consent
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Clinician ID
+   * @param {string} consentType - Consent type
+   * @param {string} consentId - Consent ID
+   * @param {bigint} blinding - Secret blinding factor
+   * @returns {string} Commitment (hex)
+   */
+  static commitConsent(patientId, clinicianId, consentType, consentId, blinding) {
+    const message = ZKProof.consentMessage(patientId, clinicianId, consentType, consentId);
+    return PedersenCommitment.toHex(PedersenCommitment.commit(message, blinding));
+  }
+
+  /**
+   * Generate a ZK proof that one of the active consent commitments is ours
+   * without revealing which one (or the patient, clinician or type behind it)
+   * 
+   * @param {Array<string>} activeCommitments - Active consent commitments (hex)
+   * @param {Object} opening - Opening of the prover's commitment
+   * @param {string} opening.commitment - Commitment (hex)
+   * @param {bigint} opening.message - Committed message
+   * @param {bigint} opening.blinding - Blinding factor
+   * @param {Object} options - Optional settings
+   * @param {number} options.ringSize - Number of commitments to hide among
+   * @param {Object} options.anchor - Block the active set was taken from ({ blockIndex, blockHash, root })
    * @returns {Object} ZK proof object
    */
-  static generateProof(patientId, clinicianId, consentType, consentData) {
-    if (!consentData || typeof consentData.valid !== 'boolean') {
-      throw new Error('consentData must contain a valid boolean field');
-    }
-
-    // Generate random salt for commitment
-    const salt = crypto.randomBytes(32).toString('hex');
-    
-    // Create commitment: hash of (patientId + clinicianId + consentType + valid + salt)
-    // This hides the actual IDs and type while proving validity
-    const commitmentData = `${patientId}:${clinicianId}:${consentType}:${consentData.valid}:${salt}`;
-    const commitment = crypto.createHash('sha256').update(commitmentData).digest('hex');
-    
-    // Create verification key (hash of commitment + secret key)
-    // In production, this would be part of a proper ZK-SNARK setup
-    const verificationKey = crypto.createHash('sha256')
-      .update(commitment + 'zk-secret-key')
-      .digest('hex');
-
-    // Generate proof that doesn't reveal patientId, clinicianId, or consentType
-    // but proves that consent is valid
-    const proof = {
-      commitment,
-      verificationKey,
-      salt, // Salt is included but doesn't reveal original data
-      valid: consentData.valid, // Only reveal validity, not identities
-      timestamp: new Date().toISOString(),
-      // Note: patientId, clinicianId, consentType are NOT included in proof
+  static generateProof(activeCommitments, opening, options = {}) {
+    if (!opening || !opening.commitment || typeof opening.message !== 'bigint' || typeof opening.blinding !== 'bigint') {
+      throw new Error('opening must contain commitment, message and blinding');
+    }
+    if (!Array.isArray(activeCommitments) || !activeCommitments.includes(opening.commitment)) {
+      throw new Error('Commitment is not in the active set');
+    }
+
+    const commitment = PedersenCommitment.fromHex(opening.commitment);
+    if (PedersenCommitment.commit(opening.message, opening.blinding) !== commitment) {
+      throw new Error('Opening does not match commitment');
+    }
+
+    const ringSize = Math.min(options.ringSize || DEFAULT_RING_SIZE, MAX_RING_SIZE);
+    const ring = ZKProof.selectRing(activeCommitments, opening.commitment, ringSize);
+    const members = ring.map(hex => PedersenCommitment.fromHex(hex));
+    const index = ring.indexOf(opening.commitment);
+    const { G, H, P, modPow, mod, randomScalar } = PedersenCommitment;
+
+    const announcements = new Array(ring.length);
+    const challenges = new Array(ring.length);
+    const responses = new Array(ring.length);
+
+    // Simulate every other member: pick the challenge and responses, solve for the announcement
+    for (let i = 0; i < ring.length; i++) {
+      if (i === index) continue;
+      challenges[i] = randomScalar();
+      responses[i] = { m: randomScalar(), r: randomScalar() };
+      const inverse = modPow(modPow(members[i], challenges[i]), P - 2n);
+      announcements[i] = (modPow(G, responses[i].m) * modPow(H, responses[i].r) % P) * inverse % P;
+    }
+
+    // Real member: commit first, answer the challenge that is left over
+    const nonceM = randomScalar();
+    const nonceR = randomScalar();
+    announcements[index] = modPow(G, nonceM) * modPow(H, nonceR) % P;
+
+    const timestamp = new Date().toISOString();
+    const anchor = options.anchor || null;
+    const challenge = ZKProof.ringChallenge(timestamp, ring, announcements, anchor);
+    const simulated = challenges.reduce((sum, c) => (c === undefined ? sum : sum + c), 0n);
+    challenges[index] = mod(challenge - simulated);
+    responses[index] = {
+      m: mod(nonceM + challenges[index] * opening.message),
+      r: mod(nonceR + challenges[index] * opening.blinding)
     };
 
-    return proof;
+    return {
+      scheme: CONSENT_PROOF_SCHEME,
+      ring,
+      announcements: announcements.map(PedersenCommitment.toHex),
+      challenges: challenges.map(PedersenCommitment.toHex),
+      responses: responses.map(({ m, r }) => ({ m: PedersenCommitment.toHex(m), r: PedersenCommitment.toHex(r) })),
+      anchor,
+      timestamp
+      // Note: patientId, clinicianId, consentType and the prover's position are NOT included
+    };
   }
 
   /**
-   * Verify a ZK proof
+   * Verify a ZK consent proof against the active commitment set
    * 
    * @param {Object} proof - ZK proof object
-   * @param {string} expectedRoot - Expected root/commitment (optional, uses proof.commitment if not provided)
+   * @param {Array<string>|Set<string>} activeCommitments - Active consent commitments (hex)
    * @returns {boolean} True if proof is valid
    */
-  static verifyProof(proof, expectedRoot = null) {
-    if (!proof || !proof.commitment || !proof.verificationKey) {
+  static verifyProof(proof, activeCommitments) {
+    if (!proof || proof.scheme !== CONSENT_PROOF_SCHEME || !activeCommitments) {
       return false;
     }
 
-    // Verify proof structure
-    if (typeof proof.valid !== 'boolean') {
+    const { ring, announcements, challenges, responses } = proof;
+    if (!Array.isArray(ring) || ring.length === 0 || ring.length > MAX_RING_SIZE ||
+        !Array.isArray(announcements) || announcements.length !== ring.length ||
+        !Array.isArray(challenges) || challenges.length !== ring.length ||
+        !Array.isArray(responses) || responses.length !== ring.length) {
       return false;
     }
 
-    // Verify commitment matches verification key
-    const expectedVerificationKey = crypto.createHash('sha256')
-      .update(proof.commitment + 'zk-secret-key')
-      .digest('hex');
+    // Every ring member must be a distinct, currently active commitment
+    const active = activeCommitments instanceof Set ? activeCommitments : new Set(activeCommitments);
+    if (new Set(ring).size !== ring.length || !ring.every(member => active.has(member))) {
+      return false;
+    }
 
-    if (proof.verificationKey !== expectedVerificationKey) {
+    if (ZKProof.isExpired(proof.timestamp)) {
       return false;
     }
 
-    // If expectedRoot is provided, verify commitment matches
-    if (expectedRoot && proof.commitment !== expectedRoot) {
+    const { G, H, P, Q, modPow, mod, fromHex } = PedersenCommitment;
+    const members = ring.map(fromHex);
+    const a = announcements.map(fromHex);
+    const c = challenges.map(fromHex);
+    const zm = responses.map(response => fromHex(response?.m));
+    const zr = responses.map(response => fromHex(response?.r));
+
+    const scalars = [...c, ...zm, ...zr];
+    if (scalars.some(value => value === null || value >= Q) || a.some(value => value === null || value <= 1n || value >= P)) {
       return false;
     }
 
-    // Verify timestamp is recent (within 24 hours)
-    if (proof.timestamp) {
-      const proofTime = new Date(proof.timestamp);
-      const now = new Date();
-      const hoursDiff = (now - proofTime) / (1000 * 60 * 60);
-      
-      if (hoursDiff > 24) {
-        return false; // Proof expired
-      }
+    // Challenges must split the Fiat-Shamir challenge of the transcript
+    const sum = c.reduce((total, value) => total + value, 0n);
+    if (mod(sum) !== ZKProof.ringChallenge(proof.timestamp, ring, a, proof.anchor || null)) {
+      return false;
     }
 
-    return true;
+    // g^zm * h^zr == A * C^c for every member
+    return members.every((member, i) =>
+      modPow(G, zm[i]) * modPow(H, zr[i]) % P === a[i] * modPow(member, c[i]) % P
+    );
   }
 
   /**
-   * Generate proof that user has permission without revealing identity
+   * Pick the ring: the prover's commitment plus random other active commitments,
+   * in sorted order so the position reveals nothing
+   */
+  static selectRing(activeCommitments, commitment, ringSize) {
+    const others = [...new Set(activeCommitments)].filter(member => member !== commitment);
+    for (let i = others.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [others[i], others[j]] = [others[j], others[i]];
+    }
+    return [commitment, ...others.slice(0, ringSize - 1)].sort();
+  }
+
+  /**
+   * Fiat-Shamir challenge over the proof transcript
+   */
+  static ringChallenge(timestamp, ring, announcements, anchor = null) {
+    return PedersenCommitment.hashToScalar(
+      CONSENT_PROOF_SCHEME,
+      PedersenCommitment.toHex(PedersenCommitment.G),
+      PedersenCommitment.toHex(PedersenCommitment.H),
+      String(timestamp),
+      anchor ? `${anchor.blockIndex}:${anchor.blockHash}:${anchor.root}` : '',
+      ...ring,
+      ...announcements.map(value => (typeof value === 'bigint' ? PedersenCommitment.toHex(value) : value))
+    );
+  }
+
+  /**
+   * Check whether a proof timestamp is missing, malformed or too old
+   */
+  static isExpired(timestamp) {
+    const proofTime = new Date(timestamp);
+    if (!timestamp || isNaN(proofTime.getTime())) {
+      return true;
+    }
+    const hoursDiff = (Date.now() - proofTime.getTime()) / (1000 * 60 * 60);
+    return hoursDiff > PROOF_MAX_AGE_HOURS;
+  }
+
+  /**
+   * Generator the nullifier is computed against for a verifier and request
    * 
-   * @param {string} userId - User ID to hide
+   * @param {string} verifierId - Verifier the proof is presented to
+   * @param {string} requestId - Request (scope) the proof is for
+   * @returns {bigint} Group element
+   */
+  static nullifierBase(verifierId, requestId) {
+    return PedersenCommitment.hashToGroup(`zk-nullifier:${verifierId.length}:${verifierId}:${requestId}`);
+  }
+
+  /**
+   * Generate proof that a registered user holds permissions without revealing identity
+   * 
+   * Linkable ring proof: shows knowledge of the secret s behind one identity key
+   * Y = g^s in the ring, and that the nullifier N = B^s uses the same s, where B
+   * is derived from the verifier and request. The same user always produces the
+   * same nullifier for the same verifier and request, so spent nullifiers stop
+   * a proof (or a second proof by the same user) from being used twice.
+   * 
+   * @param {Array<string>} identityKeys - Published identity keys (hex)
+   * @param {Object} opening - Prover's identity ({ identityKey, secret })
    * @param {Array} permissions - Permissions to prove
-   * @param {Object} permissionData - Actual permission data (must contain hasPermissions: boolean)
+   * @param {Object} challenge - Verifier challenge ({ nonce, verifierId, requestId })
+   * @param {Object} options - Optional settings ({ ringSize })
    * @returns {Object} ZK proof
    */
-  static generatePermissionProof(userId, permissions, permissionData) {
+  static generatePermissionProof(identityKeys, opening, permissions, challenge, options = {}) {
     if (!Array.isArray(permissions) || permissions.length === 0) {
       throw new Error('permissions must be a non-empty array');
     }
+    if (!challenge || !challenge.nonce || !challenge.verifierId) {
+      throw new Error('challenge must contain nonce and verifierId');
+    }
+    if (!opening || !opening.identityKey || typeof opening.secret !== 'bigint') {
+      throw new Error('opening must contain identityKey and secret');
+    }
+    if (!Array.isArray(identityKeys) || !identityKeys.includes(opening.identityKey)) {
+      throw new Error('Identity key is not published');
+    }
+
+    const { G, P, modPow, mod, randomScalar, fromHex, toHex } = PedersenCommitment;
+    if (modPow(G, opening.secret) !== fromHex(opening.identityKey)) {
+      throw new Error('Secret does not match identity key');
+    }
 
-    if (!permissionData || typeof permissionData.hasPermissions !== 'boolean') {
-      throw new Error('permissionData must contain a hasPermissions boolean field');
-    }
-
-    // Generate random salt
-    const salt = crypto.randomBytes(32).toString('hex');
-    
-    // Create commitment: hash of (userId + permissions + hasPermissions + salt)
-    // This hides the userId while proving permissions
-    const permissionsHash = crypto.createHash('sha256')
-      .update(permissions.sort().join(':'))
-      .digest('hex');
-    
-    const commitmentData = `${userId}:${permissionsHash}:${permissionData.hasPermissions}:${salt}`;
-    const commitment = crypto.createHash('sha256').update(commitmentData).digest('hex');
-    
-    // Create verification key
-    const verificationKey = crypto.createHash('sha256')
-      .update(commitment + 'zk-secret-key')
-      .digest('hex');
-
-    // Generate proof that doesn't reveal userId but proves permissions
-    const proof = {
-      commitment,
-      verificationKey,
-      salt,
-      permissions: permissions.sort(), // Permissions can be revealed (not sensitive)
-      hasPermissions: permissionData.hasPermissions, // Only reveal permission status
-      timestamp: new Date().toISOString(),
-      // Note: userId is NOT included in proof
+    const ringSize = Math.min(options.ringSize || DEFAULT_RING_SIZE, MAX_RING_SIZE);
+    const ring = ZKProof.selectRing(identityKeys, opening.identityKey, ringSize);
+    const members = ring.map(fromHex);
+    const index = ring.indexOf(opening.identityKey);
+
+    const scope = {
+      nonce: challenge.nonce,
+      verifierId: challenge.verifierId,
+      requestId: challenge.requestId || challenge.nonce
     };
+    const base = ZKProof.nullifierBase(scope.verifierId, scope.requestId);
+    const nullifier = modPow(base, opening.secret);
+    const inverseNullifier = modPow(nullifier, P - 2n);
+
+    const announcements = new Array(ring.length);
+    const challenges = new Array(ring.length);
+    const responses = new Array(ring.length);
 
-    return proof;
+    // Simulated members: g^z = A * Y^c and B^z = A' * N^c, solved for A and A'
+    for (let i = 0; i < ring.length; i++) {
+      if (i === index) continue;
+      challenges[i] = randomScalar();
+      responses[i] = randomScalar();
+      announcements[i] = {
+        a: modPow(G, responses[i]) * modPow(modPow(members[i], challenges[i]), P - 2n) % P,
+        b: modPow(base, responses[i]) * modPow(inverseNullifier, challenges[i]) % P
+      };
+    }
+
+    const nonce = randomScalar();
+    announcements[index] = { a: modPow(G, nonce), b: modPow(base, nonce) };
+
+    const sortedPermissions = [...permissions].sort();
+    const timestamp = new Date().toISOString();
+    const challengeScalar = ZKProof.permissionChallenge({
+      ring, permissions: sortedPermissions, scope, nullifier, announcements, timestamp
+    });
+    const simulated = challenges.reduce((sum, c) => (c === undefined ? sum : sum + c), 0n);
+    challenges[index] = mod(challengeScalar - simulated);
+    responses[index] = mod(nonce + challenges[index] * opening.secret);
+
+    return {
+      scheme: PERMISSION_PROOF_SCHEME,
+      ring,
+      permissions: sortedPermissions, // Permissions can be revealed (not sensitive)
+      challenge: scope,
+      nullifier: toHex(nullifier),
+      announcements: announcements.map(({ a, b }) => ({ a: toHex(a), b: toHex(b) })),
+      challenges: challenges.map(toHex),
+      responses: responses.map(toHex),
+      timestamp
+      // Note: userId and the prover's position are NOT included in proof
+    };
   }
 
   /**
    * Verify permission proof
+   * Checks the proof itself; the caller checks the challenge and nullifier are fresh.
    * 
    * @param {Object} proof - Permission proof
    * @param {Array} requiredPermissions - Permissions that must be proven
-   * @returns {boolean} True if user has required permissions
+   * @param {Array<string>|Set<string>} identityKeys - Published identity keys (hex)
+   * @returns {boolean} True if a registered user proved the required permissions
    */
-  static verifyPermissionProof(proof, requiredPermissions) {
-    if (!proof || !proof.commitment || !proof.verificationKey) {
-      return false;
-    }
-
+  static verifyPermissionProof(proof, requiredPermissions, identityKeys) {
     if (!Array.isArray(requiredPermissions) || requiredPermissions.length === 0) {
       throw new Error('requiredPermissions must be a non-empty array');
     }
 
-    // Verify proof structure
-    if (typeof proof.hasPermissions !== 'boolean') {
+    if (!proof || proof.scheme !== PERMISSION_PROOF_SCHEME || !identityKeys) {
       return false;
     }
 
-    // Check that user has permissions
-    if (!proof.hasPermissions) {
+    const { ring, permissions, challenge: scope, announcements, challenges, responses } = proof;
+    if (!Array.isArray(ring) || ring.length === 0 || ring.length > MAX_RING_SIZE ||
+        !Array.isArray(announcements) || announcements.length !== ring.length ||
+        !Array.isArray(challenges) || challenges.length !== ring.length ||
+        !Array.isArray(responses) || responses.length !== ring.length ||
+        !Array.isArray(permissions) || !scope || !scope.nonce || !scope.verifierId || !scope.requestId) {
       return false;
     }
 
     // Verify all required permissions are in the proof
-    const proofPermissions = proof.permissions || [];
-    const hasAllRequired = requiredPermissions.every(perm => 
-      proofPermissions.includes(perm)
-    );
+    if (!requiredPermissions.every(perm => permissions.includes(perm))) {
+      return false;
+    }
+
+    const published = identityKeys instanceof Set ? identityKeys : new Set(identityKeys);
+    if (new Set(ring).size !== ring.length || !ring.every(member => published.has(member))) {
+      return false;
+    }
+
+    if (ZKProof.isExpired(proof.timestamp)) {
+      return false;
+    }
 
-    if (!hasAllRequired) {
+    const { G, P, Q, modPow, mod, fromHex, isGroupElement } = PedersenCommitment;
+    const nullifier = fromHex(proof.nullifier);
+    if (nullifier === null || !isGroupElement(nullifier)) {
       return false;
     }
 
-    // Verify commitment matches verification key
-    const expectedVerificationKey = crypto.createHash('sha256')
-      .update(proof.commitment + 'zk-secret-key')
-      .digest('hex');
+    const members = ring.map(fromHex);
+    const a = announcements.map(announcement => fromHex(announcement?.a));
+    const b = announcements.map(announcement => fromHex(announcement?.b));
+    const c = challenges.map(fromHex);
+    const z = responses.map(fromHex);
 
-    if (proof.verificationKey !== expectedVerificationKey) {
+    if ([...c, ...z].some(value => value === null || value >= Q) ||
+        [...a, ...b].some(value => value === null || value <= 1n || value >= P)) {
       return false;
     }
 
-    // Verify timestamp is recent
-    if (proof.timestamp) {
-      const proofTime = new Date(proof.timestamp);
-      const now = new Date();
-      const hoursDiff = (now - proofTime) / (1000 * 60 * 60);
-      
-      if (hoursDiff > 24) {
-        return false; // Proof expired
-      }
+    const sum = c.reduce((total, value) => total + value, 0n);
+    const expected = ZKProof.permissionChallenge({
+      ring,
+      permissions,
+      scope,
+      nullifier,
+      announcements: a.map((value, i) => ({ a: value, b: b[i] })),
+      timestamp: proof.timestamp
+    });
+    if (mod(sum) !== expected) {
+      return false;
     }
 
-    return true;
+    const base = ZKProof.nullifierBase(scope.verifierId, scope.requestId);
+    return members.every((member, i) =>
+      modPow(G, z[i]) === a[i] * modPow(member, c[i]) % P &&
+      modPow(base, z[i]) === b[i] * modPow(nullifier, c[i]) % P
+    );
+  }
+
+  /**
+   * Fiat-Shamir challenge over a permission proof transcript
+   */
+  static permissionChallenge({ ring, permissions, scope, nullifier, announcements, timestamp }) {
+    const { toHex } = PedersenCommitment;
+    return PedersenCommitment.hashToScalar(
+      PERMISSION_PROOF_SCHEME,
+      toHex(PedersenCommitment.G),
+      String(timestamp),
+      JSON.stringify(permissions),
+      scope.nonce,
+      scope.verifierId,
+      scope.requestId,
+      toHex(nullifier),
+      ...ring,
+      ...announcements.flatMap(({ a, b }) => [toHex(a), toHex(b)])
+    );
   }
 }
 
+ZKProof.CONSENT_PROOF_SCHEME = CONSENT_PROOF_SCHEME;
+ZKProof.PERMISSION_PROOF_SCHEME = PERMISSION_PROOF_SCHEME;
+ZKProof.DEFAULT_RING_SIZE = DEFAULT_RING_SIZE;
+
 module.exports = ZKProof;
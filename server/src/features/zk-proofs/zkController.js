@@ -3,7 +3,8 @@
  * 
  * API endpoints for zero-knowledge proofs:
  * - Generate and verify consent proofs
- * - Generate and verify permission proofs
+ * - Issue verifier challenges, generate and verify permission proofs
+ * - Read the per-block root of active consent commitments
  */
 
 const express = require('express');
@@ -21,7 +22,8 @@ router.use((req, res, next) => {
     zkService = new ZKService(
       req.app.locals.blockchain,
       req.app.locals.patientContract,
-      req.app.locals.clinicianContract
+      req.app.locals.clinicianContract,
+      req.app.locals.zkOptions
     );
     zkServiceBlockchain = req.app.locals.blockchain;
   }
@@ -88,13 +90,54 @@ router.post('/verify-consent', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/zk/commitment-root
+ * Get the root of active consent commitments (optionally ?blockIndex=N)
+ */
+router.get('/commitment-root', async (req, res, next) => {
+  try {
+    const { blockIndex } = req.query;
+    if (blockIndex !== undefined && !/^\d+$/.test(blockIndex)) {
+      return res.status(400).json(formatError(new Error('Invalid blockIndex'), 400));
+    }
+
+    const result = await zkService.getCommitmentRoot(blockIndex === undefined ? null : parseInt(blockIndex, 10));
+
+    res.status(200).json(formatSuccess(result, 'Commitment root retrieved successfully'));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json(formatError(error, 404));
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/zk/challenge
+ * Issue a one-time challenge that a permission proof must answer
+ * The verifier is the authenticated caller (or verifierId when auth is disabled)
+ */
+router.post('/challenge', async (req, res, next) => {
+  try {
+    const verifierId = req.auth?.actorId || req.body.verifierId;
+    const result = await zkService.createChallenge(verifierId, req.body.requestId || null);
+
+    res.status(200).json(formatSuccess(result, 'Challenge issued successfully'));
+  } catch (error) {
+    if (error.message.includes('required')) {
+      return res.status(400).json(formatError(error, 400));
+    }
+    next(error);
+  }
+});
+
 /**
  * POST /api/zk/permission-proof
- * Generate permission ZK proof
+ * Generate permission ZK proof for a verifier challenge
  */
 router.post('/permission-proof', async (req, res, next) => {
   try {
-    const { userId, permissions } = req.body;
+    const { userId, permissions, challenge } = req.body;
 
     // Validate required fields
     if (!userId || !permissions || !Array.isArray(permissions) || permissions.length === 0) {
@@ -103,13 +146,20 @@ router.post('/permission-proof', async (req, res, next) => {
         400
       ));
     }
+    if (!challenge) {
+      return res.status(400).json(formatError(
+        new Error('challenge is required (see POST /api/zk/challenge)'),
+        400
+      ));
+    }
 
     // Call service
-    const result = await zkService.generatePermissionProof(userId, permissions);
+    const result = await zkService.generatePermissionProof(userId, permissions, challenge);
 
     res.status(200).json(formatSuccess(result, 'Permission proof generated successfully'));
   } catch (error) {
-    if (error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('not found')) {
+    if (error.message.includes('required') || error.message.includes('Invalid') ||
+        error.message.includes('not found') || error.message.includes('no ZK identity')) {
       return res.status(400).json(formatError(error, 400));
     }
     next(error);
@@ -138,8 +188,9 @@ router.post('/verify-permission', async (req, res, next) => {
       ));
     }
 
-    // Call service
-    const result = await zkService.verifyPermissionProof(proof, requiredPermissions);
+    // Call service (the verifier must be the one the challenge was issued to)
+    const verifierId = req.auth?.actorId || req.body.verifierId;
+    const result = await zkService.verifyPermissionProof(proof, requiredPermissions, verifierId);
 
     res.status(200).json(formatSuccess(result, 'Permission proof verified'));
   } catch (error) {
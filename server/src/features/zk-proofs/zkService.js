@@ -4,16 +4,34 @@
  * This service provides business logic for zero-knowledge proof operations.
  */
 
+const crypto = require('crypto');
 const ZKProof = require('./ZKProof.js');
+const ZKIdentityRegistry = require('./ZKIdentityRegistry.js');
 const ConsentContract = require('../consent-management/ConsentContract.js');
+const CommitmentRegistry = require('../consent-management/CommitmentRegistry.js');
 const { isValidUUID } = require('../../utils/helpers.js');
 
+// Verifier challenges for permission proofs are valid for 5 minutes
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
 class ZKService {
-  constructor(blockchain, patientContract, clinicianContract) {
+  /**
+   * @param {Blockchain} blockchain - Blockchain instance
+   * @param {PatientContract} patientContract - Patient contract
+   * @param {ClinicianContract} clinicianContract - Clinician contract
+   * @param {Object} options - Optional settings
+   * @param {number} options.revocationGraceBlocks - Blocks after a revocation during which
+   *   proofs anchored before it are still accepted (default 0)
+   */
+  constructor(blockchain, patientContract, clinicianContract, options = {}) {
     this.blockchain = blockchain;
     this.patientContract = patientContract;
     this.clinicianContract = clinicianContract;
     this.consentContract = new ConsentContract(blockchain);
+    this.commitmentRegistry = CommitmentRegistry.for(blockchain);
+    this.revocationGraceBlocks = options.revocationGraceBlocks || 0;
+    this.identityRegistry = new ZKIdentityRegistry(blockchain);
+    this.challenges = new Map(); // nonce -> { verifierId, requestId, expiresAt }
   }
 
   /**
@@ -63,29 +81,31 @@ class ZKService {
     }
 
     // Check if consent exists and is valid (without revealing to verifier)
-    const hasValidConsent = this.consentContract.hasValidConsent(
+    const grant = this.consentContract.findValidConsent(
       patientId,
       finalClinicianId,
       finalConsentType
     );
 
     // Throw error if no valid consent exists - cannot generate proof for invalid consent
-    if (!hasValidConsent) {
+    if (!grant) {
       throw new Error('Consent not found or invalid');
     }
 
-    // Create consent data object
-    const consentData = {
-      valid: hasValidConsent
-    };
+    // Verifiers only accept commitments that are on chain
+    const snapshot = this.commitmentRegistry.getLatest();
+    if (!snapshot || !snapshot.commitments.includes(grant.commitment)) {
+      throw new Error(grant.commitment
+        ? 'Consent is not yet on chain (waiting to be mined)'
+        : 'Consent has no ZK commitment');
+    }
 
     // Generate ZK proof that hides patientId, clinicianId, and consentType
-    // but proves that valid consent exists
+    // but proves that one of the consents active at the latest block is ours
     const proof = ZKProof.generateProof(
-      patientId,
-      finalClinicianId,
-      finalConsentType,
-      consentData
+      snapshot.commitments,
+      this.consentContract.getCommitmentOpening(grant),
+      { anchor: { blockIndex: snapshot.blockIndex, blockHash: snapshot.blockHash, root: snapshot.root } }
     );
 
     return {
@@ -106,24 +126,102 @@ class ZKService {
       throw new Error('proof object is required');
     }
 
-    // Verify proof using ZKProof static method
-    const isValid = ZKProof.verifyProof(proof.proof);
+    const { anchor, ring } = proof.proof;
+    const reject = (reason) => ({ valid: false, hasConsent: false, reason });
+
+    // The anchor must name a block on our chain with the same commitment root
+    const snapshot = anchor && Number.isInteger(anchor.blockIndex)
+      ? this.commitmentRegistry.getSnapshot(anchor.blockIndex)
+      : null;
+    if (!snapshot || snapshot.blockHash !== anchor.blockHash || snapshot.root !== anchor.root) {
+      return reject('Proof is not anchored to a block on this chain');
+    }
+
+    // Verify proof against the set of active consent commitments at the anchor block
+    if (!ZKProof.verifyProof(proof.proof, snapshot.commitments)) {
+      return reject('Invalid proof');
+    }
+
+    // The prover is hidden, so a revoked or expired ring member invalidates the
+    // proof once the grace period has passed
+    const latestIndex = this.blockchain.getChainLength() - 1;
+    for (const member of ring) {
+      const removedAt = this.commitmentRegistry.getRemovalHeight(member);
+      if (removedAt !== null && latestIndex >= removedAt + this.revocationGraceBlocks) {
+        return reject(`A consent in the proof was revoked or expired at block ${removedAt}`);
+      }
+    }
 
     return {
-      valid: isValid,
-      hasConsent: proof.proof.valid || false,
+      valid: true,
+      hasConsent: true,
+      anchor: { blockIndex: snapshot.blockIndex, root: snapshot.root }
       // Note: patientId, clinicianId, consentType are not revealed
     };
   }
 
+  /**
+   * Get the active consent commitment root as of a block
+   * 
+   * @param {number} blockIndex - Block index (defaults to the latest block)
+   * @returns {Promise<Object>} { blockIndex, blockHash, root, size }
+   */
+  async getCommitmentRoot(blockIndex = null) {
+    const snapshot = blockIndex === null
+      ? this.commitmentRegistry.getLatest()
+      : this.commitmentRegistry.getSnapshot(blockIndex);
+
+    if (!snapshot) {
+      throw new Error('Block not found');
+    }
+
+    return {
+      blockIndex: snapshot.blockIndex,
+      blockHash: snapshot.blockHash,
+      root: snapshot.root,
+      size: snapshot.commitments.length
+    };
+  }
+
+  /**
+   * Issue a one-time challenge for a verifier
+   * The prover binds its permission proof to the challenge, so the proof is only
+   * accepted by this verifier, for this request, once.
+   * 
+   * @param {string} verifierId - Verifier that will check the proof
+   * @param {string} requestId - Optional request the proof is for; a user can only
+   *   prove once per verifier and request (defaults to the challenge itself)
+   * @returns {Promise<Object>} { challenge, verifierId, requestId, expiresAt }
+   */
+  async createChallenge(verifierId, requestId = null) {
+    if (!verifierId) {
+      throw new Error('verifierId is required');
+    }
+
+    this.pruneChallenges();
+
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+    const scope = { verifierId, requestId: requestId || nonce, expiresAt };
+    this.challenges.set(nonce, scope);
+
+    return {
+      challenge: nonce,
+      verifierId,
+      requestId: scope.requestId,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
   /**
    * Generate permission proof
    * 
    * @param {string} userId - User ID
    * @param {Array} permissions - Permissions to prove
+   * @param {string} challenge - Challenge issued by the verifier (see createChallenge)
    * @returns {Promise<Object>} ZK proof
    */
-  async generatePermissionProof(userId, permissions) {
+  async generatePermissionProof(userId, permissions, challenge) {
     // Validate UUID
     if (!isValidUUID(userId)) {
       throw new Error('Invalid userId format');
@@ -133,6 +231,11 @@ class ZKService {
       throw new Error('permissions must be a non-empty array');
     }
 
+    const scope = this.getChallenge(challenge);
+    if (!scope) {
+      throw new Error('Invalid or expired challenge');
+    }
+
     // Check if user exists in blockchain
     const patient = this.patientContract.getPatient(userId);
     const clinician = this.clinicianContract.getClinician(userId);
@@ -144,18 +247,17 @@ class ZKService {
 
     // For this assessment, assume user has the requested permissions if they exist
     // In production, this would check actual permissions
-    const hasPermissions = true; // Simplified for assessment
-
-    // Create permission data
-    const permissionData = {
-      hasPermissions
-    };
+    const identityKey = this.identityRegistry.getIdentityKey(userId);
+    if (!identityKey) {
+      throw new Error('User has no ZK identity on chain');
+    }
 
-    // Generate ZK proof that hides userId but proves permissions
+    // Generate ZK proof that hides userId among the published identities
     const proof = ZKProof.generatePermissionProof(
-      userId,
+      this.identityRegistry.getIdentityKeys(),
+      { identityKey, secret: this.identityRegistry.getIdentitySecret(userId) },
       permissions,
-      permissionData
+      { nonce: challenge, verifierId: scope.verifierId, requestId: scope.requestId }
     );
 
     return {
@@ -166,14 +268,15 @@ class ZKService {
   }
 
   /**
-   * Verify permission proof
+   * Verify permission proof and spend its nullifier
    * 
    * @param {Object} proof - Permission proof
    * @param {Array} requiredPermissions - Permissions that must be proven
+   * @param {string} verifierId - Verifier presenting the proof
    * @returns {Promise<Object>} Verification result
    */
-  async verifyPermissionProof(proof, requiredPermissions) {
-    if (!proof || !proof.commitment) {
+  async verifyPermissionProof(proof, requiredPermissions, verifierId) {
+    if (!proof || !proof.nullifier) {
       throw new Error('proof object is required');
     }
 
@@ -181,18 +284,73 @@ class ZKService {
       throw new Error('requiredPermissions must be a non-empty array');
     }
 
+    if (!verifierId) {
+      throw new Error('verifierId is required');
+    }
+
+    const reject = (reason) => ({ valid: false, hasRequiredPermissions: false, reason });
+
+    // The proof must answer a live challenge this verifier asked for
+    const scope = this.getChallenge(proof.challenge?.nonce);
+    if (!scope || scope.requestId !== proof.challenge.requestId) {
+      return reject('Unknown or expired challenge');
+    }
+    if (scope.verifierId !== verifierId || proof.challenge.verifierId !== verifierId) {
+      return reject('Proof was issued for another verifier');
+    }
+
+    if (this.identityRegistry.isNullifierSpent(proof.nullifier)) {
+      return reject('Proof has already been used');
+    }
+
     // Verify proof using ZKProof static method
     const isValid = ZKProof.verifyPermissionProof(
       proof,
-      requiredPermissions
+      requiredPermissions,
+      this.identityRegistry.getIdentityKeys()
     );
+    if (!isValid) {
+      return reject('Invalid proof');
+    }
+
+    // Spend the nullifier on chain and retire the challenge
+    this.identityRegistry.spendNullifier(proof.nullifier, {
+      verifierId,
+      requestId: scope.requestId,
+      permissions: proof.permissions
+    });
+    this.challenges.delete(proof.challenge.nonce);
 
     return {
-      valid: isValid,
-      hasRequiredPermissions: isValid,
+      valid: true,
+      hasRequiredPermissions: true,
+      nullifier: proof.nullifier
       // Note: userId is not revealed
     };
   }
+
+  /**
+   * Look up a live challenge (null if unknown or expired)
+   */
+  getChallenge(nonce) {
+    const scope = nonce ? this.challenges.get(nonce) : null;
+    if (!scope || scope.expiresAt < Date.now()) {
+      return null;
+    }
+    return scope;
+  }
+
+  /**
+   * Drop expired challenges
+   */
+  pruneChallenges() {
+    const now = Date.now();
+    for (const [nonce, scope] of this.challenges) {
+      if (scope.expiresAt < now) {
+        this.challenges.delete(nonce);
+      }
+    }
+  }
 }
 
 module.exports = ZKService;
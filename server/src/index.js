@@ -8,10 +8,14 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
+const path = require('path');
 
 // Import blockchain core
 const Blockchain = require('./core/Blockchain.js');
 const NodeManager = require('./core/NodeManager.js');
+const FileStorage = require('./core/storage/FileStorage.js');
+const KeyStore = require('./core/KeyStore.js');
+const KeyManagementService = require('./core/KeyManagementService.js');
 
 // Import feature routes (to be implemented)
 const consentRoutes = require('./features/consent-management/consentController.js');
@@ -19,12 +23,27 @@ const integrityRoutes = require('./features/data-integrity/integrityController.j
 const zkRoutes = require('./features/zk-proofs/zkController.js');
 const auditRoutes = require('./features/audit-trail/auditController.js');
 const consensusRoutes = require('./features/consensus/consensusController.js');
+const networkRoutes = require('./features/network/networkController.js');
+const medicalRecordRoutes = require('./features/medical-records/medicalRecordController.js');
+const registryRoutes = require('./features/data-storage/registryController.js');
+const authRoutes = require('./features/auth/authController.js');
+const fhirRoutes = require('./features/fhir/fhirController.js');
+const breakGlassRoutes = require('./features/emergency-access/breakGlassController.js');
+const eventFeedRoutes = require('./features/notifications/eventFeedController.js');
+const researchRoutes = require('./features/research/researchController.js');
+const AuthService = require('./features/auth/AuthService.js');
+const { createAuthGuard } = require('./features/auth/authMiddleware.js');
+const policies = require('./features/auth/policies.js');
+const AuditLogger = require('./features/audit-trail/AuditLogger.js');
 const ConsensusService = require('./features/consensus/consensusService.js');
+const ConsentExpiryScheduler = require('./features/consent-management/ConsentExpiryScheduler.js');
 
 // Import data storage contracts
 const PatientContract = require('./features/data-storage/PatientContract.js');
 const ClinicianContract = require('./features/data-storage/ClinicianContract.js');
 const AIModelContract = require('./features/data-storage/AIModelContract.js');
+const OrganizationContract = require('./features/data-storage/OrganizationContract.js');
+const ResearchStudyContract = require('./features/data-storage/ResearchStudyContract.js');
 const MedicalRecordContract = require('./features/data-storage/MedicalRecordContract.js');
 const DataInitializer = require('./features/data-storage/dataInitializer.js');
 
@@ -42,22 +61,106 @@ const MAX_CONSENT_RECORDS = 50;  // Limit to 50 consent records
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Bulk consent batches may hold thousands of items
+app.use('/api/consent/bulk', express.json({ limit: '5mb' }));
+app.use(express.json({ type: ['application/json', 'application/fhir+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
+// Chain storage (set CHAIN_STORAGE=memory to run without persistence)
+const CHAIN_STORAGE = process.env.CHAIN_STORAGE || 'file';
+const CHAIN_DATA_DIR = process.env.CHAIN_DATA_DIR || path.join(__dirname, '..', 'chain-data');
+
 // Initialize blockchain
-const blockchain = new Blockchain();
-const nodeManager = new NodeManager(blockchain);
+const storage = CHAIN_STORAGE === 'memory' ? null : new FileStorage(CHAIN_DATA_DIR);
+const keyStore = new KeyStore({
+  filePath: storage ? path.join(CHAIN_DATA_DIR, 'keys.json') : null
+});
+const keyManager = new KeyManagementService({
+  filePath: storage ? path.join(CHAIN_DATA_DIR, 'data-keys.json') : null
+});
+const blockchain = new Blockchain({ storage, keyStore, keyManager });
+
+// Reload persisted chain before serving anything; refuse to start on a tampered chain
+try {
+  const loadResult = blockchain.loadFromStorage();
+  if (loadResult.loaded) {
+    console.log(`✓ Loaded ${loadResult.blocks} blocks and ${loadResult.pendingTransactions} pending transactions from ${CHAIN_DATA_DIR}`);
+  }
+  if (loadResult.droppedTransactions.length > 0) {
+    console.error(`⚠ Dropped ${loadResult.droppedTransactions.length} invalid pending transactions: ${loadResult.droppedTransactions.join(', ')}`);
+  }
+} catch (error) {
+  console.error(`❌ Failed to load chain from ${CHAIN_DATA_DIR}:`, error.message);
+  process.exit(1);
+}
+
+// Reuse the persisted node identity so blocks signed before a restart still verify
+const nodeManager = new NodeManager(blockchain, {
+  nodeId: process.env.NODE_ID || keyStore.getLocalNodeId(),
+  host: process.env.NODE_HOST || 'localhost',
+  port: Number(PORT),
+  networkSecret: process.env.NETWORK_SECRET
+});
+
+// Authentication (set AUTH_ENABLED=false to serve the API without tokens, e.g. for the demo UI)
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const AUTH_ADMIN_ID = process.env.AUTH_ADMIN_ID || 'admin';
+if (AUTH_ENABLED && !process.env.NETWORK_SECRET) {
+  // Without a secret anyone could register as a peer node
+  console.error('❌ NETWORK_SECRET must be set when AUTH_ENABLED is not false');
+  process.exit(1);
+}
+// Node IDs of other nodes whose tokens this node accepts (comma-separated; tokens from this node are always accepted)
+const TRUSTED_TOKEN_ISSUERS = (process.env.TRUSTED_TOKEN_ISSUERS || '').split(',').map(id => id.trim()).filter(Boolean);
+const authService = new AuthService(blockchain, {
+  tokenTtlSeconds: Number(process.env.AUTH_TOKEN_TTL) || undefined,
+  trustedIssuers: TRUSTED_TOKEN_ISSUERS
+});
+const auditLogger = new AuditLogger(blockchain);
+
+// ZK consent proofs anchored before a revocation stay valid for this many blocks after it
+const zkOptions = {
+  revocationGraceBlocks: Number(process.env.ZK_REVOCATION_GRACE_BLOCKS) || 0
+};
+
+// Key for the pseudonyms in de-identified research cohorts (random per process if unset, so pseudonyms change on restart)
+const researchOptions = {
+  pseudonymSecret: process.env.RESEARCH_PSEUDONYM_SECRET || undefined
+};
+
+// Peers to join on startup (comma-separated base URLs, e.g. http://localhost:3001)
+const PEERS = (process.env.PEERS || '').split(',').map(p => p.trim()).filter(Boolean);
 
 // Initialize data storage contracts
 const patientContract = new PatientContract(blockchain);
 const clinicianContract = new ClinicianContract(blockchain);
 const aiModelContract = new AIModelContract(blockchain);
+const organizationContract = new OrganizationContract(blockchain);
+const researchStudyContract = new ResearchStudyContract(blockchain);
 const medicalRecordContract = new MedicalRecordContract(blockchain);
 const dataInitializer = new DataInitializer(blockchain);
 
 // Initialize consensus service
-const consensusService = new ConsensusService(blockchain, nodeManager);
+// With CONSENSUS_VIEW_CHANGE_TIMEOUT_MS set, validators replace a primary that leaves pending work uncommitted that long
+const CONSENSUS_VIEW_CHANGE_TIMEOUT_MS = Number(process.env.CONSENSUS_VIEW_CHANGE_TIMEOUT_MS) || 0;
+// The primary proposes the pending pool this often (0 disables; blocks are then only proposed via /api/consensus/propose)
+const CONSENSUS_BLOCK_INTERVAL_MS = process.env.CONSENSUS_BLOCK_INTERVAL_MS !== undefined
+  ? Number(process.env.CONSENSUS_BLOCK_INTERVAL_MS)
+  : 5000;
+const consensusService = new ConsensusService(blockchain, nodeManager, {
+  viewChangeTimeoutMs: CONSENSUS_VIEW_CHANGE_TIMEOUT_MS || undefined
+});
+
+// Consent expiry scheduler: records expired consents and warns patients CONSENT_EXPIRY_NOTICE_DAYS ahead
+// (CONSENT_EXPIRY_INTERVAL_MS=0 disables it). Only the current primary runs it, so expiries are written once.
+const CONSENT_EXPIRY_INTERVAL_MS = process.env.CONSENT_EXPIRY_INTERVAL_MS !== undefined
+  ? Number(process.env.CONSENT_EXPIRY_INTERVAL_MS)
+  : 60000;
+const consentExpiryScheduler = new ConsentExpiryScheduler(blockchain, {
+  intervalMs: CONSENT_EXPIRY_INTERVAL_MS,
+  noticeDays: process.env.CONSENT_EXPIRY_NOTICE_DAYS !== undefined ? Number(process.env.CONSENT_EXPIRY_NOTICE_DAYS) : undefined,
+  isActive: () => consensusService.engine.getPrimary() === nodeManager.getNodeId()
+});
 
 // Store contracts and blockchain in app locals
 app.locals.blockchain = blockchain;
@@ -65,8 +168,17 @@ app.locals.nodeManager = nodeManager;
 app.locals.patientContract = patientContract;
 app.locals.clinicianContract = clinicianContract;
 app.locals.aiModelContract = aiModelContract;
+app.locals.organizationContract = organizationContract;
+app.locals.researchStudyContract = researchStudyContract;
 app.locals.medicalRecordContract = medicalRecordContract;
 app.locals.consensusService = consensusService;
+app.locals.authService = authService;
+app.locals.auditLogger = auditLogger;
+app.locals.zkOptions = zkOptions;
+app.locals.researchOptions = researchOptions;
+
+// Per-route access policies for each router (see features/auth/policies.js)
+const guard = (rules) => AUTH_ENABLED ? createAuthGuard(rules) : (req, res, next) => next();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -106,93 +218,26 @@ app.get('/api/blockchain/info', (req, res) => {
 });
 
 // Feature routes
-app.use('/api/consent', consentRoutes);
-app.use('/api/integrity', integrityRoutes);
-app.use('/api/zk', zkRoutes);
-app.use('/api/audit', auditRoutes);
-app.use('/api/consensus', consensusRoutes);
-
-// Data endpoints for UI - Read from blockchain (not mock data)
-app.get('/api/patients', (req, res) => {
-  try {
-    // Get patients from blockchain via PatientContract
-    const patients = req.app.locals.patientContract.getAllPatients().map(p => ({
-      id: p.id,
-      name: `${p.firstName} ${p.lastName}`,
-      firstName: p.firstName,
-      lastName: p.lastName,
-      age: p.age,
-      gender: p.gender,
-      email: p.email
-    }));
-    res.json({ data: patients, count: patients.length });
-  } catch (error) {
-    console.error('Error in /api/patients:', error);
-    res.status(500).json({ error: 'Failed to get patients', message: error.message });
-  }
-});
-
-app.get('/api/clinicians', (req, res) => {
-  try {
-    // Get clinicians from blockchain via ClinicianContract
-    const clinicians = req.app.locals.clinicianContract.getAllClinicians(true)
-      .map(c => ({
-        id: c.id,
-        name: `${c.firstName} ${c.lastName}`,
-        firstName: c.firstName,
-        lastName: c.lastName,
-        specialty: c.specialty,
-        hospital: c.hospital,
-        email: c.email
-      }));
-    res.json({ data: clinicians, count: clinicians.length });
-  } catch (error) {
-    console.error('Error in /api/clinicians:', error);
-    res.status(500).json({ error: 'Failed to get clinicians', message: error.message });
-  }
-});
-
-app.get('/api/medical-records', (req, res) => {
-  try {
-    const { patientId, full } = req.query;
-    const allRecords = req.app.locals.medicalRecordContract.getAllMedicalRecords(patientId || null);
-    
-    // If full=true, return complete records (for data integrity)
-    // Otherwise, return filtered fields (for UI display)
-    const records = full === 'true' 
-      ? allRecords 
-      : allRecords.map(r => ({
-          id: r.id,
-          patientId: r.patientId,
-          recordType: r.recordType,
-          diagnosis: r.diagnosis,
-          date: r.date,
-          description: r.description
-        }));
-    
-    res.json({ data: records, count: records.length });
-  } catch (error) {
-    console.error('Error in /api/medical-records:', error);
-    res.status(500).json({ error: 'Failed to get medical records', message: error.message });
-  }
-});
-
-app.get('/api/ai-models', (req, res) => {
-  try {
-    const models = req.app.locals.aiModelContract.getAllAIModels()
-      .map(m => ({
-        id: m.id,
-        name: m.name,
-        version: m.version,
-        description: m.description,
-        accuracy: m.accuracy
-      }));
-    res.json({ data: models, count: models.length });
-  } catch (error) {
-    console.error('Error in /api/ai-models:', error);
-    res.status(500).json({ error: 'Failed to get AI models', message: error.message });
-  }
-});
+app.use('/api/auth', guard(policies.auth), authRoutes);
+app.use('/api/consent', guard(policies.consent), consentRoutes);
+app.use('/api/integrity', guard(policies.integrity), integrityRoutes);
+app.use('/api/zk', guard(policies.zk), zkRoutes);
+app.use('/api/audit', guard(policies.audit), auditRoutes);
+app.use('/api/break-glass', guard(policies.breakGlass), breakGlassRoutes);
+app.use('/api/events', guard(policies.events), eventFeedRoutes);
+app.use('/api/research', guard(policies.research), researchRoutes);
+app.use('/api/consensus', guard(policies.consensus), consensusRoutes);
+app.use('/api/network', guard(policies.network), networkRoutes);
+app.use('/api/medical-records', guard(policies.medicalRecords), medicalRecordRoutes);
+
+// Patient, clinician, AI model and organization registries (lists are read by the UI without a token)
+app.use('/api/patients', guard(policies.patients), registryRoutes.patients);
+app.use('/api/clinicians', guard(policies.clinicians), registryRoutes.clinicians);
+app.use('/api/ai-models', guard(policies.aiModels), registryRoutes.aiModels);
+app.use('/api/organizations', guard(policies.organizations), registryRoutes.organizations);
+
+// FHIR R4 facade over the same contracts, consent checks and audit trail
+app.use('/fhir', guard(policies.fhir), fhirRoutes);
 
 // Stats endpoint - Returns real blockchain data statistics
 app.get('/api/stats', (req, res) => {
@@ -295,12 +340,56 @@ const server = app.listen(PORT, async () => {
 ╚══════════════════════════════════════════════════════════════════════╝
   `);
   
+  // Join the network and catch up before creating any local state
+  for (const peerUrl of PEERS) {
+    try {
+      const peer = await nodeManager.connectToPeer(peerUrl);
+      console.log(`✓ Connected to peer ${peer.nodeId} at ${peer.url}`);
+    } catch (error) {
+      console.error(`⚠ Could not connect to peer ${peerUrl}: ${error.message}`);
+    }
+  }
+  if (nodeManager.getPeers().length > 0) {
+    const syncResult = await nodeManager.syncChain();
+    console.log(`✓ Synced ${syncResult.blocksAdded} blocks from ${syncResult.peersContacted} peers`);
+  }
+
   // Initialize with genesis block if chain is empty
   if (blockchain.getChainLength() === 0) {
     blockchain.createGenesisBlock();
     console.log('✓ Genesis block created');
   }
 
+  if (CONSENSUS_VIEW_CHANGE_TIMEOUT_MS > 0) {
+    setInterval(() => {
+      try {
+        consensusService.engine.checkProposerTimeout();
+      } catch (error) {
+        console.error('⚠ View change failed:', error.message);
+      }
+    }, Math.max(1000, CONSENSUS_VIEW_CHANGE_TIMEOUT_MS / 4)).unref();
+  }
+
+  if (CONSENSUS_BLOCK_INTERVAL_MS > 0) {
+    setInterval(async () => {
+      try {
+        await consensusService.proposePending();
+      } catch (error) {
+        console.error('⚠ Block proposal failed:', error.message);
+      }
+    }, CONSENSUS_BLOCK_INTERVAL_MS).unref();
+  }
+
+  if (CONSENT_EXPIRY_INTERVAL_MS > 0) {
+    consentExpiryScheduler.start();
+  }
+
+  // Bootstrap the first admin; its private key stays in the node's key store
+  if (AUTH_ENABLED && !keyStore.getPublicKey(AUTH_ADMIN_ID)) {
+    authService.registerActor({ actorId: AUTH_ADMIN_ID, role: 'admin' });
+    console.log(`✓ Admin actor '${AUTH_ADMIN_ID}' created (issue a token with: npm run token -- ${AUTH_ADMIN_ID})`);
+  }
+
   // Initialize blockchain with mock data if not already initialized
   try {
     if (!dataInitializer.isInitialized()) {